@@ -67,6 +67,8 @@ async function createTables() {
       verdict TEXT,
       score INTEGER,
       checks TEXT,
+      profile TEXT,
+      breakdown TEXT,
       reasoning TEXT,
       recommendation TEXT,
       status TEXT DEFAULT 'pending',
@@ -83,6 +85,8 @@ async function createTables() {
       reward_amount REAL,
       reward_token TEXT,
       poster_address TEXT,
+      acceptance_tests TEXT,
+      scoring_profile TEXT,
       status TEXT DEFAULT 'open',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       deadline DATETIME
@@ -96,6 +100,7 @@ async function createTables() {
       submission_url TEXT,
       submission_type TEXT,
       status TEXT DEFAULT 'pending',
+      fingerprints TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (bounty_id) REFERENCES bounties(id)
     )`,
@@ -151,9 +156,36 @@ async function createTables() {
     });
   }
   
+  await migrateColumns();
+  
   console.log('Database tables created');
 }
 
+/**
+ * Add columns introduced after a table was first created
+ * 
+ * SQLite has no ADD COLUMN IF NOT EXISTS, so a duplicate column error means
+ * the migration already ran.
+ */
+async function migrateColumns() {
+  const columns = [
+    ['bounties', 'acceptance_tests', 'TEXT'],
+    ['bounties', 'scoring_profile', 'TEXT'],
+    ['verifications', 'profile', 'TEXT'],
+    ['verifications', 'breakdown', 'TEXT'],
+    ['submissions', 'fingerprints', 'TEXT']
+  ];
+  
+  for (const [table, column, type] of columns) {
+    await new Promise((resolve, reject) => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`, (err) => {
+        if (err && !/duplicate column name/i.test(err.message)) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
 /**
  * Get database instance
  */
@@ -194,7 +226,7 @@ const Verification = {
     const values = [];
     
     for (const [key, value] of Object.entries(data)) {
-      if (key === 'checks' || key === 'requirements') {
+      if (key === 'checks' || key === 'requirements' || key === 'breakdown') {
         fields.push(`${key} = ?`);
         values.push(JSON.stringify(value));
       } else {
@@ -224,6 +256,7 @@ const Verification = {
           if (row) {
             row.requirements = JSON.parse(row.requirements || '[]');
             row.checks = JSON.parse(row.checks || '{}');
+            row.breakdown = row.breakdown ? JSON.parse(row.breakdown) : null;
           }
           resolve(row);
         }
@@ -239,8 +272,8 @@ const Bounty = {
   async create(data) {
     const id = uuidv4();
     const sql = `INSERT INTO bounties 
-      (id, title, description, requirements, reward_amount, reward_token, poster_address, deadline)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+      (id, title, description, requirements, reward_amount, reward_token, poster_address, deadline, acceptance_tests, scoring_profile)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     
     return new Promise((resolve, reject) => {
       db.run(sql, [
@@ -251,7 +284,9 @@ const Bounty = {
         data.reward_amount,
         data.reward_token,
         data.poster_address,
-        data.deadline
+        data.deadline,
+        data.acceptance_tests ? JSON.stringify(data.acceptance_tests) : null,
+        data.scoring_profile || null
       ], function(err) {
         if (err) reject(err);
         else resolve(id);
@@ -266,15 +301,27 @@ const Bounty = {
       db.get(sql, [id], (err, row) => {
         if (err) reject(err);
         else {
-          if (row) {
-            row.requirements = JSON.parse(row.requirements || '[]');
-          }
-          resolve(row);
+          resolve(row ? toPublicBounty(row) : row);
         }
       });
     });
   },
   
+  /**
+   * Acceptance tests are hidden from the worker, so they are only read here
+   * and never returned by getById or list
+   */
+  async getAcceptanceTests(id) {
+    const sql = 'SELECT acceptance_tests FROM bounties WHERE id = ?';
+    
+    return new Promise((resolve, reject) => {
+      db.get(sql, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row?.acceptance_tests ? JSON.parse(row.acceptance_tests) : null);
+      });
+    });
+  },
+  
   async list(limit = 50, offset = 0) {
     const sql = 'SELECT * FROM bounties ORDER BY created_at DESC LIMIT ? OFFSET ?';
     
@@ -282,16 +329,25 @@ const Bounty = {
       db.all(sql, [limit, offset], (err, rows) => {
         if (err) reject(err);
         else {
-          rows.forEach(row => {
-            row.requirements = JSON.parse(row.requirements || '[]');
-          });
-          resolve(rows);
+          resolve(rows.map(toPublicBounty));
         }
       });
     });
   }
 };
 
+/**
+ * Parse a bounty row, replacing the acceptance test contents with a flag
+ */
+function toPublicBounty(row) {
+  const { acceptance_tests, ...bounty } = row;
+  return {
+    ...bounty,
+    requirements: JSON.parse(row.requirements || '[]'),
+    has_acceptance_tests: Boolean(acceptance_tests)
+  };
+}
+
 /**
  * Submission model
  */
@@ -316,18 +372,73 @@ const Submission = {
     });
   },
   
+  async getById(id) {
+    const sql = 'SELECT * FROM submissions WHERE id = ?';
+    
+    return new Promise((resolve, reject) => {
+      db.get(sql, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? toPublicSubmission(row) : row);
+      });
+    });
+  },
+  
   async getByBountyId(bountyId) {
     const sql = 'SELECT * FROM submissions WHERE bounty_id = ? ORDER BY created_at DESC';
     
     return new Promise((resolve, reject) => {
       db.all(sql, [bountyId], (err, rows) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(rows.map(toPublicSubmission));
+      });
+    });
+  },
+  
+  async setFingerprints(id, fingerprints) {
+    const sql = 'UPDATE submissions SET fingerprints = ? WHERE id = ?';
+    
+    return new Promise((resolve, reject) => {
+      db.run(sql, [JSON.stringify(fingerprints), id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+  
+  /**
+   * Code fingerprints of the other workers' submissions to the same bounty,
+   * for the similarity check; like acceptance tests they are only read here
+   */
+  async getPeerFingerprints(id) {
+    const sql = `SELECT s.id, s.worker_address, s.fingerprints FROM submissions s
+      JOIN submissions own ON own.id = ?
+      WHERE s.bounty_id = own.bounty_id AND s.id != own.id
+        AND s.worker_address != own.worker_address AND s.fingerprints IS NOT NULL
+      ORDER BY s.created_at`;
+    
+    return new Promise((resolve, reject) => {
+      db.all(sql, [id], (err, rows) => {
+        if (err) reject(err);
+        else {
+          resolve(rows.map(row => ({
+            id: row.id,
+            label: `submission ${row.id} (${row.worker_address})`,
+            fingerprints: JSON.parse(row.fingerprints)
+          })));
+        }
       });
     });
   }
 };
 
+/**
+ * Parse a submission row, replacing the stored fingerprints with a flag
+ */
+function toPublicSubmission(row) {
+  const { fingerprints, ...submission } = row;
+  return { ...submission, has_fingerprints: Boolean(fingerprints) };
+}
+
 /**
  * Judge model
  */
@@ -2,7 +2,7 @@
  * Bounty Routes
  * 
  * POST /api/v1/bounties - Register a bounty
- * GET /api/v1/bounties/:id - Get bounty details
+ * GET /api/v1/bounties/:id - Get bounty details (?include=test_cases for per-test detail)
  * POST /api/v1/bounties/:id/submit - Submit deliverables
  * GET /api/v1/bounties/:id/status - Get bounty status
  */
@@ -10,6 +10,9 @@
 const express = require('express');
 const router = express.Router();
 const { Bounty, Submission, Verdict } = require('../models/database');
+const { stripTestCases, parseInclude, validateRequirements } = require('../services/verification');
+const { loadAcceptanceTests } = require('../verifier/src/checks/acceptance');
+const { listProfiles } = require('../verifier/src/profiles');
 
 /**
  * POST /api/v1/bounties
@@ -17,7 +20,10 @@ const { Bounty, Submission, Verdict } = require('../models/database');
  */
 router.post('/', async (req, res) => {
   try {
-    const { title, description, requirements, reward_amount, reward_token, poster_address, deadline } = req.body;
+    const {
+      title, description, requirements, reward_amount, reward_token, poster_address, deadline,
+      acceptance_tests, scoring_profile
+    } = req.body;
     
     // Validate required fields
     if (!title || !description || !requirements || !reward_amount || !poster_address) {
@@ -26,6 +32,29 @@ router.post('/', async (req, res) => {
       });
     }
     
+    if (scoring_profile !== undefined && !listProfiles().includes(scoring_profile)) {
+      return res.status(400).json({ error: `scoring_profile must be one of: ${listProfiles().join(', ')}` });
+    }
+    
+    // Free-text requirements and typed assertions
+    try {
+      validateRequirements(requirements);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Acceptance tests: { "relative/path.test.js": "file contents" }
+    if (acceptance_tests !== undefined) {
+      if (!acceptance_tests || typeof acceptance_tests !== 'object' || Array.isArray(acceptance_tests)) {
+        return res.status(400).json({ error: 'acceptance_tests must be an object mapping file paths to contents' });
+      }
+      try {
+        await loadAcceptanceTests(acceptance_tests);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
     // Create bounty
     const bountyId = await Bounty.create({
       title,
@@ -34,7 +63,9 @@ router.post('/', async (req, res) => {
       reward_amount,
       reward_token: reward_token || 'USDC',
       poster_address,
-      deadline
+      deadline,
+      acceptance_tests,
+      scoring_profile
     });
     
     res.status(201).json({
@@ -56,6 +87,7 @@ router.post('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const includeTestCases = parseInclude(req.query.include).has('test_cases');
     
     // Get bounty
     const bounty = await Bounty.getById(id);
@@ -70,7 +102,12 @@ router.get('/:id', async (req, res) => {
     const submissionsWithVerdicts = await Promise.all(
       submissions.map(async (sub) => {
         const verdicts = await Verdict.getBySubmissionId(sub.id);
-        return { ...sub, verdicts };
+        return {
+          ...sub,
+          verdicts: includeTestCases
+            ? verdicts
+            : verdicts.map(v => ({ ...v, checks: stripTestCases(v.checks) }))
+        };
       })
     );
     
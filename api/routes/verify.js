@@ -2,12 +2,16 @@
  * Verification Routes
  * 
  * POST /api/v1/verify - Submit code for verification
- * GET /api/v1/verify/:id - Get verification result
+ * GET /api/v1/verify/:id - Get verification result, with its failing test cases
  */
 
 const express = require('express');
 const router = express.Router();
-const { submitVerification, getVerification } = require('../services/verification');
+const { submitVerification, getVerification, validateRequirements } = require('../services/verification');
+const { Bounty, Submission } = require('../models/database');
+const { listProfiles, getProfile } = require('../verifier/src/profiles');
+const { normalizeDataSpec } = require('../verifier/src/evaluators/data');
+const { normalizeContentSpec } = require('../verifier/src/evaluators/writing');
 
 /**
  * POST /api/v1/verify
@@ -15,7 +19,9 @@ const { submitVerification, getVerification } = require('../services/verificatio
  */
 router.post('/', async (req, res) => {
   try {
-    const { submission, requirements, bounty_type, language, coverage_threshold, timeout } = req.body;
+    const {
+      submission, requirements, bounty_type, data_spec, content_spec, language, coverage_threshold, timeout, bounty_id, submission_id, profile
+    } = req.body;
     
     // Validate required fields
     if (!submission) {
@@ -29,19 +35,95 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: `submission_type must be one of: ${validTypes.join(', ')}` });
     }
     
+    const bountyType = bounty_type || 'code';
+    if (!['code', 'data', 'content'].includes(bountyType)) {
+      return res.status(400).json({ error: 'bounty_type must be one of: code, data, content' });
+    }
+    
+    if (profile !== undefined && !listProfiles().includes(profile)) {
+      return res.status(400).json({ error: `profile must be one of: ${listProfiles().join(', ')}` });
+    }
+    if (profile !== undefined && getProfile(profile).mode !== bountyType) {
+      return res.status(400).json({ error: `profile ${profile} is for ${getProfile(profile).mode} bounties` });
+    }
+    
+    // Files, schema and column rules a data bounty is checked against
+    let dataSpec;
+    if (bountyType === 'data') {
+      try {
+        dataSpec = normalizeDataSpec(data_spec || {});
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    // Word range, sections, readability and spelling rules a content bounty is checked against
+    let contentSpec;
+    if (bountyType === 'content') {
+      try {
+        contentSpec = normalizeContentSpec(content_spec || {});
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    // Free-text requirements and typed assertions
+    if (requirements !== undefined) {
+      try {
+        validateRequirements(requirements);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    // A recorded submission is compared with the other workers' submissions to its bounty
+    let bountyId = bounty_id;
+    let peers = [];
+    if (submission_id !== undefined) {
+      const submissionRecord = await Submission.getById(submission_id);
+      if (!submissionRecord) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      if (bounty_id && bounty_id !== submissionRecord.bounty_id) {
+        return res.status(400).json({ error: `submission ${submission_id} belongs to bounty ${submissionRecord.bounty_id}` });
+      }
+      bountyId = submissionRecord.bounty_id;
+      peers = await Submission.getPeerFingerprints(submission_id);
+    }
+    
+    // Run the bounty's hidden acceptance tests against the submission, scored with its profile
+    let acceptanceTests = null;
+    let scoringProfile = profile;
+    if (bountyId) {
+      const bounty = await Bounty.getById(bountyId);
+      if (!bounty) {
+        return res.status(404).json({ error: 'Bounty not found' });
+      }
+      acceptanceTests = await Bounty.getAcceptanceTests(bountyId);
+      // The bounty's profile applies when it scores this type of bounty
+      const bountyProfile = bounty.scoring_profile && getProfile(bounty.scoring_profile);
+      scoringProfile = profile || (bountyProfile?.mode === bountyType ? bountyProfile.name : undefined);
+    }
+    
     // Submit verification
     const result = await submitVerification({
       submission,
       submission_type: submissionType,
       requirements: requirements || [],
-      bounty_type: bounty_type || 'code',
+      bounty_type: bountyType,
+      data_spec: dataSpec,
+      content_spec: contentSpec,
       language: language || 'auto',
       coverage_threshold: coverage_threshold || 70,
-      timeout: timeout || 180
+      timeout: timeout || 180,
+      acceptance_tests: acceptanceTests,
+      profile: scoringProfile,
+      submission_id,
+      peers
     });
     
     res.status(202).json(result);
-    
+  
   } catch (error) {
     console.error('Verification submission error:', error);
     res.status(500).json({ error: 'Failed to submit verification', message: error.message });
@@ -50,7 +132,7 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/v1/verify/:id
- * Get verification result by ID
+ * Get verification result by ID, including failing test cases
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -6,7 +6,27 @@
 
 const path = require('path');
 const { verify } = require('../verifier/src/index');
-const { Verification } = require('../models/database');
+const { normalizeRequirements } = require('../verifier/src/evaluators/requirement-spec');
+const { Verification, Submission } = require('../models/database');
+
+// Submissions reaching the API are untrusted, so they run sandboxed unless CLAWJUDGE_SANDBOX says otherwise
+const SANDBOX = process.env.CLAWJUDGE_SANDBOX || 'bubblewrap';
+
+/**
+ * Validate requirements for a bounty or verification request
+ * 
+ * command_succeeds runs a command the requester chose, so it is refused
+ * unless submissions run sandboxed.
+ * @param {Array} requirements - Requirement strings and typed assertions
+ * @returns {Array} Normalized requirements; throws on invalid ones
+ */
+function validateRequirements(requirements) {
+  const normalized = normalizeRequirements(requirements);
+  if (SANDBOX === 'direct' && normalized.some(requirement => requirement.type === 'command_succeeds')) {
+    throw new Error('command_succeeds requirements need a sandbox; this server runs submissions on the host (CLAWJUDGE_SANDBOX=direct)');
+  }
+  return normalized;
+}
 
 /**
  * Submit code for verification
@@ -44,9 +64,20 @@ async function runVerification(id, data) {
       submission: data.submission,
       requirements: data.requirements || [],
       bounty_type: data.bounty_type || 'code',
+      data_spec: data.data_spec,
+      content_spec: data.content_spec,
       language: data.language || 'auto',
       coverage_threshold: data.coverage_threshold || 70,
-      timeout: data.timeout || 180
+      timeout: data.timeout || 180,
+      acceptance_tests: data.acceptance_tests,
+      profile: data.profile,
+      peers: data.peers || [],
+      sandbox: SANDBOX,
+      // Keep the submission's fingerprints so later submissions are compared with it
+      onFingerprints: data.submission_id !== undefined
+        ? fingerprints => Submission.setFingerprints(data.submission_id, fingerprints)
+            .catch(error => console.error('Storing fingerprints failed:', error))
+        : undefined
     });
     
     // Update verification record
@@ -55,6 +86,8 @@ async function runVerification(id, data) {
       verdict: result.verdict,
       score: result.score,
       checks: result.checks,
+      profile: result.profile,
+      breakdown: result.breakdown,
       reasoning: result.reasoning,
       recommendation: result.recommendation,
       completed_at: new Date().toISOString()
@@ -62,7 +95,7 @@ async function runVerification(id, data) {
     
     // Trigger webhooks if configured
     await triggerWebhooks('verification.completed', { id, result });
-    
+  
   } catch (error) {
     console.error('Verification failed:', error);
     
@@ -79,7 +112,7 @@ async function runVerification(id, data) {
 }
 
 /**
- * Get verification result
+ * Get verification result, including the failing test cases in `checks.tests.cases`
  * @param {string} id - Verification ID
  * @returns {Promise<Object>} Verification result
  */
@@ -100,6 +133,8 @@ async function getVerification(id) {
     requirements: verification.requirements,
     verdict: verification.verdict,
     score: verification.score,
+    profile: verification.profile,
+    breakdown: verification.breakdown,
     checks: verification.checks,
     reasoning: verification.reasoning,
     recommendation: verification.recommendation,
@@ -108,6 +143,33 @@ async function getVerification(id) {
   };
 }
 
+/**
+ * Drop the per-test case list from stored checks, to keep list responses small
+ * @param {Object} checks - Checks as persisted with the verification
+ * @returns {Object} Checks without `tests.cases`
+ */
+function stripTestCases(checks) {
+  if (!checks?.tests?.cases) {
+    return checks;
+  }
+  
+  const { cases, casesOmitted, ...tests } = checks.tests;
+  return { ...checks, tests };
+}
+
+/**
+ * Parse the `include` query parameter (comma-separated)
+ * @param {string|string[]} include - Raw query value
+ * @returns {Set<string>} Requested includes
+ */
+function parseInclude(include) {
+  const values = Array.isArray(include) ? include : [include];
+  return new Set(values
+    .filter(Boolean)
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim()));
+}
+
 /**
  * Trigger webhooks for an event
  * @param {string} event - Event type
@@ -121,5 +183,8 @@ async function triggerWebhooks(event, data) {
 
 module.exports = {
   submitVerification,
-  getVerification
+  validateRequirements,
+  getVerification,
+  stripTestCases,
+  parseInclude
 };
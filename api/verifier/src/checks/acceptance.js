@@ -0,0 +1,440 @@
+/**
+ * Acceptance Test Check
+ * 
+ * Runs test files supplied by the bounty poster against the submission, with
+ * the framework the submission already uses. The files mirror the project
+ * layout (test/api.test.js lands at <project>/test/api.test.js) so their
+ * relative imports resolve, and they are only present in the submission while
+ * this check runs: the worker's own tests, lint and requirement matching never
+ * see them.
+ */
+
+const { createExecutor } = require('../executors');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  detectNodeFramework,
+  readTestReport,
+  prepareArtifactDir,
+  parseTestOutput,
+  pythonCommand,
+  detectPythonFramework,
+  goEnv
+} = require('./tests');
+const { parseCargoJson, parseGoTestJson, parseUnittestOutput, parseForgeTestJson, summarizeCases } = require('./reporters');
+
+// Paths are interpolated into shell commands, so only plain path characters are accepted
+const SAFE_PATH = /^[\w.@+-]+(\/[\w.@+-]+)*$/;
+
+// Which acceptance files are test entry points (the rest are helpers and fixtures)
+const JS_TEST_FILES = /(^|\/|\.)(test|spec)\.[cm]?[jt]sx?$|(^|\/)(test|tests|__tests__)\/.+\.[cm]?[jt]sx?$/;
+const TEST_FILE_PATTERNS = {
+  nodejs: JS_TEST_FILES,
+  typescript: JS_TEST_FILES,
+  solidity: /(^|\/|\.)(test|spec)\.[cm]?[jt]s$|(^|\/)test\/.+\.[cm]?[jt]s$|\.t\.sol$/,
+  python: /(^|\/)test_[^/]*\.py$|_test\.py$/,
+  rust: /^tests\/[^/]+\.rs$/,
+  go: /_test\.go$/
+};
+
+/**
+ * Load acceptance test files
+ * @param {string|Object} source - Directory path, or a map of relative path to file contents
+ * @returns {Promise<Object[]>} Files ({ path, content })
+ */
+async function loadAcceptanceTests(source) {
+  if (!source) {
+    return [];
+  }
+  
+  let files;
+  if (typeof source === 'string') {
+    if (!await fs.pathExists(source) || !(await fs.stat(source)).isDirectory()) {
+      throw new Error(`Acceptance tests directory not found: ${source}`);
+    }
+    files = await readDirectoryFiles(source);
+  } else if (typeof source === 'object' && !Array.isArray(source)) {
+    files = Object.entries(source).map(([filePath, content]) => {
+      if (typeof content !== 'string') {
+        throw new Error(`Acceptance test ${filePath} must be a string`);
+      }
+      return { path: filePath, content };
+    });
+  } else {
+    throw new Error('Acceptance tests must be a directory path or a map of file paths to contents');
+  }
+  
+  for (const file of files) {
+    const normalized = path.posix.normalize(file.path);
+    if (!SAFE_PATH.test(file.path) || normalized !== file.path || normalized.split('/').includes('..')) {
+      throw new Error(`Invalid acceptance test path: ${file.path}`);
+    }
+  }
+  
+  return files;
+}
+
+/**
+ * List files under a directory as relative POSIX paths with their contents
+ * @param {string} dir - Directory
+ * @returns {Promise<Object[]>} Files ({ path, content })
+ */
+async function readDirectoryFiles(dir) {
+  const files = [];
+  
+  const walk = async (current) => {
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      if (entry.name === 'node_modules' || entry.name === '.git') continue;
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push({
+          path: path.relative(dir, fullPath).split(path.sep).join('/'),
+          content: await fs.readFile(fullPath)
+        });
+      }
+    }
+  };
+  
+  await walk(dir);
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Run acceptance check
+ * @param {string} projectPath - Path to project
+ * @param {string} language - Project language
+ * @param {Object[]} files - Acceptance test files from loadAcceptanceTests
+ * @param {Object} options - Check options
+ * @param {Object} options.executor - Executor used to run commands (default: direct)
+ * @returns {Promise<Object>} Acceptance check result
+ */
+async function runAcceptanceCheck(projectPath, language, files, options = {}) {
+  const executor = options.executor || createExecutor('direct');
+  
+  const pattern = TEST_FILE_PATTERNS[language];
+  if (!pattern) {
+    return {
+      passed: false,
+      found: false,
+      error: `Unsupported language: ${language}`,
+      details: 'Acceptance tests not supported for this language'
+    };
+  }
+  
+  const testFiles = files.map(file => file.path).filter(filePath => pattern.test(filePath));
+  if (testFiles.length === 0) {
+    return {
+      passed: false,
+      found: false,
+      error: 'No acceptance test files',
+      details: `No acceptance test files recognised for ${language}`
+    };
+  }
+  
+  const restore = await writeAcceptanceFiles(projectPath, files);
+  
+  try {
+    switch (language) {
+      case 'nodejs':
+      case 'typescript':
+        return await runNodeAcceptance(projectPath, testFiles, executor);
+      case 'python':
+        return await runPythonAcceptance(projectPath, testFiles, executor);
+      case 'solidity':
+        return await runSolidityAcceptance(projectPath, testFiles, executor);
+      case 'rust':
+        return await runRustAcceptance(projectPath, testFiles, executor);
+      case 'go':
+        return await runGoAcceptance(projectPath, testFiles, executor);
+    }
+  } catch (error) {
+    // Command errors carry the runner's stderr; keep only the first line
+    const reason = error.message.split('\n')[0];
+    return {
+      passed: false,
+      found: false,
+      error: reason,
+      details: `Acceptance test execution failed: ${reason}`
+    };
+  } finally {
+    await restore();
+  }
+}
+
+/**
+ * Write acceptance files into the project
+ * 
+ * Worker files at the same paths are set aside and put back afterwards, and
+ * directories created for the acceptance files are removed again.
+ * @param {string} projectPath - Project path
+ * @param {Object[]} files - Files ({ path, content })
+ * @returns {Promise<Function>} Restores the project to its previous state
+ */
+async function writeAcceptanceFiles(projectPath, files) {
+  const replaced = [];
+  const created = [];
+  const createdDirs = new Set();
+  
+  for (const file of files) {
+    const target = path.join(projectPath, file.path);
+    
+    if (await fs.pathExists(target)) {
+      replaced.push({ target, content: await fs.readFile(target) });
+    } else {
+      created.push(target);
+    }
+    
+    // Remember the outermost directory that did not exist yet
+    let dir = path.dirname(target);
+    let outermost = null;
+    while (dir !== projectPath && !await fs.pathExists(dir)) {
+      outermost = dir;
+      dir = path.dirname(dir);
+    }
+    if (outermost) createdDirs.add(outermost);
+    
+    await fs.outputFile(target, file.content);
+  }
+  
+  return async () => {
+    for (const target of created) {
+      await fs.remove(target);
+    }
+    for (const dir of createdDirs) {
+      await fs.remove(dir);
+    }
+    for (const { target, content } of replaced) {
+      await fs.outputFile(target, content);
+    }
+  };
+}
+
+/**
+ * Summarize an acceptance run from its report or console output
+ * @param {Object} run - Executor run result
+ * @param {Object[]|null} cases - Cases from a structured report
+ * @param {string} framework - Framework used
+ * @returns {Object} Check result
+ */
+function buildResult(run, cases, framework) {
+  if (run.aborted) {
+    throw new Error('Acceptance test run cancelled');
+  }
+  
+  let result;
+  if (cases && cases.length > 0) {
+    result = { ...summarizeCases(cases), cases };
+  } else {
+    const output = run.stdout + run.stderr;
+    if (!output.trim()) {
+      return {
+        passed: false,
+        found: false,
+        error: 'Acceptance test execution failed',
+        details: run.timedOut ? 'Acceptance test run timed out' : `Test command exited with code ${run.code}`
+      };
+    }
+    // The console output quotes the hidden tests, so only the counts are kept
+    const { raw, ...summary } = parseTestOutput(output, run.code);
+    result = summary;
+  }
+  
+  result.framework = framework;
+  result.found = true;
+  if (run.code !== 0 && result.passed) {
+    result.passed = false;
+    result.details = `${result.details} (test command exited with code ${run.code})`;
+  }
+  
+  return result;
+}
+
+/**
+ * Run Node.js acceptance tests with the project's framework (node --test if it has none)
+ * @param {string} projectPath - Project path
+ * @param {string[]} testFiles - Test file paths
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function runNodeAcceptance(projectPath, testFiles, executor) {
+  const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
+  const detected = detectNodeFramework(packageJson);
+  const framework = ['jest', 'mocha', 'vitest'].includes(detected) ? detected : 'node:test';
+  
+  const artifactDir = await prepareArtifactDir(projectPath, 'acceptance');
+  const files = testFiles.join(' ');
+  let command;
+  let report;
+  
+  switch (framework) {
+    case 'jest': {
+      // The project's testMatch may not cover the poster's file names
+      const reportPath = path.join(artifactDir, 'jest-results.json');
+      command = `npx --no-install jest --ci --runTestsByPath --testMatch "**/*" ` +
+        `--testPathIgnorePatterns /node_modules/ --json --outputFile="${reportPath}" ${files}`;
+      report = { format: 'jest', path: reportPath };
+      break;
+    }
+    case 'vitest': {
+      const reportPath = path.join(artifactDir, 'vitest-results.json');
+      command = `npx --no-install vitest run --reporter=json --outputFile="${reportPath}" ${files}`;
+      report = { format: 'vitest', path: reportPath };
+      break;
+    }
+    case 'mocha': {
+      const reportPath = path.join(artifactDir, 'mocha-results.json');
+      command = `npx --no-install mocha --reporter json --reporter-option output="${reportPath}" ${files}`;
+      report = { format: 'mocha', path: reportPath };
+      break;
+    }
+    default: {
+      const reportPath = path.join(artifactDir, 'node-test.tap');
+      command = `node --test --test-reporter=tap --test-reporter-destination="${reportPath}" ${files}`;
+      report = { format: 'tap', path: reportPath };
+    }
+  }
+  
+  const run = await executor.run(command, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  const cases = run.aborted ? null : await readTestReport(report, run.stdout, projectPath);
+  return buildResult(run, cases, framework);
+}
+
+/**
+ * Run Python acceptance tests with pytest, or unittest when the project does not use pytest
+ * @param {string} projectPath - Project path
+ * @param {string[]} testFiles - Test file paths
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function runPythonAcceptance(projectPath, testFiles, executor) {
+  const python = pythonCommand(projectPath);
+  
+  if (await detectPythonFramework(projectPath, executor) === 'unittest') {
+    // unittest takes dotted module names rather than paths
+    const modules = testFiles.map(file => file.replace(/\.py$/, '').replace(/\//g, '.'));
+    const run = await executor.run(`${python} -m unittest -v ${modules.join(' ')}`, {
+      cwd: projectPath,
+      timeout: 120000
+    });
+    return buildResult(run, run.aborted ? null : parseUnittestOutput(run.stderr), 'unittest');
+  }
+  
+  const artifactDir = await prepareArtifactDir(projectPath, 'acceptance');
+  const reportPath = path.join(artifactDir, 'pytest-junit.xml');
+  
+  const run = await executor.run(`${python} -m pytest -v --junitxml="${reportPath}" ${testFiles.join(' ')}`, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  const cases = run.aborted ? null : await readTestReport({ format: 'junit', path: reportPath }, run.stdout, projectPath);
+  return buildResult(run, cases, 'pytest');
+}
+
+/**
+ * Run Solidity acceptance tests: JavaScript/TypeScript files with Hardhat, `.t.sol` files with Foundry
+ * @param {string} projectPath - Project path
+ * @param {string[]} testFiles - Test file paths
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function runSolidityAcceptance(projectPath, testFiles, executor) {
+  const forgeFiles = testFiles.filter(file => file.endsWith('.sol'));
+  const hardhatFiles = testFiles.filter(file => !file.endsWith('.sol'));
+  const results = [];
+  
+  if (hardhatFiles.length > 0) {
+    const run = await executor.run(`npx hardhat test ${hardhatFiles.join(' ')}`, {
+      cwd: projectPath,
+      timeout: 180000
+    });
+    results.push(buildResult(run, null, 'hardhat'));
+  }
+  
+  if (forgeFiles.length > 0) {
+    const pattern = forgeFiles.length === 1 ? forgeFiles[0] : `{${forgeFiles.join(',')}}`;
+    const run = await executor.run(`forge test --json --match-path '${pattern}'`, {
+      cwd: projectPath,
+      timeout: 180000
+    });
+    results.push(buildResult(run, run.aborted ? null : parseForgeTestJson(run.stdout), 'foundry'));
+  }
+  
+  if (results.length === 1) {
+    return results[0];
+  }
+  
+  const sum = (key) => results.reduce((total, result) => total + (result[key] || 0), 0);
+  return {
+    passed: results.every(result => result.passed),
+    found: results.some(result => result.found),
+    total: sum('total'),
+    passing: sum('passing'),
+    failing: sum('failing'),
+    skipped: sum('skipped'),
+    details: `${sum('passing')}/${sum('total')} tests passing`,
+    cases: results.flatMap(result => result.cases || []),
+    framework: 'hardhat+foundry'
+  };
+}
+
+/**
+ * Run Rust acceptance tests (integration tests under tests/)
+ * @param {string} projectPath - Project path
+ * @param {string[]} testFiles - Test file paths
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function runRustAcceptance(projectPath, testFiles, executor) {
+  const targets = testFiles.map(file => `--test ${path.basename(file, '.rs')}`).join(' ');
+  const run = await executor.run(`RUSTC_BOOTSTRAP=1 cargo test ${targets} -- -Z unstable-options --format json --report-time`, {
+    cwd: projectPath,
+    timeout: 180000
+  });
+  
+  return buildResult(run, run.aborted ? null : parseCargoJson(run.stdout), 'cargo');
+}
+
+/**
+ * Run Go acceptance tests: only the tests the acceptance files define, in their packages
+ * @param {string} projectPath - Project path
+ * @param {string[]} testFiles - Test file paths
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function runGoAcceptance(projectPath, testFiles, executor) {
+  const names = new Set();
+  for (const file of testFiles) {
+    const source = await fs.readFile(path.join(projectPath, file), 'utf8');
+    for (const [, name] of source.matchAll(/^func (Test\w*)\(\w+ \*testing\.T\)/gm)) {
+      names.add(name);
+    }
+  }
+  if (names.size === 0) {
+    return {
+      passed: false,
+      found: false,
+      error: 'No acceptance tests',
+      details: 'The acceptance files define no Test functions'
+    };
+  }
+  
+  const packages = [...new Set(testFiles.map(file => `./${path.posix.dirname(file)}`))].join(' ');
+  const run = await executor.run(`${goEnv(projectPath)} go test -json -run '^(${[...names].join('|')})$' ${packages}`, {
+    cwd: projectPath,
+    timeout: 180000
+  });
+  
+  return buildResult(run, run.aborted ? null : parseGoTestJson(run.stdout), 'go test');
+}
+
+module.exports = {
+  loadAcceptanceTests,
+  runAcceptanceCheck
+};
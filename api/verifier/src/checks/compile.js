@@ -1,30 +1,50 @@
 /**
  * Compilation Check
  * 
- * Verifies the project compiles/builds successfully.
+ * Verifies the project compiles/builds successfully. TypeScript projects are
+ * also type-checked with the project's tsconfig and Go projects vetted, each
+ * reported separately from the build.
  */
 
-const { execSync } = require('child_process');
+const { createExecutor } = require('../executors');
 const fs = require('fs-extra');
 const path = require('path');
+const { goEnv, pythonCommand } = require('./tests');
+const { detectSolidityFrameworks } = require('../evaluators/code');
+const { IGNORED_DIRS } = require('../evaluators/files');
+
+// Type errors reported in full
+const MAX_REPORTED_ERRORS = 50;
+
+// Directories compileall skips, the same ones every other check leaves out
+const PYTHON_COMPILE_EXCLUDE = `(^|/)(${IGNORED_DIRS.map(dir => dir.replace(/\./g, '\\.')).join('|')})(/|$)`;
 
 /**
  * Run compilation check
  * @param {string} projectPath - Path to project
  * @param {string} language - Project language
+ * @param {Object} options - Check options
+ * @param {Object} options.executor - Executor used to run commands (default: direct)
+ * @param {number} options.deadline - When the verification's time runs out (ms timestamp)
  * @returns {Promise<Object>} Compilation check result
  */
-async function runCompilationCheck(projectPath, language) {
+async function runCompilationCheck(projectPath, language, options = {}) {
+  const executor = options.executor || createExecutor('direct');
+  
   try {
     switch (language) {
       case 'nodejs':
-        return await checkNodeBuild(projectPath);
+        return await checkNodeBuild(projectPath, executor);
+      case 'typescript':
+        return await checkTypeScriptBuild(projectPath, executor, options.deadline);
       case 'python':
-        return await checkPythonBuild(projectPath);
+        return await checkPythonBuild(projectPath, executor);
       case 'solidity':
-        return await checkSolidityBuild(projectPath);
+        return await checkSolidityBuild(projectPath, executor);
       case 'rust':
-        return await checkRustBuild(projectPath);
+        return await checkRustBuild(projectPath, executor);
+      case 'go':
+        return await checkGoBuild(projectPath, executor);
       default:
         return {
           passed: false,
@@ -44,9 +64,10 @@ async function runCompilationCheck(projectPath, language) {
 /**
  * Check Node.js project build
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkNodeBuild(projectPath) {
+async function checkNodeBuild(projectPath, executor) {
   const packageJsonPath = path.join(projectPath, 'package.json');
   
   if (!await fs.pathExists(packageJsonPath)) {
@@ -57,23 +78,9 @@ async function checkNodeBuild(projectPath) {
     };
   }
   
+  // Dependencies are installed by the install stage before this check runs
   const packageJson = await fs.readJson(packageJsonPath);
   
-  // Install dependencies
-  try {
-    execSync('npm install', {
-      cwd: projectPath,
-      timeout: 60000,
-      stdio: 'pipe'
-    });
-  } catch (error) {
-    return {
-      passed: false,
-      error: 'npm install failed',
-      details: error.message
-    };
-  }
-  
   // Check for build script
   const hasBuildScript = packageJson.scripts?.build || packageJson.scripts?.compile;
   const hasStartScript = packageJson.scripts?.start;
@@ -81,14 +88,13 @@ async function checkNodeBuild(projectPath) {
   // Try to build
   if (hasBuildScript) {
     try {
-      execSync('npm run build', {
+      await executor.exec('npm run build', {
         cwd: projectPath,
-        timeout: 60000,
-        stdio: 'pipe'
+        timeout: 60000
       });
       return {
         passed: true,
-        details: 'npm install + npm run build succeeded',
+        details: 'npm run build succeeded',
         hasBuildScript: true
       };
     } catch (error) {
@@ -103,10 +109,9 @@ async function checkNodeBuild(projectPath) {
   // For Hardhat projects
   if (packageJson.devDependencies?.hardhat || packageJson.dependencies?.hardhat) {
     try {
-      execSync('npx hardhat compile', {
+      await executor.exec('npx hardhat compile', {
         cwd: projectPath,
-        timeout: 60000,
-        stdio: 'pipe'
+        timeout: 60000
       });
       return {
         passed: true,
@@ -128,12 +133,12 @@ async function checkNodeBuild(projectPath) {
     const mainFile = packageJson.main || 'index.js';
     const mainPath = path.join(projectPath, mainFile);
     
-    if (await fs.pathExists(mainPath)) {
+    // A TypeScript entry point is checked by the type check instead
+    if (/\.[cm]?js$/.test(mainFile) && await fs.pathExists(mainPath)) {
       try {
-        execSync(`node --check "${mainFile}"`, {
+        await executor.exec(`node --check "${mainFile}"`, {
           cwd: projectPath,
-          timeout: 10000,
-          stdio: 'pipe'
+          timeout: 10000
         });
         return {
           passed: true,
@@ -157,106 +162,314 @@ async function checkNodeBuild(projectPath) {
   };
 }
 
+/**
+ * Check TypeScript project: the Node.js build and a `tsc --noEmit` type check
+ * 
+ * Both are reported as sub-results. The check passes when the project
+ * builds (it may build with esbuild, swc or a global tsc); type errors are
+ * gated separately in the verdict, and a type check that cannot run is
+ * skipped.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {number} deadline - When the verification's time runs out (ms timestamp)
+ * @returns {Promise<Object>} Check result with build and typecheck
+ */
+async function checkTypeScriptBuild(projectPath, executor, deadline) {
+  const build = await checkNodeBuild(projectPath, executor);
+  if (build.error === 'No package.json found') {
+    return build;
+  }
+  const typecheck = await checkTypeScriptTypes(projectPath, executor, deadline);
+  const { error: buildError, ...buildResult } = build;
+  
+  let typecheckDetails = typecheck.details;
+  if (typecheck.skipped) {
+    typecheckDetails = `type check skipped: ${typecheck.details}`;
+  } else if (!typecheck.passed) {
+    typecheckDetails = `type check failed: ${typecheck.details}`;
+  }
+  
+  return {
+    passed: build.passed,
+    ...(buildError && { error: buildError }),
+    details: [build.passed ? 'Builds' : `Build failed: ${buildError}`, typecheckDetails].join('; '),
+    build: buildResult,
+    typecheck
+  };
+}
+
+/**
+ * Type-check a TypeScript project with its own compiler and tsconfig
+ * 
+ * Without a tsconfig.json or the submission's own typescript install the
+ * type check is skipped rather than failed.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {number} deadline - When the verification's time runs out (ms timestamp); without one tsc gets two minutes
+ * @returns {Promise<Object>} Type check result; errors lists each diagnostic with file and line
+ */
+async function checkTypeScriptTypes(projectPath, executor, deadline) {
+  if (!await fs.pathExists(path.join(projectPath, 'tsconfig.json'))) {
+    return {
+      skipped: true,
+      details: 'No tsconfig.json to type-check with'
+    };
+  }
+  
+  // The submission's own compiler, installed by the install stage
+  const tsc = 'node_modules/typescript/bin/tsc';
+  if (!await fs.pathExists(path.join(projectPath, tsc))) {
+    return {
+      skipped: true,
+      details: 'typescript is not a dependency of the submission'
+    };
+  }
+  
+  // tsc exits non-zero when it reports errors; diagnostics are on stdout either way
+  const run = await executor.run(`node ${tsc} --noEmit --pretty false -p tsconfig.json`, {
+    cwd: projectPath,
+    timeout: deadline ? Math.max(1, deadline - Date.now()) : 120000
+  });
+  if (run.timedOut) {
+    return {
+      passed: false,
+      error: 'Type check timed out',
+      details: 'tsc --noEmit timed out'
+    };
+  }
+  
+  const diagnostics = parseTscOutput(run.stdout);
+  const errors = diagnostics.filter(diagnostic => diagnostic.category === 'error');
+  if (run.code !== 0 && errors.length === 0) {
+    return {
+      passed: false,
+      error: 'Type check failed',
+      details: (run.stdout + run.stderr).trim().slice(-500) || `tsc exited with code ${run.code}`
+    };
+  }
+  
+  return {
+    passed: errors.length === 0,
+    ...(errors.length > 0 && { error: `${errors.length} type ${errors.length === 1 ? 'error' : 'errors'}` }),
+    errors: errors.length,
+    issues: errors.slice(0, MAX_REPORTED_ERRORS).map(({ category, ...error }) => error),
+    ...(errors.length > MAX_REPORTED_ERRORS && { issuesOmitted: errors.length - MAX_REPORTED_ERRORS }),
+    details: errors.length === 0
+      ? 'tsc --noEmit found no type errors'
+      : `${errors.length} type ${errors.length === 1 ? 'error' : 'errors'}: ` +
+        errors.slice(0, 3).map(error => error.file ? `${error.file}:${error.line} ${error.code}` : error.code).join(', ') +
+        (errors.length > 3 ? ', ...' : '')
+  };
+}
+
+/**
+ * Parse `tsc --pretty false` diagnostics
+ * 
+ * Each diagnostic starts with `file(line,column): error TS1234: message`;
+ * indented lines continue the previous message. Diagnostics without a
+ * location (e.g. tsconfig errors) have a null file.
+ * @param {string} output - tsc stdout
+ * @returns {Object[]} Diagnostics ({ file, line, column, category, code, message })
+ */
+function parseTscOutput(output) {
+  const diagnostics = [];
+  
+  for (const line of output.split(/\r?\n/)) {
+    const located = line.match(/^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/);
+    const unlocated = !located && line.match(/^(error|warning|message) (TS\d+): (.*)$/);
+    
+    if (located) {
+      const [, file, lineNumber, column, category, code, message] = located;
+      diagnostics.push({ file: file.split(path.sep).join('/'), line: Number(lineNumber), column: Number(column), category, code, message });
+    } else if (unlocated) {
+      const [, category, code, message] = unlocated;
+      diagnostics.push({ file: null, line: null, column: null, category, code, message });
+    } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+    }
+  }
+  
+  return diagnostics;
+}
+
 /**
  * Check Python project build
+ * 
+ * Byte-compiles every module in the tree with compileall, using the project's
+ * virtualenv interpreter when the install stage created one.
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkPythonBuild(projectPath) {
-  // Check for syntax errors in Python files
-  try {
-    const { execSync } = require('child_process');
-    
-    // Try to compile all Python files
-    execSync('python3 -m py_compile **/*.py', {
-      cwd: projectPath,
-      timeout: 30000,
-      stdio: 'pipe',
-      shell: true
-    });
-    
+async function checkPythonBuild(projectPath, executor) {
+  const run = await executor.run(`${pythonCommand(projectPath)} -m compileall -q -x '${PYTHON_COMPILE_EXCLUDE}' .`, {
+    cwd: projectPath,
+    timeout: 60000
+  });
+  if (run.timedOut) {
+    return {
+      passed: false,
+      error: 'compileall timed out',
+      details: 'compileall timed out'
+    };
+  }
+  if (run.code === 0) {
     return {
       passed: true,
       details: 'Python syntax validation passed'
     };
-  } catch (error) {
+  }
+  
+  const issues = parseCompileallOutput(`${run.stdout}\n${run.stderr}`);
+  if (issues.length === 0) {
     return {
       passed: false,
       error: 'Python syntax error',
-      details: error.message
+      details: (run.stderr || run.stdout).trim().slice(-500) || `compileall exited with code ${run.code}`
     };
   }
+  
+  const count = `${issues.length} Python syntax ${issues.length === 1 ? 'error' : 'errors'}`;
+  return {
+    passed: false,
+    error: count,
+    errors: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ERRORS),
+    ...(issues.length > MAX_REPORTED_ERRORS && { issuesOmitted: issues.length - MAX_REPORTED_ERRORS }),
+    details: `${count}: ` +
+      issues.slice(0, 3).map(issue => `${issue.file}:${issue.line} ${issue.message}`).join(', ') +
+      (issues.length > 3 ? ', ...' : '')
+  };
+}
+
+/**
+ * Parse `python -m compileall -q` failures
+ * 
+ * Syntax errors come with a traceback-style `File "...", line N` frame; tab
+ * errors as a single `Sorry: TabError: ... (file.py, line N)` line.
+ * @param {string} output - compileall output
+ * @returns {Object[]} Issues with file, line and message
+ */
+function parseCompileallOutput(output) {
+  const issues = [];
+  
+  for (const block of output.split(/^\*\*\* Error compiling /m).slice(1)) {
+    const file = block.match(/^'(?:\.\/)?(.+?)'\.\.\./)?.[1];
+    if (!file) continue;
+    
+    const lines = block.split(/\r?\n/).map(line => line.trimEnd()).filter(Boolean);
+    const frame = block.match(/^\s*File ".*", line (\d+)/m);
+    const sorry = block.match(/^Sorry: (\w+: .*) \(.*, line (\d+)\)$/m);
+    if (sorry) {
+      issues.push({ file, line: Number(sorry[2]), message: sorry[1] });
+    } else {
+      issues.push({ file, line: frame ? Number(frame[1]) : null, message: lines[lines.length - 1] });
+    }
+  }
+  
+  return issues;
 }
 
 /**
  * Check Solidity project build
+ * 
+ * Mixed Hardhat and Foundry repositories must build with both.
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkSolidityBuild(projectPath) {
-  const hardhatConfigPath = path.join(projectPath, 'hardhat.config.js');
-  const foundryConfigPath = path.join(projectPath, 'foundry.toml');
-  
-  if (await fs.pathExists(hardhatConfigPath)) {
-    try {
-      execSync('npx hardhat compile', {
-        cwd: projectPath,
-        timeout: 120000,
-        stdio: 'pipe'
-      });
-      return {
-        passed: true,
-        details: 'Hardhat compile succeeded',
-        framework: 'hardhat'
-      };
-    } catch (error) {
-      return {
-        passed: false,
-        error: 'Hardhat compile failed',
-        details: error.message
-      };
-    }
+async function checkSolidityBuild(projectPath, executor) {
+  const frameworks = detectSolidityFrameworks(projectPath);
+  if (frameworks.length === 0) {
+    return {
+      passed: false,
+      error: 'No Hardhat or Foundry config found',
+      details: 'Could not determine build system for Solidity project'
+    };
   }
   
-  if (await fs.pathExists(foundryConfigPath)) {
-    try {
-      execSync('forge build', {
-        cwd: projectPath,
-        timeout: 120000,
-        stdio: 'pipe'
-      });
-      return {
-        passed: true,
-        details: 'Foundry build succeeded',
-        framework: 'foundry'
-      };
-    } catch (error) {
-      return {
-        passed: false,
-        error: 'Foundry build failed',
-        details: error.message
-      };
-    }
+  const builds = [];
+  for (const framework of frameworks) {
+    builds.push(framework === 'hardhat'
+      ? await checkHardhatBuild(projectPath, executor)
+      : await checkFoundryBuild(projectPath, executor));
+  }
+  if (builds.length === 1) {
+    return builds[0];
   }
   
+  const failed = builds.find(build => !build.passed);
   return {
-    passed: false,
-    error: 'No Hardhat or Foundry config found',
-    details: 'Could not determine build system for Solidity project'
+    passed: !failed,
+    ...(failed && { error: failed.error }),
+    details: builds.map(build => build.passed ? build.details : `${build.error}: ${build.details}`).join('; '),
+    framework: frameworks.join('+')
   };
 }
 
+/**
+ * Compile with Hardhat
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function checkHardhatBuild(projectPath, executor) {
+  try {
+    await executor.exec('npx hardhat compile', {
+      cwd: projectPath,
+      timeout: 120000
+    });
+    return {
+      passed: true,
+      details: 'Hardhat compile succeeded',
+      framework: 'hardhat'
+    };
+  } catch (error) {
+    return {
+      passed: false,
+      error: 'Hardhat compile failed',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Build with Foundry
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function checkFoundryBuild(projectPath, executor) {
+  try {
+    await executor.exec('forge build', {
+      cwd: projectPath,
+      timeout: 120000
+    });
+    return {
+      passed: true,
+      details: 'Foundry build succeeded',
+      framework: 'foundry'
+    };
+  } catch (error) {
+    return {
+      passed: false,
+      error: 'Foundry build failed',
+      details: error.message
+    };
+  }
+}
+
 /**
  * Check Rust project build
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkRustBuild(projectPath) {
+async function checkRustBuild(projectPath, executor) {
   try {
-    execSync('cargo check', {
+    await executor.exec('cargo check', {
       cwd: projectPath,
-      timeout: 120000,
-      stdio: 'pipe'
+      timeout: 120000
     });
     
     return {
@@ -272,6 +485,116 @@ async function checkRustBuild(projectPath) {
   }
 }
 
+/**
+ * Check Go project: `go build ./...`, then `go vet ./...`
+ * 
+ * Both are reported as sub-results. The check passes when the project
+ * builds; vet findings are lint-grade and reported under vet only.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result with build and vet
+ */
+async function checkGoBuild(projectPath, executor) {
+  const env = goEnv(projectPath);
+  const build = await runGoStep(projectPath, executor, `${env} go build ./...`, 'go build');
+  if (!build.passed) {
+    const { error, ...buildResult } = build;
+    return {
+      passed: false,
+      error,
+      details: `Build failed: ${build.details}`,
+      build: buildResult
+    };
+  }
+  
+  const vet = await runGoStep(projectPath, executor, `${env} go vet ./...`, 'go vet');
+  
+  return {
+    passed: true,
+    details: `go build ./... succeeded; ${vet.passed ? vet.details : `vet failed: ${vet.details}`}`,
+    build,
+    vet
+  };
+}
+
+/**
+ * Run a go build or vet step and collect its diagnostics
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {string} command - Command to run
+ * @param {string} tool - Tool name for messages
+ * @returns {Promise<Object>} Step result; issues lists each diagnostic with file and line
+ */
+async function runGoStep(projectPath, executor, command, tool) {
+  const run = await executor.run(command, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  if (run.timedOut) {
+    return {
+      passed: false,
+      error: `${tool} timed out`,
+      details: `${tool} timed out`
+    };
+  }
+  if (run.code === 0) {
+    return {
+      passed: true,
+      details: `${tool} ./... succeeded`
+    };
+  }
+  
+  const issues = parseGoDiagnostics(run.stderr);
+  if (issues.length === 0) {
+    return {
+      passed: false,
+      error: `${tool} failed`,
+      details: (run.stderr || run.stdout).trim().slice(-500) || `${tool} exited with code ${run.code}`
+    };
+  }
+  
+  const noun = tool === 'go vet' ? ['finding', 'findings'] : ['error', 'errors'];
+  const count = `${issues.length} ${tool} ${issues.length === 1 ? noun[0] : noun[1]}`;
+  return {
+    passed: false,
+    error: count,
+    errors: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ERRORS),
+    ...(issues.length > MAX_REPORTED_ERRORS && { issuesOmitted: issues.length - MAX_REPORTED_ERRORS }),
+    details: `${count}: ` +
+      issues.slice(0, 3).map(issue => `${issue.file}:${issue.line} ${issue.message}`).join(', ') +
+      (issues.length > 3 ? ', ...' : '')
+  };
+}
+
+/**
+ * Parse go build / go vet diagnostics
+ * 
+ * Each diagnostic is `file.go:line:column: message` (the column is optional,
+ * and paths may start with ./); `# package` headers are skipped and indented
+ * lines continue the previous message.
+ * @param {string} output - Command stderr
+ * @returns {Object[]} Diagnostics ({ file, line, column, message })
+ */
+function parseGoDiagnostics(output) {
+  const diagnostics = [];
+  
+  for (const line of output.split(/\r?\n/)) {
+    const match = line.match(/^(?:\.\/)?(.+?\.go):(\d+)(?::(\d+))?: (.*)$/);
+    if (match) {
+      const [, file, lineNumber, column, message] = match;
+      diagnostics.push({ file, line: Number(lineNumber), column: column ? Number(column) : null, message });
+    } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+    }
+  }
+  
+  return diagnostics;
+}
+
 module.exports = {
-  runCompilationCheck
+  runCompilationCheck,
+  parseTscOutput,
+  parseGoDiagnostics,
+  parseCompileallOutput
 };
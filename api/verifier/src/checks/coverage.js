@@ -1,255 +1,298 @@
 /**
  * Coverage Check
- * 
- * Reports test coverage percentage.
+ *
+ * Reports test coverage percentage from the instrumented test run.
+ *
+ * Coverage is collected by the test check in the same execution that produces
+ * the pass/fail counts (jest --coverage, c8, pytest-cov, hardhat coverage,
+ * go test -coverprofile, cargo llvm-cov or tarpaulin), so the two never disagree and the suite only runs
+ * once. Foundry is the exception: forge coverage recompiles without the
+ * optimizer, so the test check runs it as a second pass.
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs-extra');
-const path = require('path');
 
 /**
  * Run coverage check
  * @param {string} projectPath - Path to project
  * @param {string} language - Project language
  * @param {number} threshold - Coverage threshold percentage
+ * @param {Object} options - Check options
+ * @param {Object} options.testResult - Result of the instrumented test check
  * @returns {Promise<Object>} Coverage check result
  */
-async function runCoverageCheck(projectPath, language, threshold = 70) {
-  try {
-    switch (language) {
-      case 'nodejs':
-        return await checkNodeCoverage(projectPath, threshold);
-      case 'python':
-        return await checkPythonCoverage(projectPath, threshold);
-      case 'solidity':
-        return await checkSolidityCoverage(projectPath, threshold);
-      default:
-        return {
-          passed: false,
-          percentage: 0,
-          threshold,
-          details: 'Coverage check not implemented for this language'
-        };
-    }
-  } catch (error) {
+async function runCoverageCheck(projectPath, language, threshold = 70, options = {}) {
+  const coverage = options.testResult?.coverage;
+
+  if (!coverage) {
     return {
       passed: false,
       percentage: 0,
       threshold,
-      error: error.message,
-      details: `Coverage check failed: ${error.message}`
+      details: `No coverage data: test run was not instrumented for ${language}`
     };
   }
-}
 
-/**
- * Check Node.js test coverage
- * @param {string} projectPath - Project path
- * @param {number} threshold - Coverage threshold
- * @returns {Promise<Object>} Check result
- */
-async function checkNodeCoverage(projectPath, threshold) {
-  const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
-  const scripts = packageJson.scripts || {};
-  const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-  
-  // Check if jest is available
-  const hasJest = deps.jest;
-  
-  if (!hasJest) {
+  if (!coverage.available) {
     return {
       passed: false,
       percentage: 0,
       threshold,
-      details: 'Jest not found, cannot calculate coverage'
+      details: `No coverage data: ${coverage.reason}`
     };
   }
-  
-  // Check for coverage script
-  if (scripts['test:coverage'] || (scripts.test && scripts.test.includes('coverage'))) {
-    try {
-      const output = execSync('npm run test:coverage', {
-        cwd: projectPath,
-        timeout: 120000,
-        encoding: 'utf8'
-      });
-      
-      return parseCoverageOutput(output, threshold);
-      
-    } catch (error) {
-      if (error.stdout) {
-        return parseCoverageOutput(error.stdout, threshold);
+
+  const percentage = coverage.percentage;
+  return {
+    passed: percentage >= threshold,
+    percentage: Math.round(percentage),
+    threshold,
+    tool: coverage.tool,
+    summary: {
+      statements: coverage.statements,
+      branches: coverage.branches,
+      functions: coverage.functions,
+      lines: coverage.lines
+    },
+    details: `${percentage.toFixed(1)}% coverage (threshold: ${threshold}%)`
+  };
+}
+
+/**
+ * Read an Istanbul json-summary report (jest, c8, vitest)
+ * @param {string} summaryPath - Path to coverage-summary.json
+ * @param {string} tool - Tool that produced the report
+ * @returns {Promise<Object>} Coverage artifact
+ */
+async function readIstanbulSummary(summaryPath, tool) {
+  if (!await fs.pathExists(summaryPath)) {
+    return { available: false, tool, reason: `${tool} did not write a coverage summary` };
+  }
+
+  const { total } = await fs.readJson(summaryPath);
+  return {
+    available: true,
+    tool,
+    percentage: total.statements.pct,
+    statements: total.statements.pct,
+    branches: total.branches.pct,
+    functions: total.functions.pct,
+    lines: total.lines.pct
+  };
+}
+
+/**
+ * Summarize a full Istanbul coverage map (solidity-coverage's coverage.json)
+ * @param {string} coveragePath - Path to coverage.json
+ * @param {string} tool - Tool that produced the report
+ * @returns {Promise<Object>} Coverage artifact
+ */
+async function readIstanbulCoverageMap(coveragePath, tool) {
+  if (!await fs.pathExists(coveragePath)) {
+    return { available: false, tool, reason: `${tool} did not write coverage.json` };
+  }
+
+  const coverageMap = await fs.readJson(coveragePath);
+  const totals = { statements: [0, 0], branches: [0, 0], functions: [0, 0], lines: [0, 0] };
+
+  for (const file of Object.values(coverageMap)) {
+    for (const count of Object.values(file.s || {})) {
+      totals.statements[1]++;
+      if (count > 0) totals.statements[0]++;
+    }
+    for (const counts of Object.values(file.b || {})) {
+      for (const count of counts) {
+        totals.branches[1]++;
+        if (count > 0) totals.branches[0]++;
       }
     }
-  }
-  
-  // Try running jest with coverage directly
-  try {
-    const output = execSync('npx jest --coverage', {
-      cwd: projectPath,
-      timeout: 120000,
-      encoding: 'utf8'
-    });
-    
-    return parseCoverageOutput(output, threshold);
-    
-  } catch (error) {
-    if (error.stdout) {
-      return parseCoverageOutput(error.stdout, threshold);
+    for (const count of Object.values(file.f || {})) {
+      totals.functions[1]++;
+      if (count > 0) totals.functions[0]++;
+    }
+    for (const count of Object.values(file.l || {})) {
+      totals.lines[1]++;
+      if (count > 0) totals.lines[0]++;
     }
-    
-    return {
-      passed: false,
-      percentage: 0,
-      threshold,
-      details: 'Failed to run coverage: ' + error.message
-    };
   }
+
+  const pct = ([covered, total]) => total > 0 ? Math.round((covered / total) * 10000) / 100 : 100;
+  return {
+    available: true,
+    tool,
+    percentage: pct(totals.statements),
+    statements: pct(totals.statements),
+    branches: pct(totals.branches),
+    functions: pct(totals.functions),
+    lines: pct(totals.lines)
+  };
 }
 
 /**
- * Parse coverage output from various formats
- * @param {string} output - Test output
- * @param {number} threshold - Coverage threshold
- * @returns {Object} Parsed coverage
+ * Read a coverage.py JSON report (pytest-cov, or coverage run for unittest)
+ * @param {string} reportPath - Path to the JSON report
+ * @param {string} tool - Tool that produced the report
+ * @returns {Promise<Object>} Coverage artifact
  */
-function parseCoverageOutput(output, threshold) {
-  // Jest format: "All files | 78.5 | 65.2 | 82.1 | 78.5 |"
-  const jestMatch = output.match(/All files\s*\|\s*([\d.]+)/);
-  if (jestMatch) {
-    const percentage = parseFloat(jestMatch[1]);
-    return {
-      passed: percentage >= threshold,
-      percentage: Math.round(percentage),
-      threshold,
-      details: `${percentage.toFixed(1)}% coverage (threshold: ${threshold}%)`
-    };
+async function readCoveragePyReport(reportPath, tool = 'pytest-cov') {
+  if (!await fs.pathExists(reportPath)) {
+    return { available: false, tool, reason: `${tool} did not write a report` };
   }
-  
-  // Alternative format: "Statements: 78.5%"
-  const stmtMatch = output.match(/Statements:\s*([\d.]+)%/);
-  if (stmtMatch) {
-    const percentage = parseFloat(stmtMatch[1]);
-    return {
-      passed: percentage >= threshold,
-      percentage: Math.round(percentage),
-      threshold,
-      details: `${percentage.toFixed(1)}% statement coverage`
-    };
+
+  const { totals } = await fs.readJson(reportPath);
+  const linePct = totals.num_statements > 0
+    ? (totals.covered_lines / totals.num_statements) * 100
+    : 100;
+  const branchPct = totals.num_branches > 0
+    ? (totals.covered_branches / totals.num_branches) * 100
+    : undefined;
+
+  return {
+    available: true,
+    tool,
+    percentage: totals.percent_covered,
+    statements: linePct,
+    branches: branchPct,
+    lines: linePct
+  };
+}
+
+/**
+ * Read a Go cover profile (`go test -coverprofile`)
+ *
+ * With -coverpkg a block is listed once per test binary; it counts as covered
+ * when any of them ran it.
+ * @param {string} profilePath - Path to the cover profile
+ * @returns {Promise<Object>} Coverage artifact
+ */
+async function readGoCoverProfile(profilePath) {
+  if (!await fs.pathExists(profilePath)) {
+    return { available: false, tool: 'go test', reason: 'go test did not write a cover profile' };
+  }
+
+  const blocks = new Map();
+  for (const line of (await fs.readFile(profilePath, 'utf8')).split('\n')) {
+    const match = line.match(/^(.+:\d+\.\d+,\d+\.\d+) (\d+) (\d+)$/);
+    if (!match) continue;
+    const [, block, statements, count] = match;
+    const covered = blocks.get(block)?.covered || parseInt(count) > 0;
+    blocks.set(block, { statements: parseInt(statements), covered });
+  }
+
+  let total = 0;
+  let covered = 0;
+  for (const block of blocks.values()) {
+    total += block.statements;
+    if (block.covered) covered += block.statements;
   }
-  
+
+  const percentage = total > 0 ? Math.round((covered / total) * 10000) / 100 : 100;
   return {
-    passed: false,
-    percentage: 0,
-    threshold,
-    details: 'Could not parse coverage output'
+    available: true,
+    tool: 'go test',
+    percentage,
+    statements: percentage
   };
 }
 
 /**
- * Check Python test coverage
- * @param {string} projectPath - Project path
- * @param {number} threshold - Coverage threshold
- * @returns {Promise<Object>} Check result
+ * Parse the table printed by `forge coverage --report summary`
+ * 
+ * Columns are found by header, as they have moved between Foundry versions;
+ * each cell reads `85.71% (6/7)`.
+ * @param {string} output - forge stdout
+ * @returns {Object} Coverage artifact
  */
-async function checkPythonCoverage(projectPath, threshold) {
-  try {
-    const output = execSync('python3 -m pytest --cov=. --cov-report=term-missing', {
-      cwd: projectPath,
-      timeout: 120000,
-      encoding: 'utf8',
-      shell: true
-    });
-    
-    // Parse pytest-cov output
-    // Format: "TOTAL 123 45 63%"
-    const totalMatch = output.match(/TOTAL\s+\d+\s+\d+\s+([\d.]+)%/);
-    
-    if (totalMatch) {
-      const percentage = parseFloat(totalMatch[1]);
-      return {
-        passed: percentage >= threshold,
-        percentage: Math.round(percentage),
-        threshold,
-        details: `${percentage.toFixed(1)}% coverage`
-      };
-    }
-    
-    return {
-      passed: false,
-      percentage: 0,
-      threshold,
-      details: 'Could not parse coverage'
-    };
-    
-  } catch (error) {
-    return {
-      passed: false,
-      percentage: 0,
-      threshold,
-      details: 'pytest-cov not available or failed'
-    };
+function parseForgeCoverageSummary(output) {
+  const rows = output.split('\n')
+    .filter(line => line.trim().startsWith('|'))
+    .map(line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+  const header = rows.find(row => row[0] === 'File');
+  const total = rows.find(row => row[0] === 'Total');
+  if (!header || !total) {
+    return { available: false, tool: 'forge coverage', reason: 'forge coverage printed no summary' };
   }
+
+  const column = (name) => {
+    const match = total[header.findIndex(cell => cell === `% ${name}`)]?.match(/\((\d+)\/(\d+)\)/);
+    if (!match || parseInt(match[2]) === 0) return undefined;
+    return Math.round((parseInt(match[1]) / parseInt(match[2])) * 10000) / 100;
+  };
+
+  const lines = column('Lines') ?? 100;
+  return {
+    available: true,
+    tool: 'forge coverage',
+    percentage: column('Statements') ?? lines,
+    statements: column('Statements') ?? lines,
+    branches: column('Branches'),
+    functions: column('Funcs'),
+    lines
+  };
 }
 
 /**
- * Check Solidity test coverage
- * @param {string} projectPath - Project path
- * @param {number} threshold - Coverage threshold
- * @returns {Promise<Object>} Check result
+ * Read a `cargo llvm-cov --json --summary-only` export
+ * @param {string} reportPath - Path to the JSON export
+ * @returns {Promise<Object>} Coverage artifact
  */
-async function checkSolidityCoverage(projectPath, threshold) {
-  // Check for hardhat-coverage plugin
-  const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
-  const hasCoveragePlugin = packageJson.devDependencies?.['solidity-coverage'];
-  
-  if (!hasCoveragePlugin) {
-    return {
-      passed: false,
-      percentage: 0,
-      threshold,
-      details: 'solidity-coverage plugin not installed'
-    };
+async function readLlvmCovReport(reportPath) {
+  if (!await fs.pathExists(reportPath)) {
+    return { available: false, tool: 'cargo llvm-cov', reason: 'cargo llvm-cov did not write a report' };
   }
-  
-  try {
-    const output = execSync('npx hardhat coverage', {
-      cwd: projectPath,
-      timeout: 120000,
-      encoding: 'utf8'
-    });
-    
-    // Parse coverage output
-    // Format varies by plugin version
-    const coverageMatch = output.match(/([\d.]+)%/);
-    if (coverageMatch) {
-      const percentage = parseFloat(coverageMatch[1]);
-      return {
-        passed: percentage >= threshold,
-        percentage: Math.round(percentage),
-        threshold,
-        details: `${percentage.toFixed(1)}% coverage`
-      };
-    }
-    
-    return {
-      passed: false,
-      percentage: 0,
-      threshold,
-      details: 'Could not parse coverage output'
-    };
-    
-  } catch (error) {
-    return {
-      passed: false,
-      percentage: 0,
-      threshold,
-      details: 'Coverage check failed'
-    };
+
+  const { data } = await fs.readJson(reportPath);
+  const totals = data?.[0]?.totals;
+  if (!totals) {
+    return { available: false, tool: 'cargo llvm-cov', reason: 'cargo llvm-cov report has no totals' };
   }
+
+  // Counters with nothing to count (branches without -Zcoverage-options=branch) are left out
+  const pct = (summary) => summary?.count > 0 ? Math.round(summary.percent * 100) / 100 : undefined;
+  const lines = pct(totals.lines) ?? 100;
+  return {
+    available: true,
+    tool: 'cargo llvm-cov',
+    percentage: lines,
+    statements: pct(totals.regions) ?? lines,
+    branches: pct(totals.branches),
+    functions: pct(totals.functions),
+    lines
+  };
+}
+
+/**
+ * Read a tarpaulin JSON report (`cargo tarpaulin --out Json`)
+ * @param {string} reportPath - Path to tarpaulin-report.json
+ * @returns {Promise<Object>} Coverage artifact
+ */
+async function readTarpaulinReport(reportPath) {
+  if (!await fs.pathExists(reportPath)) {
+    return { available: false, tool: 'tarpaulin', reason: 'tarpaulin did not write a report' };
+  }
+
+  const report = await fs.readJson(reportPath);
+  // Older releases only give per-file counts
+  const files = report.files || [];
+  const covered = report.covered ?? files.reduce((sum, file) => sum + file.covered, 0);
+  const coverable = report.coverable ?? files.reduce((sum, file) => sum + file.coverable, 0);
+
+  const percentage = coverable > 0 ? Math.round((covered / coverable) * 10000) / 100 : 100;
+  return {
+    available: true,
+    tool: 'tarpaulin',
+    percentage,
+    lines: percentage
+  };
 }
 
 module.exports = {
-  runCoverageCheck
+  runCoverageCheck,
+  readIstanbulSummary,
+  readIstanbulCoverageMap,
+  readCoveragePyReport,
+  readGoCoverProfile,
+  parseForgeCoverageSummary,
+  readLlvmCovReport,
+  readTarpaulinReport
 };
@@ -0,0 +1,183 @@
+/**
+ * Data Checks
+ * 
+ * Checks for data bounties, aggregated from the per-file analyses of the
+ * submission (see evaluators/data): whether the files parse, whether they
+ * match the poster's JSON Schema and column spec, and row counts and
+ * duplicates.
+ */
+
+// Violations reported per check, and malformed rows per file
+const MAX_REPORTED_VIOLATIONS = 50;
+const MAX_REPORTED_ERRORS = 5;
+
+/**
+ * Run format check: every selected data file is detected and parses
+ * 
+ * Passes when at least one file is readable, so the other checks can run;
+ * unreadable files and files with malformed rows are counted for the verdict.
+ * @param {Object[]} datasets - Dataset analyses
+ * @returns {Object} Format check result
+ */
+function runFormatCheck(datasets) {
+  const files = datasets.map(dataset => ({
+    file: dataset.file,
+    format: dataset.format,
+    rows: dataset.rows,
+    ...(dataset.encoding && dataset.encoding !== 'utf-8' && { encoding: dataset.encoding }),
+    ...(dataset.error && { error: dataset.error }),
+    ...(dataset.errorCount > 0 && {
+      malformedRows: dataset.errorCount,
+      errors: dataset.errors.slice(0, MAX_REPORTED_ERRORS).map(error => `line ${error.line}, column ${error.column}: ${error.message}`)
+    })
+  }));
+  const unreadable = files.filter(file => file.error);
+  const malformed = files.filter(file => !file.error && file.malformedRows);
+  const readable = files.length - unreadable.length;
+  
+  if (files.length === 0) {
+    return { passed: false, files, readable: 0, unreadable: 0, malformed: 0, details: 'No data files found' };
+  }
+  
+  const problems = [
+    unreadable.length > 0 && `${unreadable.length} of ${files.length} data files unreadable: ${unreadable.map(file => `${file.file} (${file.error})`).join(', ')}`,
+    malformed.length > 0 && `malformed rows in ${malformed.map(file => `${file.file} (${file.malformedRows}, first at ${file.errors[0]})`).join(', ')}`
+  ].filter(Boolean);
+  
+  return {
+    passed: readable > 0,
+    files,
+    readable,
+    unreadable: unreadable.length,
+    malformed: malformed.length,
+    details: problems.length === 0
+      ? `${files.length} data ${files.length === 1 ? 'file' : 'files'} readable`
+      : problems.join('; ')
+  };
+}
+
+/**
+ * Run schema check: JSON documents, and each NDJSON record, validate against the JSON Schema
+ * @param {Object[]} datasets - Dataset analyses, validated against the spec's schema
+ * @returns {Object} Schema check result
+ */
+function runSchemaCheck(datasets) {
+  const applicable = datasets.filter(dataset => !dataset.error && dataset.schema);
+  if (applicable.length === 0) {
+    return { passed: false, checked: 0, invalid: 0, files: [], details: 'No JSON or NDJSON data to validate against the schema' };
+  }
+  
+  const files = applicable.map(dataset => ({ file: dataset.file, ...dataset.schema }));
+  const checked = files.reduce((sum, file) => sum + file.checked, 0);
+  const invalid = files.reduce((sum, file) => sum + file.invalid, 0);
+  
+  return {
+    passed: invalid === 0,
+    checked,
+    invalid,
+    files: files.map(({ file, checked: fileChecked, invalid: fileInvalid, errors }) => ({
+      file,
+      checked: fileChecked,
+      invalid: fileInvalid,
+      ...(errors.length > 0 && { errors })
+    })),
+    details: invalid === 0
+      ? `${checked} ${checked === 1 ? 'document matches' : 'documents and records match'} the schema`
+      : `${invalid} of ${checked} documents and records do not match the schema`
+  };
+}
+
+/**
+ * Run columns check: tabular data follows the column spec
+ * @param {Object[]} datasets - Dataset analyses, checked against the spec's columns
+ * @returns {Object} Columns check result
+ */
+function runColumnsCheck(datasets) {
+  const tabular = datasets.filter(dataset => !dataset.error && dataset.columnCheck);
+  if (tabular.length === 0) {
+    return { passed: false, checked: 0, failed: 0, violations: [], details: 'No tabular data to check the column spec against' };
+  }
+  
+  let checked = 0;
+  const violations = [];
+  for (const dataset of tabular) {
+    checked += dataset.columnCheck.checked;
+    violations.push(...dataset.columnCheck.violations.map(violation => ({ file: dataset.file, ...violation })));
+  }
+  
+  return {
+    passed: violations.length === 0,
+    checked,
+    failed: violations.length,
+    violations: violations.slice(0, MAX_REPORTED_VIOLATIONS),
+    ...(violations.length > MAX_REPORTED_VIOLATIONS && { violationsOmitted: violations.length - MAX_REPORTED_VIOLATIONS }),
+    details: violations.length === 0
+      ? `${checked} column ${checked === 1 ? 'rule' : 'rules'} hold`
+      : `${violations.length} of ${checked} column rules violated`
+  };
+}
+
+/**
+ * Run quality check: enough rows, and no more exact duplicate rows than allowed
+ * 
+ * Duplicates are counted by fingerprint; past the fingerprint limit of a very
+ * large file the count is a lower bound and the details say so.
+ * @param {Object[]} datasets - Dataset analyses
+ * @param {Object} spec - Normalized data spec (min_rows, max_duplicate_ratio)
+ * @returns {Object} Quality check result; measured is false when no data is tabular
+ */
+function runQualityCheck(datasets, spec) {
+  const tabular = datasets.filter(dataset => !dataset.error && dataset.summary);
+  if (tabular.length === 0) {
+    return { passed: true, measured: false, details: 'No tabular data to count rows in' };
+  }
+  
+  const totals = { rows: 0, duplicates: 0, emptyCells: 0, cells: 0 };
+  for (const dataset of tabular) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += dataset.summary[key];
+    }
+  }
+  const inexact = tabular.some(dataset => dataset.summary.inexact);
+  
+  const duplicateRatio = totals.rows > 0 ? totals.duplicates / totals.rows : 0;
+  const emptyRatio = totals.cells > 0 ? totals.emptyCells / totals.cells : 0;
+  const enoughRows = totals.rows >= spec.min_rows;
+  const fewDuplicates = duplicateRatio <= spec.max_duplicate_ratio;
+  
+  const problems = [
+    !enoughRows && `${totals.rows} rows, expected at least ${spec.min_rows}`,
+    !fewDuplicates && `${totals.duplicates} duplicate ${totals.duplicates === 1 ? 'row' : 'rows'} (${percent(duplicateRatio)}, allowed ${percent(spec.max_duplicate_ratio)})`
+  ].filter(Boolean);
+  
+  return {
+    passed: enoughRows && fewDuplicates,
+    measured: true,
+    rows: totals.rows,
+    minRows: spec.min_rows,
+    duplicates: totals.duplicates,
+    duplicateRatio: Math.round(duplicateRatio * 10000) / 10000,
+    emptyCellRatio: Math.round(emptyRatio * 10000) / 10000,
+    ...(inexact && { duplicatesLowerBound: true }),
+    details: (problems.length > 0
+      ? problems.join('; ')
+      : `${totals.rows} rows, ${totals.duplicates} duplicates, ${percent(emptyRatio)} empty cells`) +
+      (inexact ? ' (too many distinct rows to track; duplicates are a lower bound)' : '')
+  };
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} ratio - 0-1
+ * @returns {string} e.g. "1.5%"
+ */
+function percent(ratio) {
+  return `${Math.round(ratio * 1000) / 10}%`;
+}
+
+module.exports = {
+  runFormatCheck,
+  runSchemaCheck,
+  runColumnsCheck,
+  runQualityCheck
+};
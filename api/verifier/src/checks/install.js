@@ -0,0 +1,362 @@
+/**
+ * Install Check
+ * 
+ * Installs project dependencies once, before any other check runs.
+ */
+
+const { createExecutor } = require('../executors');
+const fs = require('fs-extra');
+const path = require('path');
+const { goEnv, ARTIFACT_DIR, PYTHON_VENV } = require('./tests');
+const { detectSolidityFrameworks } = require('../evaluators/code');
+
+const PYTHON_REQUIREMENTS = ['requirements.txt', 'requirements-dev.txt', 'requirements-test.txt'];
+
+// Build requirements of an editable install when pyproject.toml does not name them
+const PYTHON_BUILD_REQUIREMENTS = ['setuptools', 'wheel'];
+
+// Disables hooks, fsmonitor and credential helpers a submitted .git/config may set
+const GIT_SAFE_CONFIG = 'git -c core.hooksPath=/dev/null -c core.fsmonitor=false -c credential.helper= -c protocol.ext.allow=never';
+
+/**
+ * Run install/prepare step
+ * 
+ * Only commands that download without running any of the submission's code
+ * ask the sandbox for the network (`npm ci --ignore-scripts`, `pip download`
+ * of wheels, `cargo fetch`, ...). Install scripts and builds run afterwards,
+ * offline.
+ * @param {string} projectPath - Path to project
+ * @param {string} language - Project language
+ * @param {Object} options - Check options
+ * @param {Object} options.executor - Executor used to run commands (default: direct)
+ * @param {string} options.wheelhouse - Python projects: directory of wheels to install from instead of PyPI
+ * @returns {Promise<Object>} Install check result
+ */
+async function runInstallCheck(projectPath, language, options = {}) {
+  const executor = options.executor || createExecutor('direct');
+  
+  try {
+    switch (language) {
+      case 'nodejs':
+      case 'typescript':
+        return await installNodeDependencies(projectPath, executor);
+      case 'solidity':
+        return await installSolidityDependencies(projectPath, executor);
+      case 'rust':
+        return await installRustDependencies(projectPath, executor);
+      case 'go':
+        return await installGoDependencies(projectPath, executor);
+      case 'python':
+        return await installPythonDependencies(projectPath, executor, options.wheelhouse);
+      default:
+        return {
+          passed: true,
+          details: 'No install step for this language'
+        };
+    }
+  } catch (error) {
+    return {
+      passed: false,
+      error: error.message,
+      details: `Install failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Install Node.js dependencies
+ * 
+ * Packages are fetched with lifecycle scripts disabled; `npm rebuild` then
+ * runs the install scripts of the dependencies and the project offline.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function installNodeDependencies(projectPath, executor) {
+  if (!await fs.pathExists(path.join(projectPath, 'package.json'))) {
+    return {
+      passed: false,
+      error: 'No package.json found',
+      details: 'Not a valid Node.js project'
+    };
+  }
+  
+  // Respect the lockfile when there is one
+  const hasLockfile = await fs.pathExists(path.join(projectPath, 'package-lock.json'));
+  const command = hasLockfile ? 'npm ci' : 'npm install';
+  
+  try {
+    await executor.exec(`${command} --ignore-scripts`, {
+      cwd: projectPath,
+      timeout: 120000,
+      network: true
+    });
+    await executor.exec('npm rebuild', {
+      cwd: projectPath,
+      timeout: 120000
+    });
+    return {
+      passed: true,
+      details: `${command} succeeded`
+    };
+  } catch (error) {
+    return {
+      passed: false,
+      error: `${command} failed`,
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Install Solidity project dependencies
+ * 
+ * Hardhat projects are npm packages; Foundry libraries are git submodules
+ * under lib/, which a shallow clone leaves empty. Git is kept from running
+ * hooks or helpers a submitted repository configures.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function installSolidityDependencies(projectPath, executor) {
+  const steps = [];
+  
+  if (detectSolidityFrameworks(projectPath).includes('foundry') &&
+      await fs.pathExists(path.join(projectPath, '.gitmodules')) &&
+      await fs.pathExists(path.join(projectPath, '.git'))) {
+    try {
+      await executor.exec(`${GIT_SAFE_CONFIG} submodule update --init --recursive --depth 1`, {
+        cwd: projectPath,
+        timeout: 120000,
+        network: true
+      });
+      steps.push('git submodule update succeeded');
+    } catch (error) {
+      return {
+        passed: false,
+        error: 'git submodule update failed',
+        details: error.message
+      };
+    }
+  }
+  
+  if (await fs.pathExists(path.join(projectPath, 'package.json'))) {
+    const npm = await installNodeDependencies(projectPath, executor);
+    if (!npm.passed || steps.length === 0) return npm;
+    steps.push(npm.details);
+  }
+  
+  return {
+    passed: true,
+    details: steps.length > 0 ? steps.join('; ') : 'No package.json, nothing to install'
+  };
+}
+
+/**
+ * Fetch Rust crate dependencies
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function installRustDependencies(projectPath, executor) {
+  try {
+    await executor.exec('cargo fetch', {
+      cwd: projectPath,
+      timeout: 120000,
+      network: true
+    });
+    return {
+      passed: true,
+      details: 'cargo fetch succeeded'
+    };
+  } catch (error) {
+    return {
+      passed: false,
+      error: 'cargo fetch failed',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Download Go module dependencies (vendored modules need no download)
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function installGoDependencies(projectPath, executor) {
+  if (await fs.pathExists(path.join(projectPath, 'vendor', 'modules.txt'))) {
+    return {
+      passed: true,
+      details: 'Dependencies vendored, nothing to download'
+    };
+  }
+  
+  try {
+    await executor.exec(`${goEnv(projectPath)} go mod download`, {
+      cwd: projectPath,
+      timeout: 120000,
+      network: true
+    });
+    return {
+      passed: true,
+      details: 'go mod download succeeded'
+    };
+  } catch (error) {
+    return {
+      passed: false,
+      error: 'go mod download failed',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Install Python dependencies into a virtualenv inside the submission
+ * 
+ * poetry.lock is honoured by pinning pip to its exact versions, so projects
+ * resolve the same way without Poetry being installed. Dependencies are
+ * downloaded as wheels only, so nothing is built while the network is shared,
+ * and then installed offline; with a wheelhouse pip never contacts PyPI.
+ * Dependencies declared only in setup.py are not downloaded and must come
+ * from a requirements file or the wheelhouse.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {string} wheelhouse - Directory of wheels to install from
+ * @returns {Promise<Object>} Check result
+ */
+async function installPythonDependencies(projectPath, executor, wheelhouse) {
+  const venv = path.join(projectPath, PYTHON_VENV);
+  const pipModule = `"${path.join(venv, 'bin', 'python')}" -m pip`;
+  const wheels = wheelhouse ? path.resolve(wheelhouse) : path.join(projectPath, ARTIFACT_DIR, 'wheels');
+  const pip = `${pipModule} install --disable-pip-version-check --no-input --no-index --find-links "${wheels}"`;
+  
+  const steps = [];
+  try {
+    await executor.exec(`python3 -m venv "${venv}"`, {
+      cwd: projectPath,
+      timeout: 60000
+    });
+    
+    // Requirement files to install, in order
+    const sources = [];
+    const poetryLock = path.join(projectPath, 'poetry.lock');
+    let pinned = false;
+    if (await fs.pathExists(poetryLock)) {
+      const pins = parsePoetryLock(await fs.readFile(poetryLock, 'utf8'));
+      const requirements = path.join(projectPath, ARTIFACT_DIR, 'poetry-requirements.txt');
+      await fs.writeFile(requirements, pins.map(pin => `${pin}\n`).join(''));
+      if (pins.length > 0) {
+        sources.push({ file: requirements, label: `${pins.length} ${pins.length === 1 ? 'package' : 'packages'} from poetry.lock` });
+      }
+      pinned = true;
+    } else {
+      for (const file of PYTHON_REQUIREMENTS) {
+        if (await fs.pathExists(path.join(projectPath, file))) {
+          sources.push({ file: path.join(projectPath, file), label: file });
+        }
+      }
+    }
+    
+    const editable = await isPythonPackage(projectPath);
+    
+    if (!wheelhouse) {
+      const downloads = sources.map(source => `-r "${source.file}"`);
+      if (editable) {
+        const pyproject = path.join(projectPath, 'pyproject.toml');
+        const packageRequirements = parsePyprojectRequirements(
+          await fs.pathExists(pyproject) ? await fs.readFile(pyproject, 'utf8') : ''
+        );
+        downloads.push(...[
+          ...packageRequirements.build,
+          ...(pinned ? [] : packageRequirements.dependencies)
+        ].map(requirement => `"${requirement}"`));
+      }
+      if (downloads.length > 0) {
+        await executor.exec(`${pipModule} download --disable-pip-version-check --no-input --only-binary=:all: --dest "${wheels}" ${downloads.join(' ')}`, {
+          cwd: projectPath,
+          timeout: 300000,
+          network: true
+        });
+      }
+    }
+    
+    for (const source of sources) {
+      await executor.exec(`${pip} -r "${source.file}"`, { cwd: projectPath, timeout: 300000 });
+      steps.push(source.label);
+    }
+    
+    if (editable) {
+      await executor.exec(`${pip}${pinned ? ' --no-deps' : ''} -e .`, { cwd: projectPath, timeout: 300000 });
+      steps.push('the project itself');
+    }
+  } catch (error) {
+    return {
+      passed: false,
+      error: 'pip install failed',
+      details: error.message
+    };
+  }
+  
+  return {
+    passed: true,
+    details: steps.length > 0
+      ? `Installed ${steps.join(', ')} into ${PYTHON_VENV}`
+      : `Created ${PYTHON_VENV}, no dependencies declared`
+  };
+}
+
+/**
+ * Read the build and runtime requirements a pyproject.toml declares
+ * 
+ * Only the `requires` and `dependencies` arrays are read, so no build
+ * backend has to run to find out what to download.
+ * @param {string} content - pyproject.toml content
+ * @returns {Object} { build, dependencies } requirement strings
+ */
+function parsePyprojectRequirements(content) {
+  const readArray = (section, key) => {
+    const table = content.split(/^\[/m).find(block => block.startsWith(`${section}]`));
+    const match = table?.match(new RegExp(`^${key}\\s*=\\s*\\[([\\s\\S]*?)\\]\\s*$`, 'm'));
+    return match ? [...match[1].matchAll(/"([^"]+)"|'([^']+)'/g)].map(m => m[1] || m[2]) : null;
+  };
+  
+  return {
+    build: readArray('build-system', 'requires') || PYTHON_BUILD_REQUIREMENTS,
+    dependencies: readArray('project', 'dependencies') || []
+  };
+}
+
+/**
+ * Read exact package pins from a poetry.lock file
+ * @param {string} content - poetry.lock content
+ * @returns {string[]} Requirement lines (`name==version`)
+ */
+function parsePoetryLock(content) {
+  const pins = [];
+  for (const block of content.split(/^\[\[package\]\]$/m).slice(1)) {
+    const name = block.match(/^name = "([^"]+)"$/m);
+    const version = block.match(/^version = "([^"]+)"$/m);
+    if (name && version) pins.push(`${name[1]}==${version[1]}`);
+  }
+  return pins;
+}
+
+/**
+ * Whether the project is an installable package (pyproject.toml or setup.py)
+ * @param {string} projectPath - Project path
+ * @returns {Promise<boolean>} True when `pip install -e .` applies
+ */
+async function isPythonPackage(projectPath) {
+  if (await fs.pathExists(path.join(projectPath, 'setup.py'))) return true;
+  
+  const pyproject = path.join(projectPath, 'pyproject.toml');
+  if (!await fs.pathExists(pyproject)) return false;
+  return /^\[(build-system|project|tool\.poetry)\]$/m.test(await fs.readFile(pyproject, 'utf8'));
+}
+
+module.exports = {
+  runInstallCheck,
+  parsePoetryLock,
+  parsePyprojectRequirements
+};
@@ -4,33 +4,59 @@
  * Runs linters and reports code quality issues.
  */
 
-const { execSync } = require('child_process');
+const { createExecutor } = require('../executors');
 const fs = require('fs-extra');
 const path = require('path');
+const { countLines } = require('../evaluators/code');
+const { goEnv, pythonSitePackages } = require('./tests');
 
 /**
  * Run lint check
+ * 
+ * When a linter ran, the result also carries the project's line count and
+ * error/warning density per 1000 lines, which the verdict scores.
  * @param {string} projectPath - Path to project
  * @param {string} language - Project language
+ * @param {Object} options - Check options
+ * @param {Object} options.executor - Executor used to run commands (default: direct)
  * @returns {Promise<Object>} Lint check result
  */
-async function runLintCheck(projectPath, language) {
+async function runLintCheck(projectPath, language, options = {}) {
+  const executor = options.executor || createExecutor('direct');
+  
   try {
+    let result;
     switch (language) {
       case 'nodejs':
-        return await checkNodeLint(projectPath);
+      case 'typescript':
+        result = await checkNodeLint(projectPath, executor);
+        break;
       case 'python':
-        return await checkPythonLint(projectPath);
+        result = await checkPythonLint(projectPath, executor);
+        break;
       case 'solidity':
-        return await checkSolidityLint(projectPath);
+        result = await checkSolidityLint(projectPath, executor);
+        break;
+      case 'rust':
+        result = await checkRustLint(projectPath, executor);
+        break;
+      case 'go':
+        result = await checkGoLint(projectPath, executor);
+        break;
       default:
         return {
           passed: true,
+          configured: false,
           errors: 0,
           warnings: 0,
           details: 'Linting not implemented for this language'
         };
     }
+    
+    if (result.configured === false || result.error) {
+      return result;
+    }
+    return { ...result, ...await lintDensity(projectPath, language, result) };
   } catch (error) {
     return {
       passed: false,
@@ -42,200 +68,325 @@ async function runLintCheck(projectPath, language) {
   }
 }
 
+/**
+ * Normalize lint findings by project size
+ * @param {string} projectPath - Project path
+ * @param {string} language - Project language
+ * @param {Object} result - Lint result with errors and warnings
+ * @returns {Promise<Object>} { linesOfCode, errorsPerKloc, warningsPerKloc }
+ */
+async function lintDensity(projectPath, language, result) {
+  const linesOfCode = await countLines(projectPath, language);
+  const kloc = Math.max(linesOfCode, 1) / 1000;
+  
+  return {
+    linesOfCode,
+    errorsPerKloc: Math.round((result.errors / kloc) * 100) / 100,
+    warningsPerKloc: Math.round((result.warnings / kloc) * 100) / 100
+  };
+}
+
 /**
  * Check Node.js linting with ESLint
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkNodeLint(projectPath) {
+async function checkNodeLint(projectPath, executor) {
   const hasEslintConfig = await fs.pathExists(path.join(projectPath, '.eslintrc.js')) ||
                          await fs.pathExists(path.join(projectPath, '.eslintrc.json')) ||
                          await fs.pathExists(path.join(projectPath, '.eslintrc')) ||
-                         await fs.pathExists(path.join(projectPath, 'eslint.config.js'));
+                         await fs.pathExists(path.join(projectPath, 'eslint.config.js')) ||
+                         await fs.pathExists(path.join(projectPath, 'eslint.config.mjs')) ||
+                         await fs.pathExists(path.join(projectPath, 'eslint.config.cjs'));
   
-  // Install eslint if not present
+  // Lint with the submission's own ESLint setup; never modify the submission
   const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
   const hasEslintDep = packageJson.devDependencies?.eslint || packageJson.dependencies?.eslint;
   
-  if (!hasEslintDep) {
-    try {
-      execSync('npm install --save-dev eslint', {
-        cwd: projectPath,
-        timeout: 30000,
-        stdio: 'pipe'
-      });
-    } catch (e) {
-      // Continue without eslint
-      return {
-        passed: true,
-        errors: 0,
-        warnings: 0,
-        details: 'ESLint not available'
-      };
-    }
+  if (!hasEslintDep || !hasEslintConfig) {
+    return {
+      passed: true,
+      configured: false,
+      errors: 0,
+      warnings: 0,
+      details: hasEslintDep ? 'No ESLint config in submission' : 'ESLint not installed in submission'
+    };
   }
   
-  // Initialize eslint config if none exists
-  if (!hasEslintConfig) {
-    try {
-      execSync('npx eslint --init --yes', {
-        cwd: projectPath,
-        timeout: 30000,
-        stdio: 'pipe'
-      });
-    } catch (e) {
-      // Use basic config
-    }
-  }
+  // ESLint exits with 1 when it finds errors; the JSON report is on stdout either way
+  const run = await executor.run('npx --no-install eslint . --format json', {
+    cwd: projectPath,
+    timeout: 30000
+  });
   
+  let results;
   try {
-    const output = execSync('npx eslint . --format json', {
-      cwd: projectPath,
-      timeout: 30000,
-      encoding: 'utf8'
-    });
-    
-    const results = JSON.parse(output);
-    let errors = 0;
-    let warnings = 0;
-    const issues = [];
-    
-    for (const file of results) {
-      errors += file.errorCount;
-      warnings += file.warningCount;
-      
-      for (const msg of file.messages) {
-        if (issues.length < 5 && msg.severity === 2) {
-          issues.push(`${file.filePath}: ${msg.message}`);
-        }
-      }
-    }
-    
+    results = JSON.parse(run.stdout);
+  } catch (e) {
     return {
-      passed: errors === 0,
-      errors,
-      warnings,
-      details: `${errors} errors, ${warnings} warnings`,
-      issues
+      passed: false,
+      errors: 0,
+      warnings: 0,
+      error: 'ESLint execution failed',
+      details: run.stderr.trim().slice(-500) || `eslint exited with code ${run.code}`
     };
+  }
+  
+  let errors = 0;
+  let warnings = 0;
+  const issues = [];
+  
+  for (const file of results) {
+    errors += file.errorCount;
+    warnings += file.warningCount;
     
-  } catch (error) {
-    // ESLint returns non-zero exit code when there are errors
-    if (error.stdout) {
-      try {
-        const results = JSON.parse(error.stdout);
-        let errors = 0;
-        let warnings = 0;
-        const issues = [];
-        
-        for (const file of results) {
-          errors += file.errorCount;
-          warnings += file.warningCount;
-          
-          for (const msg of file.messages) {
-            if (issues.length < 5 && msg.severity === 2) {
-              issues.push(`${path.basename(file.filePath)}: ${msg.message}`);
-            }
-          }
-        }
-        
-        return {
-          passed: errors === 0,
-          errors,
-          warnings,
-          details: `${errors} errors, ${warnings} warnings`,
-          issues
-        };
-      } catch (e) {
-        // Failed to parse JSON
+    for (const msg of file.messages) {
+      if (issues.length < 5 && msg.severity === 2) {
+        issues.push(`${path.relative(projectPath, file.filePath)}:${msg.line}: ${msg.message}`);
       }
     }
-    
+  }
+  
+  return {
+    passed: errors === 0,
+    linter: 'eslint',
+    errors,
+    warnings,
+    details: `${errors} errors, ${warnings} warnings`,
+    issues
+  };
+}
+
+/**
+ * Check Python linting
+ * 
+ * Pylint runs from the system interpreter with the project's virtualenv on
+ * its path, so imports of installed dependencies resolve.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function checkPythonLint(projectPath, executor) {
+  // Pylint's exit code is a bit mask of message categories, so only the JSON output is trusted
+  const sitePackages = pythonSitePackages(projectPath);
+  const env = sitePackages ? `PYTHONPATH="${sitePackages}" ` : '';
+  const run = await executor.run(`${env}python3 -m pylint --recursive=y --ignore=CVS,.clawjudge --output-format=json .`, {
+    cwd: projectPath,
+    timeout: 30000
+  });
+  
+  let results;
+  try {
+    results = JSON.parse(run.stdout);
+  } catch (e) {
     return {
-      passed: false,
+      passed: true,
+      configured: false,
       errors: 0,
       warnings: 0,
-      error: 'ESLint execution failed',
-      details: error.message
+      details: 'Pylint not available or failed'
     };
   }
+  
+  const isError = (r) => r.type === 'error' || r.type === 'fatal';
+  const errors = results.filter(isError).length;
+  const warnings = results.filter(r => r.type === 'warning').length;
+  
+  const issues = results
+    .filter(isError)
+    .slice(0, 5)
+    .map(r => `${r.path}:${r.line}: ${r.message}`);
+  
+  return {
+    passed: errors === 0,
+    linter: 'pylint',
+    errors,
+    warnings,
+    details: `${errors} errors, ${warnings} warnings`,
+    issues
+  };
 }
 
 /**
- * Check Python linting
+ * Check Solidity linting with solhint
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkPythonLint(projectPath) {
+async function checkSolidityLint(projectPath, executor) {
+  // Quoted so solhint expands the glob itself, recursing into subdirectories
+  const run = await executor.run('npx --no-install solhint "**/*.sol" --formatter json', {
+    cwd: projectPath,
+    timeout: 30000
+  });
+  
+  let results;
   try {
-    const output = execSync('python3 -m pylint **/*.py --output-format=json', {
-      cwd: projectPath,
-      timeout: 30000,
-      encoding: 'utf8',
-      shell: true
-    });
-    
-    const results = JSON.parse(output);
-    const errors = results.filter(r => r.type === 'error').length;
-    const warnings = results.filter(r => r.type === 'warning').length;
-    
-    const issues = results
-      .filter(r => r.type === 'error')
-      .slice(0, 5)
-      .map(r => `${r.path}:${r.line}: ${r.message}`);
-    
+    results = JSON.parse(run.stdout);
+  } catch (e) {
     return {
-      passed: errors === 0,
-      errors,
-      warnings,
-      details: `${errors} errors, ${warnings} warnings`,
-      issues
+      passed: true,
+      configured: false,
+      errors: 0,
+      warnings: 0,
+      details: 'Solhint not available'
     };
-    
-  } catch (error) {
-    // Pylint might fail but still give output
+  }
+  
+  // Reports carry the level as `severity` ("Error") or `level` ("error") depending on the version
+  const level = (r) => String(r.severity || r.level || '').toLowerCase();
+  const findings = results.filter(r => r.line !== undefined);
+  const errors = findings.filter(r => level(r) === 'error').length;
+  const warnings = findings.filter(r => level(r) === 'warning').length;
+  
+  return {
+    passed: errors === 0,
+    linter: 'solhint',
+    errors,
+    warnings,
+    details: `${errors} errors, ${warnings} warnings`
+  };
+}
+
+/**
+ * Check Go linting with golangci-lint (the project's .golangci config, if any)
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<Object>} Check result
+ */
+async function checkGoLint(projectPath, executor) {
+  const version = await executor.run('golangci-lint version', { cwd: projectPath, timeout: 15000 });
+  const major = version.code === 0 && (version.stdout + version.stderr).match(/version v?(\d+)\./)?.[1];
+  if (!major) {
+    return {
+      passed: true,
+      configured: false,
+      errors: 0,
+      warnings: 0,
+      details: 'golangci-lint not available'
+    };
+  }
+  
+  // golangci-lint 2 replaced --out-format with per-format output flags
+  const format = Number(major) >= 2 ? '--output.json.path stdout --show-stats=false' : '--out-format json';
+  const run = await executor.run(`${goEnv(projectPath)} golangci-lint run ${format} ./...`, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  let report;
+  try {
+    report = JSON.parse(run.stdout.split('\n').find(line => line.startsWith('{')));
+  } catch (e) {
     return {
       passed: false,
       errors: 0,
       warnings: 0,
-      details: 'Pylint not available or failed'
+      error: 'golangci-lint execution failed',
+      details: run.stderr.trim().slice(-500) || `golangci-lint exited with code ${run.code}`
     };
   }
+  
+  // Linters only set a severity when the config maps one; unset counts as an error
+  const findings = report.Issues || [];
+  const isWarning = (issue) => ['warning', 'info'].includes(String(issue.Severity).toLowerCase());
+  const errors = findings.filter(issue => !isWarning(issue)).length;
+  const warnings = findings.length - errors;
+  
+  const issues = findings
+    .filter(issue => !isWarning(issue))
+    .slice(0, 5)
+    .map(issue => `${issue.Pos.Filename}:${issue.Pos.Line}: ${issue.Text} (${issue.FromLinter})`);
+  
+  return {
+    passed: errors === 0,
+    linter: 'golangci-lint',
+    errors,
+    warnings,
+    details: `${errors} errors, ${warnings} warnings`,
+    issues
+  };
 }
 
 /**
- * Check Solidity linting with solhint
+ * Check Rust linting with clippy
+ * 
+ * A diagnostic is reported once per target that compiles the code (the
+ * library and its unit tests, say), so duplicates are dropped.
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkSolidityLint(projectPath) {
-  try {
-    const output = execSync('npx solhint **/*.sol --formatter json', {
-      cwd: projectPath,
-      timeout: 30000,
-      encoding: 'utf8',
-      shell: true
-    });
-    
-    const results = JSON.parse(output);
-    const errors = results.filter(r => r.level === 'error').length;
-    const warnings = results.filter(r => r.level === 'warning').length;
-    
+async function checkRustLint(projectPath, executor) {
+  const run = await executor.run('cargo clippy --workspace --all-targets --message-format=json', {
+    cwd: projectPath,
+    timeout: 180000
+  });
+  
+  if (/no such (sub)?command:? .?clippy/.test(run.stderr)) {
     return {
-      passed: errors === 0,
-      errors,
-      warnings,
-      details: `${errors} errors, ${warnings} warnings`
+      passed: true,
+      configured: false,
+      errors: 0,
+      warnings: 0,
+      details: 'clippy not available'
     };
+  }
+  
+  const findings = new Map();
+  for (const line of run.stdout.split('\n')) {
+    if (!line.startsWith('{')) continue;
     
-  } catch (error) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    
+    // Summaries such as "2 warnings emitted" have no source location
+    const span = event.message?.spans?.find(candidate => candidate.is_primary);
+    if (event.reason !== 'compiler-message' || !span) continue;
+    
+    const finding = {
+      level: event.message.level,
+      file: span.file_name,
+      line: span.line_start,
+      message: event.message.message,
+      code: event.message.code?.code || null
+    };
+    findings.set(`${finding.file}:${finding.line}:${span.column_start}:${finding.message}`, finding);
+  }
+  
+  if (findings.size === 0 && run.code !== 0) {
     return {
-      passed: true,
+      passed: false,
       errors: 0,
       warnings: 0,
-      details: 'Solhint not available'
+      error: 'cargo clippy execution failed',
+      details: run.stderr.trim().slice(-500) || `cargo clippy exited with code ${run.code}`
     };
   }
+  
+  const isError = (finding) => finding.level === 'error' || finding.level.startsWith('error:');
+  const results = [...findings.values()];
+  const errors = results.filter(isError).length;
+  const warnings = results.filter(finding => finding.level === 'warning').length;
+  
+  const issues = results
+    .filter(isError)
+    .slice(0, 5)
+    .map(finding => `${finding.file}:${finding.line}: ${finding.message}${finding.code ? ` (${finding.code})` : ''}`);
+  
+  return {
+    passed: errors === 0,
+    linter: 'clippy',
+    errors,
+    warnings,
+    details: `${errors} errors, ${warnings} warnings`,
+    issues
+  };
 }
 
 module.exports = {
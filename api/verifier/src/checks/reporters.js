@@ -0,0 +1,481 @@
+/**
+ * Test Reporters
+ * 
+ * Parsers for machine-readable test reports. Each returns a list of per-test
+ * records: { name, file, status, duration, failureMessage }, where status is
+ * passed, failed or skipped and duration is in milliseconds.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { stripVTControlCharacters } = require('util');
+
+const MAX_FAILURE_MESSAGE = 2000;
+
+/**
+ * Parse a jest --json report (vitest's json reporter uses the same shape)
+ * @param {Object} report - Parsed report
+ * @param {string} projectPath - Project root, used to relativize file paths
+ * @returns {Object[]} Test cases
+ */
+function parseJestReport(report, projectPath) {
+  const cases = [];
+  
+  for (const suite of report.testResults || []) {
+    const file = relativeFile(suite.name || suite.testFilePath, projectPath);
+    
+    for (const assertion of suite.assertionResults || []) {
+      cases.push({
+        name: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+        file,
+        status: normalizeStatus(assertion.status),
+        duration: assertion.duration ?? null,
+        failureMessage: cleanMessage((assertion.failureMessages || []).join('\n'))
+      });
+    }
+    
+    // A suite that fails to load has no assertions, only a message
+    if ((suite.assertionResults || []).length === 0 && suite.status === 'failed') {
+      cases.push({
+        name: `${file} (suite failed to run)`,
+        file,
+        status: 'failed',
+        duration: null,
+        failureMessage: cleanMessage(suite.message || suite.failureMessage)
+      });
+    }
+  }
+  
+  return cases;
+}
+
+/**
+ * Parse a mocha JSON reporter report
+ * @param {Object} report - Parsed report ({ stats, tests, failures, pending })
+ * @param {string} projectPath - Project root
+ * @returns {Object[]} Test cases
+ */
+function parseMochaReport(report, projectPath) {
+  const failed = new Set((report.failures || []).map(t => t.fullTitle));
+  const pending = new Set((report.pending || []).map(t => t.fullTitle));
+  
+  // Hook failures ("before all" hook) appear in failures but not in tests
+  const tests = [...(report.tests || [])];
+  for (const failure of report.failures || []) {
+    if (!tests.some(t => t.fullTitle === failure.fullTitle)) {
+      tests.push(failure);
+    }
+  }
+  
+  return tests.map(test => ({
+    name: test.fullTitle || test.title,
+    file: relativeFile(test.file, projectPath),
+    status: failed.has(test.fullTitle) ? 'failed' : pending.has(test.fullTitle) ? 'skipped' : 'passed',
+    duration: test.duration ?? null,
+    failureMessage: failed.has(test.fullTitle) ? cleanMessage(test.err?.message || test.err?.stack) : null
+  }));
+}
+
+/**
+ * Parse TAP output (node --test)
+ * 
+ * Nested subtests are indented; suites (describe blocks) are reported as
+ * tests with `type: 'suite'` in their YAML block and are skipped.
+ * @param {string} output - TAP text
+ * @param {string} projectPath - Project root
+ * @returns {Object[]} Test cases
+ */
+function parseTap(output, projectPath) {
+  const lines = output.split('\n');
+  const cases = [];
+  const subtestStack = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const indent = line.length - line.trimStart().length;
+    const subtest = line.match(/^\s*# Subtest: (.*)$/);
+    if (subtest) {
+      while (subtestStack.length && subtestStack[subtestStack.length - 1].indent >= indent) {
+        subtestStack.pop();
+      }
+      subtestStack.push({ indent, name: subtest[1] });
+      continue;
+    }
+    
+    const result = line.match(/^\s*(not ok|ok) \d+ - (.*?)(?:\s+#\s+(SKIP|TODO)\b.*)?$/i);
+    if (!result) continue;
+    
+    // Collect the YAML diagnostics block that follows
+    const yaml = [];
+    if (lines[i + 1]?.trim() === '---') {
+      let j = i + 2;
+      while (j < lines.length && lines[j].trim() !== '...') {
+        yaml.push(lines[j]);
+        j++;
+      }
+      i = j;
+    }
+    const diagnostics = parseTapYaml(yaml);
+    
+    while (subtestStack.length && subtestStack[subtestStack.length - 1].indent > indent) {
+      subtestStack.pop();
+    }
+    const ancestors = subtestStack.filter(s => s.indent < indent).map(s => s.name);
+    
+    if (diagnostics.type === 'suite') continue;
+    
+    const status = result[3] ? 'skipped' : result[1] === 'ok' ? 'passed' : 'failed';
+    cases.push({
+      name: [...ancestors, result[2]].join(' > '),
+      file: diagnostics.location ? relativeFile(diagnostics.location.replace(/:\d+:\d+$/, ''), projectPath) : null,
+      status,
+      duration: diagnostics.duration_ms !== undefined ? parseFloat(diagnostics.duration_ms) : null,
+      failureMessage: status === 'failed' ? cleanMessage(diagnostics.error || diagnostics.message) : null
+    });
+  }
+  
+  return cases;
+}
+
+/**
+ * Parse the flat key: value pairs of a TAP YAML block
+ * @param {string[]} lines - YAML lines
+ * @returns {Object} Key/value pairs (multi-line values joined)
+ */
+function parseTapYaml(lines) {
+  const values = {};
+  let currentKey = null;
+  const baseIndent = lines.length ? lines[0].length - lines[0].trimStart().length : 0;
+  
+  for (const line of lines) {
+    const indent = line.length - line.trimStart().length;
+    const pair = line.match(/^\s*([A-Za-z_]+):\s?(.*)$/);
+    if (pair && indent === baseIndent) {
+      currentKey = pair[1];
+      const value = pair[2].trim();
+      values[currentKey] = value === '|-' || value === '|' ? '' : value.replace(/^'(.*)'$/, '$1');
+    } else if (currentKey) {
+      values[currentKey] = `${values[currentKey]}\n${line.trim()}`.trim();
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Parse a JUnit XML report (pytest --junitxml)
+ * 
+ * A test's file comes from its file attribute, or else from its classname
+ * when that names a module in the project.
+ * @param {string} xml - Report XML
+ * @param {string} projectPath - Project root
+ * @returns {Object[]} Test cases
+ */
+function parseJUnitXml(xml, projectPath) {
+  const cases = [];
+  const testcasePattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  
+  let match;
+  while ((match = testcasePattern.exec(xml)) !== null) {
+    const attrs = parseXmlAttributes(match[1]);
+    const body = match[2] || '';
+    
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    const skipped = /<skipped\b/.test(body);
+    
+    let failureMessage = null;
+    if (failure) {
+      const failureAttrs = parseXmlAttributes(failure[2]);
+      failureMessage = cleanMessage(decodeXml(failureAttrs.message || failure[3] || ''));
+    }
+    
+    cases.push({
+      name: attrs.classname ? `${attrs.classname}::${attrs.name}` : attrs.name,
+      file: attrs.file ? relativeFile(attrs.file, projectPath) : classnameFile(attrs.classname, projectPath),
+      status: failure ? 'failed' : skipped ? 'skipped' : 'passed',
+      duration: attrs.time !== undefined ? Math.round(parseFloat(attrs.time) * 1000) : null,
+      failureMessage
+    });
+  }
+  
+  return cases;
+}
+
+/**
+ * Find the module file a pytest classname names
+ * 
+ * The classname is the module's dotted path, followed by the test class for
+ * class-based tests (tests.test_api.TestUsers), so the longest prefix that is
+ * a file in the project wins.
+ * @param {string} classname - Dotted classname
+ * @param {string} projectPath - Project root
+ * @returns {string|null} Relative path, or null when no prefix names a file
+ */
+function classnameFile(classname, projectPath) {
+  if (!classname || !projectPath) return null;
+  
+  const segments = classname.split('.');
+  for (let length = segments.length; length > 0; length--) {
+    const file = `${segments.slice(0, length).join('/')}.py`;
+    if (fs.existsSync(path.join(projectPath, file))) return file;
+  }
+  return null;
+}
+
+/**
+ * Parse cargo test's JSON event stream (`-Z unstable-options --format json`)
+ * @param {string} output - Newline-delimited JSON events
+ * @returns {Object[]} Test cases
+ */
+function parseCargoJson(output) {
+  const cases = [];
+  
+  for (const line of output.split('\n')) {
+    if (!line.startsWith('{')) continue;
+    
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    
+    if (event.type !== 'test' || !['ok', 'failed', 'ignored'].includes(event.event)) continue;
+    
+    cases.push({
+      name: event.name,
+      file: null,
+      status: event.event === 'ok' ? 'passed' : event.event === 'failed' ? 'failed' : 'skipped',
+      duration: event.exec_time !== undefined ? Math.round(event.exec_time * 1000) : null,
+      failureMessage: event.event === 'failed' ? cleanMessage(event.stdout || event.message) : null
+    });
+  }
+  
+  return cases;
+}
+
+/**
+ * Parse `go test -json` events
+ * 
+ * Only leaf tests are counted: a test with subtests passes or fails with
+ * them. Test names keep the subtest path (`TestCache/evicts_oldest`).
+ * @param {string} output - Newline-delimited JSON events
+ * @returns {Object[]} Test cases
+ */
+function parseGoTestJson(output) {
+  const results = new Map();
+  const outputs = new Map();
+  
+  for (const line of output.split('\n')) {
+    if (!line.startsWith('{')) continue;
+    
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    if (!event.Test) continue;
+    
+    const key = `${event.Package}\0${event.Test}`;
+    // go test's own "=== RUN" and "--- FAIL" lines frame the test's output
+    if (event.Action === 'output' && !/^(===|---) /.test(event.Output.trimStart())) {
+      outputs.set(key, (outputs.get(key) || '') + event.Output);
+    } else if (['pass', 'fail', 'skip'].includes(event.Action)) {
+      results.set(key, event);
+    }
+  }
+  
+  const keys = [...results.keys()];
+  const cases = [];
+  for (const [key, event] of results) {
+    if (keys.some(other => other.startsWith(`${key}/`))) continue;
+    
+    cases.push({
+      name: event.Test,
+      file: null,
+      status: event.Action === 'pass' ? 'passed' : event.Action === 'fail' ? 'failed' : 'skipped',
+      duration: event.Elapsed !== undefined ? Math.round(event.Elapsed * 1000) : null,
+      failureMessage: event.Action === 'fail' ? cleanMessage(outputs.get(key)) : null
+    });
+  }
+  
+  return cases;
+}
+
+/**
+ * Parse a `forge test --json` report
+ * 
+ * The report maps `path:Contract` to its test results. Each case also carries
+ * the gas it used: a unit test's gas, or the median over a fuzz test's runs.
+ * @param {string} output - forge stdout
+ * @returns {Object[]} Test cases, with gas
+ */
+function parseForgeTestJson(output) {
+  // Compiler progress can precede the report
+  const line = output.split('\n').reverse().find(candidate => candidate.startsWith('{'));
+  let report;
+  try {
+    report = JSON.parse(line);
+  } catch (e) {
+    return [];
+  }
+  
+  const cases = [];
+  for (const [suite, { test_results: results }] of Object.entries(report || {})) {
+    const [file, contract] = suite.includes(':') ? suite.split(':') : [null, suite];
+    for (const [test, result] of Object.entries(results || {})) {
+      const kind = result.kind || {};
+      const gas = kind.Unit?.gas ?? kind.Standard ?? kind.Fuzz?.median_gas ?? null;
+      const duration = result.duration && typeof result.duration === 'object'
+        ? Math.round(result.duration.secs * 1000 + result.duration.nanos / 1e6)
+        : null;
+      
+      cases.push({
+        name: `${contract}.${test}`,
+        file,
+        status: result.status === 'Success' ? 'passed' : result.status === 'Skipped' ? 'skipped' : 'failed',
+        duration,
+        failureMessage: result.status === 'Failure' ? cleanMessage(result.reason || 'Test failed') : null,
+        gas
+      });
+    }
+  }
+  
+  return cases;
+}
+
+/**
+ * Parse the verbose console output of `python -m unittest -v`
+ * 
+ * unittest has no machine-readable reporter, but its verbose lines
+ * (`test_add (tests.test_calc.TestCalc.test_add) ... ok`) are stable. Failure
+ * messages are the exception lines at the end of each traceback.
+ * @param {string} output - unittest stderr
+ * @returns {Object[]} Test cases
+ */
+function parseUnittestOutput(output) {
+  const text = output.replace(/\r\n/g, '\n');
+  const testId = (method, qualifier) => qualifier.endsWith(`.${method}`) ? qualifier : `${qualifier}.${method}`;
+  
+  // A docstring's first line, or the test's own prints, can come between the name and the status
+  const cases = [];
+  for (const [, method, qualifier, outcome] of text.matchAll(/^(\w+) \(([\w.]+)\)(?:\n[^\n]*?)?? \.\.\. (ok|FAIL|ERROR|skipped.*|expected failure|unexpected success)$/gm)) {
+    cases.push({
+      name: testId(method, qualifier),
+      file: null,
+      status: ['ok', 'expected failure'].includes(outcome) ? 'passed' : outcome.startsWith('skipped') ? 'skipped' : 'failed',
+      duration: null,
+      failureMessage: null
+    });
+  }
+  
+  const separator = '-'.repeat(70);
+  for (const block of text.split(`${'='.repeat(70)}\n`).slice(1)) {
+    const header = block.match(/^(?:FAIL|ERROR): (\w+) \(([\w.]+)\)/);
+    const testCase = header && cases.find(c => c.name === testId(header[1], header[2]));
+    if (!testCase) continue;
+    
+    const lines = block.split(`${separator}\n`)[1]?.trimEnd().split('\n') || [];
+    const lastFrame = lines.map(line => /^\s/.test(line)).lastIndexOf(true);
+    testCase.failureMessage = cleanMessage(lines.slice(lastFrame + 1).join('\n'));
+  }
+  
+  return cases;
+}
+
+/**
+ * Compute totals from test cases
+ * @param {Object[]} cases - Test cases
+ * @returns {Object} { passed, total, passing, failing, skipped, details }
+ */
+function summarizeCases(cases) {
+  const passing = cases.filter(c => c.status === 'passed').length;
+  const failing = cases.filter(c => c.status === 'failed').length;
+  const skipped = cases.filter(c => c.status === 'skipped').length;
+  const total = passing + failing;
+  
+  return {
+    passed: failing === 0 && total > 0,
+    total,
+    passing,
+    failing,
+    skipped,
+    details: `${passing}/${total} tests passing${skipped > 0 ? `, ${skipped} skipped` : ''}`
+  };
+}
+
+/**
+ * Map framework-specific statuses onto passed/failed/skipped
+ * @param {string} status - Framework status
+ * @returns {string} Normalized status
+ */
+function normalizeStatus(status) {
+  if (status === 'passed') return 'passed';
+  if (status === 'failed') return 'failed';
+  return 'skipped';
+}
+
+/**
+ * Strip ANSI colour codes and cap the length of a failure message
+ * @param {string} message - Raw message
+ * @returns {string|null} Clean message
+ */
+function cleanMessage(message) {
+  if (!message) return null;
+  const clean = stripVTControlCharacters(String(message)).trim();
+  return clean.length > MAX_FAILURE_MESSAGE ? `${clean.slice(0, MAX_FAILURE_MESSAGE)}…` : clean;
+}
+
+/**
+ * Make a path relative to the project root
+ * @param {string} file - Absolute or relative path (or file:// URL)
+ * @param {string} projectPath - Project root
+ * @returns {string|null} Relative path
+ */
+function relativeFile(file, projectPath) {
+  if (!file) return null;
+  const filePath = file.startsWith('file://') ? new URL(file).pathname : file;
+  return path.isAbsolute(filePath) && projectPath ? path.relative(projectPath, filePath) : filePath;
+}
+
+/**
+ * Parse XML attributes into an object
+ * @param {string} source - Attribute source text
+ * @returns {Object} Attributes
+ */
+function parseXmlAttributes(source) {
+  const attrs = {};
+  for (const [, name, value] of source.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attrs[name] = decodeXml(value);
+  }
+  return attrs;
+}
+
+/**
+ * Decode XML entities
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  parseJestReport,
+  parseMochaReport,
+  parseTap,
+  parseJUnitXml,
+  parseCargoJson,
+  parseGoTestJson,
+  parseUnittestOutput,
+  parseForgeTestJson,
+  summarizeCases
+};
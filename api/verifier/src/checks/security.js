@@ -4,25 +4,64 @@
  * Scans for known vulnerabilities.
  */
 
-const { execSync } = require('child_process');
+const { createExecutor } = require('../executors');
 const fs = require('fs-extra');
 const path = require('path');
+const { goEnv, pythonSitePackages } = require('./tests');
+const { analyzeSolidity } = require('../evaluators/solidity');
+const { isIgnoredPath, listProjectFiles } = require('../evaluators/files');
 
 /**
- * Run security check
+ * Run security check: the language's dependency or code scan, plus a scan for committed secrets
  * @param {string} projectPath - Path to project
  * @param {string} language - Project language
- * @returns {Promise<Object>} Security check result
+ * @param {Object} options - Check options
+ * @param {Object} options.executor - Executor used to run commands (default: direct)
+ * @param {string} options.goVulnDb - Local copy of the Go vulnerability database, for Go projects
+ * @param {string} options.rustAdvisoryDb - Local checkout of the RustSec advisory database, for Rust projects
+ * @param {number} options.historyDepth - Most recent commits to scan for secrets (default 50)
+ * @returns {Promise<Object>} Security check result, with the secret scan under `secrets`
  */
-async function runSecurityCheck(projectPath, language) {
+async function runSecurityCheck(projectPath, language, options = {}) {
+  const executor = options.executor || createExecutor('direct');
+  const result = await runLanguageSecurityCheck(projectPath, language, executor, options);
+  
+  let secrets;
+  try {
+    secrets = await scanSecrets(projectPath, executor, options.historyDepth);
+  } catch (error) {
+    secrets = { passed: false, found: 0, error: error.message, details: `Secret scan failed: ${error.message}` };
+  }
+  
+  return {
+    ...result,
+    passed: result.passed && secrets.passed,
+    secrets
+  };
+}
+
+/**
+ * Run the dependency or code scan for a language
+ * @param {string} projectPath - Path to project
+ * @param {string} language - Project language
+ * @param {Object} executor - Command executor
+ * @param {Object} options - Check options
+ * @returns {Promise<Object>} Check result
+ */
+async function runLanguageSecurityCheck(projectPath, language, executor, options) {
   try {
     switch (language) {
       case 'nodejs':
-        return await checkNodeSecurity(projectPath);
+      case 'typescript':
+        return await checkNodeSecurity(projectPath, executor);
       case 'python':
-        return await checkPythonSecurity(projectPath);
+        return await checkPythonSecurity(projectPath, executor);
       case 'solidity':
         return await checkSoliditySecurity(projectPath);
+      case 'rust':
+        return await checkRustSecurity(projectPath, executor, options.rustAdvisoryDb);
+      case 'go':
+        return await checkGoSecurity(projectPath, executor, options.goVulnDb);
       default:
         return {
           passed: true,
@@ -45,14 +84,14 @@ async function runSecurityCheck(projectPath, language) {
 /**
  * Check Node.js security with npm audit
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkNodeSecurity(projectPath) {
+async function checkNodeSecurity(projectPath, executor) {
   try {
-    const output = execSync('npm audit --json', {
+    const output = await executor.exec('npm audit --json', {
       cwd: projectPath,
-      timeout: 30000,
-      encoding: 'utf8'
+      timeout: 30000
     });
     
     const audit = JSON.parse(output);
@@ -99,7 +138,7 @@ async function checkNodeSecurity(projectPath) {
       low,
       details: total > 0 ? details : 'No vulnerabilities found'
     };
-    
+  
   } catch (error) {
     // npm audit exits with non-zero if vulnerabilities found
     if (error.stdout) {
@@ -164,32 +203,29 @@ async function checkNodeSecurity(projectPath) {
 
 /**
  * Check Python security with pip-audit
+ * 
+ * Audits the packages installed in the project's virtualenv, falling back to
+ * the interpreter pip-audit runs under when there is none.
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
  * @returns {Promise<Object>} Check result
  */
-async function checkPythonSecurity(projectPath) {
+async function checkPythonSecurity(projectPath, executor) {
   try {
-    // Try to install pip-audit if not present
-    try {
-      execSync('pip install pip-audit', {
-        timeout: 30000,
-        stdio: 'pipe'
-      });
-    } catch (e) {
-      // May already be installed
-    }
-    
-    const output = execSync('pip-audit --format=json', {
+    const sitePackages = pythonSitePackages(projectPath);
+    // pip-audit exits 1 when it finds vulnerabilities; the report is on stdout either way
+    const run = await executor.run(`pip-audit --format=json${sitePackages ? ` --path "${sitePackages}"` : ''}`, {
       cwd: projectPath,
-      timeout: 30000,
-      encoding: 'utf8'
+      timeout: 60000
     });
     
-    const audit = JSON.parse(output);
-    const vulnerabilities = audit.vulnerabilities || [];
+    const audit = JSON.parse(run.stdout);
+    const vulnerabilities = (audit.dependencies || []).flatMap(dependency =>
+      (dependency.vulns || []).map(vuln => ({ ...vuln, name: dependency.name, version: dependency.version }))
+    );
     
     const details = vulnerabilities.slice(0, 5).map(v => 
-      `${v.name}: ${v.vuln_id}`
+      `${v.name}@${v.version}: ${v.id}${v.fix_versions?.length ? ` (fixed in ${v.fix_versions[0]})` : ''}`
     );
     
     return {
@@ -197,7 +233,7 @@ async function checkPythonSecurity(projectPath) {
       vulnerabilities: vulnerabilities.length,
       details: vulnerabilities.length > 0 ? details : 'No vulnerabilities found'
     };
-    
+  
   } catch (error) {
     return {
       passed: true,
@@ -209,53 +245,539 @@ async function checkPythonSecurity(projectPath) {
 }
 
 /**
- * Check Solidity security with basic pattern matching
+ * Check Solidity security by static analysis of the contract ASTs
+ * 
+ * Covers every .sol file outside tests, scripts and dependencies. Files that
+ * do not parse are reported as warnings; compilation catches them anyway.
  * @param {string} projectPath - Project path
  * @returns {Promise<Object>} Check result
  */
 async function checkSoliditySecurity(projectPath) {
-  const files = await fs.readdir(projectPath);
-  const solFiles = files.filter(f => f.endsWith('.sol'));
+  const analysis = await analyzeSolidity(projectPath);
+  if (analysis.files === 0) {
+    return {
+      passed: true,
+      vulnerabilities: 0,
+      warnings: 0,
+      details: 'No Solidity sources to analyze'
+    };
+  }
   
-  const issues = [];
+  const counts = { critical: 0, high: 0, moderate: 0, low: 0 };
+  for (const finding of analysis.findings) {
+    counts[finding.severity]++;
+  }
   
-  for (const file of solFiles) {
-    const content = await fs.readFile(path.join(projectPath, file), 'utf8');
-    
-    // Check for tx.origin usage
-    if (content.includes('tx.origin')) {
-      issues.push(`${file}: Uses tx.origin (can be vulnerable to phishing)`);
-    }
-    
-    // Check for block.timestamp reliance
-    if (content.match(/block\.timestamp\s*[<>=]/)) {
-      issues.push(`${file}: Relies on block.timestamp for comparisons`);
-    }
-    
-    // Check for unchecked sends
-    if (content.match(/\.send\(|\.transfer\(/)) {
-      issues.push(`${file}: Uses send() or transfer() without checking return value`);
+  const total = analysis.findings.length;
+  const details = analysis.findings.slice(0, 5)
+    .map(finding => `${finding.file}:${finding.line} ${finding.severity} - ${finding.contract}.${finding.function}: ${finding.message}`);
+  return {
+    passed: counts.critical === 0 && counts.high === 0,
+    vulnerabilities: total,
+    ...counts,
+    warnings: analysis.errors.length,
+    findings: analysis.findings.slice(0, 50),
+    details: total > 0 ? details : `No issues found in ${analysis.files} Solidity file(s)`
+  };
+}
+
+/**
+ * Check Go security with govulncheck against a local vulnerability database
+ * 
+ * The database has no severities: vulnerabilities in code the project calls
+ * count as high, those only present in its dependencies as low.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {string} vulnDb - Vulnerability database directory (vuln.go.dev layout)
+ * @returns {Promise<Object>} Check result
+ */
+async function checkGoSecurity(projectPath, executor, vulnDb) {
+  if (!vulnDb) {
+    return {
+      passed: true,
+      vulnerabilities: 0,
+      warnings: 0,
+      details: 'No Go vulnerability database configured'
+    };
+  }
+  if (!await fs.pathExists(vulnDb)) {
+    return {
+      passed: false,
+      vulnerabilities: 0,
+      warnings: 0,
+      error: 'Go vulnerability database not found',
+      details: `No vulnerability database at ${vulnDb}`
+    };
+  }
+  
+  // govulncheck exits 3 when it finds vulnerabilities; the JSON stream is on stdout either way
+  const run = await executor.run(`${goEnv(projectPath)} govulncheck -db "file://${path.resolve(vulnDb)}" -format json ./...`, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  const messages = parseJsonStream(run.stdout);
+  if (messages.length === 0) {
+    return {
+      passed: true,
+      vulnerabilities: 0,
+      warnings: 0,
+      details: run.code === 127 ? 'govulncheck not available' : `govulncheck failed: ${run.stderr.trim().slice(-300) || `exit code ${run.code}`}`
+    };
+  }
+  
+  const advisories = new Map(messages.filter(message => message.osv).map(message => [message.osv.id, message.osv]));
+  const found = new Map();
+  for (const { finding } of messages.filter(message => message.finding)) {
+    const frame = finding.trace?.[0] || {};
+    const previous = found.get(finding.osv);
+    found.set(finding.osv, {
+      id: finding.osv,
+      module: frame.module,
+      version: frame.version,
+      fixedVersion: finding.fixed_version || null,
+      // A trace down to a function means the vulnerable code is called
+      called: Boolean(previous?.called || frame.function)
+    });
+  }
+  
+  const vulnerabilities = [...found.values()];
+  const called = vulnerabilities.filter(vulnerability => vulnerability.called);
+  const describe = (vulnerability) => `${vulnerability.module}@${vulnerability.version}: ${vulnerability.id}` +
+    `${advisories.get(vulnerability.id)?.summary ? ` ${advisories.get(vulnerability.id).summary}` : ''}` +
+    `${vulnerability.fixedVersion ? ` (fixed in ${vulnerability.fixedVersion})` : ''}${vulnerability.called ? '' : ' - not called'}`;
+  
+  return {
+    passed: called.length === 0,
+    vulnerabilities: vulnerabilities.length,
+    high: called.length,
+    low: vulnerabilities.length - called.length,
+    details: vulnerabilities.length > 0
+      ? [...called, ...vulnerabilities.filter(vulnerability => !vulnerability.called)].slice(0, 5).map(describe)
+      : 'No vulnerabilities found'
+  };
+}
+
+/**
+ * Check Rust security with cargo-audit against a local RustSec advisory database
+ * 
+ * The database is never fetched, so no network is needed. Unmaintained,
+ * unsound and yanked crates are reported as warnings.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {string} advisoryDb - Checkout of the RustSec advisory-db repository
+ * @returns {Promise<Object>} Check result
+ */
+async function checkRustSecurity(projectPath, executor, advisoryDb) {
+  if (!advisoryDb) {
+    return {
+      passed: true,
+      vulnerabilities: 0,
+      warnings: 0,
+      details: 'No RustSec advisory database configured'
+    };
+  }
+  if (!await fs.pathExists(advisoryDb)) {
+    return {
+      passed: false,
+      vulnerabilities: 0,
+      warnings: 0,
+      error: 'RustSec advisory database not found',
+      details: `No advisory database at ${advisoryDb}`
+    };
+  }
+  if (!await fs.pathExists(path.join(projectPath, 'Cargo.lock'))) {
+    return {
+      passed: true,
+      vulnerabilities: 0,
+      warnings: 0,
+      details: 'No Cargo.lock to audit'
+    };
+  }
+  
+  // cargo-audit exits 1 when it finds vulnerabilities; the report is on stdout either way
+  const run = await executor.run(`cargo audit --db "${path.resolve(advisoryDb)}" --no-fetch --stale --json`, {
+    cwd: projectPath,
+    timeout: 60000
+  });
+  
+  let audit;
+  try {
+    audit = JSON.parse(run.stdout.split('\n').find(line => line.startsWith('{')));
+  } catch (e) {
+    return {
+      passed: true,
+      vulnerabilities: 0,
+      warnings: 0,
+      details: /no such (sub)?command:? .?audit/.test(run.stderr) ? 'cargo-audit not available' : `cargo audit failed: ${run.stderr.trim().slice(-300) || `exit code ${run.code}`}`
+    };
+  }
+  
+  const counts = { critical: 0, high: 0, moderate: 0, low: 0 };
+  const details = [];
+  for (const { advisory, package: crate, versions } of audit.vulnerabilities?.list || []) {
+    // Advisories without a CVSS vector are counted as moderate: reported, but not failing the check on their own
+    const severity = cvssSeverity(advisory.cvss) || 'moderate';
+    counts[severity]++;
+    if (details.length < 5) {
+      const patched = versions?.patched?.length ? ` (patched: ${versions.patched.join(', ')})` : '';
+      details.push(`${crate.name}@${crate.version}: ${advisory.id} ${severity} - ${advisory.title}${patched}`);
     }
-    
-    // Check for self-destruct
-    if (content.includes('selfdestruct')) {
-      issues.push(`${file}: Contains selfdestruct`);
+  }
+  
+  const warnings = Object.values(audit.warnings || {}).reduce((total, list) => total + list.length, 0);
+  const total = counts.critical + counts.high + counts.moderate + counts.low;
+  return {
+    passed: counts.critical === 0 && counts.high === 0,
+    vulnerabilities: total,
+    ...counts,
+    warnings,
+    details: total > 0 ? details : 'No vulnerabilities found'
+  };
+}
+
+/**
+ * Severity of a CVSS v3 vector from its base score
+ * @param {string} vector - e.g. CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
+ * @returns {string|null} critical, high, moderate or low; null when the vector is missing or not v3
+ */
+function cvssSeverity(vector) {
+  if (!/^CVSS:3\.[01]\//.test(vector || '')) return null;
+  const metrics = Object.fromEntries(vector.split('/').slice(1).map(metric => metric.split(':')));
+  const changed = metrics.S === 'C';
+  
+  const weights = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    PR: changed ? { N: 0.85, L: 0.68, H: 0.5 } : { N: 0.85, L: 0.62, H: 0.27 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 }
+  };
+  const weight = (metric, table = metric) => weights[table][metrics[metric]];
+  const baseMetrics = [weight('AV'), weight('AC'), weight('PR'), weight('UI'), weight('C', 'CIA'), weight('I', 'CIA'), weight('A', 'CIA')];
+  if (baseMetrics.some(value => value === undefined)) return null;
+  const [av, ac, pr, ui, c, i, a] = baseMetrics;
+  
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  const exploitability = 8.22 * av * ac * pr * ui;
+  const roundUp = (value) => Math.ceil(value * 10 - 1e-9) / 10;
+  const score = impact <= 0 ? 0 : roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+  
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'moderate';
+  return 'low';
+}
+
+/**
+ * Split a stream of concatenated (possibly indented) JSON values
+ * @param {string} output - Command output
+ * @returns {Object[]} Parsed values; unparseable ones are skipped
+ */
+function parseJsonStream(output) {
+  const values = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  
+  for (let i = 0; i < output.length; i++) {
+    const char = output[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth++ === 0) start = i;
+    } else if (char === '}' && depth > 0 && --depth === 0) {
+      try {
+        values.push(JSON.parse(output.slice(start, i + 1)));
+      } catch (e) {
+        // Not JSON after all
+      }
     }
+  }
+  
+  return values;
+}
+
+/**
+ * Secret patterns, most specific first; `secret` is the captured credential
+ * 
+ * Private keys and mnemonics give away funds or servers outright and are
+ * critical; cloud and GitHub tokens are high. Both force FAIL. JWTs are often
+ * test fixtures and generic high-entropy values are guesses, so they are
+ * reported without failing the check.
+ */
+const SECRET_RULES = [
+  {
+    rule: 'private-key',
+    label: 'Private key',
+    severity: 'critical',
+    pattern: /(?<secret>-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)/,
+    // The armor header is not secret itself
+    redact: false
+  },
+  {
+    rule: 'evm-private-key',
+    label: 'EVM private key',
+    severity: 'critical',
+    pattern: /(?:priv|secret|deployer|signer|wallet|account|\bpk\b)[\w"' \t]*?[:=(,[]\s*['"]?(?<secret>(?:0x)?[0-9a-fA-F]{64})(?![0-9a-fA-F])/i
+  },
+  {
+    rule: 'mnemonic',
+    label: 'Wallet mnemonic',
+    severity: 'critical',
+    pattern: /(?:mnemonic|seed|phrase)[\w"']*\s*[:=(]\s*['"]?(?<secret>[a-z]{3,8}(?:[ \t]+[a-z]{3,8}){11,23})\b/i,
+    validate: (secret) => secret === secret.toLowerCase() && [12, 15, 18, 21, 24].includes(secret.split(/\s+/).length),
+    redactAs: (secret) => `[${secret.split(/\s+/).length} words]`
+  },
+  {
+    rule: 'aws-access-key',
+    label: 'AWS access key ID',
+    severity: 'high',
+    pattern: /\b(?<secret>(?:AKIA|ASIA)[0-9A-Z]{16})\b/
+  },
+  {
+    rule: 'aws-secret-key',
+    label: 'AWS secret access key',
+    severity: 'high',
+    pattern: /aws_?secret_?(?:access_?)?key['"]?\s*[:=]\s*['"]?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/i
+  },
+  {
+    rule: 'github-token',
+    label: 'GitHub token',
+    severity: 'high',
+    pattern: /\b(?<secret>gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/
+  },
+  {
+    rule: 'jwt',
+    label: 'JSON Web Token',
+    severity: 'moderate',
+    pattern: /\b(?<secret>eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,})/
+  },
+  {
+    rule: 'high-entropy',
+    label: 'High-entropy secret',
+    severity: 'moderate',
+    pattern: /[\w.-]*(?:secret|token|passw(?:or)?d|api_?key|access_?key|auth_?key|credential)[\w.-]*['"]?\s*[:=]\s*['"]?(?<secret>[A-Za-z0-9+/=_~.-]{16,})/i,
+    // Placeholders (your_api_key_here) have no digits; addresses and env lookups are not secrets
+    validate: (secret) => /\d/.test(secret) && /[A-Za-z]/.test(secret) &&
+      !/^0x[0-9a-fA-F]{40}$/.test(secret) && !/^(process\.env|os\.environ|import\.meta)/.test(secret) &&
+      shannonEntropy(secret) >= SECRET_ENTROPY_THRESHOLD
+  }
+];
+
+// Bits per character above which a credential-named value is taken as a real secret
+const SECRET_ENTROPY_THRESHOLD = 3.5;
+
+// Well-known development keys (the Hardhat and Anvil default accounts), public by design
+const PUBLIC_TEST_SECRETS = new Set([
+  'test test test test test test test test test test test junk',
+  'ac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+]);
+
+const SECRET_SKIP_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|poetry\.lock|Cargo\.lock|go\.sum)$|\.(png|jpe?g|gif|ico|pdf|zip|gz|woff2?|ttf)$/i;
+const ENV_FILE = /(^|\/)\.env(\.[\w-]+)?$/;
+const ENV_TEMPLATE = /\.(example|sample|template|dist|defaults?)$/;
+const MAX_SECRET_SCAN_FILES = 5000;
+const MAX_SECRET_SCAN_BYTES = 1024 * 1024;
+const MAX_REPORTED_SECRETS = 50;
+
+/**
+ * Scan a submission for committed secrets: its files, then the added lines of its git history
+ * 
+ * A secret deleted in a later commit is still readable by anyone with the
+ * repository, so history findings count like current ones. Only redacted
+ * values leave this function.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {number} historyDepth - Most recent commits to scan
+ * @returns {Promise<Object>} { passed, found, critical, high, moderate, low, history, findings, details }
+ */
+async function scanSecrets(projectPath, executor, historyDepth = 50) {
+  const found = new Map();
+  const record = (finding, key) => {
+    if (!found.has(key)) found.set(key, finding);
+  };
+  
+  for (const file of await listSecretScanFiles(projectPath)) {
+    const content = await fs.readFile(path.join(projectPath, file), 'utf8');
+    if (content.includes('\0')) continue;
     
-    // Check for delegatecall
-    if (content.includes('delegatecall')) {
-      issues.push(`${file}: Uses delegatecall (high risk)`);
+    const lines = content.split('\n');
+    lines.forEach((text, index) => {
+      for (const match of matchSecrets(text)) {
+        record({ ...match, file, line: index + 1 }, `${match.rule}:${file}:${match.value}`);
+      }
+    });
+    if (ENV_FILE.test(file) && !ENV_TEMPLATE.test(file) && lines.some(line => /^\s*(export\s+)?\w+\s*=\s*\S/.test(line))) {
+      record({ rule: 'env-file', label: '.env file', severity: 'low', file, line: 1 }, `env-file:${file}`);
     }
   }
   
+  const history = await scanSecretHistory(projectPath, executor, historyDepth);
+  const current = new Set([...found.values()].map(finding => `${finding.rule}:${finding.value}`));
+  const removed = new Map();
+  for (const finding of history.findings) {
+    const key = `${finding.rule}:${finding.value}`;
+    // git log lists newest first, so the last occurrence is the commit that added the secret
+    if (!current.has(key)) removed.set(key, finding);
+  }
+  
+  const findings = sortSecretFindings([...found.values(), ...removed.values()]).map(({ value, label, ...finding }) => ({
+    ...finding,
+    ...(value && { secret: redactSecret(value, finding.rule) }),
+    message: finding.commit
+      ? `${label} added in commit ${finding.commit.slice(0, 7)} and removed since, but still in the history`
+      : finding.rule === 'env-file' ? `${label} committed; keep it out of the repository and commit a .env.example instead` : `${label} committed`
+  }));
+  
+  const counts = { critical: 0, high: 0, moderate: 0, low: 0 };
+  for (const finding of findings) counts[finding.severity]++;
+  
+  const describe = (finding) => `${finding.file}:${finding.line} ${finding.severity} - ${finding.message}` +
+    (finding.secret ? ` (${finding.secret})` : '');
   return {
-    passed: issues.length === 0,
-    vulnerabilities: issues.length,
-    warnings: issues.length,
-    details: issues.length > 0 ? issues : 'No obvious security issues found'
+    passed: counts.critical === 0 && counts.high === 0,
+    found: findings.length,
+    ...counts,
+    history: history.scanned ? { commits: history.commits } : { commits: 0, details: history.details },
+    findings: findings.slice(0, MAX_REPORTED_SECRETS),
+    details: findings.length > 0 ? findings.slice(0, 5).map(describe) : 'No secrets found'
   };
 }
 
+/**
+ * List files to scan for secrets, relative to the project root
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string[]>} Relative paths
+ */
+async function listSecretScanFiles(projectPath) {
+  const candidates = await listProjectFiles(projectPath, {
+    include: file => !SECRET_SKIP_FILES.test(file),
+    limit: MAX_SECRET_SCAN_FILES
+  });
+  
+  const files = [];
+  for (const file of candidates) {
+    if ((await fs.stat(path.join(projectPath, file))).size <= MAX_SECRET_SCAN_BYTES) files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Scan the lines added by recent commits for secrets
+ * @param {string} projectPath - Project path, the repository root or a directory inside it
+ * @param {Object} executor - Command executor
+ * @param {number} historyDepth - Most recent commits to scan
+ * @returns {Promise<Object>} { scanned, commits, findings, details }
+ */
+async function scanSecretHistory(projectPath, executor, historyDepth) {
+  // --relative keeps the scan to the submission when it is a subdirectory of the repository
+  const run = await executor.run(`git log -n ${historyDepth} -p --relative --no-color --no-ext-diff --no-renames --unified=0 --format="commit %H" -- .`, {
+    cwd: projectPath,
+    timeout: 60000
+  });
+  if (run.code !== 0) {
+    const details = run.code === 127 ? 'git not available' : /not a git repository/i.test(run.stderr) ? 'Not a git repository' : `git log failed: ${run.stderr.trim().slice(-300)}`;
+    return { scanned: false, commits: 0, findings: [], details };
+  }
+  
+  const findings = [];
+  let commits = 0;
+  let commit = null;
+  let file = null;
+  let line = 0;
+  for (const text of run.stdout.split('\n')) {
+    if (text.startsWith('commit ')) {
+      commit = text.slice(7).trim();
+      commits++;
+    } else if (text.startsWith('+++ ')) {
+      file = text === '+++ /dev/null' ? null : text.slice(4).replace(/^b\//, '');
+    } else if (text.startsWith('@@')) {
+      line = parseInt(text.match(/\+(\d+)/)?.[1] || '0');
+    } else if (text.startsWith('+') && file && !SECRET_SKIP_FILES.test(file) && !isIgnoredPath(file)) {
+      for (const match of matchSecrets(text.slice(1))) {
+        findings.push({ ...match, file, line, commit });
+      }
+      line++;
+    }
+  }
+  
+  return { scanned: true, commits, findings };
+}
+
+/**
+ * Find secrets in one line of text
+ * @param {string} text - Line
+ * @returns {Object[]} Matches ({ rule, label, severity, value }), one per secret
+ */
+function matchSecrets(text) {
+  const matches = [];
+  const seen = new Set();
+  for (const rule of SECRET_RULES) {
+    const pattern = new RegExp(rule.pattern.source, `${rule.pattern.flags}g`);
+    for (const match of text.matchAll(pattern)) {
+      const value = match.groups.secret;
+      const bare = value.replace(/^0x/, '').toLowerCase();
+      // A value caught by a specific rule is not reported again as generic entropy
+      if (seen.has(bare) || PUBLIC_TEST_SECRETS.has(bare) || (rule.validate && !rule.validate(value))) continue;
+      seen.add(bare);
+      matches.push({ rule: rule.rule, label: rule.label, severity: rule.severity, value });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Redact a secret for reporting, keeping only a prefix that identifies its kind
+ * @param {string} value - Secret
+ * @param {string} ruleName - Rule that matched it
+ * @returns {string} Redacted value
+ */
+function redactSecret(value, ruleName) {
+  const rule = SECRET_RULES.find(candidate => candidate.rule === ruleName);
+  if (!rule || rule.redact === false) return value;
+  if (rule.redactAs) return rule.redactAs(value);
+  return `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 4, 16))}`;
+}
+
+/**
+ * Shannon entropy of a string
+ * @param {string} value - String
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(value) {
+  const frequencies = new Map();
+  for (const char of value) frequencies.set(char, (frequencies.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of frequencies.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Order secret findings by severity, then location
+ * @param {Object[]} findings - Findings
+ * @returns {Object[]} Sorted findings
+ */
+function sortSecretFindings(findings) {
+  const order = ['critical', 'high', 'moderate', 'low'];
+  return findings.sort((a, b) =>
+    order.indexOf(a.severity) - order.indexOf(b.severity) ||
+    Boolean(a.commit) - Boolean(b.commit) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line
+  );
+}
+
 module.exports = {
-  runSecurityCheck
+  runSecurityCheck,
+  scanSecrets
 };
@@ -0,0 +1,79 @@
+/**
+ * Similarity Check
+ * 
+ * Compares the submission's code fingerprints (see evaluators/similarity)
+ * with other submissions to the same bounty and with a reference corpus of
+ * existing projects, to catch forks and copied submissions.
+ */
+
+const { fingerprintCorpus, compareFingerprints, isCompatible } = require('../evaluators/similarity');
+
+// Closest projects reported
+const MAX_REPORTED_MATCHES = 10;
+
+/**
+ * Run similarity check
+ * @param {Object} fingerprints - Fingerprints of the submission
+ * @param {Object} options - Comparison options
+ * @param {Object[]} options.peers - Other submissions ({ id, label, fingerprints })
+ * @param {string} options.corpus - Reference corpus directory, one project per subdirectory
+ * @param {number} options.threshold - Highest similarity that passes (0-1)
+ * @returns {Promise<Object>} Similarity check result
+ */
+async function runSimilarityCheck(fingerprints, { peers = [], corpus = null, threshold }) {
+  const comparable = peers.filter(peer => isCompatible(peer.fingerprints));
+  const references = corpus ? await fingerprintCorpus(corpus) : [];
+  const sourceFiles = Object.keys(fingerprints.files).length;
+  
+  const matches = [
+    ...comparable.map(peer => ({ kind: 'submission', ...peer })),
+    ...references.map(reference => ({ kind: 'reference', ...reference }))
+  ]
+    .map(({ kind, id, label, fingerprints: other }) => ({ kind, id, label: label || `${kind} ${id}`, ...compareFingerprints(fingerprints, other) }))
+    .filter(match => match.matched > 0)
+    .sort((a, b) => b.similarity - a.similarity);
+  
+  const similarity = matches[0]?.similarity || 0;
+  const copied = matches.filter(match => match.similarity > threshold);
+  const compared = `${plural(comparable.length, 'other submission', 'other submissions')} and ${plural(references.length, 'reference project', 'reference projects')}`;
+  
+  return {
+    passed: copied.length === 0,
+    similarity,
+    threshold,
+    sourceFiles,
+    compared: { submissions: comparable.length, references: references.length },
+    ...(peers.length > comparable.length && { incompatible: peers.length - comparable.length }),
+    matches: matches.slice(0, MAX_REPORTED_MATCHES).map(({ matched, total, ...match }) => match),
+    details: sourceFiles === 0
+      ? `No source files to compare with ${compared}`
+      : copied.length > 0
+        ? `${percent(copied[0].similarity)} of the code matches ${copied[0].label}` +
+          (copied.length > 1 ? ` (and ${plural(copied.length - 1, 'other', 'others')} above ${percent(threshold)})` : '')
+        : `Highest similarity ${percent(similarity)}${matches[0] ? ` (${matches[0].label})` : ''} across ${compared}`
+  };
+}
+
+/**
+ * Format a count with its noun
+ * @param {number} count - Count
+ * @param {string} singular - Noun for one
+ * @param {string} pluralForm - Noun for many
+ * @returns {string} e.g. "2 other submissions"
+ */
+function plural(count, singular, pluralForm) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} ratio - 0-1
+ * @returns {string} e.g. "62%"
+ */
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+module.exports = {
+  runSimilarityCheck
+};
@@ -4,27 +4,65 @@
  * Runs test suites and reports results.
  */
 
-const { execSync } = require('child_process');
+const { createExecutor } = require('../executors');
 const fs = require('fs-extra');
 const path = require('path');
+const {
+  readIstanbulSummary,
+  readIstanbulCoverageMap,
+  readCoveragePyReport,
+  readGoCoverProfile,
+  parseForgeCoverageSummary,
+  readLlvmCovReport,
+  readTarpaulinReport
+} = require('./coverage');
+const {
+  parseJestReport,
+  parseMochaReport,
+  parseTap,
+  parseJUnitXml,
+  parseCargoJson,
+  parseGoTestJson,
+  parseUnittestOutput,
+  parseForgeTestJson,
+  summarizeCases
+} = require('./reporters');
+const { detectSolidityFrameworks } = require('../evaluators/code');
+
+// Reports written by instrumented runs; inside the submission so sandboxed commands can write them
+const ARTIFACT_DIR = '.clawjudge';
+
+// Virtual environment the install stage creates for Python projects
+const PYTHON_VENV = path.join(ARTIFACT_DIR, 'venv');
+
+const C8_BIN = require.resolve('c8/bin/c8.js');
 
 /**
  * Run test check
  * @param {string} projectPath - Path to project
  * @param {string} language - Project language
+ * @param {Object} options - Check options
+ * @param {Object} options.executor - Executor used to run commands (default: direct)
+ * @param {boolean} options.coverage - Instrument the run and attach a coverage artifact
  * @returns {Promise<Object>} Test check result
  */
-async function runTestCheck(projectPath, language) {
+async function runTestCheck(projectPath, language, options = {}) {
+  const executor = options.executor || createExecutor('direct');
+  const instrument = options.coverage === true;
+  
   try {
     switch (language) {
       case 'nodejs':
-        return await checkNodeTests(projectPath);
+      case 'typescript':
+        return await checkNodeTests(projectPath, executor, instrument);
       case 'python':
-        return await checkPythonTests(projectPath);
+        return await checkPythonTests(projectPath, executor, instrument);
       case 'solidity':
-        return await checkSolidityTests(projectPath);
+        return await checkSolidityTests(projectPath, executor, instrument);
       case 'rust':
-        return await checkRustTests(projectPath);
+        return await checkRustTests(projectPath, executor, instrument);
+      case 'go':
+        return await checkGoTests(projectPath, executor, instrument);
       default:
         return {
           passed: false,
@@ -46,9 +84,11 @@ async function runTestCheck(projectPath, language) {
 /**
  * Check Node.js tests
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
  * @returns {Promise<Object>} Check result
  */
-async function checkNodeTests(projectPath) {
+async function checkNodeTests(projectPath, executor, instrument) {
   const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
   const scripts = packageJson.scripts || {};
   
@@ -61,122 +101,402 @@ async function checkNodeTests(projectPath) {
     };
   }
   
-  // Detect test framework
   const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-  const hasJest = deps.jest;
-  const hasMocha = deps.mocha;
-  const hasVitest = deps.vitest;
+  const framework = detectNodeFramework(packageJson);
+  
+  const artifactDir = await prepareArtifactDir(projectPath, 'node-test');
+  const plan = planNodeTestRun(scripts.test, framework, deps, artifactDir, instrument);
+  
+  const run = await executor.run(plan.command, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  const output = run.stdout + run.stderr;
+  
+  // A machine-readable report gives per-test records; otherwise fall back to the console output
+  let result = null;
+  if (plan.report) {
+    const cases = await readTestReport(plan.report, run.stdout, projectPath);
+    if (cases) {
+      result = { ...summarizeCases(cases), cases };
+    }
+  }
+  if (!result) {
+    if (!output.trim()) {
+      return {
+        passed: false,
+        found: false,
+        error: 'Test execution failed',
+        details: run.timedOut ? 'Test run timed out' : `npm test exited with code ${run.code}`
+      };
+    }
+    result = parseTestOutput(output, run.code);
+  }
+  
+  result.framework = framework;
+  result.found = true;
+  if (run.code !== 0 && result.passed) {
+    result.passed = false;
+    result.details = `${result.details} (test command exited with code ${run.code})`;
+  }
+  
+  if (instrument) {
+    result.coverage = plan.coverageSummary
+      ? await readIstanbulSummary(plan.coverageSummary, plan.coverageTool)
+      : { available: false, reason: plan.coverageUnavailable };
+  }
+  
+  return result;
+}
+
+/**
+ * Detect the Node.js test framework
+ * @param {Object} packageJson - Parsed package.json
+ * @returns {string} jest, mocha, vitest, node:test or unknown
+ */
+function detectNodeFramework(packageJson) {
+  const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const testScript = packageJson.scripts?.test || '';
+  
+  if (deps.jest) return 'jest';
+  if (deps.mocha) return 'mocha';
+  if (deps.vitest) return 'vitest';
+  if (/^\s*node\s+(.*\s)?--test\b/.test(testScript)) return 'node:test';
+  return 'unknown';
+}
+
+/**
+ * Decide how to invoke the Node.js test suite
+ * 
+ * When the test script calls the runner directly, reporter flags are injected
+ * so results come back as a machine-readable report: jest --json, vitest's json
+ * reporter, mocha's JSON reporter, or TAP for node --test. Coverage comes from
+ * jest/vitest themselves, or from wrapping the run in c8.
+ * @param {string} testScript - The package.json test script
+ * @param {string} framework - Detected framework
+ * @param {Object} deps - All dependencies
+ * @param {string} artifactDir - Directory for reports
+ * @param {boolean} instrument - Collect coverage
+ * @returns {Object} { command, report, coverageSummary, coverageTool, coverageUnavailable }
+ */
+function planNodeTestRun(testScript, framework, deps, artifactDir, instrument) {
+  const coverageDir = path.join(artifactDir, 'coverage');
+  const coverageSummary = path.join(coverageDir, 'coverage-summary.json');
+  const invokesDirectly = (runner) => new RegExp(`^\\s*(npx\\s+)?${runner}\\b`).test(testScript);
+  
+  const plan = { command: 'npm test', report: null };
+  let selfInstrumented = false;
+  
+  if (framework === 'jest' && invokesDirectly('jest')) {
+    const reportPath = path.join(artifactDir, 'jest-results.json');
+    const args = ['--json', `--outputFile="${reportPath}"`];
+    if (instrument) {
+      args.push('--coverage', '--coverageReporters=json-summary', `--coverageDirectory="${coverageDir}"`);
+      Object.assign(plan, { coverageSummary, coverageTool: 'jest' });
+      selfInstrumented = true;
+    }
+    plan.command = `npm test -- ${args.join(' ')}`;
+    plan.report = { format: 'jest', path: reportPath };
+  } else if (framework === 'vitest' && invokesDirectly('vitest')) {
+    const reportPath = path.join(artifactDir, 'vitest-results.json');
+    const args = ['--reporter=json', `--outputFile="${reportPath}"`];
+    if (instrument) {
+      if (deps['@vitest/coverage-v8'] || deps['@vitest/coverage-istanbul']) {
+        args.push('--coverage.enabled', '--coverage.reporter=json-summary', `--coverage.reportsDirectory="${coverageDir}"`);
+        Object.assign(plan, { coverageSummary, coverageTool: 'vitest' });
+      } else {
+        plan.coverageUnavailable = 'vitest coverage provider (@vitest/coverage-v8) not installed';
+      }
+      selfInstrumented = true;
+    }
+    plan.command = `npm test -- ${args.join(' ')}`;
+    plan.report = { format: 'vitest', path: reportPath };
+  } else if (framework === 'mocha' && invokesDirectly('mocha')) {
+    const reportPath = path.join(artifactDir, 'mocha-results.json');
+    plan.command = `npm test -- --reporter json --reporter-option output="${reportPath}"`;
+    plan.report = { format: 'mocha', path: reportPath };
+  } else if (framework === 'node:test') {
+    // Flags appended after test file arguments would be read as files, so insert them after --test
+    const reportPath = path.join(artifactDir, 'node-test.tap');
+    plan.command = testScript.replace(
+      /--test\b/,
+      `--test --test-reporter=tap --test-reporter-destination="${reportPath}"`
+    );
+    plan.report = { format: 'tap', path: reportPath };
+  }
+  
+  if (instrument && !selfInstrumented) {
+    // c8 collects V8 coverage from every node process the test command spawns
+    plan.command = `node "${C8_BIN}" --reporter=json-summary --report-dir="${coverageDir}" ` +
+      `--temp-directory="${path.join(artifactDir, 'c8-tmp')}" ${plan.command}`;
+    Object.assign(plan, { coverageSummary, coverageTool: 'c8' });
+  }
   
+  return plan;
+}
+
+/**
+ * Read a test report written by an injected reporter
+ * @param {Object} report - { format, path }
+ * @param {string} stdout - Command stdout (mocha versions without reporter output support print JSON there)
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object[]|null>} Test cases, or null if no usable report was written
+ */
+async function readTestReport(report, stdout, projectPath) {
   try {
-    const output = execSync('npm test', {
-      cwd: projectPath,
-      timeout: 60000,
-      encoding: 'utf8'
-    });
-    
-    // Parse test results
-    const result = parseTestOutput(output, { hasJest, hasMocha, hasVitest });
-    result.framework = hasJest ? 'jest' : hasMocha ? 'mocha' : hasVitest ? 'vitest' : 'unknown';
-    result.found = true;
-    
-    return result;
-    
-  } catch (error) {
-    // Tests might fail but still give us output
-    if (error.stdout || error.message) {
-      const output = error.stdout || error.message;
-      const result = parseTestOutput(output, { hasJest, hasMocha, hasVitest });
-      result.framework = hasJest ? 'jest' : hasMocha ? 'mocha' : hasVitest ? 'vitest' : 'unknown';
-      result.found = true;
-      return result;
+    if (!await fs.pathExists(report.path)) {
+      if (report.format === 'mocha' && stdout.includes('{')) {
+        return parseMochaReport(JSON.parse(stdout.slice(stdout.indexOf('{'))), projectPath);
+      }
+      return null;
     }
     
-    return {
-      passed: false,
-      found: false,
-      error: 'Test execution failed',
-      details: error.message
-    };
+    switch (report.format) {
+      case 'jest':
+      case 'vitest':
+        return parseJestReport(await fs.readJson(report.path), projectPath);
+      case 'mocha':
+        return parseMochaReport(await fs.readJson(report.path), projectPath);
+      case 'tap':
+        return parseTap(await fs.readFile(report.path, 'utf8'), projectPath);
+      case 'junit':
+        return parseJUnitXml(await fs.readFile(report.path, 'utf8'), projectPath);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated or malformed report; fall back to console output
+    return null;
   }
 }
 
 /**
- * Parse test output for results
+ * Create an empty report directory inside the project
+ * @param {string} projectPath - Project path
+ * @param {string} subdir - Optional subdirectory, so other checks keep their reports
+ * @returns {Promise<string>} Artifact directory
+ */
+async function prepareArtifactDir(projectPath, subdir = '') {
+  const artifactDir = path.join(projectPath, ARTIFACT_DIR, subdir);
+  await fs.emptyDir(artifactDir);
+  return artifactDir;
+}
+
+/**
+ * Parse console test output when no structured report is available
  * @param {string} output - Test command output
- * @param {Object} frameworks - Detected frameworks
+ * @param {number} exitCode - Test command exit code
  * @returns {Object} Parsed results
  */
-function parseTestOutput(output, frameworks) {
-  // Jest format: "Tests: 10 passed, 2 failed, 12 total"
-  const jestMatch = output.match(/Tests?:\s*(\d+)\s*passed,?\s*(\d+)\s*failed,?\s*(\d+)\s*total/i);
-  if (jestMatch) {
-    const passing = parseInt(jestMatch[1]);
-    const failing = parseInt(jestMatch[2]);
-    const total = parseInt(jestMatch[3]);
-    return {
-      passed: failing === 0,
-      total,
-      passing,
-      failing,
-      details: `${passing}/${total} tests passing`
+function parseTestOutput(output, exitCode) {
+  // Jest format: "Tests: 2 failed, 1 skipped, 10 passed, 13 total"
+  const jestSummary = output.match(/^Tests:\s+(.*\d+ total)$/m);
+  if (jestSummary) {
+    const count = (label) => {
+      const match = jestSummary[1].match(new RegExp(`(\\d+) ${label}`));
+      return match ? parseInt(match[1]) : 0;
     };
+    const passing = count('passed');
+    const failing = count('failed');
+    const skipped = count('skipped') + count('todo');
+    return buildSummary(passing, failing, skipped);
   }
   
-  // Mocha format: "10 passing (2s)" or "8 passing (2s) 2 failing"
-  const mochaPassing = output.match(/(\d+)\s+passing/);
-  const mochaFailing = output.match(/(\d+)\s+failing/);
-  if (mochaPassing) {
-    const passing = parseInt(mochaPassing[1]);
-    const failing = mochaFailing ? parseInt(mochaFailing[1]) : 0;
-    const total = passing + failing;
-    return {
-      passed: failing === 0,
-      total,
-      passing,
-      failing,
-      details: `${passing}/${total} tests passing`
-    };
+  // node --test TAP summary: "# pass 10", "# fail 2", "# skipped 1"
+  const tapPass = output.match(/^# pass (\d+)$/m);
+  if (tapPass) {
+    const tapFail = output.match(/^# fail (\d+)$/m);
+    const tapSkipped = output.match(/^# skipped (\d+)$/m);
+    return buildSummary(
+      parseInt(tapPass[1]),
+      tapFail ? parseInt(tapFail[1]) : 0,
+      tapSkipped ? parseInt(tapSkipped[1]) : 0
+    );
   }
   
-  // Generic pass/fail detection
-  if (output.includes('pass')) {
-    return {
-      passed: !output.includes('fail'),
-      details: 'Tests executed (output parsing incomplete)',
-      raw: output.slice(0, 500)
-    };
+  // cargo test prints one "test result:" line per test binary and doctest run
+  const cargoResults = [...output.matchAll(/^test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored/gm)];
+  if (cargoResults.length > 0) {
+    const sum = (index) => cargoResults.reduce((total, match) => total + parseInt(match[index]), 0);
+    return buildSummary(sum(1), sum(2), sum(3));
   }
   
+  // Mocha format: "10 passing (2s)", "2 pending", "2 failing"
+  const mochaPassing = output.match(/^\s*(\d+) passing/m);
+  if (mochaPassing) {
+    const mochaFailing = output.match(/^\s*(\d+) failing/m);
+    const mochaPending = output.match(/^\s*(\d+) pending/m);
+    return buildSummary(
+      parseInt(mochaPassing[1]),
+      mochaFailing ? parseInt(mochaFailing[1]) : 0,
+      mochaPending ? parseInt(mochaPending[1]) : 0
+    );
+  }
+  
+  // Unknown runner: only the exit code is trustworthy
   return {
-    passed: false,
-    details: 'Could not parse test results',
+    passed: exitCode === 0,
+    details: `Tests executed, results not parseable (exit code ${exitCode})`,
     raw: output.slice(0, 500)
   };
 }
 
 /**
- * Check Python tests
+ * Build a test summary from counts
+ * @param {number} passing - Passing tests
+ * @param {number} failing - Failing tests
+ * @param {number} skipped - Skipped tests
+ * @returns {Object} Summary
+ */
+function buildSummary(passing, failing, skipped) {
+  const total = passing + failing;
+  return {
+    passed: failing === 0,
+    total,
+    passing,
+    failing,
+    skipped,
+    details: `${passing}/${total} tests passing${skipped > 0 ? `, ${skipped} skipped` : ''}`
+  };
+}
+
+/**
+ * Check Python tests with pytest or unittest, whichever the project uses
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
  * @returns {Promise<Object>} Check result
  */
-async function checkPythonTests(projectPath) {
-  // Check for pytest
-  try {
-    const output = execSync('python3 -m pytest -v', {
-      cwd: projectPath,
-      timeout: 60000,
-      encoding: 'utf8'
-    });
-    
+async function checkPythonTests(projectPath, executor, instrument) {
+  const framework = await detectPythonFramework(projectPath, executor);
+  return framework === 'pytest'
+    ? checkPytestTests(projectPath, executor, instrument)
+    : checkUnittestTests(projectPath, executor, instrument);
+}
+
+/**
+ * Detect the Python test framework
+ * 
+ * pytest when it is installed or configured (pytest.ini, conftest.py, or a
+ * pytest section in pyproject.toml, setup.cfg or tox.ini), unittest otherwise.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @returns {Promise<string>} pytest or unittest
+ */
+async function detectPythonFramework(projectPath, executor) {
+  const probe = await executor.run(`${pythonCommand(projectPath)} -c "import pytest"`, { cwd: projectPath, timeout: 15000 });
+  if (probe.code === 0) {
+    return 'pytest';
+  }
+  
+  if (await fs.pathExists(path.join(projectPath, 'pytest.ini')) || await fs.pathExists(path.join(projectPath, 'conftest.py'))) {
+    return 'pytest';
+  }
+  const sections = {
+    'pyproject.toml': '[tool.pytest.ini_options]',
+    'setup.cfg': '[tool:pytest]',
+    'tox.ini': '[pytest]'
+  };
+  for (const [file, section] of Object.entries(sections)) {
+    const configPath = path.join(projectPath, file);
+    if (await fs.pathExists(configPath) && (await fs.readFile(configPath, 'utf8')).includes(section)) {
+      return 'pytest';
+    }
+  }
+  
+  return 'unittest';
+}
+
+/**
+ * Python interpreter for a project: its virtual environment's once the install
+ * stage has created one, the system python3 otherwise
+ * @param {string} projectPath - Project path
+ * @returns {string} Interpreter, quoted for the shell
+ */
+function pythonCommand(projectPath) {
+  const venvPython = path.join(projectPath, PYTHON_VENV, 'bin', 'python');
+  return fs.pathExistsSync(venvPython) ? `"${venvPython}"` : 'python3';
+}
+
+/**
+ * site-packages directory of a project's virtual environment
+ * @param {string} projectPath - Project path
+ * @returns {string|null} Absolute path, or null before the install stage created one
+ */
+function pythonSitePackages(projectPath) {
+  const lib = path.join(projectPath, PYTHON_VENV, 'lib');
+  if (!fs.pathExistsSync(lib)) return null;
+  
+  const version = fs.readdirSync(lib).find(entry => /^python3/.test(entry));
+  const sitePackages = version && path.join(lib, version, 'site-packages');
+  return sitePackages && fs.pathExistsSync(sitePackages) ? sitePackages : null;
+}
+
+/**
+ * Check Python tests with pytest
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
+ * @returns {Promise<Object>} Check result
+ */
+async function checkPytestTests(projectPath, executor, instrument) {
+  const python = pythonCommand(projectPath);
+  const artifactDir = await prepareArtifactDir(projectPath, 'python-test');
+  const junitReport = path.join(artifactDir, 'pytest-junit.xml');
+  let command = `${python} -m pytest -v --junitxml="${junitReport}"`;
+  let coverageReport = null;
+  let coverageUnavailable = null;
+  
+  if (instrument) {
+    const probe = await executor.run(`${python} -c "import pytest_cov"`, { cwd: projectPath, timeout: 15000 });
+    if (probe.code === 0) {
+      coverageReport = path.join(artifactDir, 'coverage.json');
+      command += ` --cov=. --cov-report=json:"${coverageReport}"`;
+    } else {
+      coverageUnavailable = 'pytest-cov not installed';
+    }
+  }
+  
+  const run = await executor.run(command, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  const cases = await readTestReport({ format: 'junit', path: junitReport }, run.stdout, projectPath);
+  
+  let result;
+  if (cases && cases.length > 0) {
+    result = { ...summarizeCases(cases), found: true, framework: 'pytest', cases };
+    result.passed = result.passed && run.code === 0;
+  } else {
     // Parse pytest output
+    const output = run.stdout;
     const passedMatch = output.match(/(\d+) passed/);
     const failedMatch = output.match(/(\d+) failed/);
     
+    if (!passedMatch && !failedMatch) {
+      return {
+        passed: false,
+        found: false,
+        error: /No module named pytest/.test(run.stderr) ? 'pytest not installed' : 'pytest failed or not found',
+        details: run.stderr.trim().slice(-500) || `pytest exited with code ${run.code}`
+      };
+    }
+    
     const passing = passedMatch ? parseInt(passedMatch[1]) : 0;
     const failing = failedMatch ? parseInt(failedMatch[1]) : 0;
     
-    return {
-      passed: failing === 0,
+    result = {
+      passed: failing === 0 && run.code === 0,
       found: true,
       framework: 'pytest',
       total: passing + failing,
@@ -184,141 +504,428 @@ async function checkPythonTests(projectPath) {
       failing,
       details: `${passing}/${passing + failing} tests passing`
     };
-    
-  } catch (error) {
-    if (error.stdout) {
-      const output = error.stdout;
-      const passedMatch = output.match(/(\d+) passed/);
-      const failedMatch = output.match(/(\d+) failed/);
-      
-      if (passedMatch || failedMatch) {
-        const passing = passedMatch ? parseInt(passedMatch[1]) : 0;
-        const failing = failedMatch ? parseInt(failedMatch[1]) : 0;
-        return {
-          passed: failing === 0,
-          found: true,
-          framework: 'pytest',
-          total: passing + failing,
-          passing,
-          failing,
-          details: `${passing}/${passing + failing} tests passing`
-        };
-      }
+  }
+  
+  if (instrument) {
+    result.coverage = coverageReport
+      ? await readCoveragePyReport(coverageReport)
+      : { available: false, reason: coverageUnavailable };
+  }
+  
+  return result;
+}
+
+/**
+ * Check Python tests with unittest discovery
+ * 
+ * Coverage comes from coverage.py (`coverage run -m unittest`) when the
+ * project installs it.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
+ * @returns {Promise<Object>} Check result
+ */
+async function checkUnittestTests(projectPath, executor, instrument) {
+  const python = pythonCommand(projectPath);
+  const artifactDir = await prepareArtifactDir(projectPath, 'python-test');
+  const coverageData = path.join(artifactDir, '.coverage');
+  let command = `${python} -m unittest discover -v`;
+  let withCoverage = false;
+  
+  if (instrument) {
+    const probe = await executor.run(`${python} -c "import coverage"`, { cwd: projectPath, timeout: 15000 });
+    withCoverage = probe.code === 0;
+    if (withCoverage) {
+      command = `COVERAGE_FILE="${coverageData}" ${python} -m coverage run --omit="${ARTIFACT_DIR}/*" -m unittest discover -v`;
+    }
+  }
+  
+  const run = await executor.run(command, {
+    cwd: projectPath,
+    timeout: 120000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  // unittest reports on stderr
+  const cases = parseUnittestOutput(run.stderr);
+  if (cases.length === 0) {
+    if (/^Ran 0 tests/m.test(run.stderr)) {
+      return {
+        passed: false,
+        found: false,
+        details: 'No tests found by unittest discovery'
+      };
     }
-    
     return {
       passed: false,
       found: false,
-      error: 'pytest failed or not found',
-      details: error.message
+      error: 'unittest failed',
+      details: run.stderr.trim().slice(-500) || `unittest exited with code ${run.code}`
     };
   }
+  
+  const result = { ...summarizeCases(cases), found: true, framework: 'unittest', cases };
+  result.passed = result.passed && run.code === 0;
+  
+  if (instrument) {
+    if (withCoverage) {
+      const coverageReport = path.join(artifactDir, 'coverage.json');
+      await executor.run(`COVERAGE_FILE="${coverageData}" ${python} -m coverage json -o "${coverageReport}"`, {
+        cwd: projectPath,
+        timeout: 30000
+      });
+      result.coverage = await readCoveragePyReport(coverageReport, 'coverage.py');
+    } else {
+      result.coverage = { available: false, reason: 'coverage not installed' };
+    }
+  }
+  
+  return result;
 }
 
 /**
- * Check Solidity tests
+ * Check Solidity tests with Hardhat, Foundry, or both in a mixed repository
+ * 
+ * Mixed repositories report the combined counts. Coverage comes from Hardhat
+ * when solidity-coverage is installed, from `forge coverage` otherwise.
  * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage
  * @returns {Promise<Object>} Check result
  */
-async function checkSolidityTests(projectPath) {
-  const hardhatConfigPath = path.join(projectPath, 'hardhat.config.js');
+async function checkSolidityTests(projectPath, executor, instrument) {
+  const frameworks = detectSolidityFrameworks(projectPath);
   
-  if (!await fs.pathExists(hardhatConfigPath)) {
+  if (frameworks.length === 0) {
     return {
       passed: false,
       found: false,
-      details: 'Hardhat not found, cannot run Solidity tests'
+      details: 'No Hardhat or Foundry config found, cannot run Solidity tests'
     };
   }
   
-  try {
-    const output = execSync('npx hardhat test', {
-      cwd: projectPath,
-      timeout: 120000,
-      encoding: 'utf8'
-    });
-    
-    // Parse Hardhat test output
-    const passingMatch = output.match(/(\d+) passing/);
-    
-    if (passingMatch) {
-      const passing = parseInt(passingMatch[1]);
-      return {
-        passed: !output.includes('failing'),
-        found: true,
-        framework: 'hardhat',
-        total: passing,
-        passing,
-        failing: output.match(/(\d+) failing/) ? parseInt(output.match(/(\d+) failing/)[1]) : 0,
-        details: `${passing} tests passing`
-      };
-    }
-    
-    return {
-      passed: !output.includes('Error'),
+  const hardhat = frameworks.includes('hardhat') ? await checkHardhatTests(projectPath, executor, instrument) : null;
+  const foundry = frameworks.includes('foundry')
+    ? await checkFoundryTests(projectPath, executor, instrument && !hardhat?.coverage?.available)
+    : null;
+  if (!hardhat || !foundry) {
+    return hardhat || foundry;
+  }
+  
+  const runs = [hardhat, foundry];
+  const failed = runs.find(run => run.error);
+  const total = runs.reduce((sum, run) => sum + (run.total || 0), 0);
+  const passing = runs.reduce((sum, run) => sum + (run.passing || 0), 0);
+  const result = {
+    passed: hardhat.passed && foundry.passed,
+    found: hardhat.found || foundry.found,
+    ...(failed && { error: failed.error }),
+    framework: 'hardhat+foundry',
+    total,
+    passing,
+    failing: runs.reduce((sum, run) => sum + (run.failing || 0), 0),
+    skipped: runs.reduce((sum, run) => sum + (run.skipped || 0), 0),
+    details: `${passing}/${total} tests passing (Hardhat: ${hardhat.details}; Foundry: ${foundry.details})`,
+    cases: foundry.cases || [],
+    gas: foundry.gas || []
+  };
+  if (instrument) {
+    result.coverage = hardhat.coverage.available ? hardhat.coverage : foundry.coverage;
+  }
+  
+  return result;
+}
+
+/**
+ * Check Solidity tests with Hardhat
+ * 
+ * With instrumentation and solidity-coverage installed, `hardhat coverage`
+ * runs the suite once and yields both the mocha results and coverage.json.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
+ * @returns {Promise<Object>} Check result
+ */
+async function checkHardhatTests(projectPath, executor, instrument) {
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  const packageJson = await fs.pathExists(packageJsonPath) ? await fs.readJson(packageJsonPath) : {};
+  const hasCoveragePlugin = packageJson.devDependencies?.['solidity-coverage'] ||
+                            packageJson.dependencies?.['solidity-coverage'];
+  const withCoverage = instrument && hasCoveragePlugin;
+  
+  const run = await executor.run(withCoverage ? 'npx hardhat coverage' : 'npx hardhat test', {
+    cwd: projectPath,
+    timeout: 180000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  // Parse Hardhat (mocha) test output
+  const output = run.stdout;
+  const passingMatch = output.match(/(\d+) passing/);
+  const failingMatch = output.match(/(\d+) failing/);
+  
+  let result;
+  if (passingMatch || failingMatch) {
+    const passing = passingMatch ? parseInt(passingMatch[1]) : 0;
+    const failing = failingMatch ? parseInt(failingMatch[1]) : 0;
+    result = {
+      passed: failing === 0,
+      found: true,
+      framework: 'hardhat',
+      total: passing + failing,
+      passing,
+      failing,
+      details: `${passing}/${passing + failing} tests passing`
+    };
+  } else if (run.code === 0) {
+    result = {
+      passed: true,
       found: true,
       details: 'Tests executed'
     };
-    
-  } catch (error) {
+  } else {
     return {
       passed: false,
       found: true,
       error: 'Hardhat test failed',
-      details: error.message
+      details: (run.stderr || run.stdout).trim().slice(-500),
+      ...(instrument && { coverage: { available: false, reason: 'Hardhat test failed' } })
     };
   }
+  
+  if (instrument) {
+    result.coverage = withCoverage
+      ? await readIstanbulCoverageMap(path.join(projectPath, 'coverage.json'), 'solidity-coverage')
+      : { available: false, reason: 'solidity-coverage plugin not installed' };
+  }
+  
+  return result;
 }
 
 /**
- * Check Rust tests
+ * Check Solidity tests with Foundry
+ * 
+ * `forge test --json` gives per-test results and gas. Coverage needs a second
+ * pass with `forge coverage`, which recompiles without the optimizer.
  * @param {string} projectPath - Project path
- * @returns {Promise<Object>} Check result
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage
+ * @returns {Promise<Object>} Check result; gas lists each test's gas
  */
-async function checkRustTests(projectPath) {
-  try {
-    const output = execSync('cargo test', {
-      cwd: projectPath,
-      timeout: 120000,
-      encoding: 'utf8'
-    });
-    
-    // Parse cargo test output
-    const testMatch = output.match(/test result: (ok|FAILED)\. (\d+) passed; (\d+) failed/);
-    
-    if (testMatch) {
-      const passed = testMatch[1] === 'ok';
-      const total = parseInt(testMatch[2]) + parseInt(testMatch[3]);
-      const passing = parseInt(testMatch[2]);
-      const failing = parseInt(testMatch[3]);
-      
+async function checkFoundryTests(projectPath, executor, instrument) {
+  const run = await executor.run('forge test --json', {
+    cwd: projectPath,
+    timeout: 180000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  const cases = parseForgeTestJson(run.stdout);
+  if (cases.length === 0) {
+    if (/No tests (found|to run)/.test(run.stdout + run.stderr)) {
       return {
-        passed,
-        found: true,
-        framework: 'cargo',
-        total,
-        passing,
-        failing,
-        details: `${passing}/${total} tests passing`
+        passed: false,
+        found: false,
+        framework: 'foundry',
+        details: 'No Foundry tests found'
       };
     }
-    
     return {
-      passed: !output.includes('FAILED'),
+      passed: false,
+      found: true,
+      error: 'forge test failed',
+      details: (run.stderr || run.stdout).trim().slice(-500) || `forge test exited with code ${run.code}`,
+      ...(instrument && { coverage: { available: false, reason: 'forge test failed' } })
+    };
+  }
+  
+  const result = {
+    ...summarizeCases(cases),
+    found: true,
+    framework: 'foundry',
+    cases,
+    gas: cases.filter(c => c.gas !== null).map(c => ({ name: c.name, gas: c.gas }))
+  };
+  result.passed = result.passed && run.code === 0;
+  
+  if (instrument) {
+    const coverageRun = await executor.run('forge coverage --report summary', {
+      cwd: projectPath,
+      timeout: 300000
+    });
+    if (coverageRun.aborted) {
+      throw new Error('Test run cancelled');
+    }
+    result.coverage = parseForgeCoverageSummary(coverageRun.stdout);
+    if (!result.coverage.available && coverageRun.code !== 0) {
+      result.coverage.reason = `forge coverage failed: ${(coverageRun.stderr || coverageRun.stdout).trim().slice(-300)}`;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Check Rust tests across the workspace
+ * 
+ * With instrumentation, cargo-llvm-cov (or tarpaulin when that is what is
+ * installed) runs the suite and writes its coverage report.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
+ * @returns {Promise<Object>} Check result
+ */
+async function checkRustTests(projectPath, executor, instrument) {
+  const artifactDir = await prepareArtifactDir(projectPath, 'rust-test');
+  const llvmCovReport = path.join(artifactDir, 'llvm-cov.json');
+  
+  // cargo-llvm-cov and tarpaulin both wrap the test run, so coverage comes from the same execution
+  let coverageTool = null;
+  if (instrument) {
+    for (const tool of ['llvm-cov', 'tarpaulin']) {
+      const probe = await executor.run(`cargo ${tool} --version`, { cwd: projectPath, timeout: 15000 });
+      if (probe.code === 0) {
+        coverageTool = tool;
+        break;
+      }
+    }
+  }
+  const runners = {
+    'llvm-cov': `cargo llvm-cov --workspace --no-fail-fast --json --summary-only --output-path "${llvmCovReport}"`,
+    tarpaulin: `cargo tarpaulin --workspace --no-fail-fast --out Json --output-dir "${artifactDir}"`
+  };
+  const runner = runners[coverageTool] || 'cargo test --workspace --no-fail-fast';
+  
+  // libtest's JSON output is unstable; RUSTC_BOOTSTRAP unlocks it on stable toolchains
+  const run = await executor.run(`RUSTC_BOOTSTRAP=1 ${runner} -- -Z unstable-options --format json --report-time`, {
+    cwd: projectPath,
+    timeout: coverageTool ? 300000 : 180000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  let result;
+  const cases = parseCargoJson(run.stdout);
+  if (cases.length > 0) {
+    result = { ...summarizeCases(cases), found: true, framework: 'cargo', cases };
+    result.passed = result.passed && run.code === 0;
+  } else if (/^test result: /m.test(run.stdout)) {
+    // Plain libtest output, summed across every crate and test binary
+    result = { ...parseTestOutput(run.stdout, run.code), found: true, framework: 'cargo' };
+    result.passed = result.passed && run.code === 0;
+  } else if (run.code === 0) {
+    result = {
+      passed: true,
       found: true,
       details: 'Tests executed'
     };
-    
-  } catch (error) {
+  } else {
     return {
       passed: false,
       found: true,
       error: 'Cargo test failed',
-      details: error.message
+      details: run.stderr.trim().slice(-500)
+    };
+  }
+  
+  if (instrument) {
+    if (coverageTool === 'llvm-cov') {
+      result.coverage = await readLlvmCovReport(llvmCovReport);
+    } else if (coverageTool === 'tarpaulin') {
+      result.coverage = await readTarpaulinReport(path.join(artifactDir, 'tarpaulin-report.json'));
+    } else {
+      result.coverage = { available: false, reason: 'cargo-llvm-cov or cargo-tarpaulin not installed' };
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Check Go tests
+ * 
+ * With instrumentation every package is instrumented (`-coverpkg=./...`), so
+ * packages without tests count as uncovered.
+ * @param {string} projectPath - Project path
+ * @param {Object} executor - Command executor
+ * @param {boolean} instrument - Collect coverage in the same run
+ * @returns {Promise<Object>} Check result
+ */
+async function checkGoTests(projectPath, executor, instrument) {
+  const artifactDir = await prepareArtifactDir(projectPath, 'go-test');
+  const profilePath = path.join(artifactDir, 'coverage.out');
+  const coverFlags = instrument ? `-covermode=set -coverpkg=./... -coverprofile="${profilePath}" ` : '';
+  
+  const run = await executor.run(`${goEnv(projectPath)} go test -json ${coverFlags}./...`, {
+    cwd: projectPath,
+    timeout: 180000
+  });
+  
+  if (run.aborted) {
+    throw new Error('Test run cancelled');
+  }
+  
+  const cases = parseGoTestJson(run.stdout);
+  if (cases.length === 0) {
+    if (run.code === 0) {
+      return {
+        passed: false,
+        found: false,
+        details: 'No Go tests found'
+      };
+    }
+    // Build failures of test packages are reported outside the JSON stream
+    return {
+      passed: false,
+      found: true,
+      error: 'go test failed',
+      details: (run.stderr || run.stdout).trim().slice(-500) || `go test exited with code ${run.code}`
     };
   }
+  
+  const result = { ...summarizeCases(cases), found: true, framework: 'go test', cases };
+  result.passed = result.passed && run.code === 0;
+  
+  if (instrument) {
+    result.coverage = await readGoCoverProfile(profilePath);
+  }
+  
+  return result;
+}
+
+/**
+ * Environment for go commands: the module and build caches live in the
+ * submission's report directory, so they outlive each sandboxed command and
+ * are removed with the submission
+ * @param {string} projectPath - Project path
+ * @returns {string} Shell variable assignments to prefix go commands with
+ */
+function goEnv(projectPath) {
+  const cacheDir = path.join(projectPath, ARTIFACT_DIR, 'go-cache');
+  // -modcacherw keeps the module cache deletable
+  return `GOMODCACHE="${cacheDir}/mod" GOCACHE="${cacheDir}/build" GOFLAGS=-modcacherw`;
 }
 
 module.exports = {
-  runTestCheck
+  runTestCheck,
+  goEnv,
+  pythonCommand,
+  pythonSitePackages,
+  detectPythonFramework,
+  ARTIFACT_DIR,
+  PYTHON_VENV,
+  detectNodeFramework,
+  readTestReport,
+  prepareArtifactDir,
+  parseTestOutput
 };
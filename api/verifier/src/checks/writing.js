@@ -0,0 +1,262 @@
+/**
+ * Content Checks
+ * 
+ * Checks for content bounties, over the loaded documents of the submission
+ * (see evaluators/writing): whether the deliverables are there and readable,
+ * their length and structure, their links, readability and spelling, and
+ * whether they are copied from the local corpus.
+ */
+
+const { measureReadability, findMisspellings, checkLinks, compareWithCorpus } = require('../evaluators/writing');
+
+// Issues reported per check
+const MAX_REPORTED_ISSUES = 50;
+
+/**
+ * Run documents check: the spec selects at least one readable document
+ * 
+ * Passes when at least one document is readable, so the other checks can
+ * run; unreadable documents are counted for the verdict.
+ * @param {Object[]} documents - Loaded documents
+ * @returns {Object} Documents check result
+ */
+function runDocumentsCheck(documents) {
+  const files = documents.map(document => ({
+    file: document.file,
+    words: document.words,
+    ...(document.error && { error: document.error })
+  }));
+  const unreadable = files.filter(file => file.error);
+  const readable = files.length - unreadable.length;
+  
+  if (files.length === 0) {
+    return { passed: false, files, readable: 0, unreadable: 0, words: 0, details: 'No documents found' };
+  }
+  
+  const words = files.reduce((sum, file) => sum + file.words, 0);
+  return {
+    passed: readable > 0,
+    files,
+    readable,
+    unreadable: unreadable.length,
+    words,
+    details: unreadable.length === 0
+      ? `${files.length} ${files.length === 1 ? 'document' : 'documents'}, ${words} words`
+      : `${unreadable.length} of ${files.length} documents unreadable: ${unreadable.map(file => `${file.file} (${file.error})`).join(', ')}`
+  };
+}
+
+/**
+ * Run length check: each document's word count is within the spec's range
+ * @param {Object[]} documents - Loaded documents
+ * @param {Object} spec - Normalized content spec (words)
+ * @returns {Object} Length check result; measured is false without a range
+ */
+function runLengthCheck(documents, spec) {
+  const readable = documents.filter(document => !document.error);
+  if (!spec.words) {
+    const words = readable.reduce((sum, document) => sum + document.words, 0);
+    return { passed: true, measured: false, words, details: `${words} words (no length required)` };
+  }
+  
+  const { min, max } = spec.words;
+  const files = readable.map(document => ({
+    file: document.file,
+    words: document.words,
+    inRange: (min === null || document.words >= min) && (max === null || document.words <= max)
+  }));
+  const outOfRange = files.filter(file => !file.inRange);
+  
+  return {
+    passed: outOfRange.length === 0,
+    measured: true,
+    min,
+    max,
+    files,
+    outOfRange: outOfRange.length,
+    details: outOfRange.length === 0
+      ? `${files.length === 1 ? `${files[0].file} has` : `All ${files.length} documents have`} ${range(min, max)}`
+      : `${outOfRange.map(file => `${file.file} has ${file.words} words`).join(', ')}; expected ${range(min, max)}`
+  };
+}
+
+/**
+ * Run structure check: every required section is a heading of some document
+ * 
+ * Headings match ignoring case, punctuation and spacing, at any level.
+ * @param {Object[]} documents - Loaded documents
+ * @param {Object} spec - Normalized content spec (sections)
+ * @returns {Object} Structure check result
+ */
+function runStructureCheck(documents, spec) {
+  const headings = documents
+    .filter(document => !document.error)
+    .flatMap(document => (document.headings || []).map(heading => ({ ...heading, file: document.file })));
+  
+  const sections = spec.sections.map(section => {
+    const heading = headings.find(candidate => normalizeHeading(candidate.text) === normalizeHeading(section));
+    return heading
+      ? { section, found: true, location: `${heading.file}:${heading.line}` }
+      : { section, found: false };
+  });
+  const missing = sections.filter(section => !section.found);
+  
+  return {
+    passed: missing.length === 0,
+    required: sections.length,
+    found: sections.length - missing.length,
+    sections,
+    details: missing.length === 0
+      ? `All ${sections.length} required ${sections.length === 1 ? 'section' : 'sections'} present`
+      : `Missing ${missing.length === 1 ? 'section' : 'sections'}: ${missing.map(section => section.section).join(', ')}`
+  };
+}
+
+/**
+ * Run links check: relative links resolve to files and anchors in the submission
+ * @param {string} projectPath - Submission root
+ * @param {Object[]} documents - Loaded documents
+ * @returns {Promise<Object>} Links check result
+ */
+async function runLinksCheck(projectPath, documents) {
+  const { checked, external, broken } = await checkLinks(projectPath, documents);
+  const externalNote = external > 0 ? ` (${external} external not checked)` : '';
+  
+  return {
+    passed: broken.length === 0,
+    checked,
+    external,
+    broken: broken.length,
+    issues: broken.slice(0, MAX_REPORTED_ISSUES),
+    ...(broken.length > MAX_REPORTED_ISSUES && { issuesOmitted: broken.length - MAX_REPORTED_ISSUES }),
+    details: broken.length === 0
+      ? `${checked} relative ${checked === 1 ? 'link resolves' : 'links resolve'}${externalNote}`
+      : `${broken.length} of ${checked} relative links broken${externalNote}`
+  };
+}
+
+/**
+ * Run readability check: Flesch reading ease and Flesch-Kincaid grade of the prose
+ * @param {Object[]} documents - Loaded documents
+ * @param {Object} spec - Normalized content spec (readability)
+ * @returns {Object} Readability check result; thresholds are null when the spec sets none
+ */
+function runReadabilityCheck(documents, spec) {
+  const measured = measureReadability(documents);
+  if (!measured) {
+    return { passed: true, measured: false, details: 'No prose to measure' };
+  }
+  
+  const { min_reading_ease: minReadingEase = null, max_grade: maxGrade = null } = spec.readability || {};
+  const problems = [
+    minReadingEase !== null && measured.readingEase < minReadingEase && `reading ease ${measured.readingEase} below ${minReadingEase}`,
+    maxGrade !== null && measured.grade > maxGrade && `grade level ${measured.grade} above ${maxGrade}`
+  ].filter(Boolean);
+  
+  return {
+    passed: problems.length === 0,
+    measured: true,
+    readingEase: measured.readingEase,
+    grade: measured.grade,
+    minReadingEase,
+    maxGrade,
+    sentences: measured.sentences,
+    details: problems.length > 0
+      ? problems.join('; ')
+      : `Reading ease ${measured.readingEase}, grade level ${measured.grade}`
+  };
+}
+
+/**
+ * Run spelling check: no more common misspellings than the spec allows
+ * @param {Object[]} documents - Loaded documents
+ * @param {Object} spec - Normalized content spec (spelling)
+ * @returns {Object} Spelling check result
+ */
+function runSpellingCheck(documents, spec) {
+  const { words, issues } = findMisspellings(documents, spec.spelling.ignore);
+  const allowed = spec.spelling.max_misspellings;
+  
+  return {
+    passed: issues.length <= allowed,
+    words,
+    misspellings: issues.length,
+    allowed,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+    ...(issues.length > MAX_REPORTED_ISSUES && { issuesOmitted: issues.length - MAX_REPORTED_ISSUES }),
+    details: issues.length === 0
+      ? `No misspellings in ${words} words`
+      : `${issues.length} ${issues.length === 1 ? 'misspelling' : 'misspellings'}` +
+        `${allowed > 0 ? ` (${allowed} allowed)` : ''}: ` +
+        issues.slice(0, 5).map(issue => `${issue.word} -> ${issue.suggestion}`).join(', ') +
+        (issues.length > 5 ? ', ...' : '')
+  };
+}
+
+/**
+ * Run originality check: no document is mostly found in one corpus document
+ * @param {Object[]} documents - Loaded documents
+ * @param {string} corpus - Corpus directory
+ * @param {Object} spec - Normalized content spec (max_similarity)
+ * @returns {Promise<Object>} Originality check result; similarity is the highest of any document
+ */
+async function runOriginalityCheck(documents, corpus, spec) {
+  const comparison = await compareWithCorpus(documents, corpus);
+  const files = comparison.documents.filter(document => document.source);
+  const duplicates = files.filter(document => document.similarity > spec.max_similarity);
+  const similarity = Math.max(0, ...files.map(document => document.similarity));
+  const closest = files.find(document => document.similarity === similarity);
+  
+  return {
+    passed: duplicates.length === 0,
+    corpusFiles: comparison.corpusFiles,
+    similarity,
+    maxSimilarity: spec.max_similarity,
+    files,
+    duplicates: duplicates.length,
+    details: duplicates.length > 0
+      ? `Near-duplicate of the corpus: ${duplicates.map(document => `${document.file} (${percent(document.similarity)} of ${document.source})`).join(', ')}`
+      : closest
+        ? `Highest similarity ${percent(similarity)} (${closest.file} to ${closest.source}) across ${comparison.corpusFiles} corpus documents`
+        : `No overlap with ${comparison.corpusFiles} corpus documents`
+  };
+}
+
+/**
+ * Heading text compared ignoring case, punctuation and spacing
+ * @param {string} text - Heading
+ * @returns {string} Normalized heading
+ */
+function normalizeHeading(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Describe a word count range
+ * @param {number|null} min - Minimum words
+ * @param {number|null} max - Maximum words
+ * @returns {string} e.g. "800-1500 words"
+ */
+function range(min, max) {
+  if (min !== null && max !== null) return `${min}-${max} words`;
+  return min !== null ? `at least ${min} words` : `at most ${max} words`;
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} ratio - 0-1
+ * @returns {string} e.g. "62%"
+ */
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+module.exports = {
+  runDocumentsCheck,
+  runLengthCheck,
+  runStructureCheck,
+  runLinksCheck,
+  runReadabilityCheck,
+  runSpellingCheck,
+  runOriginalityCheck
+};
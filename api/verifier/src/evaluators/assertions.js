@@ -0,0 +1,335 @@
+/**
+ * Requirement Assertions
+ * 
+ * Typed, machine-checkable requirements. Each assertion type declares its
+ * parameters (validated when a spec is loaded) and a check that decides it
+ * deterministically from the submission, its evidence index and the check
+ * results, so assertions always report confidence 1.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'ALL'];
+const DEFAULT_COMMAND_TIMEOUT = 60;
+const MAX_COMMAND_TIMEOUT = 300;
+const MAX_OUTPUT = 300;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Assertion types
+ * 
+ * params maps each parameter to its type; a leading ? marks it optional.
+ * validate(spec) throws on values the type cannot use; label(spec) names the
+ * requirement when it has no description.
+ */
+const ASSERTIONS = {
+  file_exists: {
+    params: { path: 'path' },
+    label: spec => `file_exists: ${spec.path}`,
+    check: checkFileExists
+  },
+  exports_function: {
+    params: { name: 'string', file: '?path' },
+    label: spec => `exports_function: ${spec.name}${spec.file ? ` in ${spec.file}` : ''}`,
+    check: checkExportsFunction
+  },
+  http_route: {
+    params: { path: 'string', method: '?string' },
+    validate: spec => {
+      if (spec.method && !HTTP_METHODS.includes(spec.method.toUpperCase())) {
+        throw new Error(`method must be one of: ${HTTP_METHODS.join(', ')}`);
+      }
+    },
+    label: spec => `http_route: ${spec.method ? `${spec.method.toUpperCase()} ` : ''}${spec.path}`,
+    check: checkHttpRoute
+  },
+  test_name_matches: {
+    params: { pattern: 'string', min: '?number', status: '?string' },
+    validate: spec => {
+      new RegExp(spec.pattern);
+      if (spec.status && !['passed', 'any'].includes(spec.status)) {
+        throw new Error('status must be passed or any');
+      }
+    },
+    label: spec => `test_name_matches: /${spec.pattern}/`,
+    check: checkTestNameMatches
+  },
+  coverage_min: {
+    params: { percentage: 'number' },
+    validate: spec => {
+      if (spec.percentage < 0 || spec.percentage > 100) {
+        throw new Error('percentage must be between 0 and 100');
+      }
+    },
+    label: spec => `coverage_min: ${spec.percentage}%`,
+    check: checkCoverageMin
+  },
+  command_succeeds: {
+    params: { command: 'string', timeout: '?number' },
+    validate: spec => {
+      if (spec.timeout !== undefined && !(spec.timeout > 0 && spec.timeout <= MAX_COMMAND_TIMEOUT)) {
+        throw new Error(`timeout must be more than 0 and at most ${MAX_COMMAND_TIMEOUT} seconds`);
+      }
+    },
+    label: spec => `command_succeeds: ${spec.command}`,
+    check: checkCommandSucceeds
+  },
+  json_schema: {
+    params: { file: 'path', schema: 'object' },
+    validate: spec => {
+      try {
+        ajv.compile(spec.schema);
+      } catch (error) {
+        throw new Error(`invalid schema: ${error.message}`);
+      }
+    },
+    label: spec => `json_schema: ${spec.file}`,
+    check: checkJsonSchema
+  }
+};
+
+/**
+ * Check an assertion against a submission
+ * @param {Object} spec - Normalized assertion ({ type, ...params })
+ * @param {Object} context - { projectPath, projectInfo, results, executor }
+ * @returns {Promise<Object>} { met, confidence, evidence, rationale }
+ */
+async function checkAssertion(spec, context) {
+  try {
+    const result = await ASSERTIONS[spec.type].check(spec, context);
+    return { confidence: 1, evidence: [], ...result };
+  } catch (error) {
+    return { met: false, confidence: 1, evidence: [], rationale: `Could not check: ${error.message}` };
+  }
+}
+
+/**
+ * file_exists: a file or directory at a path relative to the submission root
+ * @param {Object} spec - { path }
+ * @param {Object} context - Check context
+ * @returns {Promise<Object>} Match
+ */
+async function checkFileExists(spec, { projectPath }) {
+  const target = path.join(projectPath, spec.path);
+  if (!await fs.pathExists(target)) {
+    return { met: false, rationale: `${spec.path} does not exist` };
+  }
+  const isDirectory = (await fs.stat(target)).isDirectory();
+  return {
+    met: true,
+    evidence: [isDirectory ? spec.path : `${spec.path}:1`],
+    rationale: `${spec.path} exists${isDirectory ? ' (directory)' : ''}`
+  };
+}
+
+/**
+ * exports_function: a module exports the named function
+ * @param {Object} spec - { name, file }
+ * @param {Object} context - Check context
+ * @returns {Object} Match
+ */
+function checkExportsFunction(spec, { projectInfo }) {
+  const exports = projectInfo.index.exports
+    .filter(entry => entry.name === spec.name && (!spec.file || entry.file === spec.file));
+  
+  if (exports.length === 0) {
+    return { met: false, rationale: `No module${spec.file ? ` ${spec.file}` : ''} exports ${spec.name}` };
+  }
+  return {
+    met: true,
+    evidence: exports.slice(0, 5).map(entry => `${entry.file}:${entry.line}`),
+    rationale: `${spec.name} is exported from ${[...new Set(exports.map(entry => entry.file))].join(', ')}`
+  };
+}
+
+/**
+ * http_route: a route with this path (and method) is registered
+ * 
+ * Parameter segments compare equal whatever their syntax: /users/:id,
+ * /users/{id} and /users/<int:id> are the same route.
+ * @param {Object} spec - { path, method }
+ * @param {Object} context - Check context
+ * @returns {Object} Match
+ */
+function checkHttpRoute(spec, { projectInfo }) {
+  const method = spec.method?.toUpperCase();
+  const wanted = normalizeRoute(spec.path);
+  const routes = projectInfo.index.routes.filter(route =>
+    normalizeRoute(route.path) === wanted &&
+    (!method || method === 'ALL' || route.method === method || route.method === 'ALL')
+  );
+  
+  const label = `${method ? `${method} ` : ''}${spec.path}`;
+  if (routes.length === 0) {
+    return { met: false, rationale: `No route for ${label}` };
+  }
+  return {
+    met: true,
+    evidence: routes.slice(0, 5).map(route => `${route.file}:${route.line}`),
+    rationale: `${label} is routed in ${routes[0].file}`
+  };
+}
+
+/**
+ * test_name_matches: at least `min` tests (default 1) whose name matches the
+ * pattern (case-insensitive), passing unless status is "any"
+ * 
+ * Uses the executed test cases; without per-test results only status "any"
+ * can be checked, against the test names found in the source.
+ * @param {Object} spec - { pattern, min, status }
+ * @param {Object} context - Check context
+ * @returns {Object} Match
+ */
+function checkTestNameMatches(spec, { projectInfo, results }) {
+  const pattern = new RegExp(spec.pattern, 'i');
+  const min = spec.min ?? 1;
+  const status = spec.status || 'passed';
+  const cases = results.tests?.cases;
+  
+  if (!cases?.length) {
+    if (status !== 'any') {
+      return { met: false, rationale: 'No per-test results to check test names against' };
+    }
+    const found = projectInfo.index.tests.filter(test => pattern.test(test.name));
+    return {
+      met: found.length >= min,
+      evidence: found.slice(0, 5).map(test => `${test.file}:${test.line}`),
+      rationale: `${found.length} test${found.length === 1 ? '' : 's'} in the source match /${spec.pattern}/ (need ${min})`
+    };
+  }
+  
+  const matching = cases.filter(testCase => pattern.test(testCase.name));
+  const counted = status === 'any' ? matching : matching.filter(testCase => testCase.status === 'passed');
+  const failing = matching.filter(testCase => testCase.status === 'failed');
+  
+  return {
+    met: counted.length >= min,
+    evidence: [...new Set(counted.filter(testCase => testCase.file).map(testCase => testLocation(testCase, projectInfo.index)))].slice(0, 5),
+    rationale: `${counted.length} ${status === 'any' ? '' : 'passing '}test${counted.length === 1 ? '' : 's'} match /${spec.pattern}/ (need ${min})` +
+      (failing.length > 0 ? `; failing: ${failing.slice(0, 3).map(testCase => testCase.name).join(', ')}` : '')
+  };
+}
+
+/**
+ * coverage_min: measured line coverage is at least the percentage
+ * @param {Object} spec - { percentage }
+ * @param {Object} context - Check context
+ * @returns {Object} Match
+ */
+function checkCoverageMin(spec, { results }) {
+  const coverage = results.coverage;
+  if (typeof coverage?.percentage !== 'number') {
+    return { met: false, rationale: `Coverage not measured${coverage?.details ? ` (${coverage.details})` : ''}` };
+  }
+  return {
+    met: coverage.percentage >= spec.percentage,
+    rationale: `Coverage ${coverage.percentage}% ${coverage.percentage >= spec.percentage ? 'meets' : 'is below'} ${spec.percentage}%`
+  };
+}
+
+/**
+ * command_succeeds: the command exits 0 in the submission root, run through the
+ * verification's executor. The command comes from the requirements, so it
+ * only runs when that executor is an isolated sandbox.
+ * @param {Object} spec - { command, timeout } (timeout in seconds)
+ * @param {Object} context - Check context
+ * @returns {Promise<Object>} Match
+ */
+async function checkCommandSucceeds(spec, { projectPath, executor }) {
+  if (!executor?.isolated) {
+    return { met: false, rationale: 'Commands only run inside an isolated sandbox (bubblewrap), not on the host' };
+  }
+  
+  const timeout = Math.min(spec.timeout || DEFAULT_COMMAND_TIMEOUT, MAX_COMMAND_TIMEOUT);
+  const run = await executor.run(spec.command, {
+    cwd: projectPath,
+    timeout: timeout * 1000
+  });
+  
+  if (run.aborted) {
+    throw new Error('cancelled');
+  }
+  if (run.code === 0) {
+    return { met: true, rationale: `\`${spec.command}\` exited with code 0` };
+  }
+  
+  const output = (run.stderr.trim() || run.stdout.trim()).slice(-MAX_OUTPUT);
+  const outcome = run.timedOut ? `timed out after ${timeout}s` : `exited with code ${run.code}`;
+  return { met: false, rationale: `\`${spec.command}\` ${outcome}${output ? `: ${output}` : ''}` };
+}
+
+/**
+ * json_schema: a JSON (or YAML) file validates against a JSON Schema
+ * 
+ * The file is read on the host, so symlinks out of the submission are
+ * refused and parse errors (which quote the content) are not reported.
+ * @param {Object} spec - { file, schema }
+ * @param {Object} context - Check context
+ * @returns {Promise<Object>} Match
+ */
+async function checkJsonSchema(spec, { projectPath }) {
+  const target = path.join(projectPath, spec.file);
+  if (!await fs.pathExists(target)) {
+    return { met: false, rationale: `${spec.file} does not exist` };
+  }
+  
+  const resolved = path.relative(await fs.realpath(projectPath), await fs.realpath(target));
+  if (resolved === '..' || resolved.startsWith(`..${path.sep}`) || path.isAbsolute(resolved)) {
+    return { met: false, rationale: `${spec.file} points outside the submission` };
+  }
+  
+  const source = await fs.readFile(target, 'utf8');
+  const format = /\.ya?ml$/i.test(spec.file) ? 'YAML' : 'JSON';
+  let data;
+  try {
+    data = format === 'YAML' ? yaml.load(source) : JSON.parse(source);
+  } catch (error) {
+    return { met: false, evidence: [`${spec.file}:1`], rationale: `${spec.file} is not valid ${format}` };
+  }
+  
+  const validate = ajv.compile(spec.schema);
+  if (validate(data)) {
+    return { met: true, evidence: [`${spec.file}:1`], rationale: `${spec.file} matches the schema` };
+  }
+  
+  const errors = validate.errors.slice(0, 3).map(error => `${error.instancePath || '/'} ${error.message}`);
+  return {
+    met: false,
+    evidence: [`${spec.file}:1`],
+    rationale: `${spec.file} does not match the schema: ${errors.join('; ')}${validate.errors.length > 3 ? '...' : ''}`
+  };
+}
+
+/**
+ * Locate an executed test case in the source through the evidence index
+ * @param {Object} testCase - Test case ({ name, file })
+ * @param {Object} index - Evidence index
+ * @returns {string} file:line, or the file when the test is not indexed
+ */
+function testLocation(testCase, index) {
+  const entry = index.tests.find(test => test.file === testCase.file && testCase.name.endsWith(test.name));
+  return entry ? `${entry.file}:${entry.line}` : testCase.file;
+}
+
+/**
+ * Canonical form of a route path for comparison
+ * @param {string} routePath - Route path
+ * @returns {string} Path with parameters as ":" and no trailing slash
+ */
+function normalizeRoute(routePath) {
+  const normalized = routePath
+    .split('/')
+    .map(segment => /^(:\w+\??|\{[^}]+\}|<[^>]+>|\[[^\]]+\])$/.test(segment) ? ':' : segment)
+    .join('/')
+    .replace(/\/+$/, '');
+  return normalized.startsWith('/') ? normalized : `/${normalized}`;
+}
+
+module.exports = {
+  ASSERTIONS,
+  checkAssertion
+};
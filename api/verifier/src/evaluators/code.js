@@ -4,6 +4,9 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const { listProjectFiles } = require('./files');
+
+const HARDHAT_CONFIGS = ['hardhat.config.js', 'hardhat.config.ts', 'hardhat.config.cjs', 'hardhat.config.mjs'];
 
 /**
  * Detect programming language from project files
@@ -11,9 +14,14 @@ const path = require('path');
  * @returns {string|null} Language identifier or null if unknown
  */
 function detectLanguage(projectPath) {
-  // Check for package.json (Node.js)
+  // Check for Hardhat or Foundry before package.json: Hardhat projects are npm packages too
+  if (detectSolidityFrameworks(projectPath).length > 0) {
+    return 'solidity';
+  }
+  
+  // Check for package.json (Node.js; TypeScript when it has a tsconfig)
   if (fs.pathExistsSync(path.join(projectPath, 'package.json'))) {
-    return 'nodejs';
+    return fs.pathExistsSync(path.join(projectPath, 'tsconfig.json')) ? 'typescript' : 'nodejs';
   }
   
   // Check for Python files
@@ -34,16 +42,41 @@ function detectLanguage(projectPath) {
     return 'rust';
   }
   
+  // Check for Go modules
+  if (fs.pathExistsSync(path.join(projectPath, 'go.mod'))) {
+    return 'go';
+  }
+  
   // Check file extensions as fallback
-  const jsFiles = files.filter(f => f.endsWith('.js') || f.endsWith('.ts')).length;
+  const jsFiles = files.filter(f => f.endsWith('.js')).length;
+  const tsFiles = files.filter(f => f.endsWith('.ts')).length;
   const pyFiles = files.filter(f => f.endsWith('.py')).length;
   
-  if (jsFiles > pyFiles) return 'nodejs';
-  if (pyFiles > jsFiles) return 'python';
+  if (jsFiles + tsFiles > pyFiles) return tsFiles > jsFiles ? 'typescript' : 'nodejs';
+  if (pyFiles > jsFiles + tsFiles) return 'python';
   
   return null;
 }
 
+/**
+ * Detect the Solidity toolchains a project is set up for
+ * 
+ * Both are returned for mixed repositories, typically Foundry tests alongside
+ * Hardhat deployment scripts.
+ * @param {string} projectPath - Path to project directory
+ * @returns {string[]} Any of 'hardhat' and 'foundry', in that order
+ */
+function detectSolidityFrameworks(projectPath) {
+  const frameworks = [];
+  if (HARDHAT_CONFIGS.some(config => fs.pathExistsSync(path.join(projectPath, config)))) {
+    frameworks.push('hardhat');
+  }
+  if (fs.pathExistsSync(path.join(projectPath, 'foundry.toml'))) {
+    frameworks.push('foundry');
+  }
+  return frameworks;
+}
+
 /**
  * Get file extensions for a language
  * @param {string} language - Language identifier
@@ -52,45 +85,41 @@ function detectLanguage(projectPath) {
 function getLanguageExtensions(language) {
   const extensions = {
     nodejs: ['.js', '.ts', '.jsx', '.tsx', '.mjs'],
+    typescript: ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs'],
     python: ['.py', '.pyw'],
     solidity: ['.sol'],
-    rust: ['.rs']
+    rust: ['.rs'],
+    go: ['.go']
   };
   return extensions[language] || [];
 }
 
 /**
  * Count lines of code in project
+ * 
+ * Counts the files every check reads (see ./files), so vendored
+ * dependencies and build output do not dilute lint density.
  * @param {string} projectPath - Path to project
  * @param {string} language - Language identifier
  * @returns {Promise<number>} Line count
  */
 async function countLines(projectPath, language) {
   const extensions = getLanguageExtensions(language);
-  let totalLines = 0;
+  const files = await listProjectFiles(projectPath, {
+    include: file => extensions.some(ext => file.endsWith(ext))
+  });
   
-  async function countDir(dir) {
-    const entries = await fs.readdir(dir);
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isDirectory() && entry !== 'node_modules' && entry !== '.git') {
-        await countDir(fullPath);
-      } else if (stat.isFile() && extensions.some(ext => entry.endsWith(ext))) {
-        const content = await fs.readFile(fullPath, 'utf8');
-        totalLines += content.split('\n').length;
-      }
-    }
+  let totalLines = 0;
+  for (const file of files) {
+    const content = await fs.readFile(path.join(projectPath, file), 'utf8');
+    totalLines += content.split('\n').length;
   }
-  
-  await countDir(projectPath);
   return totalLines;
 }
 
 module.exports = {
   detectLanguage,
+  detectSolidityFrameworks,
   getLanguageExtensions,
   countLines
 };
@@ -1,39 +1,136 @@
 /**
  * Content Evaluator - Requirements matching
  * 
- * Uses LLM to compare deliverables against requirements.
- * This is the subjective evaluation component.
+ * Compares deliverables against requirements: typed assertions are checked
+ * deterministically, free text goes through a requirement provider (see
+ * ../providers): an OpenAI-compatible LLM when one is configured, keyword
+ * heuristics otherwise. This is the subjective evaluation component.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
+const { createRequirementProvider } = require('../providers');
+const { buildEvidenceIndex } = require('./evidence');
+const { listProjectFiles } = require('./files');
+const { checkAssertion } = require('./assertions');
+const { normalizeRequirements, requirementName, isAssertion } = require('./requirement-spec');
+
+// Source sampled into the LLM prompt
+const SAMPLE_EXTENSIONS = ['.js', '.ts', '.py', '.sol', '.rs'];
+const MAX_SAMPLES = 8;
+const MAX_SAMPLE_CHARS = 3000;
 
 /**
  * Match project deliverables against requirements
+ * 
+ * Typed assertions (see ./requirement-spec) are checked deterministically. Free-text
+ * requirements are judged by the provider (an LLM when one is configured); if
+ * the provider fails, that requirement and all later ones fall back to the
+ * keyword heuristic, and the result records why.
  * @param {string} projectPath - Path to project
- * @param {string[]} requirements - Array of requirement strings
+ * @param {Array} requirements - Free-text requirement strings and assertion objects
  * @param {string} language - Project language
- * @returns {Promise<Object>} Requirements match results
+ * @param {Object} options - Matching options
+ * @param {Object} options.provider - Requirement provider (default: from CLAWJUDGE_REQUIREMENTS_PROVIDER / CLAWJUDGE_LLM_URL)
+ * @param {Object} options.results - Check results, for assertions on tests and coverage
+ * @param {Object} options.executor - Executor for command_succeeds assertions, which need an isolated one
+ * @param {AbortSignal} options.signal - Cancels pending provider requests
+ * @returns {Promise<Object>} Requirements match results; matches maps each requirement name to { met, confidence, evidence, rationale, provider }, plus the requirement's weight and mandatory flag when set
  */
-async function matchRequirements(projectPath, requirements, language) {
+async function matchRequirements(projectPath, requirements, language, options = {}) {
   const results = {};
+  const specs = normalizeRequirements(requirements);
+  let provider = options.provider || createRequirementProvider(process.env.CLAWJUDGE_REQUIREMENTS_PROVIDER);
+  let fallback = null;
   
   // Gather project info for LLM context
   const projectInfo = await gatherProjectInfo(projectPath, language);
+  const context = { projectPath, projectInfo, results: options.results || {}, executor: options.executor };
   
   // For each requirement, determine if it's met
-  for (const req of requirements) {
-    results[req] = await evaluateRequirement(req, projectInfo);
+  for (const spec of specs) {
+    const name = uniqueName(results, requirementName(spec));
+    const flags = {
+      ...(spec.weight !== undefined && { weight: spec.weight }),
+      ...(spec.mandatory !== undefined && { mandatory: spec.mandatory })
+    };
+    
+    if (isAssertion(spec)) {
+      results[name] = { ...await checkAssertion(spec, context), provider: 'assertion', type: spec.type, ...flags };
+      continue;
+    }
+    
+    const text = requirementName(spec);
+    try {
+      results[name] = { ...await provider.evaluate(text, projectInfo, { signal: options.signal }), provider: provider.name, ...flags };
+    } catch (error) {
+      if (options.signal?.aborted || provider.name === 'heuristic') {
+        throw error;
+      }
+      fallback = `${provider.name} provider failed: ${error.message}`;
+      provider = createRequirementProvider('heuristic');
+      results[name] = { ...await provider.evaluate(text, projectInfo), provider: provider.name, ...flags };
+    }
   }
   
+  const met = Object.values(results).filter(requirementMet).length;
+  
   return {
     matches: results,
-    total: requirements.length,
-    met: Object.values(results).filter(v => v).length,
-    missed: Object.values(results).filter(v => !v).length
+    total: specs.length,
+    met,
+    missed: specs.length - met,
+    provider: provider.name,
+    ...(fallback && { fallback })
   };
 }
 
+/**
+ * Make a requirement name unique among the results so far
+ * @param {Object} results - Results by name
+ * @param {string} name - Requirement name
+ * @returns {string} name, or "name (2)", "name (3)", ...
+ */
+function uniqueName(results, name) {
+  let unique = name;
+  for (let n = 2; unique in results; n++) {
+    unique = `${name} (${n})`;
+  }
+  return unique;
+}
+
+/**
+ * Whether a requirement match counts as met
+ * 
+ * Accepts { met } records and the bare booleans of older results.
+ * @param {Object|boolean} match - Match entry
+ * @returns {boolean} Whether the requirement is met
+ */
+function requirementMet(match) {
+  return typeof match === 'object' && match !== null ? match.met === true : Boolean(match);
+}
+
+/**
+ * Weight of a requirement match in the requirements score (default 1)
+ * @param {Object|boolean} match - Match entry
+ * @returns {number} Weight
+ */
+function requirementWeight(match) {
+  return typeof match === 'object' && match?.weight > 0 ? match.weight : 1;
+}
+
+/**
+ * Verdict cap applied when a requirement is missed
+ * @param {Object|boolean} match - Match entry
+ * @returns {string|null} FAIL, PARTIAL (the default), or null when the miss only lowers the score
+ */
+function requirementCap(match) {
+  const mandatory = typeof match === 'object' && match !== null ? match.mandatory : undefined;
+  if (mandatory === true || mandatory === 'fail') return 'FAIL';
+  if (mandatory === false) return null;
+  return 'PARTIAL';
+}
+
 /**
  * Gather project information for evaluation
  * @param {string} projectPath - Project path
@@ -46,128 +143,77 @@ async function gatherProjectInfo(projectPath, language) {
     files: [],
     structure: {},
     readme: null,
+    readmeFile: null,
+    index: null,
     hasTests: false,
     hasDocs: false
   };
   
-  try {
-    // Get file list
-    const entries = await fs.readdir(projectPath, { recursive: true });
-    info.files = entries.filter(e => !e.includes('node_modules') && !e.includes('.git'));
-    
-    // Check for README
-    const readmeFiles = ['README.md', 'README.txt', 'README', 'readme.md'];
-    for (const readme of readmeFiles) {
-      const readmePath = path.join(projectPath, readme);
-      if (await fs.pathExists(readmePath)) {
-        info.readme = await fs.readFile(readmePath, 'utf8');
-        info.hasDocs = true;
-        break;
-      }
+  info.files = await listProjectFiles(projectPath);
+  
+  // Check for README
+  const readmeFiles = ['README.md', 'README.txt', 'README', 'readme.md'];
+  for (const readme of readmeFiles) {
+    const readmePath = path.join(projectPath, readme);
+    if (await fs.pathExists(readmePath)) {
+      info.readme = await fs.readFile(readmePath, 'utf8');
+      info.readmeFile = readme;
+      info.hasDocs = true;
+      break;
     }
-    
-    // Check for tests
-    const testPatterns = ['test', 'tests', 'spec', '__tests__'];
-    info.hasTests = info.files.some(f => testPatterns.some(p => f.toLowerCase().includes(p)));
-    
-    // Get package info if available
-    const packagePath = path.join(projectPath, 'package.json');
-    if (await fs.pathExists(packagePath)) {
+  }
+  
+  // Check for tests
+  const testPatterns = ['test', 'tests', 'spec', '__tests__'];
+  info.hasTests = info.files.some(f => testPatterns.some(p => f.toLowerCase().includes(p)));
+  
+  // Get package info if available
+  const packagePath = path.join(projectPath, 'package.json');
+  if (await fs.pathExists(packagePath)) {
+    try {
       const pkg = await fs.readJson(packagePath);
       info.structure.dependencies = Object.keys(pkg.dependencies || {});
       info.structure.devDependencies = Object.keys(pkg.devDependencies || {});
       info.structure.scripts = Object.keys(pkg.scripts || {});
+    } catch (e) {
+      // A malformed package.json leaves the structure empty
     }
-    
-    // Sample source files for content analysis
-    const sourceFiles = info.files
-      .filter(f => f.endsWith('.js') || f.endsWith('.ts') || f.endsWith('.py'))
-      .slice(0, 5);
-    
-    info.codeSamples = [];
-    for (const file of sourceFiles) {
-      try {
-        const content = await fs.readFile(path.join(projectPath, file), 'utf8');
-        info.codeSamples.push({ file, content: content.slice(0, 1000) });
-      } catch (e) {
-        // Skip files that can't be read
-      }
-    }
-    
-  } catch (error) {
-    // Return partial info on error
-  }
-  
-  return info;
-}
-
-/**
- * Evaluate a single requirement against project info
- * @param {string} requirement - Requirement description
- * @param {Object} projectInfo - Project information
- * @returns {boolean} Whether requirement is met
- */
-function evaluateRequirement(requirement, projectInfo) {
-  const req = requirement.toLowerCase();
-  
-  // Check for common requirement patterns
-  
-  // API/REST endpoints
-  if (req.includes('api') || req.includes('rest') || req.includes('endpoint')) {
-    const hasRoutes = projectInfo.files.some(f => 
-      f.includes('route') || f.includes('api') || f.includes('controller')
-    );
-    const hasExpress = projectInfo.structure.dependencies?.includes('express');
-    const hasFastify = projectInfo.structure.dependencies?.includes('fastify');
-    return hasRoutes || hasExpress || hasFastify;
-  }
-  
-  // Authentication
-  if (req.includes('auth') || req.includes('login') || req.includes('jwt')) {
-    const hasAuthFiles = projectInfo.files.some(f => 
-      f.includes('auth') || f.includes('login') || f.includes('passport') || f.includes('jwt')
-    );
-    const hasAuthDeps = ['passport', 'jsonwebtoken', 'bcrypt', 'auth'].some(dep =>
-      projectInfo.structure.dependencies?.includes(dep)
-    );
-    return hasAuthFiles || hasAuthDeps;
   }
   
-  // Database
-  if (req.includes('database') || req.includes('db') || req.includes('mongo') || req.includes('sql')) {
-    const hasDbFiles = projectInfo.files.some(f => 
-      f.includes('model') || f.includes('schema') || f.includes('migration')
-    );
-    const hasDbDeps = ['mongoose', 'sequelize', 'prisma', 'typeorm', 'mongodb'].some(dep =>
-      projectInfo.structure.dependencies?.includes(dep)
-    );
-    return hasDbFiles || hasDbDeps;
-  }
+  // Index the whole submission for evidence
+  info.index = await buildEvidenceIndex(projectPath, info.files);
   
-  // Tests
-  if (req.includes('test') || req.includes('coverage')) {
-    return projectInfo.hasTests;
-  }
+  // Sample source files for content analysis, those defining the most routes and exports first
+  const weight = (file) => info.index.routes.filter(r => r.file === file).length +
+    info.index.exports.filter(e => e.file === file).length;
+  const sourceFiles = info.files
+    .filter(f => SAMPLE_EXTENSIONS.includes(path.extname(f)))
+    .map(file => ({ file, weight: weight(file) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_SAMPLES)
+    .map(({ file }) => file);
   
-  // Documentation
-  if (req.includes('doc') || req.includes('readme')) {
-    return projectInfo.hasDocs;
-  }
-  
-  // CLI tool
-  if (req.includes('cli') || req.includes('command line')) {
-    const hasCliFiles = projectInfo.files.some(f => f.includes('cli') || f.includes('bin'));
-    const hasBinScript = projectInfo.structure.scripts?.includes('bin');
-    return hasCliFiles || hasBinScript;
+  info.codeSamples = [];
+  for (const file of sourceFiles) {
+    try {
+      const content = await fs.readFile(path.join(projectPath, file), 'utf8');
+      // Cut at a line boundary so line numbers in the prompt stay meaningful
+      const sample = content.length > MAX_SAMPLE_CHARS
+        ? content.slice(0, content.lastIndexOf('\n', MAX_SAMPLE_CHARS) + 1 || MAX_SAMPLE_CHARS)
+        : content;
+      info.codeSamples.push({ file, content: sample });
+    } catch (e) {
+      // Skip files that can't be read
+    }
   }
   
-  // Default: check if any file matches keywords
-  const keywords = req.split(/\s+/).filter(w => w.length > 3);
-  return keywords.some(keyword => 
-    projectInfo.files.some(f => f.toLowerCase().includes(keyword))
-  );
+  return info;
 }
 
 module.exports = {
-  matchRequirements
+  matchRequirements,
+  gatherProjectInfo,
+  requirementMet,
+  requirementWeight,
+  requirementCap
 };
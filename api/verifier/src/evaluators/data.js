@@ -1,9 +1,71 @@
 /**
  * Data Evaluator - JSON/CSV validation
+ * 
+ * Analyses the data files of a data bounty against the poster's data spec:
+ * 
+ *   files: ["data/*.csv"]          # globs of files to check (default: every data file)
+ *   format: csv                    # json, ndjson, csv or tsv (default: from the extension)
+ *   encoding: windows-1252         # text encoding without a byte order mark (default: utf-8)
+ *   schema: { ... }                # JSON Schema for JSON documents and NDJSON records
+ *   columns:                       # column spec for tabular data (CSV rows, arrays of records)
+ *     id: { type: integer, required: true, unique: true }
+ *     price: { type: number, min: 0, max_null_ratio: 0.05 }
+ *     status: { enum: [open, closed] }
+ *   min_rows: 100                  # default 1
+ *   max_duplicate_ratio: 0.01      # share of exact duplicate rows allowed (default 0)
+ * 
+ * CSV and TSV follow RFC 4180 (quoted fields may hold delimiters, quotes as
+ * "" and line breaks). CSV, TSV and NDJSON files are streamed: each file is
+ * read once in chunks and only running counts are kept, so deliverables of
+ * any size are checked in bounded memory. Uniqueness and duplicate rows are
+ * tracked by 64-bit fingerprints. Malformed rows are reported by line and
+ * column and left out of the other checks.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { listProjectFiles } = require('./files');
+
+// Data file formats by extension
+const DATA_EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.tsv': 'tsv'
+};
+
+const FORMATS = ['json', 'ndjson', 'csv', 'tsv'];
+const COLUMN_TYPES = ['string', 'integer', 'number', 'boolean', 'date'];
+
+const DATA_SPEC_KEYS = ['files', 'format', 'encoding', 'schema', 'columns', 'min_rows', 'max_duplicate_ratio'];
+const COLUMN_KEYS = ['type', 'required', 'unique', 'min', 'max', 'max_null_ratio', 'pattern', 'enum'];
+
+const MAX_DATA_FILES = 50;
+
+// JSON documents are parsed whole; streamed formats have no size limit
+const MAX_JSON_DOCUMENT_SIZE = 256 * 1024 * 1024;
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+const SNIFF_SIZE = 64 * 1024;
+
+// Offending rows reported per violation, and parse errors per file
+const MAX_REPORTED_ROWS = 5;
+const MAX_REPORTED_ERRORS = 20;
+
+// Distinct fingerprints kept per uniqueness check (8 bytes each)
+const MAX_FINGERPRINTS = 8 * 1024 * 1024;
+
+// Byte order marks, longest first
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
 
 /**
  * Validate JSON data
@@ -45,49 +107,1272 @@ function getJSONType(data) {
 
 /**
  * Validate CSV data
- * @param {string} data - CSV string or file path
- * @returns {Object} Validation result
+ * @param {string} data - CSV text
+ * @param {string} delimiter - Field delimiter (default ",")
+ * @returns {Object} Validation result; errors lists { line, column, message }
  */
-function validateCSV(data) {
-  const lines = data.trim().split('\n');
+function validateCSV(data, delimiter = ',') {
+  let headers = null;
+  let rowCount = 0;
+  let consistentColumns = true;
+  const errors = [];
+  
+  const parser = createDelimitedParser({
+    delimiter,
+    onRecord: (fields, line, starts) => {
+      if (!headers) {
+        headers = fields.map(field => field ?? '');
+        return;
+      }
+      rowCount++;
+      const mismatch = fieldCountError(fields, line, starts, headers.length);
+      if (mismatch) {
+        consistentColumns = false;
+        errors.push(mismatch);
+      }
+    },
+    onError: error => errors.push(error)
+  });
+  parser.push(data);
+  parser.end();
   
-  if (lines.length === 0) {
+  if (!headers) {
     return { valid: false, error: 'Empty CSV' };
   }
   
-  const headers = lines[0].split(',').map(h => h.trim());
-  const rows = lines.slice(1).filter(line => line.trim());
-  
-  // Check for consistent column counts
-  const columnCounts = rows.map(row => row.split(',').length);
-  const inconsistent = columnCounts.some(count => count !== headers.length);
-  
   return {
-    valid: !inconsistent,
+    valid: errors.length === 0,
     headers,
-    rowCount: rows.length,
+    rowCount,
     columnCount: headers.length,
-    consistentColumns: !inconsistent
+    consistentColumns,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
   };
 }
 
 /**
  * Detect data format from content or file
- * @param {string} content - File content or path
- * @returns {string} Format type
+ * @param {string} content - File content or its beginning
+ * @returns {string} Format type (json, ndjson, csv, tsv or unknown)
  */
 function detectDataFormat(content) {
-  if (content.trim().startsWith('{') || content.trim().startsWith('[')) {
+  const text = content.trim();
+  if (text.startsWith('[')) {
     return 'json';
   }
+  if (text.startsWith('{')) {
+    // One object per line is NDJSON
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.length > 1 && lines[0].endsWith('}') && lines[1].startsWith('{') ? 'ndjson' : 'json';
+  }
+  const firstLine = text.split('\n')[0];
+  if (firstLine.includes('\t') && text.split('\n').length > 1) {
+    return 'tsv';
+  }
   if (content.includes(',') && content.split('\n').length > 1) {
     return 'csv';
   }
   return 'unknown';
 }
 
+/**
+ * Load a data spec file (YAML or JSON); `schema_file` is read relative to it
+ * @param {string} filePath - Spec file
+ * @returns {Promise<Object>} Normalized data spec
+ */
+async function loadDataSpec(filePath) {
+  let spec;
+  try {
+    const source = await fs.readFile(filePath, 'utf8');
+    spec = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    throw new Error(`Could not read data spec ${filePath}: ${error.message}`);
+  }
+  
+  if (spec && typeof spec === 'object' && spec.schema_file !== undefined) {
+    const { schema_file: schemaFile, ...rest } = spec;
+    try {
+      spec = { ...rest, schema: await fs.readJson(path.resolve(path.dirname(filePath), schemaFile)) };
+    } catch (error) {
+      throw new Error(`Could not read schema_file ${schemaFile}: ${error.message}`);
+    }
+  }
+  
+  return normalizeDataSpec(spec);
+}
+
+/**
+ * Validate a data spec
+ * @param {Object} spec - Data spec (see the module comment); empty checks every data file for readability and quality only
+ * @returns {Object} Spec with defaults applied
+ */
+function normalizeDataSpec(spec = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('data spec must be an object');
+  }
+  
+  // Unset fields may be null, as in a normalized spec
+  spec = Object.fromEntries(Object.entries(spec).filter(([, value]) => value !== null && value !== undefined));
+  
+  const unknown = Object.keys(spec).filter(key => !DATA_SPEC_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`data spec: unknown field ${unknown.join(', ')}`);
+  }
+  
+  const files = spec.files === undefined ? [] : [].concat(spec.files);
+  if (files.some(pattern => typeof pattern !== 'string' || !pattern || path.isAbsolute(pattern) || pattern.split(/[\\/]/).includes('..'))) {
+    throw new Error('data spec: files must be relative paths or globs inside the submission');
+  }
+  
+  if (spec.format !== undefined && !FORMATS.includes(spec.format)) {
+    throw new Error(`data spec: format must be one of: ${FORMATS.join(', ')}`);
+  }
+  
+  if (spec.encoding !== undefined) {
+    try {
+      new TextDecoder(spec.encoding);
+    } catch (error) {
+      throw new Error(`data spec: unsupported encoding ${spec.encoding}`);
+    }
+  }
+  
+  if (spec.schema !== undefined) {
+    if (!spec.schema || typeof spec.schema !== 'object') {
+      throw new Error('data spec: schema must be an object');
+    }
+    try {
+      ajv.compile(spec.schema);
+    } catch (error) {
+      throw new Error(`data spec: invalid schema: ${error.message}`);
+    }
+  }
+  
+  if (spec.columns !== undefined) {
+    if (!spec.columns || typeof spec.columns !== 'object' || Array.isArray(spec.columns) || Object.keys(spec.columns).length === 0) {
+      throw new Error('data spec: columns must map column names to rules');
+    }
+    for (const [column, rules] of Object.entries(spec.columns)) {
+      try {
+        validateColumnRules(rules);
+      } catch (error) {
+        throw new Error(`data spec: column ${column}: ${error.message}`);
+      }
+    }
+  }
+  
+  const minRows = spec.min_rows ?? 1;
+  if (!Number.isInteger(minRows) || minRows < 0) {
+    throw new Error('data spec: min_rows must be a non-negative integer');
+  }
+  
+  const maxDuplicateRatio = spec.max_duplicate_ratio ?? 0;
+  if (typeof maxDuplicateRatio !== 'number' || maxDuplicateRatio < 0 || maxDuplicateRatio > 1) {
+    throw new Error('data spec: max_duplicate_ratio must be between 0 and 1');
+  }
+  
+  return {
+    files,
+    format: spec.format || null,
+    encoding: spec.encoding || null,
+    schema: spec.schema || null,
+    columns: spec.columns || null,
+    min_rows: minRows,
+    max_duplicate_ratio: maxDuplicateRatio
+  };
+}
+
+/**
+ * Validate the rules for one column
+ * @param {Object} rules - Column rules
+ */
+function validateColumnRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('rules must be an object');
+  }
+  
+  const unknown = Object.keys(rules).filter(key => !COLUMN_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown rule ${unknown.join(', ')}`);
+  }
+  if (rules.type !== undefined && !COLUMN_TYPES.includes(rules.type)) {
+    throw new Error(`type must be one of: ${COLUMN_TYPES.join(', ')}`);
+  }
+  for (const flag of ['required', 'unique']) {
+    if (rules[flag] !== undefined && typeof rules[flag] !== 'boolean') {
+      throw new Error(`${flag} must be true or false`);
+    }
+  }
+  for (const bound of ['min', 'max']) {
+    if (rules[bound] === undefined) continue;
+    if (!['integer', 'number', 'date'].includes(rules.type)) {
+      throw new Error(`${bound} needs type integer, number or date`);
+    }
+    if (comparable(rules.type, rules[bound]) === null) {
+      throw new Error(`${bound} must be a ${rules.type === 'date' ? 'date' : 'number'}`);
+    }
+  }
+  if (rules.max_null_ratio !== undefined && !(typeof rules.max_null_ratio === 'number' && rules.max_null_ratio >= 0 && rules.max_null_ratio <= 1)) {
+    throw new Error('max_null_ratio must be between 0 and 1');
+  }
+  if (rules.pattern !== undefined) {
+    if (typeof rules.pattern !== 'string') {
+      throw new Error('pattern must be a string');
+    }
+    new RegExp(rules.pattern);
+  }
+  if (rules.enum !== undefined && (!Array.isArray(rules.enum) || rules.enum.length === 0)) {
+    throw new Error('enum must be a non-empty list');
+  }
+}
+
+/**
+ * Find the data files of a submission
+ * @param {string} projectPath - Submission root
+ * @param {string[]} patterns - Globs relative to the root (* within a segment, ** across); all data files when empty
+ * @returns {Promise<string[]>} Relative paths, sorted
+ */
+async function findDataFiles(projectPath, patterns = []) {
+  const matchers = patterns.map(globToRegExp);
+  const files = await listProjectFiles(projectPath, {
+    include: file => matchers.length > 0
+      ? matchers.some(matcher => matcher.test(file))
+      : Boolean(DATA_EXTENSIONS[path.extname(file).toLowerCase()])
+  });
+  return files.slice(0, MAX_DATA_FILES);
+}
+
+/**
+ * Analyse every data file a spec selects, one at a time
+ * @param {string} projectPath - Submission root
+ * @param {Object} spec - Normalized data spec
+ * @returns {Promise<Object[]>} Analyses (see analyzeDataset)
+ */
+async function analyzeDatasets(projectPath, spec) {
+  const files = await findDataFiles(projectPath, spec.files);
+  const analyses = [];
+  for (const file of files) {
+    analyses.push(await analyzeDataset(projectPath, file, spec));
+  }
+  return analyses;
+}
+
+/**
+ * Analyse one data file against a data spec in a single pass
+ * 
+ * Tabular data - CSV/TSV rows, NDJSON lines, a JSON array of objects - is
+ * checked against the column spec and summarized; empty CSV cells and JSON
+ * nulls are nulls. `error` is set when the file cannot be read at all;
+ * `errors` lists malformed rows, which are skipped.
+ * @param {string} projectPath - Submission root
+ * @param {string} file - Relative path
+ * @param {Object} spec - Normalized data spec
+ * @returns {Promise<Object>} { file, format, encoding, rows, columns, error, errors, errorCount, schema, columnCheck, summary }
+ */
+async function analyzeDataset(projectPath, file, spec) {
+  const analysis = {
+    file,
+    format: null,
+    encoding: null,
+    rows: null,
+    columns: null,
+    error: null,
+    errors: [],
+    errorCount: 0,
+    schema: null,
+    columnCheck: null,
+    summary: null
+  };
+  const filePath = path.join(projectPath, file);
+  const report = (error) => {
+    analysis.errorCount++;
+    if (analysis.errors.length < MAX_REPORTED_ERRORS) {
+      analysis.errors.push(error);
+    }
+  };
+  
+  try {
+    analysis.format = spec.format || DATA_EXTENSIONS[path.extname(file).toLowerCase()] ||
+      detectDataFormat(await readStart(filePath, spec.encoding));
+    
+    if (analysis.format === 'json') {
+      await analyzeJSONDocument(filePath, spec, analysis);
+      return analysis;
+    }
+    if (!['ndjson', 'csv', 'tsv'].includes(analysis.format)) {
+      throw new Error('unrecognized data format');
+    }
+    
+    const typed = analysis.format === 'ndjson';
+    const analyzer = createRecordAnalyzer(spec, { typed, unit: 'line', validateRecords: typed });
+    const reader = typed
+      ? createLineReader((text, line) => readJSONLine(text, line, analyzer, report))
+      : createTableReader(analysis.format === 'tsv' ? '\t' : ',', analyzer, report);
+    
+    analysis.encoding = await streamText(filePath, spec.encoding, text => reader.push(text), report);
+    reader.end();
+    
+    if (!typed && !reader.hasHeader()) {
+      throw new Error('missing header row');
+    }
+    Object.assign(analysis, analyzer.finish());
+  } catch (error) {
+    analysis.error = error.message;
+  }
+  
+  return analysis;
+}
+
+/**
+ * Analyse a JSON document: parsed whole, validated against the schema as
+ * one unit, and analysed as a table when it is an array of records
+ * @param {string} filePath - File path
+ * @param {Object} spec - Normalized data spec
+ * @param {Object} analysis - Analysis to fill in
+ */
+async function analyzeJSONDocument(filePath, spec, analysis) {
+  if ((await fs.stat(filePath)).size > MAX_JSON_DOCUMENT_SIZE) {
+    throw new Error(`JSON document larger than ${MAX_JSON_DOCUMENT_SIZE / 1024 / 1024} MB; deliver large datasets as NDJSON or CSV`);
+  }
+  
+  const parts = [];
+  const invalidText = [];
+  analysis.encoding = await streamText(filePath, spec.encoding, text => parts.push(text), error => invalidText.push(error));
+  const source = parts.join('');
+  
+  let document;
+  try {
+    document = JSON.parse(source);
+  } catch (error) {
+    const at = jsonErrorPosition(source);
+    throw new Error(`line ${at.line}, column ${at.column}: ${jsonErrorMessage(error)}`);
+  }
+  for (const error of invalidText) {
+    analysis.errorCount++;
+    if (analysis.errors.length < MAX_REPORTED_ERRORS) analysis.errors.push(error);
+  }
+  
+  if (spec.schema) {
+    const validate = ajv.compile(spec.schema);
+    analysis.schema = validate(document)
+      ? { checked: 1, invalid: 0, errors: [] }
+      : { checked: 1, invalid: 1, errors: [describeSchemaError(validate.errors[0])] };
+  }
+  
+  if (Array.isArray(document) && document.every(isRecord)) {
+    const analyzer = createRecordAnalyzer(spec, { typed: true, unit: 'record' });
+    document.forEach((record, i) => analyzer.add(record, i + 1));
+    const { rows, columns, columnCheck, summary } = analyzer.finish();
+    Object.assign(analysis, { rows, columns, columnCheck, summary });
+  }
+}
+
+/**
+ * Parse one NDJSON line into the analyzer
+ * @param {string} text - Line without its line break
+ * @param {number} line - 1-based line number
+ * @param {Object} analyzer - Record analyzer
+ * @param {Function} report - Receives { line, column, message } for a malformed line
+ */
+function readJSONLine(text, line, analyzer, report) {
+  if (!text.trim()) return;
+  
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    report({ line, column: jsonErrorPosition(text).column, message: jsonErrorMessage(error) });
+    return;
+  }
+  analyzer.add(record, line);
+}
+
+/**
+ * Create a reader that feeds CSV/TSV text through the parser: the first
+ * record is the header; rows with bad quoting or another field count are
+ * reported and skipped
+ * @param {string} delimiter - Field delimiter
+ * @param {Object} analyzer - Record analyzer
+ * @param {Function} report - Receives { line, column, message } per malformed row
+ * @returns {Object} { push(text), end(), hasHeader() }
+ */
+function createTableReader(delimiter, analyzer, report) {
+  let headers = null;
+  let malformed = false;
+  
+  const parser = createDelimitedParser({
+    delimiter,
+    onRecord: (fields, line, starts) => {
+      // The parser reports a record's quoting errors before the record
+      const skip = malformed;
+      malformed = false;
+      if (!headers) {
+        headers = fields.map((field, i) => field ?? `column ${i + 1}`);
+        analyzer.setColumns(headers);
+        return;
+      }
+      const mismatch = fieldCountError(fields, line, starts, headers.length);
+      if (mismatch) {
+        report(mismatch);
+        return;
+      }
+      if (skip) return;
+      const record = {};
+      for (let i = 0; i < headers.length; i++) {
+        record[headers[i]] = fields[i];
+      }
+      analyzer.add(record, line);
+    },
+    onError: (error) => {
+      malformed = true;
+      report(error);
+    }
+  });
+  
+  return {
+    push: parser.push,
+    end: parser.end,
+    hasHeader: () => headers !== null
+  };
+}
+
+/**
+ * Describe a row whose field count differs from the header's
+ * @param {Array} fields - Row fields
+ * @param {number} line - Line the row starts on
+ * @param {number[]} starts - Line and column of each field, flattened
+ * @param {number} expected - Header field count
+ * @returns {Object|null} { line, column, message } at the first extra or the last field, null when the count matches
+ */
+function fieldCountError(fields, line, starts, expected) {
+  if (fields.length === expected) return null;
+  const at = Math.min(fields.length - 1, expected);
+  return {
+    line: starts[at * 2] ?? line,
+    column: starts[at * 2 + 1] ?? 1,
+    message: `${fields.length} ${fields.length === 1 ? 'field' : 'fields'}, expected ${expected}`
+  };
+}
+
+/**
+ * Create an incremental RFC 4180 parser for delimited text
+ * 
+ * Text is pushed in chunks of any size - a quoted field, an escaped quote or
+ * a CRLF may be split across chunks. Records end at CRLF, LF or CR outside
+ * quotes; blank lines are skipped. Unquoted fields are trimmed and empty ones
+ * are null; quoted fields are kept as written, so "" is an empty string.
+ * Malformed quoting is reported and parsing continues with the text as-is.
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Single-character field delimiter
+ * @param {Function} options.onRecord - Receives (fields, line, starts) per record: the line it starts on and each field's line and column, flattened
+ * @param {Function} options.onError - Receives { line, column, message }
+ * @returns {Object} { push(text), end() }
+ */
+function createDelimitedParser({ delimiter, onRecord, onError }) {
+  const special = new RegExp(`[${delimiter.replace(/[\]\\^-]/g, '\\$&')}"\\r\\n]`, 'g');
+  
+  let fields = [];
+  let starts = [];
+  let field = '';
+  let quoted = false;       // the current field opened with a quote
+  let inQuotes = false;
+  let afterQuote = false;   // the current field's closing quote was seen
+  let quotePending = false; // a chunk ended on a quote inside a quoted field
+  let crPending = false;    // a chunk ended on a CR that ended a record
+  let quotedCR = false;     // the last quoted character was a CR
+  let fieldStarted = false;
+  
+  let offset = 0;           // position of the current chunk in the whole text
+  let line = 1;
+  let lineStart = 0;
+  let recordLine = 1;
+  let quoteLine = 1;
+  let quoteColumn = 1;
+  
+  const columnAt = (index) => offset + index - lineStart + 1;
+  const newline = (index, length) => {
+    line++;
+    lineStart = offset + index + length;
+  };
+  const error = (index, message) => onError({ line, column: columnAt(index), message });
+  
+  const startField = (index) => {
+    if (!fieldStarted) {
+      starts.push(line, columnAt(index));
+      fieldStarted = true;
+    }
+  };
+  
+  const endField = (index) => {
+    startField(index);
+    if (quoted) {
+      fields.push(field);
+    } else {
+      const value = field.trim();
+      fields.push(value === '' ? null : value);
+    }
+    field = '';
+    quoted = false;
+    afterQuote = false;
+    fieldStarted = false;
+  };
+  
+  const endRecord = (index) => {
+    if (fields.length > 0 || quoted || field.trim() !== '') {
+      endField(index);
+      onRecord(fields, recordLine, starts);
+    }
+    fields = [];
+    starts = [];
+    field = '';
+    fieldStarted = false;
+  };
+  
+  /**
+   * Count the line breaks inside quoted text
+   * @param {string} text - Chunk
+   * @param {number} from - Start index
+   * @param {number} to - End index (exclusive)
+   */
+  const countQuotedLines = (text, from, to) => {
+    for (let k = from; k < to; k++) {
+      const code = text.charCodeAt(k);
+      if (code === 10) {
+        if (quotedCR) {
+          lineStart = offset + k + 1;
+        } else {
+          newline(k, 1);
+        }
+        quotedCR = false;
+      } else if (code === 13) {
+        newline(k, 1);
+        quotedCR = true;
+      } else {
+        quotedCR = false;
+      }
+    }
+  };
+  
+  /**
+   * Parse the next chunk of text
+   * @param {string} text - Chunk
+   */
+  function push(text) {
+    let i = 0;
+    
+    if (crPending) {
+      crPending = false;
+      if (text[0] === '\n') {
+        lineStart = offset + 1;
+        i = 1;
+      }
+    }
+    if (quotePending && text.length > 0) {
+      quotePending = false;
+      if (text[0] === '"') {
+        field += '"';
+        i = 1;
+      } else {
+        inQuotes = false;
+        afterQuote = true;
+      }
+    }
+    
+    while (i < text.length) {
+      if (inQuotes) {
+        const close = text.indexOf('"', i);
+        const end = close === -1 ? text.length : close;
+        field += text.slice(i, end);
+        countQuotedLines(text, i, end);
+        if (close === -1) break;
+        
+        quotedCR = false;
+        if (close + 1 === text.length) {
+          quotePending = true;
+          i = text.length;
+        } else if (text[close + 1] === '"') {
+          field += '"';
+          i = close + 2;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+          i = close + 1;
+        }
+        continue;
+      }
+      
+      special.lastIndex = i;
+      const match = special.exec(text);
+      const end = match ? match.index : text.length;
+      if (end > i) {
+        const content = text.slice(i, end);
+        if (afterQuote) {
+          // Whitespace between a closing quote and the delimiter is tolerated
+          if (content.trim()) {
+            error(i + content.search(/\S/), 'unexpected character after closing quote');
+            field += content;
+          }
+        } else {
+          if (content.trim()) startField(i + content.search(/\S/));
+          field += content;
+        }
+      }
+      if (!match) break;
+      
+      const char = text[end];
+      if (char === '"') {
+        if (!quoted && !afterQuote && field.trim() === '') {
+          startField(end);
+          inQuotes = true;
+          quoted = true;
+          field = '';
+          quoteLine = line;
+          quoteColumn = columnAt(end);
+        } else {
+          error(end, afterQuote ? 'unexpected character after closing quote' : 'unexpected quote in unquoted field');
+          field += '"';
+        }
+        i = end + 1;
+      } else if (char === delimiter) {
+        endField(end);
+        i = end + 1;
+      } else {
+        endRecord(end);
+        if (char === '\r' && end + 1 === text.length) {
+          crPending = true;
+          newline(end, 1);
+          i = end + 1;
+        } else {
+          const length = char === '\r' && text[end + 1] === '\n' ? 2 : 1;
+          newline(end, length);
+          i = end + length;
+        }
+        recordLine = line;
+      }
+    }
+    
+    offset += text.length;
+  }
+  
+  /**
+   * Finish parsing: flush the last record and report an unterminated quote
+   */
+  function end() {
+    if (quotePending) {
+      quotePending = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      onError({ line: quoteLine, column: quoteColumn, message: 'unterminated quoted field' });
+      inQuotes = false;
+    }
+    endRecord(0);
+  }
+  
+  return { push, end };
+}
+
+/**
+ * Create a reader that splits pushed text into lines (LF or CRLF)
+ * @param {Function} onLine - Receives (text, line) per line, without its line break
+ * @returns {Object} { push(text), end() }
+ */
+function createLineReader(onLine) {
+  let pending = '';
+  let line = 0;
+  
+  const emit = (text) => onLine(text.endsWith('\r') ? text.slice(0, -1) : text, ++line);
+  
+  return {
+    push(text) {
+      pending += text;
+      let start = 0;
+      let newline;
+      while ((newline = pending.indexOf('\n', start)) !== -1) {
+        emit(pending.slice(start, newline));
+        start = newline + 1;
+      }
+      pending = pending.slice(start);
+    },
+    end() {
+      if (pending) emit(pending);
+      pending = '';
+    }
+  };
+}
+
+/**
+ * Read a file as decoded text in chunks
+ * 
+ * A byte order mark selects UTF-8 or UTF-16 and is dropped; otherwise the
+ * given encoding applies. Bytes that are invalid in the encoding are
+ * reported at their line and column.
+ * @param {string} filePath - File path
+ * @param {string} encoding - Encoding without a byte order mark (default utf-8)
+ * @param {Function} onText - Receives each decoded chunk
+ * @param {Function} onInvalid - Receives { line, column, message } per run of invalid bytes
+ * @returns {Promise<string>} Encoding used
+ */
+async function streamText(filePath, encoding, onText, onInvalid) {
+  const stream = fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE });
+  let decoder = null;
+  let line = 1;
+  let column = 1;
+  
+  const emit = (text) => {
+    if (!text) return;
+    // The decoder turns invalid bytes into replacement characters
+    const fragments = text.split('\uFFFD');
+    for (let i = 0; i < fragments.length - 1; i++) {
+      ({ line, column } = advance(fragments[i], line, column));
+      onInvalid({ line, column, message: `invalid ${decoder.encoding} byte sequence` });
+      column++;
+    }
+    ({ line, column } = advance(fragments[fragments.length - 1], line, column));
+    onText(text);
+  };
+  
+  for await (const chunk of stream) {
+    decoder = decoder || new TextDecoder(bomEncoding(chunk) || encoding || 'utf-8');
+    emit(decoder.decode(chunk, { stream: true }));
+  }
+  if (decoder) {
+    emit(decoder.decode());
+  }
+  
+  return decoder ? decoder.encoding : encoding || 'utf-8';
+}
+
+/**
+ * Encoding named by a byte order mark
+ * @param {Buffer} bytes - Start of a file
+ * @returns {string|null} Encoding, null without a byte order mark
+ */
+function bomEncoding(bytes) {
+  const bom = BOMS.find(({ bytes: mark }) => mark.every((byte, i) => bytes[i] === byte));
+  return bom ? bom.encoding : null;
+}
+
+/**
+ * Advance a line and column over text
+ * @param {string} text - Text
+ * @param {number} line - Line before the text
+ * @param {number} column - Column before the text
+ * @returns {Object} { line, column } after it
+ */
+function advance(text, line, column) {
+  let lastBreak = -1;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    line++;
+    lastBreak = i;
+  }
+  return { line, column: lastBreak === -1 ? column + text.length : text.length - lastBreak };
+}
+
+/**
+ * Read the beginning of a file as text, for format detection
+ * @param {string} filePath - File path
+ * @param {string} encoding - Encoding (default utf-8)
+ * @returns {Promise<string>} Up to SNIFF_SIZE bytes, decoded
+ */
+async function readStart(filePath, encoding) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_SIZE, 0);
+    const start = buffer.subarray(0, bytesRead);
+    return new TextDecoder(bomEncoding(start) || encoding || 'utf-8').decode(start);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Create an accumulator that checks records one at a time
+ * 
+ * Keeps per-column counts and the first offending rows of each rule, and
+ * fingerprints for uniqueness and duplicate rows, never the records.
+ * @param {Object} spec - Normalized data spec
+ * @param {Object} options - Analyzer options
+ * @param {boolean} options.typed - Whether values carry JSON types (otherwise they are CSV strings)
+ * @param {string} options.unit - What record positions count: line or record
+ * @param {boolean} options.validateRecords - Validate each record against the spec's schema
+ * @returns {Object} { setColumns(columns), add(record, position), finish() }
+ */
+function createRecordAnalyzer(spec, { typed, unit, validateRecords = false }) {
+  const columns = [];
+  const filled = new Map();
+  const rowFingerprints = createFingerprintSet();
+  const validate = validateRecords && spec.schema ? ajv.compile(spec.schema) : null;
+  const schema = { checked: 0, invalid: 0, errors: [] };
+  let rows = 0;
+  let duplicates = 0;
+  let inexact = false;
+  
+  const columnRules = Object.entries(spec.columns || {}).map(([column, rules]) => ({
+    column,
+    rules,
+    pattern: rules.pattern !== undefined ? new RegExp(rules.pattern) : null,
+    allowed: rules.enum ? new Set(rules.enum.map(String)) : null,
+    bounds: { min: comparable(rules.type, rules.min), max: comparable(rules.type, rules.max) },
+    values: rules.unique ? createFingerprintSet() : null,
+    nulls: 0,
+    failures: {}
+  }));
+  
+  const fail = (entry, rule, position) => {
+    const failure = entry.failures[rule] || (entry.failures[rule] = { count: 0, positions: [] });
+    failure.count++;
+    if (failure.positions.length < MAX_REPORTED_ROWS) failure.positions.push(position);
+  };
+  
+  const noteColumn = (column) => {
+    if (!filled.has(column)) {
+      filled.set(column, 0);
+      columns.push(column);
+    }
+  };
+  
+  /**
+   * Check one value against its column's rules
+   * @param {Object} entry - Column rule state
+   * @param {*} value - Non-null value
+   * @param {number} position - Record position
+   */
+  const checkValue = (entry, value, position) => {
+    const { rules } = entry;
+    if (rules.type && !matchesType(rules.type, value, typed)) {
+      fail(entry, 'type', position);
+    }
+    if (entry.values) {
+      const added = entry.values.add(JSON.stringify(value));
+      if (added === false) fail(entry, 'unique', position);
+      if (added === null) inexact = true;
+    }
+    if (entry.bounds.min !== null || entry.bounds.max !== null) {
+      const compared = comparable(rules.type, value);
+      if (compared !== null && entry.bounds.min !== null && compared < entry.bounds.min) fail(entry, 'min', position);
+      if (compared !== null && entry.bounds.max !== null && compared > entry.bounds.max) fail(entry, 'max', position);
+    }
+    if (entry.pattern && !entry.pattern.test(String(value))) {
+      fail(entry, 'pattern', position);
+    }
+    if (entry.allowed && !entry.allowed.has(String(value))) {
+      fail(entry, 'enum', position);
+    }
+  };
+  
+  /**
+   * Declare the columns up front (a CSV header)
+   * @param {string[]} names - Column names
+   */
+  function setColumns(names) {
+    names.forEach(noteColumn);
+  }
+  
+  /**
+   * Check and count one record
+   * @param {*} record - Record (usually an object)
+   * @param {number} position - Line or record number
+   */
+  function add(record, position) {
+    rows++;
+    
+    if (validate) {
+      schema.checked++;
+      if (!validate(record)) {
+        schema.invalid++;
+        if (schema.errors.length < MAX_REPORTED_ROWS) {
+          schema.errors.push(`${unit} ${position}: ${describeSchemaError(validate.errors[0])}`);
+        }
+      }
+    }
+    
+    if (!isRecord(record)) {
+      if (rowFingerprints.add(JSON.stringify(record)) === false) duplicates++;
+      return;
+    }
+    
+    for (const column of Object.keys(record)) {
+      noteColumn(column);
+      if (record[column] !== null && record[column] !== undefined) {
+        filled.set(column, filled.get(column) + 1);
+      }
+    }
+    
+    const added = rowFingerprints.add(JSON.stringify(columns.map(column => record[column] ?? null)));
+    if (added === false) duplicates++;
+    if (added === null) inexact = true;
+    
+    for (const entry of columnRules) {
+      const value = record[entry.column] ?? null;
+      if (value === null) {
+        entry.nulls++;
+      } else {
+        checkValue(entry, value, position);
+      }
+    }
+  }
+  
+  /**
+   * Results of the records seen
+   * @returns {Object} { rows, columns, schema, columnCheck, summary }
+   */
+  function finish() {
+    const violations = [];
+    let checked = 0;
+    
+    for (const { column, rules, nulls, failures } of columnRules) {
+      // An absent column is one failed check when required; its other rules have nothing to check
+      if (!filled.has(column)) {
+        if (rules.required) {
+          checked++;
+          violations.push({ column, rule: 'required', message: `missing column ${column}` });
+        }
+        continue;
+      }
+      
+      for (const rule of Object.keys(rules).filter(name => rules[name] !== false)) {
+        checked++;
+        const message = describeRule(rule, rules, failures[rule], nulls);
+        if (message) {
+          violations.push({ column, rule, message: `${column}: ${message}` });
+        }
+      }
+    }
+    
+    const emptyCells = columns.reduce((sum, column) => sum + rows - filled.get(column), 0);
+    
+    return {
+      rows,
+      columns,
+      schema: validate ? schema : null,
+      columnCheck: spec.columns ? { checked, violations } : null,
+      summary: { rows, duplicates, emptyCells, cells: rows * columns.length, ...(inexact && { inexact }) }
+    };
+  }
+  
+  /**
+   * Violation message for one rule
+   * @param {string} rule - Rule name
+   * @param {Object} rules - All rules of the column
+   * @param {Object} failure - { count, positions }, undefined when no value failed
+   * @param {number} nulls - Empty values in the column
+   * @returns {string|null} Message, null when the rule holds
+   */
+  function describeRule(rule, rules, failure, nulls) {
+    if (rule === 'max_null_ratio') {
+      const ratio = rows > 0 ? nulls / rows : 0;
+      return ratio > rules.max_null_ratio
+        ? `${round(ratio * 100)}% empty, allowed ${round(rules.max_null_ratio * 100)}%`
+        : null;
+    }
+    if (!failure) return null;
+    
+    const problems = {
+      type: `not ${rules.type}`,
+      unique: 'duplicated',
+      min: `below ${rules.min}`,
+      max: `above ${rules.max}`,
+      pattern: `not matching /${rules.pattern}/`,
+      enum: 'not in the allowed values'
+    };
+    return describeRows(failure, problems[rule], unit);
+  }
+  
+  return { setColumns, add, finish };
+}
+
+/**
+ * Create a set of 64-bit string fingerprints in an open-addressing table
+ * 
+ * Memory is 8 bytes per slot; past `limit` distinct values new ones are no
+ * longer stored, only looked up.
+ * @param {number} limit - Most fingerprints stored
+ * @returns {Object} { add(text) } - true when new, false when seen before, null when new but not stored
+ */
+function createFingerprintSet(limit = MAX_FINGERPRINTS) {
+  let capacity = 1024;
+  let table = new Uint32Array(capacity * 2);
+  let size = 0;
+  
+  // Returns the slot holding the fingerprint, or the empty slot where it belongs
+  const find = (slots, slotCount, high, low) => {
+    let slot = (high ^ low) & (slotCount - 1);
+    while (slots[slot * 2] !== 0 || slots[slot * 2 + 1] !== 0) {
+      if (slots[slot * 2] === high && slots[slot * 2 + 1] === low) return slot;
+      slot = (slot + 1) & (slotCount - 1);
+    }
+    return slot;
+  };
+  
+  const grow = () => {
+    const previous = table;
+    capacity *= 2;
+    table = new Uint32Array(capacity * 2);
+    for (let slot = 0; slot < previous.length; slot += 2) {
+      if (previous[slot] === 0 && previous[slot + 1] === 0) continue;
+      const target = find(table, capacity, previous[slot], previous[slot + 1]);
+      table[target * 2] = previous[slot];
+      table[target * 2 + 1] = previous[slot + 1];
+    }
+  };
+  
+  return {
+    add(text) {
+      const [high, low] = fingerprint(text);
+      const slot = find(table, capacity, high, low);
+      if (table[slot * 2] === high && table[slot * 2 + 1] === low) return false;
+      if (size >= limit) return null;
+      
+      table[slot * 2] = high;
+      table[slot * 2 + 1] = low;
+      size++;
+      if (size * 2 > capacity) grow();
+      return true;
+    }
+  };
+}
+
+/**
+ * 64-bit fingerprint of a string (two 32-bit halves, never both zero)
+ * @param {string} text - Text
+ * @returns {number[]} [high, low]
+ */
+function fingerprint(text) {
+  let high = 0xdeadbeef;
+  let low = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    high = Math.imul(high ^ code, 2654435761);
+    low = Math.imul(low ^ code, 1597334677);
+  }
+  high = Math.imul(high ^ (high >>> 16), 2246822507) ^ Math.imul(low ^ (low >>> 13), 3266489909);
+  low = Math.imul(low ^ (low >>> 16), 2246822507) ^ Math.imul(high ^ (high >>> 13), 3266489909);
+  high >>>= 0;
+  low >>>= 0;
+  return high === 0 && low === 0 ? [1, 0] : [high, low];
+}
+
+/**
+ * Whether a value has the column type
+ * @param {string} type - Column type
+ * @param {*} value - Non-null value
+ * @param {boolean} typed - Whether values carry JSON types (otherwise they are CSV strings)
+ * @returns {boolean} Whether it matches
+ */
+function matchesType(type, value, typed) {
+  const text = String(value);
+  switch (type) {
+    case 'integer':
+      return typed ? Number.isInteger(value) : /^[+-]?\d+$/.test(text);
+    case 'number':
+      return typed ? typeof value === 'number' : /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text);
+    case 'boolean':
+      return typed ? typeof value === 'boolean' : /^(true|false)$/i.test(text);
+    case 'date':
+      return typeof value === 'string' && comparable('date', value) !== null;
+    default:
+      return !typed || typeof value === 'string';
+  }
+}
+
+/**
+ * Value as a number for range checks
+ * @param {string} type - Column type (integer, number, date)
+ * @param {*} value - Value
+ * @returns {number|null} Number (epoch milliseconds for dates), null when not comparable
+ */
+function comparable(type, value) {
+  if (value === undefined || value === null) return null;
+  if (type === 'date') {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Describe offending rows
+ * @param {Object} failure - { count, positions } with the first positions
+ * @param {string} problem - What is wrong with them
+ * @param {string} unit - What positions count: line or record
+ * @returns {string} e.g. "3 values not integer (lines 2, 5, 9)"
+ */
+function describeRows({ count, positions }, problem, unit) {
+  const listed = positions.join(', ');
+  return `${count} ${count === 1 ? 'value' : 'values'} ${problem} (${unit}${count === 1 ? '' : 's'} ${listed}${count > positions.length ? ', ...' : ''})`;
+}
+
+/**
+ * Describe the first JSON Schema error
+ * @param {Object} error - Ajv error
+ * @returns {string} e.g. "/n must be integer"
+ */
+function describeSchemaError(error) {
+  return `${error.instancePath || '/'} ${error.message}`;
+}
+
+/**
+ * Position of the syntax error in text that JSON.parse rejected
+ * 
+ * JSON.parse does not report a position for every error, so the text is
+ * rescanned up to the first character that cannot continue valid JSON.
+ * @param {string} source - Invalid JSON text
+ * @returns {Object} { line, column }
+ */
+function jsonErrorPosition(source) {
+  return advance(source.slice(0, jsonErrorOffset(source)), 1, 1);
+}
+
+/**
+ * Offset of the first character that cannot continue valid JSON
+ * @param {string} text - JSON text
+ * @returns {number} Offset (the text length when it ends too early)
+ */
+function jsonErrorOffset(text) {
+  const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+  const containers = [];
+  let state = 'value';
+  let i = 0;
+  
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+  
+  // Moves past a string; false when it stops at an invalid character or the end
+  const skipString = () => {
+    i++;
+    while (i < text.length) {
+      const code = text.charCodeAt(i);
+      if (code === 34) {
+        i++;
+        return true;
+      }
+      if (code < 32) return false;
+      if (code !== 92) {
+        i++;
+      } else if (text[i + 1] === 'u') {
+        if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) return false;
+        i += 6;
+      } else if (i + 1 < text.length && '"\\/bfnrt'.includes(text[i + 1])) {
+        i += 2;
+      } else {
+        return false;
+      }
+    }
+    return false;
+  };
+  
+  for (;;) {
+    skipWhitespace();
+    if (state === 'value') {
+      if (text[i] === '{' || text[i] === '[') {
+        const close = text[i] === '{' ? '}' : ']';
+        i++;
+        skipWhitespace();
+        if (text[i] === close) {
+          i++;
+          state = 'after';
+        } else {
+          containers.push(close);
+          state = close === '}' ? 'key' : 'value';
+        }
+        continue;
+      }
+      if (text[i] === '"') {
+        if (!skipString()) return i;
+        state = 'after';
+        continue;
+      }
+      literal.lastIndex = i;
+      if (!literal.test(text)) return i;
+      i = literal.lastIndex;
+      state = 'after';
+    } else if (state === 'key') {
+      if (text[i] !== '"' || !skipString()) return i;
+      skipWhitespace();
+      if (text[i] !== ':') return i;
+      i++;
+      state = 'value';
+    } else {
+      if (containers.length === 0) return i;
+      const close = containers[containers.length - 1];
+      if (text[i] === ',') {
+        i++;
+        state = close === '}' ? 'key' : 'value';
+      } else if (text[i] === close) {
+        containers.pop();
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+}
+
+/**
+ * JSON.parse error message without the position or the quoted source
+ * @param {Error} error - SyntaxError from JSON.parse
+ * @returns {string} Message
+ */
+function jsonErrorMessage(error) {
+  return error.message
+    .replace(/, ".*" is not valid JSON$/s, '')
+    .replace(/ at position \d+.*$/s, '');
+}
+
+/**
+ * Whether a value is a plain object record
+ * @param {*} value - Value
+ * @returns {boolean} Whether it is a record
+ */
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Convert a file glob to a regular expression
+ * @param {string} pattern - Glob: * within a path segment, ** across segments, ? one character
+ * @returns {RegExp} Anchored expression over forward-slash paths
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/\\/g, '/')
+    .replace(/^\.\//, '')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
 module.exports = {
   validateJSON,
   validateCSV,
-  detectDataFormat
+  detectDataFormat,
+  loadDataSpec,
+  normalizeDataSpec,
+  findDataFiles,
+  analyzeDatasets,
+  analyzeDataset,
+  createDelimitedParser,
+  globToRegExp
 };
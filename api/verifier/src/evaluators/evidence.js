@@ -0,0 +1,619 @@
+/**
+ * Evidence Index
+ * 
+ * Static index of a whole submission, used to back requirement matches with
+ * concrete locations. Every text source file is scanned once for symbols,
+ * exports, imports, HTTP routes, test names, database tables, migrations (with
+ * their up and down steps), CLI entry points and documentation headings.
+ * Every entry carries the file (relative, POSIX separators) and 1-based line.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isIgnoredPath } = require('./files');
+
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Scanner per file extension
+const EXTENSIONS = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.jsx': 'js',
+  '.ts': 'js',
+  '.mts': 'js',
+  '.cts': 'js',
+  '.tsx': 'js',
+  '.py': 'python',
+  '.sol': 'solidity',
+  '.rs': 'rust',
+  '.go': 'go',
+  '.sql': 'sql',
+  '.prisma': 'prisma',
+  '.md': 'markdown'
+};
+
+// Manifests that declare CLI entry points
+const MANIFESTS = {
+  'package.json': 'packageJson',
+  'pyproject.toml': 'toml',
+  'Cargo.toml': 'toml',
+  'setup.py': 'python',
+  'setup.cfg': 'setupCfg'
+};
+
+const MIGRATION_PATH = /(^|\/)(migrations?|migrate|alembic\/versions)\//i;
+
+const JS = {
+  function: /^\s*(export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/,
+  class: /^\s*(export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/,
+  binding: /^\s*(export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+  method: /^\s+(?:(?:public|private|protected|static|async|get|set)\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/,
+  namedExport: /^\s*(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/,
+  exportList: /^\s*export\s*\{([^}]*)\}/,
+  exportObject: /^\s*module\.exports\s*=\s*\{(.*)$/,
+  exportSingle: /^\s*module\.exports\s*=\s*([A-Za-z_$][\w$]*)\s*;?\s*$/,
+  require: /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+  import: /^\s*import\s+(?:[^'"]*?\s+from\s+)?['"]([^'"]+)['"]/,
+  route: /\b([A-Za-z_$][\w$]*)\s*\.\s*(get|post|put|patch|delete|del|all)\s*\(\s*['"`](\/[^'"`]*)['"`]/gi,
+  chainedRoute: /\.route\(\s*['"`](\/[^'"`]*)['"`]\s*\)/,
+  chainedMethod: /\.(get|post|put|patch|delete)\s*\(/g,
+  controller: /@Controller\(\s*(?:['"`]([^'"`]*)['"`])?\s*\)/,
+  decoratorRoute: /@(Get|Post|Put|Patch|Delete)\(\s*(?:['"`]([^'"`]*)['"`])?\s*\)/,
+  test: /(?:^|[^\w.$])(?:test|it)(?:\.(?:only|skip|todo|concurrent))?\s*\(\s*(['"`])(.+?)\1/,
+  table: /\b(?:mongoose\.model|model|define|createTable)\(\s*['"`]([A-Za-z_][\w]*)['"`]/,
+  entity: /^\s*@Entity\(/
+};
+
+const KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'constructor', 'super']);
+
+const HTTP_METHODS = { del: 'DELETE', all: 'ALL' };
+
+/**
+ * Build the evidence index of a submission
+ * @param {string} projectPath - Project root
+ * @param {string[]} files - Relative file paths (POSIX separators)
+ * @returns {Promise<Object>} Index: { symbols, exports, imports, routes, tests, tables, migrations, cli, docs, sources }
+ */
+async function buildEvidenceIndex(projectPath, files) {
+  const index = {
+    symbols: [],
+    exports: [],
+    imports: [],
+    routes: [],
+    tests: [],
+    tables: [],
+    migrations: [],
+    cli: [],
+    docs: [],
+    sources: new Map()
+  };
+  
+  const indexable = files
+    .filter(file => !isIgnoredPath(file))
+    .filter(file => EXTENSIONS[path.extname(file)] || MANIFESTS[path.basename(file)])
+    .slice(0, MAX_FILES);
+  
+  for (const file of indexable) {
+    const lines = await readLines(path.join(projectPath, file));
+    if (!lines) continue;
+    
+    const manifest = MANIFESTS[path.basename(file)];
+    if (manifest) {
+      MANIFEST_SCANNERS[manifest](index, file, lines);
+    }
+    
+    const language = EXTENSIONS[path.extname(file)];
+    if (language) {
+      index.sources.set(file, lines);
+      SCANNERS[language](index, file, lines);
+    }
+    
+    if (language && language !== 'markdown' && (MIGRATION_PATH.test(file) || /\.(up|down)\.sql$/.test(file))) {
+      scanMigration(index, file, lines, language);
+    }
+  }
+  
+  return index;
+}
+
+/**
+ * Read a text file as lines, skipping large and binary files
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string[]|null>} Lines, or null when not indexable
+ */
+async function readLines(filePath) {
+  try {
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile() || stat.size > MAX_FILE_BYTES) return null;
+    const content = await fs.readFile(filePath, 'utf8');
+    if (content.includes('\0')) return null;
+    return content.split(/\r?\n/);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a path looks like a test file
+ * @param {string} file - Relative path
+ * @returns {boolean} Whether it is a test file
+ */
+function isTestFile(file) {
+  return /(^|\/)(test|tests|__tests__|spec)\//.test(file) ||
+    /(^|\/)test_[^/]*\.py$|_test\.(py|go)$|\.(test|spec)\.[cm]?[jt]sx?$|\.t\.sol$/.test(file);
+}
+
+const SCANNERS = {
+  /**
+   * JavaScript and TypeScript
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  js(index, file, lines) {
+    const testFile = isTestFile(file);
+    let controllerPrefix = '';
+    let exportBlock = false;
+    
+    lines.forEach((text, i) => {
+      const at = { file, line: i + 1 };
+      let match;
+      
+      if (i === 0 && text.startsWith('#!')) {
+        index.cli.push({ name: path.basename(file), source: 'shebang', ...at });
+      }
+      
+      // Symbols
+      if ((match = text.match(JS.function)) || (match = text.match(JS.class)) || (match = text.match(JS.binding))) {
+        const kind = JS.class.test(text) ? 'class' : 'function';
+        index.symbols.push({ name: match[2], kind, ...at });
+        if (match[1]) index.exports.push({ name: match[2], ...at });
+      } else if ((match = text.match(JS.method)) && !KEYWORDS.has(match[1])) {
+        index.symbols.push({ name: match[1], kind: 'method', ...at });
+      }
+      
+      // Exports
+      if (exportBlock) {
+        for (const name of exportedNames(text)) index.exports.push({ name, ...at });
+        if (text.includes('}')) exportBlock = false;
+      } else if ((match = text.match(JS.exportObject))) {
+        for (const name of exportedNames(match[1])) index.exports.push({ name, ...at });
+        exportBlock = !match[1].includes('}');
+      } else if ((match = text.match(JS.namedExport)) || (match = text.match(JS.exportSingle))) {
+        index.exports.push({ name: match[1], ...at });
+      } else if ((match = text.match(JS.exportList))) {
+        for (const name of exportedNames(match[1])) index.exports.push({ name, ...at });
+      }
+      
+      // Imports
+      for (const [, module] of text.matchAll(JS.require)) {
+        index.imports.push({ module, ...at });
+      }
+      if ((match = text.match(JS.import))) {
+        index.imports.push({ module: match[1], ...at });
+      }
+      
+      // Routes: app.get('/x'), router.route('/x').get().post(), NestJS decorators
+      for (const [, , method, routePath] of text.matchAll(JS.route)) {
+        index.routes.push({ method: HTTP_METHODS[method.toLowerCase()] || method.toUpperCase(), path: routePath, ...at });
+      }
+      if ((match = text.match(JS.chainedRoute))) {
+        const chain = [text.slice(match.index + match[0].length)];
+        for (let j = i + 1; j < lines.length && /^\s*\./.test(lines[j]); j++) chain.push(lines[j]);
+        for (const [, method] of chain.join('\n').matchAll(JS.chainedMethod)) {
+          index.routes.push({ method: method.toUpperCase(), path: match[1], ...at });
+        }
+      }
+      if ((match = text.match(JS.controller))) {
+        controllerPrefix = match[1] ? `/${match[1].replace(/^\/|\/$/g, '')}` : '';
+      }
+      if ((match = text.match(JS.decoratorRoute))) {
+        const suffix = match[2] ? `/${match[2].replace(/^\//, '')}` : '';
+        index.routes.push({ method: match[1].toUpperCase(), path: `${controllerPrefix}${suffix}` || '/', ...at });
+      }
+      
+      // Tests
+      if (testFile && (match = text.match(JS.test))) {
+        index.tests.push({ name: match[2], ...at });
+      }
+      
+      // Tables and models
+      if ((match = text.match(JS.table))) {
+        index.tables.push({ name: match[1], ...at });
+      } else if (JS.entity.test(text)) {
+        const entity = lines.slice(i + 1, i + 4).join('\n').match(/class\s+([A-Za-z_$][\w$]*)/);
+        if (entity) index.tables.push({ name: entity[1], ...at });
+      }
+    });
+  },
+  
+  /**
+   * Python
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  python(index, file, lines) {
+    const testFile = isTestFile(file);
+    
+    lines.forEach((text, i) => {
+      const at = { file, line: i + 1 };
+      let match;
+      
+      if (i === 0 && text.startsWith('#!')) {
+        index.cli.push({ name: path.basename(file), source: 'shebang', ...at });
+      }
+      
+      if ((match = text.match(/^(\s*)(?:async\s+)?def\s+(\w+)/))) {
+        index.symbols.push({ name: match[2], kind: match[1] ? 'method' : 'function', ...at });
+        if (!match[1] && !match[2].startsWith('_')) index.exports.push({ name: match[2], ...at });
+        if (testFile && match[2].startsWith('test')) index.tests.push({ name: match[2], ...at });
+      } else if ((match = text.match(/^(\s*)class\s+(\w+)\s*(?:\(([^)]*)\))?/))) {
+        index.symbols.push({ name: match[2], kind: 'class', ...at });
+        if (!match[1] && !match[2].startsWith('_')) index.exports.push({ name: match[2], ...at });
+        if (/\b(models\.Model|db\.Model|Base|DeclarativeBase|table=True)\b/.test(match[3] || '')) {
+          index.tables.push({ name: match[2], ...at });
+        }
+      }
+      
+      if ((match = text.match(/^\s*import\s+([\w.]+)/)) || (match = text.match(/^\s*from\s+([\w.]+)\s+import\b/))) {
+        index.imports.push({ module: match[1], ...at });
+      }
+      
+      // Flask @app.route('/x', methods=[...]), FastAPI @router.get('/x')
+      if ((match = text.match(/^\s*@\w+\.(route|get|post|put|patch|delete)\(\s*['"]([^'"]+)['"](.*)$/))) {
+        const methods = match[1] === 'route'
+          ? [...(match[3].match(/methods\s*=\s*\[([^\]]*)\]/)?.[1] || "'GET'").matchAll(/['"](\w+)['"]/g)].map(m => m[1].toUpperCase())
+          : [match[1].toUpperCase()];
+        for (const method of methods) {
+          index.routes.push({ method, path: match[2], ...at });
+        }
+      }
+      
+      // Django urls.py
+      if (path.basename(file) === 'urls.py' && (match = text.match(/\b(?:re_)?path\(\s*r?['"]([^'"]*)['"]/))) {
+        index.routes.push({ method: 'ALL', path: `/${match[1]}`, ...at });
+      }
+      
+      if ((match = text.match(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[`"[]?(\w+)/i))) {
+        index.tables.push({ name: match[1], ...at });
+      }
+    });
+  },
+  
+  /**
+   * Solidity
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  solidity(index, file, lines) {
+    const testFile = isTestFile(file);
+    
+    lines.forEach((text, i) => {
+      const at = { file, line: i + 1 };
+      let match;
+      
+      if ((match = text.match(/^\s*(?:abstract\s+)?(contract|interface|library)\s+(\w+)/))) {
+        index.symbols.push({ name: match[2], kind: match[1], ...at });
+        index.exports.push({ name: match[2], ...at });
+      } else if ((match = text.match(/^\s*(function|event|modifier)\s+(\w+)\s*\(([^)]*)\)?(.*)$/))) {
+        index.symbols.push({ name: match[2], kind: match[1], ...at });
+        if (match[1] === 'function' && /\b(public|external)\b/.test(match[4])) {
+          index.exports.push({ name: match[2], ...at });
+        }
+        if (testFile && match[1] === 'function' && /^test/.test(match[2])) {
+          index.tests.push({ name: match[2], ...at });
+        }
+      }
+      
+      if ((match = text.match(/^\s*import\s+(?:[^'"]*\s+from\s+)?['"]([^'"]+)['"]/))) {
+        index.imports.push({ module: match[1], ...at });
+      }
+    });
+  },
+  
+  /**
+   * Rust
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  rust(index, file, lines) {
+    let testAttribute = false;
+    
+    lines.forEach((text, i) => {
+      const at = { file, line: i + 1 };
+      let match;
+      
+      if (/^\s*#\[(tokio::)?test\]/.test(text)) {
+        testAttribute = true;
+      } else if ((match = text.match(/^\s*(pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+(\w+)/))) {
+        index.symbols.push({ name: match[2], kind: 'function', ...at });
+        if (match[1]) index.exports.push({ name: match[2], ...at });
+        if (testAttribute) index.tests.push({ name: match[2], ...at });
+        testAttribute = false;
+      } else if ((match = text.match(/^\s*(pub(?:\([^)]*\))?\s+)?(struct|enum|trait)\s+(\w+)/))) {
+        index.symbols.push({ name: match[3], kind: match[2], ...at });
+        if (match[1]) index.exports.push({ name: match[3], ...at });
+      }
+      
+      if ((match = text.match(/^\s*(?:pub\s+)?use\s+([\w:]+)/))) {
+        index.imports.push({ module: match[1].split('::')[0], ...at });
+      }
+    });
+  },
+  
+  /**
+   * Go
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  go(index, file, lines) {
+    let importBlock = false;
+    
+    lines.forEach((text, i) => {
+      const at = { file, line: i + 1 };
+      let match;
+      
+      if ((match = text.match(/^func\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/))) {
+        index.symbols.push({ name: match[1], kind: 'function', ...at });
+        if (/^[A-Z]/.test(match[1])) index.exports.push({ name: match[1], ...at });
+        if (/^Test[A-Z_]/.test(match[1]) && file.endsWith('_test.go')) index.tests.push({ name: match[1], ...at });
+      } else if ((match = text.match(/^type\s+(\w+)\s+(struct|interface)\b/))) {
+        index.symbols.push({ name: match[1], kind: match[2], ...at });
+        if (/^[A-Z]/.test(match[1])) index.exports.push({ name: match[1], ...at });
+      }
+      
+      if (/^import\s*\($/.test(text)) {
+        importBlock = true;
+      } else if (importBlock && text.trim() === ')') {
+        importBlock = false;
+      } else if ((importBlock && (match = text.match(/^\s*(?:\w+\s+)?"([^"]+)"/))) || (match = text.match(/^import\s+(?:\w+\s+)?"([^"]+)"/))) {
+        index.imports.push({ module: match[1], ...at });
+      }
+      
+      // net/http, gin, echo, chi
+      if ((match = text.match(/\.(HandleFunc|Handle|GET|POST|PUT|PATCH|DELETE|Get|Post|Put|Patch|Delete)\(\s*"(\/[^"]*)"/))) {
+        const method = /^Handle/.test(match[1]) ? 'ALL' : match[1].toUpperCase();
+        index.routes.push({ method, path: match[2], ...at });
+      }
+    });
+  },
+  
+  /**
+   * SQL
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  sql(index, file, lines) {
+    lines.forEach((text, i) => {
+      const match = text.match(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[`"[]?(\w+)/i);
+      if (match) index.tables.push({ name: match[1], file, line: i + 1 });
+    });
+  },
+  
+  /**
+   * Prisma schema
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  prisma(index, file, lines) {
+    lines.forEach((text, i) => {
+      const match = text.match(/^\s*model\s+(\w+)\s*\{/);
+      if (match) index.tables.push({ name: match[1], file, line: i + 1 });
+    });
+  },
+  
+  /**
+   * Markdown headings
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  markdown(index, file, lines) {
+    lines.forEach((text, i) => {
+      const match = text.match(/^#{1,6}\s+(.+?)\s*#*$/);
+      if (match) index.docs.push({ title: match[1], file, line: i + 1 });
+    });
+  }
+};
+
+const MANIFEST_SCANNERS = {
+  /**
+   * package.json bin entries
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  packageJson(index, file, lines) {
+    let pkg;
+    try {
+      pkg = JSON.parse(lines.join('\n'));
+    } catch (error) {
+      return;
+    }
+    
+    // Line of a "key": at or after a given line (0-based), 1-based result
+    const lineOf = (key, from = 0) => {
+      const i = lines.findIndex((text, n) => n >= from && text.includes(`"${key}"`) && /"\s*:/.test(text));
+      return i + 1 || 1;
+    };
+    const binLine = lineOf('bin');
+    if (typeof pkg.bin === 'string') {
+      index.cli.push({ name: pkg.name || pkg.bin, source: 'package.json bin', file, line: binLine });
+    } else if (pkg.bin && typeof pkg.bin === 'object') {
+      for (const name of Object.keys(pkg.bin)) {
+        index.cli.push({ name, source: 'package.json bin', file, line: lineOf(name, binLine - 1) });
+      }
+    }
+  },
+  
+  /**
+   * pyproject.toml scripts and Cargo.toml binaries
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  toml(index, file, lines) {
+    let section = null;
+    
+    lines.forEach((text, i) => {
+      const header = text.match(/^\s*\[\[?([^\]]+)\]\]?\s*$/);
+      if (header) {
+        section = header[1].trim();
+        return;
+      }
+      
+      let match;
+      if (['project.scripts', 'tool.poetry.scripts'].includes(section) && (match = text.match(/^\s*([\w.-]+)\s*=/))) {
+        index.cli.push({ name: match[1], source: `${path.basename(file)} ${section}`, file, line: i + 1 });
+      } else if (section === 'bin' && (match = text.match(/^\s*name\s*=\s*"([^"]+)"/))) {
+        index.cli.push({ name: match[1], source: 'Cargo.toml [[bin]]', file, line: i + 1 });
+      }
+    });
+  },
+  
+  /**
+   * setup.py console_scripts (symbols and imports come from the Python scanner)
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  python(index, file, lines) {
+    consoleScripts(index, file, lines);
+  },
+  
+  /**
+   * setup.cfg console_scripts
+   * @param {Object} index - Evidence index
+   * @param {string} file - Relative path
+   * @param {string[]} lines - File lines
+   */
+  setupCfg(index, file, lines) {
+    consoleScripts(index, file, lines);
+  }
+};
+
+/**
+ * Record console_scripts entry points ("name = package.module:function")
+ * @param {Object} index - Evidence index
+ * @param {string} file - Relative path
+ * @param {string[]} lines - File lines
+ */
+function consoleScripts(index, file, lines) {
+  const start = lines.findIndex(text => text.includes('console_scripts'));
+  if (start === -1) return;
+  
+  for (let i = start; i < Math.min(lines.length, start + 20); i++) {
+    const match = lines[i].match(/['"]?\s*([\w.-]+)\s*=\s*[\w.]+:\w+/);
+    if (match) index.cli.push({ name: match[1], source: `${path.basename(file)} console_scripts`, file, line: i + 1 });
+  }
+}
+
+/**
+ * Record a migration file and where its up and down steps are
+ * 
+ * Paired NAME.up.sql / NAME.down.sql files are merged into one migration.
+ * Django migrations are reversible by the framework, so they count as both.
+ * @param {Object} index - Evidence index
+ * @param {string} file - Relative path
+ * @param {string[]} lines - File lines
+ * @param {string} language - Scanner language
+ */
+function scanMigration(index, file, lines, language) {
+  const find = (pattern) => {
+    const i = lines.findIndex(text => pattern.test(text));
+    return i === -1 ? null : { file, line: i + 1 };
+  };
+  
+  let name = file;
+  let up = null;
+  let down = null;
+  
+  if (language === 'js') {
+    up = find(/\bexports\.up\b|^\s*(?:public\s+)?(?:async\s+)?up\s*[:(=]/);
+    down = find(/\bexports\.down\b|^\s*(?:public\s+)?(?:async\s+)?down\s*[:(=]/);
+  } else if (language === 'python') {
+    if (find(/class\s+Migration\s*\(\s*migrations\.Migration\s*\)/)) {
+      up = down = find(/class\s+Migration\b/);
+    } else {
+      up = find(/^def\s+upgrade\s*\(/);
+      down = find(/^def\s+downgrade\s*\(/);
+    }
+  } else if (language === 'sql') {
+    const pair = file.match(/^(.*)\.(up|down)\.sql$/);
+    if (pair) {
+      name = pair[1];
+      const location = { file, line: 1 };
+      up = pair[2] === 'up' ? location : null;
+      down = pair[2] === 'down' ? location : null;
+    } else {
+      // sql-migrate, goose and dbmate markers; otherwise a forward-only script
+      up = find(/^--\s*(\+migrate|\+goose)\s+up\b|^--\s*migrate:up\b/i);
+      down = find(/^--\s*(\+migrate|\+goose)\s+down\b|^--\s*migrate:down\b/i);
+      if (!up && !down) up = find(/\b(CREATE|ALTER|DROP|INSERT)\b/i);
+    }
+  }
+  
+  if (!up && !down) return;
+  
+  const existing = index.migrations.find(migration => migration.name === name);
+  if (existing) {
+    existing.up = existing.up || up;
+    existing.down = existing.down || down;
+  } else {
+    index.migrations.push({ name, up, down });
+  }
+}
+
+/**
+ * Identifier names in an export list (`a, b: c, d as e`)
+ * @param {string} text - List text
+ * @returns {string[]} Exported names
+ */
+function exportedNames(text) {
+  return text
+    .replace(/\}.*$/, '')
+    .split(',')
+    .map(part => part.trim().split(/\s*:\s*|\s+as\s+/)[0].trim())
+    .filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+}
+
+/**
+ * Summarize an index for a prompt: counts plus the most telling entries
+ * @param {Object} index - Evidence index
+ * @param {number} limit - Entries listed per kind
+ * @returns {string} Summary, one section per non-empty kind
+ */
+function describeIndex(index, limit = 40) {
+  const at = (entry) => `${entry.file}:${entry.line}`;
+  const sections = [
+    ['Routes', index.routes, route => `${route.method} ${route.path} (${at(route)})`],
+    ['Exports', index.exports, entry => `${entry.name} (${at(entry)})`],
+    ['Tables and models', index.tables, table => `${table.name} (${at(table)})`],
+    ['Migrations', index.migrations, migration => `${migration.name} (up: ${migration.up ? at(migration.up) : 'none'}, down: ${migration.down ? at(migration.down) : 'none'})`],
+    ['CLI entry points', index.cli, entry => `${entry.name} via ${entry.source} (${at(entry)})`],
+    ['Tests', index.tests, test => `${test.name} (${at(test)})`]
+  ];
+  
+  return sections
+    .filter(([, entries]) => entries.length > 0)
+    .map(([title, entries, format]) => {
+      const listed = entries.slice(0, limit).map(format).join('\n');
+      const more = entries.length > limit ? `\n... ${entries.length - limit} more` : '';
+      return `${title} (${entries.length}):\n${listed}${more}`;
+    })
+    .join('\n\n');
+}
+
+module.exports = {
+  buildEvidenceIndex,
+  describeIndex,
+  isTestFile
+};
@@ -0,0 +1,101 @@
+/**
+ * Project Files
+ * 
+ * The directories no check treats as part of a submission (installed
+ * dependencies, VCS data, build output and verifier artifacts) and the walker
+ * that leaves them out, so every check reads the same set of files.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Skipped by name at any depth
+const IGNORED_DIRS = [
+  // Installed dependencies
+  'node_modules', 'vendor', 'venv', '.venv', '__pycache__',
+  // VCS data and verifier artifacts
+  '.git', '.clawjudge',
+  // Build and test output
+  'dist', 'build', 'out', 'target', 'artifacts', 'cache', 'coverage'
+];
+
+// Foundry installs dependencies into lib/ at the project root
+const FOUNDRY_CONFIG = 'foundry.toml';
+const FOUNDRY_LIB = 'lib';
+
+/**
+ * Whether a relative file path lies inside an ignored directory
+ * 
+ * A Foundry project's root lib/ is not covered: whether it holds
+ * dependencies depends on the project, which listProjectFiles checks.
+ * @param {string} file - Relative path with forward slashes
+ * @returns {boolean} Whether any directory on the path is ignored
+ */
+function isIgnoredPath(file) {
+  return file.split('/').slice(0, -1).some(segment => IGNORED_DIRS.includes(segment));
+}
+
+/**
+ * List a project's files, relative to its root
+ * 
+ * Ignored directories, and lib/ at the root of a Foundry project, are skipped
+ * without descending into them; an entry that cannot be read is skipped on
+ * its own. Symlinks are followed to files only.
+ * @param {string} projectPath - Project root
+ * @param {Object} options - Listing options
+ * @param {Function} options.include - Keeps only the relative paths it returns true for
+ * @param {number} options.limit - Stop after this many files (default: no limit)
+ * @returns {Promise<string[]>} Sorted relative paths with forward slashes
+ */
+async function listProjectFiles(projectPath, options = {}) {
+  const { include, limit = Infinity } = options;
+  const foundry = await fs.pathExists(path.join(projectPath, FOUNDRY_CONFIG));
+  const files = [];
+  
+  async function visit(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      // An unreadable subdirectory is skipped; an unreadable project is an error
+      if (dir === projectPath) throw error;
+      return;
+    }
+    
+    for (const entry of entries) {
+      if (files.length >= limit) return;
+      
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        const ignored = IGNORED_DIRS.includes(entry.name) ||
+          (foundry && dir === projectPath && entry.name === FOUNDRY_LIB);
+        if (!ignored) await visit(fullPath);
+        continue;
+      }
+      
+      // Dangling symlinks are skipped
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        try {
+          isFile = (await fs.stat(fullPath)).isFile();
+        } catch (e) {
+          continue;
+        }
+      }
+      
+      const relative = path.relative(projectPath, fullPath).split(path.sep).join('/');
+      if (isFile && (!include || include(relative))) {
+        files.push(relative);
+      }
+    }
+  }
+  
+  await visit(projectPath);
+  return files.sort();
+}
+
+module.exports = {
+  IGNORED_DIRS,
+  isIgnoredPath,
+  listProjectFiles
+};
@@ -0,0 +1,212 @@
+/**
+ * Requirement Specs
+ * 
+ * A requirement is either free text, judged by the requirement provider, or a
+ * typed assertion checked deterministically (see ./assertions). Both kinds
+ * mix in one list. Specs load from YAML or JSON files - a list, or an object
+ * with a `requirements` list - and from plain text files, one free-text
+ * requirement per line:
+ * 
+ *   requirements:
+ *     - REST API with CRUD endpoints for users
+ *     - type: http_route
+ *       method: POST
+ *       path: /users
+ *       mandatory: true                          # a miss forces FAIL
+ *     - description: Output matches the published schema
+ *       type: json_schema
+ *       file: data/output.json
+ *       schema_file: schemas/output.schema.json   # relative to the spec file
+ *       weight: 3                                # counts three times as much
+ *     - description: Admin dashboard             # free text with flags
+ *       mandatory: false                         # a miss only lowers the score
+ * 
+ * Any requirement may be written as an object to carry `weight` (a positive
+ * weight or point value; default 1) and `mandatory`: "partial" (the default)
+ * caps the verdict at PARTIAL when the requirement is missed, true or "fail"
+ * forces FAIL, and false leaves the miss to the score.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ASSERTIONS } = require('./assertions');
+
+// Keys every requirement object may carry besides assertion parameters
+const COMMON_KEYS = ['type', 'description', 'mandatory', 'weight'];
+
+// Accepted values of `mandatory`
+const MANDATORY_VALUES = [true, false, 'fail', 'partial'];
+
+// Assertion parameter types
+const PARAM_TYPES = {
+  string: value => typeof value === 'string' && value.length > 0,
+  number: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  path: value => typeof value === 'string' && value.length > 0 && !path.isAbsolute(value) &&
+    !path.posix.normalize(value.replace(/\\/g, '/')).split('/').includes('..')
+};
+
+const PARAM_DESCRIPTIONS = {
+  string: 'a non-empty string',
+  number: 'a non-negative number',
+  object: 'an object',
+  path: 'a path inside the submission'
+};
+
+/**
+ * Load a requirement spec file
+ * @param {string} filePath - .yaml, .yml, .json, or text (one requirement per line)
+ * @returns {Promise<Array>} Normalized requirements
+ */
+async function loadRequirementSpec(filePath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  
+  if (!['.yaml', '.yml', '.json'].includes(extension)) {
+    return normalizeRequirements(source.split('\n').map(line => line.trim()).filter(Boolean));
+  }
+  
+  let spec;
+  try {
+    spec = extension === '.json' ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    throw new Error(`Could not parse requirement spec ${filePath}: ${error.message}`);
+  }
+  
+  const requirements = Array.isArray(spec) ? spec : spec?.requirements;
+  if (!Array.isArray(requirements)) {
+    throw new Error(`Requirement spec ${filePath} must be a list or have a requirements list`);
+  }
+  
+  // Schemas referenced by file are inlined so the spec is self-contained
+  const baseDir = path.dirname(filePath);
+  const resolved = await Promise.all(requirements.map(async (requirement) => {
+    if (!requirement || typeof requirement !== 'object' || requirement.schema_file === undefined) {
+      return requirement;
+    }
+    const { schema_file: schemaFile, ...rest } = requirement;
+    try {
+      return { ...rest, schema: await fs.readJson(path.resolve(baseDir, schemaFile)) };
+    } catch (error) {
+      throw new Error(`Could not read schema_file ${schemaFile}: ${error.message}`);
+    }
+  }));
+  
+  return normalizeRequirements(resolved);
+}
+
+/**
+ * Validate requirements and normalize assertions
+ * @param {Array} requirements - Free-text strings and assertion objects
+ * @returns {Array} Trimmed strings and validated assertions
+ */
+function normalizeRequirements(requirements) {
+  if (!Array.isArray(requirements)) {
+    throw new Error('requirements must be a list');
+  }
+  
+  return requirements.map((requirement, i) => {
+    if (typeof requirement === 'string') {
+      if (!requirement.trim()) {
+        throw new Error(`Requirement ${i + 1} is empty`);
+      }
+      return requirement.trim();
+    }
+    
+    try {
+      return normalizeRequirement(requirement);
+    } catch (error) {
+      throw new Error(`Requirement ${i + 1}${requirement?.type ? ` (${requirement.type})` : ''}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Validate a requirement object: free text with flags, or an assertion
+ * checked against its type's parameters
+ * @param {Object} requirement - Requirement object
+ * @returns {Object} Requirement with only known keys
+ */
+function normalizeRequirement(requirement) {
+  if (!requirement || typeof requirement !== 'object' || Array.isArray(requirement)) {
+    throw new Error('must be a string or an assertion object');
+  }
+  
+  if (requirement.mandatory !== undefined && !MANDATORY_VALUES.includes(requirement.mandatory)) {
+    throw new Error('mandatory must be true, false, "fail" or "partial"');
+  }
+  if (requirement.weight !== undefined && !(typeof requirement.weight === 'number' && Number.isFinite(requirement.weight) && requirement.weight > 0)) {
+    throw new Error('weight must be a positive number');
+  }
+  if (requirement.description !== undefined && (typeof requirement.description !== 'string' || !requirement.description.trim())) {
+    throw new Error('description must be a non-empty string');
+  }
+  
+  // Free text carrying flags
+  if (requirement.type === undefined) {
+    if (requirement.description === undefined) {
+      throw new Error('missing type or description');
+    }
+    const unknown = Object.keys(requirement).filter(key => !COMMON_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`unknown field ${unknown.join(', ')}`);
+    }
+    return { ...requirement, description: requirement.description.trim() };
+  }
+  
+  const definition = ASSERTIONS[requirement.type];
+  if (!definition) {
+    throw new Error(`unknown type ${requirement.type}. Expected one of: ${Object.keys(ASSERTIONS).join(', ')}`);
+  }
+  
+  const unknown = Object.keys(requirement).filter(key => !COMMON_KEYS.includes(key) && !(key in definition.params));
+  if (unknown.length > 0) {
+    throw new Error(`unknown field ${unknown.join(', ')}`);
+  }
+  
+  for (const [param, declared] of Object.entries(definition.params)) {
+    const optional = declared.startsWith('?');
+    const type = declared.replace(/^\?/, '');
+    const value = requirement[param];
+    
+    if (value === undefined) {
+      if (!optional) throw new Error(`missing ${param}`);
+      continue;
+    }
+    if (!PARAM_TYPES[type](value)) {
+      throw new Error(`${param} must be ${PARAM_DESCRIPTIONS[type]}`);
+    }
+  }
+  
+  definition.validate?.(requirement);
+  
+  return { ...requirement };
+}
+
+/**
+ * Name a requirement in results: free text as written, assertions by
+ * description or a label built from their parameters
+ * @param {string|Object} requirement - Normalized requirement
+ * @returns {string} Requirement name
+ */
+function requirementName(requirement) {
+  if (typeof requirement === 'string') return requirement;
+  return requirement.description || ASSERTIONS[requirement.type].label(requirement);
+}
+
+/**
+ * Whether a normalized requirement is a typed assertion (rather than free text)
+ * @param {string|Object} requirement - Normalized requirement
+ * @returns {boolean} Whether it has a type
+ */
+function isAssertion(requirement) {
+  return typeof requirement === 'object' && requirement.type !== undefined;
+}
+
+module.exports = {
+  loadRequirementSpec,
+  normalizeRequirements,
+  requirementName,
+  isAssertion
+};
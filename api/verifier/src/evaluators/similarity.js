@@ -0,0 +1,328 @@
+/**
+ * Code Similarity
+ * 
+ * Fingerprints the source files of a submission by token-level winnowing
+ * (Schleimer, Wilkerson and Aiken, "Winnowing: Local Algorithms for Document
+ * Fingerprinting") and compares fingerprints to find copied code.
+ * 
+ * Source is reduced to tokens with comments and whitespace dropped,
+ * identifiers, numbers and strings replaced by their kind, and keywords and
+ * punctuation kept, so renaming variables or reformatting does not hide a
+ * copy. Every run of K_GRAM tokens is hashed, and the smallest hash of each
+ * window of WINDOW consecutive hashes is kept: any match of at least
+ * K_GRAM + WINDOW - 1 tokens shares a fingerprint.
+ * 
+ * Fingerprints are plain JSON, so they can be stored and compared with later
+ * submissions without their source.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { listProjectFiles } = require('./files');
+
+const FINGERPRINT_VERSION = 1;
+const K_GRAM = 12;
+const WINDOW = 8;
+
+const MAX_FILES = 2000;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Reference projects read from a corpus directory
+const MAX_REFERENCES = 200;
+
+// A file pair is reported when this share of the file's fingerprints match, and at least MIN_PAIR_MATCHES do
+const MIN_PAIR_SIMILARITY = 0.5;
+const MIN_PAIR_MATCHES = 3;
+const MAX_REPORTED_PAIRS = 20;
+
+// Comment syntax per source extension
+const EXTENSIONS = {
+  '.js': 'c',
+  '.mjs': 'c',
+  '.cjs': 'c',
+  '.jsx': 'c',
+  '.ts': 'c',
+  '.mts': 'c',
+  '.cts': 'c',
+  '.tsx': 'c',
+  '.sol': 'c',
+  '.rs': 'c',
+  '.go': 'c',
+  '.java': 'c',
+  '.kt': 'c',
+  '.swift': 'c',
+  '.c': 'c',
+  '.h': 'c',
+  '.cc': 'c',
+  '.cpp': 'c',
+  '.hpp': 'c',
+  '.cs': 'c',
+  '.php': 'c',
+  '.py': 'hash',
+  '.rb': 'hash',
+  '.sh': 'hash'
+};
+
+// Keywords are kept as tokens: they carry the structure that renaming cannot change
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default', 'defer', 'delete',
+  'do', 'elif', 'else', 'emit', 'enum', 'except', 'export', 'extends', 'false', 'finally', 'fn', 'for', 'from',
+  'func', 'function', 'go', 'if', 'impl', 'import', 'in', 'interface', 'lambda', 'let', 'loop', 'match',
+  'mapping', 'modifier', 'mut', 'new', 'None', 'not', 'null', 'or', 'and', 'package', 'pass', 'private',
+  'protected', 'pub', 'public', 'raise', 'require', 'return', 'self', 'static', 'struct', 'super', 'switch',
+  'this', 'throw', 'trait', 'true', 'True', 'False', 'try', 'type', 'typeof', 'undefined', 'use', 'var',
+  'while', 'with', 'yield'
+]);
+
+const TOKEN = {
+  c: /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`|[A-Za-z_$][\w$]*|\d[\w.]*|\n|[^\s\w]/g,
+  hash: /#[^\n]*|"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|[A-Za-z_][\w]*|\d[\w.]*|\n|[^\s\w]/g
+};
+
+/**
+ * Fingerprint the source files under a directory
+ * @param {string} root - Submission or reference project root
+ * @returns {Promise<Object>} Fingerprints: { version, k, window, files: { [file]: { hashes, lines } } }
+ */
+async function fingerprintSubmission(root) {
+  const files = {};
+  
+  for (const file of await findSourceFiles(root)) {
+    let source;
+    try {
+      if ((await fs.stat(path.join(root, file))).size > MAX_FILE_BYTES) continue;
+      source = await fs.readFile(path.join(root, file), 'utf8');
+    } catch (error) {
+      continue;
+    }
+    if (source.includes('\0')) continue;
+    
+    const fingerprint = winnow(tokenize(source, EXTENSIONS[path.extname(file).toLowerCase()]));
+    if (fingerprint.hashes.length > 0) {
+      files[file] = fingerprint;
+    }
+  }
+  
+  return { version: FINGERPRINT_VERSION, k: K_GRAM, window: WINDOW, files };
+}
+
+/**
+ * Source files of a project, generated and vendored directories left out
+ * @param {string} root - Project root
+ * @returns {Promise<string[]>} Relative paths (POSIX separators), sorted
+ */
+async function findSourceFiles(root) {
+  const files = await listProjectFiles(root, {
+    include: file => EXTENSIONS[path.extname(file).toLowerCase()] && !/\.min\.js$/.test(file)
+  });
+  return files.slice(0, MAX_FILES);
+}
+
+/**
+ * Reduce source to normalized tokens
+ * @param {string} source - File contents
+ * @param {string} syntax - Comment syntax (c or hash)
+ * @returns {Object[]} Tokens ({ text, line }); identifiers are I, numbers N, strings S
+ */
+function tokenize(source, syntax = 'c') {
+  const tokens = [];
+  let line = 1;
+  
+  for (const [text] of source.matchAll(TOKEN[syntax])) {
+    if (text === '\n') {
+      line++;
+      continue;
+    }
+    const startLine = line;
+    line += countNewlines(text);
+    
+    if (text.startsWith('//') || text.startsWith('/*') || (syntax === 'hash' && text.startsWith('#'))) continue;
+    
+    let kind = text;
+    if (/^["'`]/.test(text)) {
+      kind = 'S';
+    } else if (/^\d/.test(text)) {
+      kind = 'N';
+    } else if (/^[A-Za-z_$]/.test(text) && !KEYWORDS.has(text)) {
+      kind = 'I';
+    }
+    tokens.push({ text: kind, line: startLine });
+  }
+  
+  return tokens;
+}
+
+/**
+ * Select the fingerprints of a token stream
+ * 
+ * Keeps the minimum hash of every window of WINDOW k-gram hashes (the
+ * rightmost on ties), each recorded once with the line its k-gram starts on.
+ * @param {Object[]} tokens - Normalized tokens
+ * @returns {Object} { hashes, lines } - parallel arrays
+ */
+function winnow(tokens) {
+  const grams = [];
+  for (let i = 0; i + K_GRAM <= tokens.length; i++) {
+    let hash = 0x811c9dc5;
+    for (let j = i; j < i + K_GRAM; j++) {
+      hash = hashInto(hash, tokens[j].text);
+    }
+    grams.push(hash >>> 0);
+  }
+  
+  const hashes = [];
+  const lines = [];
+  let selected = -1;
+  const windows = Math.max(grams.length - WINDOW + 1, grams.length > 0 ? 1 : 0);
+  for (let start = 0; start < windows; start++) {
+    let minimum = start;
+    for (let i = start; i < Math.min(start + WINDOW, grams.length); i++) {
+      if (grams[i] <= grams[minimum]) minimum = i;
+    }
+    if (minimum !== selected) {
+      selected = minimum;
+      hashes.push(grams[minimum]);
+      lines.push(tokens[minimum].line);
+    }
+  }
+  
+  return { hashes, lines };
+}
+
+/**
+ * Fingerprint every reference project of a corpus: each directory directly
+ * inside it is one project
+ * @param {string} corpusDir - Corpus directory
+ * @returns {Promise<Object[]>} References ({ id, label, fingerprints })
+ */
+async function fingerprintCorpus(corpusDir) {
+  const entries = await fs.readdir(corpusDir, { withFileTypes: true });
+  const projects = entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.')).map(entry => entry.name).sort();
+  
+  const references = [];
+  for (const name of projects.slice(0, MAX_REFERENCES)) {
+    references.push({ id: name, label: `reference ${name}`, fingerprints: await fingerprintSubmission(path.join(corpusDir, name)) });
+  }
+  return references;
+}
+
+/**
+ * Compare a submission's fingerprints with another project's
+ * 
+ * Similarity is the share of the submission's distinct fingerprints that
+ * occur in the other project. File pairs are reported when most of a
+ * submission file's fingerprints are found in one file of the other project.
+ * @param {Object} subject - Fingerprints of the submission
+ * @param {Object} other - Fingerprints of the other project
+ * @returns {Object} { similarity, matched, total, pairs: [{ file, otherFile, similarity, lines }] }
+ */
+function compareFingerprints(subject, other) {
+  if (!isCompatible(subject) || !isCompatible(other)) {
+    throw new Error(`Fingerprints must be version ${FINGERPRINT_VERSION} (k ${K_GRAM}, window ${WINDOW})`);
+  }
+  
+  // Files of the other project by fingerprint
+  const owners = new Map();
+  for (const [file, { hashes }] of Object.entries(other.files)) {
+    for (const hash of hashes) {
+      if (!owners.has(hash)) owners.set(hash, new Set());
+      owners.get(hash).add(file);
+    }
+  }
+  
+  const all = new Set();
+  const matched = new Set();
+  const pairs = [];
+  
+  for (const [file, { hashes, lines }] of Object.entries(subject.files)) {
+    const distinct = new Set(hashes);
+    const shared = new Map();
+    const sharedLines = new Map();
+    
+    hashes.forEach((hash, i) => {
+      all.add(hash);
+      if (!owners.has(hash)) return;
+      matched.add(hash);
+      for (const otherFile of owners.get(hash)) {
+        shared.set(otherFile, (shared.get(otherFile) || new Set()).add(hash));
+        if (!sharedLines.has(otherFile)) sharedLines.set(otherFile, []);
+        sharedLines.get(otherFile).push(lines[i]);
+      }
+    });
+    
+    for (const [otherFile, hashSet] of shared) {
+      const similarity = hashSet.size / distinct.size;
+      if (similarity >= MIN_PAIR_SIMILARITY && hashSet.size >= MIN_PAIR_MATCHES) {
+        const matchedLines = sharedLines.get(otherFile);
+        pairs.push({
+          file,
+          otherFile,
+          similarity: round(similarity),
+          lines: `${Math.min(...matchedLines)}-${Math.max(...matchedLines)}`
+        });
+      }
+    }
+  }
+  
+  pairs.sort((a, b) => b.similarity - a.similarity || a.file.localeCompare(b.file));
+  
+  return {
+    similarity: all.size > 0 ? round(matched.size / all.size) : 0,
+    matched: matched.size,
+    total: all.size,
+    pairs: pairs.slice(0, MAX_REPORTED_PAIRS),
+    ...(pairs.length > MAX_REPORTED_PAIRS && { pairsOmitted: pairs.length - MAX_REPORTED_PAIRS })
+  };
+}
+
+/**
+ * Whether fingerprints were made with the current parameters
+ * @param {Object} fingerprints - Fingerprints
+ * @returns {boolean} Whether they can be compared
+ */
+function isCompatible(fingerprints) {
+  return fingerprints?.version === FINGERPRINT_VERSION && fingerprints.k === K_GRAM && fingerprints.window === WINDOW &&
+    Boolean(fingerprints.files) && typeof fingerprints.files === 'object';
+}
+
+/**
+ * Fold a token into an FNV-1a hash
+ * @param {number} hash - Running hash
+ * @param {string} text - Token
+ * @returns {number} Hash
+ */
+function hashInto(hash, text) {
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  // Separator, so token boundaries count
+  return Math.imul(hash ^ 0x1f, 0x01000193);
+}
+
+/**
+ * Count the line breaks in a token
+ * @param {string} text - Token
+ * @returns {number} Line breaks
+ */
+function countNewlines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+  return count;
+}
+
+/**
+ * Round a ratio to three decimal places
+ * @param {number} value - Ratio
+ * @returns {number} Rounded ratio
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  fingerprintSubmission,
+  fingerprintCorpus,
+  compareFingerprints,
+  isCompatible,
+  tokenize
+};
@@ -0,0 +1,435 @@
+/**
+ * Solidity Static Analysis
+ * 
+ * Parses every contract source in a project with @solidity-parser/parser and
+ * walks the AST for a small set of well-understood vulnerability patterns:
+ * 
+ * - reentrancy: contract state written after a low-level call in the same function
+ * - unchecked-call: the success flag of call/delegatecall/send discarded or never read
+ * - access-control: a public or external function changes state with no check on the caller
+ * - tx-origin: tx.origin compared for authorization
+ * - unbounded-loop: a loop bounded by the length of a storage array
+ * 
+ * The analysis is syntactic: it needs no compiler and no installed
+ * dependencies, and it follows inheritance only between contracts it parsed.
+ * Tests, deployment scripts and dependencies (node_modules, Foundry's lib/)
+ * are not analyzed.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const parser = require('@solidity-parser/parser');
+const { listProjectFiles } = require('./files');
+
+const MAX_FILES = 500;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Tests and deployment scripts; dependencies and build output are skipped by listProjectFiles
+const NON_SOURCE_DIRS = /(^|\/)(test|tests|script|scripts)\//;
+const SKIP_FILES = /\.[ts]\.sol$/;
+
+const SEVERITY_ORDER = ['critical', 'high', 'moderate', 'low'];
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=', '<<=', '>>='];
+const LOW_LEVEL_CALLS = ['call', 'delegatecall', 'staticcall', 'send'];
+
+// Modifiers and helper calls that restrict who may call a function
+const AUTH_MODIFIER = /only|auth|restrict|admin|owner|role|guard|whitelist|allowlist/i;
+const AUTH_CALL = /^_?(check(Owner|Role)|onlyOwner|authorize|requireAuth)/i;
+const REENTRANCY_GUARD = /nonReentrant|noReentrancy|reentrancyGuard|^lock$/i;
+
+// State that makes an unprotected write critical to the contract's safety
+const PRIVILEGED_STATE = /owner|admin|implementation|governance/i;
+
+/**
+ * Analyze every Solidity source in a project
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} { files, findings, errors }: findings sorted by severity, errors lists unparseable files
+ */
+async function analyzeSolidity(projectPath) {
+  const files = await collectSolidityFiles(projectPath);
+  const units = [];
+  const errors = [];
+  
+  for (const file of files) {
+    const source = await fs.readFile(path.join(projectPath, file), 'utf8');
+    try {
+      units.push({ file, ast: parser.parse(source, { loc: true, range: true }) });
+    } catch (error) {
+      errors.push({ file, message: error.errors?.[0]?.message || error.message });
+    }
+  }
+  
+  const contracts = indexContracts(units);
+  const findings = units.flatMap(unit => analyzeUnit(unit, contracts));
+  return { files: files.length, findings: sortFindings(findings), errors };
+}
+
+/**
+ * Analyze a single Solidity source
+ * @param {string} source - Solidity source code
+ * @param {string} file - File name reported with each finding
+ * @returns {Object[]} Findings ({ rule, severity, file, line, contract, function, message })
+ */
+function analyzeSoliditySource(source, file = 'source.sol') {
+  const unit = { file, ast: parser.parse(source, { loc: true, range: true }) };
+  return sortFindings(analyzeUnit(unit, indexContracts([unit])));
+}
+
+/**
+ * List the .sol files to analyze, relative to the project root
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string[]>} Relative paths
+ */
+async function collectSolidityFiles(projectPath) {
+  const sources = await listProjectFiles(projectPath, {
+    include: file => file.endsWith('.sol') && !SKIP_FILES.test(file) && !NON_SOURCE_DIRS.test(file),
+    limit: MAX_FILES
+  });
+  
+  const files = [];
+  for (const file of sources) {
+    if ((await fs.stat(path.join(projectPath, file))).size <= MAX_FILE_BYTES) files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Index parsed contracts by name with their own state variables and base contracts
+ * @param {Object[]} units - Parsed files ({ file, ast })
+ * @returns {Map<string, Object>} Contract name to { stateVars, bases }
+ */
+function indexContracts(units) {
+  const contracts = new Map();
+  for (const { ast } of units) {
+    for (const node of ast.children.filter(child => child.type === 'ContractDefinition')) {
+      const stateVars = node.subNodes
+        .filter(sub => sub.type === 'StateVariableDeclaration')
+        .flatMap(sub => sub.variables)
+        .filter(variable => !variable.isDeclaredConst)
+        .map(variable => variable.name);
+      contracts.set(node.name, { stateVars, bases: node.baseContracts.map(base => base.baseName.namePath) });
+    }
+  }
+  return contracts;
+}
+
+/**
+ * State variables of a contract, including those inherited from parsed bases
+ * @param {string} name - Contract name
+ * @param {Map<string, Object>} contracts - Contract index
+ * @param {Set<string>} seen - Contracts already visited
+ * @returns {Set<string>} State variable names
+ */
+function stateVariables(name, contracts, seen = new Set()) {
+  const contract = contracts.get(name);
+  if (!contract || seen.has(name)) return new Set();
+  seen.add(name);
+  
+  const names = new Set(contract.stateVars);
+  for (const base of contract.bases) {
+    for (const inherited of stateVariables(base, contracts, seen)) names.add(inherited);
+  }
+  return names;
+}
+
+/**
+ * Run every rule over the functions of one file
+ * @param {Object} unit - Parsed file ({ file, ast })
+ * @param {Map<string, Object>} contracts - Contract index
+ * @returns {Object[]} Findings
+ */
+function analyzeUnit({ file, ast }, contracts) {
+  const findings = [];
+  
+  for (const contract of ast.children.filter(child => child.type === 'ContractDefinition')) {
+    if (contract.kind === 'interface') continue;
+    const stateVars = stateVariables(contract.name, contracts);
+    
+    for (const fn of contract.subNodes.filter(sub => sub.type === 'FunctionDefinition' && sub.body)) {
+      const scope = functionScope(fn, stateVars);
+      const report = (rule, severity, node, message) => findings.push({
+        rule,
+        severity,
+        file,
+        line: node.loc.start.line,
+        contract: contract.name,
+        function: functionName(fn),
+        message
+      });
+      
+      checkReentrancy(fn, scope, report);
+      checkUncheckedCalls(fn, report);
+      checkTxOrigin(fn, report);
+      checkUnboundedLoops(fn, scope, report);
+      if (contract.kind !== 'library') {
+        checkAccessControl(fn, scope, report);
+      }
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Collect what a function can see: state variables, locals that shadow them, storage pointers and state writes
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Set<string>} stateVars - Contract state variables
+ * @returns {Object} { stateVars, locals, writes }
+ */
+function functionScope(fn, stateVars) {
+  const locals = new Set([...fn.parameters, ...(fn.returnParameters || [])].map(param => param.name).filter(Boolean));
+  const storagePointers = new Set();
+  
+  walk(fn.body, (node) => {
+    if (node.type !== 'VariableDeclarationStatement') return;
+    for (const variable of node.variables.filter(Boolean)) {
+      locals.add(variable.name);
+      if (variable.storageLocation === 'storage') storagePointers.add(variable.name);
+    }
+  });
+  
+  // A write through a storage pointer (`Position storage p = positions[id]; p.size = 0;`) changes state too
+  const isState = (name) => name && ((stateVars.has(name) && !locals.has(name)) || storagePointers.has(name));
+  const writes = [];
+  walk(fn.body, (node) => {
+    let targets = [];
+    if (node.type === 'BinaryOperation' && ASSIGNMENT_OPERATORS.includes(node.operator)) {
+      targets = node.left.type === 'TupleExpression' ? node.left.components.filter(Boolean) : [node.left];
+    } else if (node.type === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator)) {
+      targets = [node.subExpression];
+    } else if (node.type === 'FunctionCall' && node.expression.type === 'MemberAccess' && ['push', 'pop'].includes(node.expression.memberName)) {
+      targets = [node.expression.expression];
+    }
+    for (const target of targets) {
+      const name = baseIdentifier(target);
+      if (isState(name)) writes.push({ name, node });
+    }
+  });
+  
+  return { stateVars, locals, writes, isState };
+}
+
+/**
+ * Flag state written after a low-level call, unless a reentrancy guard is applied
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Object} scope - Function scope
+ * @param {Function} report - Records a finding
+ */
+function checkReentrancy(fn, scope, report) {
+  if (fn.modifiers.some(modifier => REENTRANCY_GUARD.test(modifier.name))) return;
+  
+  const calls = [];
+  walk(fn.body, (node) => {
+    const member = lowLevelCall(node);
+    if (member && ['call', 'delegatecall'].includes(member)) calls.push(node);
+  });
+  if (calls.length === 0) return;
+  
+  const firstCall = calls[0];
+  const reported = new Set();
+  for (const write of scope.writes) {
+    if (write.node.range[0] <= firstCall.range[1] || reported.has(write.name)) continue;
+    reported.add(write.name);
+    report('reentrancy', 'high', write.node,
+      `State variable \`${write.name}\` is written after the external call on line ${firstCall.loc.start.line}; a reentrant call sees the old value`);
+  }
+}
+
+/**
+ * Flag low-level calls whose success flag is discarded or never read
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Function} report - Records a finding
+ */
+function checkUncheckedCalls(fn, report) {
+  const reads = [];
+  walk(fn.body, (node) => {
+    if (node.type === 'Identifier') reads.push(node);
+  });
+  const readAfter = (name, position) => reads.some(node => node.name === name && node.range[0] > position);
+  
+  walk(fn.body, (node, parent) => {
+    const member = lowLevelCall(node);
+    if (!member) return;
+    
+    let flag;
+    if (parent?.type === 'ExpressionStatement') {
+      flag = null;
+    } else if (parent?.type === 'VariableDeclarationStatement' && parent.initialValue === node) {
+      flag = parent.variables[0]?.name || null;
+    } else if (parent?.type === 'BinaryOperation' && parent.operator === '=' && parent.right === node) {
+      flag = parent.left.type === 'TupleExpression' ? parent.left.components[0]?.name || null : parent.left.name || null;
+    } else {
+      // Used directly as a condition or argument: require(to.send(amount))
+      return;
+    }
+    
+    if (flag && readAfter(flag, parent.range[1])) return;
+    const severity = ['call', 'delegatecall'].includes(member) ? 'high' : 'moderate';
+    report('unchecked-call', severity, node, flag
+      ? `Success flag \`${flag}\` of ${member}() is never checked`
+      : `Return value of ${member}() is not checked; a failed call goes unnoticed`);
+  });
+}
+
+/**
+ * Flag tx.origin in comparisons, where it is used for authorization
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Function} report - Records a finding
+ */
+function checkTxOrigin(fn, report) {
+  walk(fn.body, (node) => {
+    if (node.type !== 'BinaryOperation' || !['==', '!='].includes(node.operator)) return;
+    if ([node.left, node.right].some(isTxOrigin)) {
+      report('tx-origin', 'high', node, 'Authorization by tx.origin: any contract the owner interacts with can act on their behalf');
+    }
+  });
+}
+
+/**
+ * Flag loops bounded by the length of a storage array, which grows without limit
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Object} scope - Function scope
+ * @param {Function} report - Records a finding
+ */
+function checkUnboundedLoops(fn, scope, report) {
+  walk(fn.body, (node) => {
+    if (!['ForStatement', 'WhileStatement', 'DoWhileStatement'].includes(node.type)) return;
+    
+    const condition = node.type === 'ForStatement' ? node.conditionExpression : node.condition;
+    let array = null;
+    walk(condition, (expression) => {
+      if (!array && expression.type === 'MemberAccess' && expression.memberName === 'length') {
+        const name = baseIdentifier(expression.expression);
+        if (scope.isState(name)) array = name;
+      }
+    });
+    if (array) {
+      report('unbounded-loop', 'moderate', node,
+        `Loop over \`${array}.length\`, a storage array that can grow until the loop runs out of gas`);
+    }
+  });
+}
+
+/**
+ * Flag public and external functions that change state without checking the caller
+ * 
+ * Functions that read msg.sender are taken to scope their effect to the
+ * caller (balances[msg.sender]) or to check it themselves.
+ * @param {Object} fn - FunctionDefinition node
+ * @param {Object} scope - Function scope
+ * @param {Function} report - Records a finding
+ */
+function checkAccessControl(fn, scope, report) {
+  if (fn.isConstructor || fn.isReceiveEther || fn.isFallback) return;
+  if (!['public', 'external', 'default'].includes(fn.visibility)) return;
+  if (['view', 'pure', 'constant'].includes(fn.stateMutability)) return;
+  if (fn.modifiers.some(modifier => AUTH_MODIFIER.test(modifier.name))) return;
+  
+  let checksCaller = false;
+  const dangerous = [];
+  walk(fn.body, (node) => {
+    // A tx.origin check restricts the caller too, badly; the tx-origin rule reports it
+    if (node.type === 'MemberAccess' && node.memberName === 'sender' && node.expression.name === 'msg') checksCaller = true;
+    if (isTxOrigin(node)) checksCaller = true;
+    if (node.type === 'FunctionCall') {
+      const callee = node.expression.type === 'Identifier' ? node.expression.name : null;
+      if (callee === '_msgSender' || AUTH_CALL.test(callee || '')) checksCaller = true;
+      if (callee === 'selfdestruct' || callee === 'suicide') dangerous.push('selfdestruct');
+      if (lowLevelCall(node) === 'delegatecall') dangerous.push('delegatecall');
+    }
+  });
+  if (checksCaller || (scope.writes.length === 0 && dangerous.length === 0)) return;
+  
+  const privileged = scope.writes.map(write => write.name).filter(name => PRIVILEGED_STATE.test(name));
+  const effect = dangerous.length > 0
+    ? `calls ${dangerous[0]}`
+    : `writes ${[...new Set(scope.writes.map(write => write.name))].map(name => `\`${name}\``).join(', ')}`;
+  report('access-control', dangerous.length > 0 || privileged.length > 0 ? 'high' : 'moderate', fn,
+    `${fn.visibility === 'external' ? 'External' : 'Public'} function ${effect} without any check on the caller`);
+}
+
+/**
+ * Name of the low-level member a call node invokes (`to.call{value: v}("")` is `call`)
+ * @param {Object} node - AST node
+ * @returns {string|null} call, delegatecall, staticcall or send; null for anything else
+ */
+function lowLevelCall(node) {
+  if (node.type !== 'FunctionCall') return null;
+  const callee = node.expression.type === 'NameValueExpression' ? node.expression.expression : node.expression;
+  return callee.type === 'MemberAccess' && LOW_LEVEL_CALLS.includes(callee.memberName) ? callee.memberName : null;
+}
+
+/**
+ * Whether an expression is tx.origin
+ * @param {Object} node - AST node
+ * @returns {boolean} True for tx.origin
+ */
+function isTxOrigin(node) {
+  return node?.type === 'MemberAccess' && node.memberName === 'origin' && node.expression.type === 'Identifier' && node.expression.name === 'tx';
+}
+
+/**
+ * Variable an lvalue ultimately refers to (`balances[a][b].amount` is balances)
+ * @param {Object} node - Expression node
+ * @returns {string|null} Identifier name
+ */
+function baseIdentifier(node) {
+  while (node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'IndexAccess' || node.type === 'IndexRangeAccess') node = node.base;
+    else if (node.type === 'MemberAccess') node = node.expression;
+    else return null;
+  }
+  return null;
+}
+
+/**
+ * Human-readable function name
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {string} Name
+ */
+function functionName(fn) {
+  if (fn.isConstructor) return 'constructor';
+  if (fn.isReceiveEther) return 'receive';
+  if (fn.isFallback) return 'fallback';
+  return fn.name;
+}
+
+/**
+ * Visit every AST node below a root, depth first in source order
+ * @param {Object} node - Root node
+ * @param {Function} visit - Called with (node, parent)
+ * @param {Object} parent - Parent of the root
+ */
+function walk(node, visit, parent = null) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    for (const child of node) walk(child, visit, parent);
+    return;
+  }
+  if (typeof node.type !== 'string') return;
+  
+  visit(node, parent);
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'loc' && key !== 'range' && value && typeof value === 'object') walk(value, visit, node);
+  }
+}
+
+/**
+ * Order findings by severity, then location
+ * @param {Object[]} findings - Findings
+ * @returns {Object[]} Sorted findings
+ */
+function sortFindings(findings) {
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line
+  );
+}
+
+module.exports = {
+  analyzeSolidity,
+  analyzeSoliditySource
+};
@@ -0,0 +1,756 @@
+/**
+ * Writing Evaluator - articles, docs and translations
+ * 
+ * Loads the written deliverables of a content bounty and analyses them
+ * against the poster's content spec:
+ * 
+ *   files: ["docs/*.md"]               # globs of documents to check (default: every .md, .markdown, .mdx, .txt)
+ *   words: { min: 800, max: 1500 }     # word count range of each document
+ *   sections: [Introduction, Usage]    # headings the deliverable must have (any level, any document)
+ *   readability:                       # over all prose
+ *     min_reading_ease: 50             # Flesch reading ease
+ *     max_grade: 10                    # Flesch-Kincaid grade level
+ *   spelling:                          # false for text that is not English
+ *     max_misspellings: 2              # default 0
+ *     ignore: [alot]                   # words never reported
+ *   links: true                        # check relative links and anchors (default true)
+ *   max_similarity: 0.5                # share of a document found in one corpus document (default 0.5)
+ * 
+ * Everything runs offline: external links are counted but not fetched,
+ * spelling is checked against a bundled dictionary of common misspellings
+ * (so unusual but valid words are never flagged), and near-duplicates are
+ * looked for in a local corpus directory. Code blocks, inline code, URLs
+ * and HTML are not prose and are left out of every measure.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { globToRegExp } = require('./data');
+const { listProjectFiles } = require('./files');
+
+// Document kinds by extension
+const DOCUMENT_EXTENSIONS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.mdx': 'markdown',
+  '.txt': 'text'
+};
+
+const CONTENT_SPEC_KEYS = ['files', 'words', 'sections', 'readability', 'spelling', 'links', 'max_similarity'];
+const READABILITY_KEYS = ['min_reading_ease', 'max_grade'];
+const SPELLING_KEYS = ['max_misspellings', 'ignore'];
+
+const MAX_DOCUMENTS = 200;
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+const MAX_CORPUS_FILES = 10000;
+
+// Words per shingle when comparing documents with the corpus
+const SHINGLE_SIZE = 5;
+
+const MISSPELLINGS_FILE = path.join(__dirname, '..', 'dictionaries', 'en-misspellings.txt');
+
+// Words for counting (hyphenated and contracted words count once) and for spelling
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const SPELLED_WORD = /\p{L}+(?:['’]\p{L}+)*/gu;
+
+// Link targets with a scheme (or protocol-relative) are external
+const EXTERNAL_LINK = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+const INLINE_LINK = /(!?)\[([^\]]*)\]\(\s*(<[^>]*>|[^\s)]+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const REFERENCE_DEFINITION = /^\s{0,3}\[[^\]]+\]:\s*(<[^>]*>|\S+)/;
+const AUTOLINK = /<([a-z][a-z0-9+.-]*:[^\s>]+)>/gi;
+const BARE_URL = /\bhttps?:\/\/[^\s<>()]+/g;
+const HTML_TAG = /<\/?[a-zA-Z][^>]*>/g;
+const HTML_ANCHOR = /\b(?:id|name)\s*=\s*["']([^"']+)["']/g;
+
+let misspellings = null;
+
+/**
+ * Load a content spec file (YAML or JSON)
+ * @param {string} filePath - Spec file
+ * @returns {Promise<Object>} Normalized content spec
+ */
+async function loadContentSpec(filePath) {
+  let spec;
+  try {
+    const source = await fs.readFile(filePath, 'utf8');
+    spec = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    throw new Error(`Could not read content spec ${filePath}: ${error.message}`);
+  }
+  return normalizeContentSpec(spec);
+}
+
+/**
+ * Validate a content spec
+ * @param {Object} spec - Content spec (see the module comment); empty checks every document's links, readability and spelling only
+ * @returns {Object} Spec with defaults applied
+ */
+function normalizeContentSpec(spec = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('content spec must be an object');
+  }
+  
+  // Unset fields may be null, as in a normalized spec
+  spec = Object.fromEntries(Object.entries(spec).filter(([, value]) => value !== null && value !== undefined));
+  
+  const unknown = Object.keys(spec).filter(key => !CONTENT_SPEC_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`content spec: unknown field ${unknown.join(', ')}`);
+  }
+  
+  const files = spec.files === undefined ? [] : [].concat(spec.files);
+  if (files.some(pattern => typeof pattern !== 'string' || !pattern || path.isAbsolute(pattern) || pattern.split(/[\\/]/).includes('..'))) {
+    throw new Error('content spec: files must be relative paths or globs inside the submission');
+  }
+  
+  let words = null;
+  if (spec.words !== undefined) {
+    // An unset bound may be null, as in a normalized spec
+    const { min = null, max = null, ...rest } = spec.words || {};
+    const isCount = value => value === null || (Number.isInteger(value) && value >= 0);
+    if (!spec.words || typeof spec.words !== 'object' || Object.keys(rest).length > 0 || (min === null && max === null) || !isCount(min) || !isCount(max)) {
+      throw new Error('content spec: words must have a min and/or max word count');
+    }
+    if (min !== null && max !== null && min > max) {
+      throw new Error('content spec: words min must not exceed max');
+    }
+    words = { min, max };
+  }
+  
+  if (spec.sections !== undefined && (!Array.isArray(spec.sections) || spec.sections.length === 0 ||
+    spec.sections.some(section => typeof section !== 'string' || !section.trim()))) {
+    throw new Error('content spec: sections must be a non-empty list of headings');
+  }
+  
+  let readability = null;
+  if (spec.readability !== undefined) {
+    const thresholds = spec.readability;
+    if (!thresholds || typeof thresholds !== 'object' || Object.keys(thresholds).length === 0 ||
+      Object.keys(thresholds).some(key => !READABILITY_KEYS.includes(key)) ||
+      Object.values(thresholds).some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error(`content spec: readability takes numeric ${READABILITY_KEYS.join(' and/or ')}`);
+    }
+    readability = { min_reading_ease: thresholds.min_reading_ease ?? null, max_grade: thresholds.max_grade ?? null };
+  }
+  
+  let spelling = { max_misspellings: 0, ignore: [] };
+  if (spec.spelling === false) {
+    spelling = false;
+  } else if (spec.spelling !== undefined && spec.spelling !== true) {
+    const options = spec.spelling;
+    if (!options || typeof options !== 'object' || Array.isArray(options) || Object.keys(options).some(key => !SPELLING_KEYS.includes(key))) {
+      throw new Error(`content spec: spelling must be true, false or an object with ${SPELLING_KEYS.join(' and/or ')}`);
+    }
+    if (options.max_misspellings !== undefined && !(Number.isInteger(options.max_misspellings) && options.max_misspellings >= 0)) {
+      throw new Error('content spec: spelling max_misspellings must be a non-negative integer');
+    }
+    if (options.ignore !== undefined && (!Array.isArray(options.ignore) || options.ignore.some(word => typeof word !== 'string'))) {
+      throw new Error('content spec: spelling ignore must be a list of words');
+    }
+    spelling = { max_misspellings: options.max_misspellings ?? 0, ignore: (options.ignore || []).map(word => word.toLowerCase()) };
+  }
+  
+  if (spec.links !== undefined && typeof spec.links !== 'boolean') {
+    throw new Error('content spec: links must be true or false');
+  }
+  
+  const maxSimilarity = spec.max_similarity ?? 0.5;
+  if (typeof maxSimilarity !== 'number' || maxSimilarity < 0 || maxSimilarity > 1) {
+    throw new Error('content spec: max_similarity must be between 0 and 1');
+  }
+  
+  return {
+    files,
+    words,
+    sections: spec.sections ? spec.sections.map(section => section.trim()) : null,
+    readability,
+    spelling,
+    links: spec.links ?? true,
+    max_similarity: maxSimilarity
+  };
+}
+
+/**
+ * Find the documents of a submission (or of a corpus)
+ * @param {string} root - Directory to search
+ * @param {string[]} patterns - Globs relative to the root; all documents when empty
+ * @param {number} limit - Most files returned
+ * @returns {Promise<string[]>} Relative paths, sorted
+ */
+async function findDocuments(root, patterns = [], limit = MAX_DOCUMENTS) {
+  const matchers = patterns.map(globToRegExp);
+  const files = await listProjectFiles(root, {
+    include: file => matchers.length > 0
+      ? matchers.some(matcher => matcher.test(file))
+      : Boolean(DOCUMENT_EXTENSIONS[path.extname(file).toLowerCase()])
+  });
+  return files.slice(0, limit);
+}
+
+/**
+ * Load every document a spec selects
+ * @param {string} projectPath - Submission root
+ * @param {Object} spec - Normalized content spec
+ * @returns {Promise<Object[]>} Documents (see loadDocument)
+ */
+async function loadDocuments(projectPath, spec) {
+  const files = await findDocuments(projectPath, spec.files);
+  const documents = [];
+  for (const file of files) {
+    documents.push(await loadDocument(projectPath, file));
+  }
+  return documents;
+}
+
+/**
+ * Load and parse one document; files other than .txt are read as Markdown
+ * @param {string} root - Directory the path is relative to
+ * @param {string} file - Relative path
+ * @returns {Promise<Object>} { file, kind, words, headings, anchors, links, blocks, error }
+ */
+async function loadDocument(root, file) {
+  const kind = DOCUMENT_EXTENSIONS[path.extname(file).toLowerCase()] || 'markdown';
+  const document = { file, kind, words: 0, headings: [], anchors: new Set(), links: [], blocks: [], error: null };
+  
+  try {
+    const filePath = path.join(root, file);
+    if ((await fs.stat(filePath)).size > MAX_DOCUMENT_SIZE) {
+      throw new Error(`larger than ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`);
+    }
+    const buffer = await fs.readFile(filePath);
+    if (buffer.includes(0)) {
+      throw new Error('not a text file');
+    }
+    
+    Object.assign(document, kind === 'text' ? parseText(buffer.toString('utf8')) : parseMarkdown(buffer.toString('utf8')));
+    document.words = document.blocks.reduce((sum, block) => sum + countWords(blockText(block)), 0);
+    if (document.words === 0) {
+      throw new Error('no text');
+    }
+  } catch (error) {
+    document.error = error.message;
+  }
+  
+  return document;
+}
+
+/**
+ * Split plain text into paragraphs
+ * @param {string} source - Text
+ * @returns {Object} { blocks } - paragraphs of { line, text }
+ */
+function parseText(source) {
+  const blocks = [];
+  let block = null;
+  
+  source.replace(/^﻿/, '').split(/\r\n|\r|\n/).forEach((text, i) => {
+    if (!text.trim()) {
+      block = null;
+      return;
+    }
+    if (!block) {
+      block = { type: 'paragraph', lines: [] };
+      blocks.push(block);
+    }
+    block.lines.push({ line: i + 1, text });
+  });
+  
+  return { blocks };
+}
+
+/**
+ * Parse Markdown into headings, anchors, links and prose blocks
+ * 
+ * A line-based reading of CommonMark/GitHub Markdown: front matter, fenced
+ * code and HTML comments are skipped; ATX and setext headings get GitHub
+ * anchors (plus {#id} and HTML id/name anchors). Prose lines keep their
+ * columns, with inline code, link targets, URLs and HTML blanked out.
+ * @param {string} source - Markdown
+ * @returns {Object} { headings, anchors, links, blocks }
+ */
+function parseMarkdown(source) {
+  const lines = source.replace(/^﻿/, '').split(/\r\n|\r|\n/);
+  const headings = [];
+  const anchors = new Set();
+  const links = [];
+  const blocks = [];
+  const slugCounts = new Map();
+  let block = null;
+  let fence = null;
+  let inComment = false;
+  let start = 0;
+  
+  // Front matter
+  if (lines[0] === '---') {
+    const end = lines.findIndex((line, i) => i > 0 && (line === '---' || line === '...'));
+    if (end > 0) start = end + 1;
+  }
+  
+  const addBlock = (type, line, text) => {
+    block = { type, lines: [{ line, text }] };
+    blocks.push(block);
+  };
+  
+  const addHeading = (level, text, line, masked) => {
+    const custom = /\s*\{#([\w-]+)\}\s*$/.exec(text);
+    if (custom) {
+      anchors.add(custom[1]);
+      text = text.slice(0, custom.index);
+    }
+    const plain = plainText(text);
+    const base = slugify(plain);
+    const count = slugCounts.get(base) || 0;
+    slugCounts.set(base, count + 1);
+    const slug = count > 0 ? `${base}-${count}` : base;
+    anchors.add(slug);
+    headings.push({ level, text: plain, slug, line });
+    addBlock('heading', line, masked);
+    block = null;
+  };
+  
+  for (let i = start; i < lines.length; i++) {
+    const raw = lines[i];
+    const number = i + 1;
+    
+    if (fence) {
+      if (fence.test(raw)) fence = null;
+      continue;
+    }
+    const opening = /^\s{0,3}(`{3,}|~{3,})/.exec(raw);
+    if (opening) {
+      fence = new RegExp(`^\\s{0,3}${opening[1][0] === '`' ? '`' : '~'}{${opening[1].length},}\\s*$`);
+      block = null;
+      continue;
+    }
+    
+    // HTML comments, which may span lines
+    let text = raw;
+    if (inComment) {
+      const close = text.indexOf('-->');
+      if (close === -1) continue;
+      inComment = false;
+      text = ' '.repeat(close + 3) + text.slice(close + 3);
+    }
+    text = text.replace(/<!--.*?-->/g, match => ' '.repeat(match.length));
+    const open = text.indexOf('<!--');
+    if (open !== -1) {
+      inComment = true;
+      text = text.slice(0, open);
+    }
+    
+    if (!text.trim()) {
+      block = null;
+      continue;
+    }
+    
+    const definition = REFERENCE_DEFINITION.exec(text);
+    if (definition) {
+      links.push({ target: unwrapTarget(definition[1]), line: number, column: text.indexOf(definition[1]) + 1, image: false });
+      block = null;
+      continue;
+    }
+    
+    const masked = maskInline(text, number, links, anchors);
+    
+    const atx = /^(\s{0,3})(#{1,6})(\s+|$)(.*?)(\s+#+)?\s*$/.exec(text);
+    if (atx) {
+      const markerLength = atx[1].length + atx[2].length;
+      addHeading(atx[2].length, atx[4], number, ' '.repeat(markerLength) + masked.slice(markerLength));
+      continue;
+    }
+    
+    // A paragraph line underlined with = or - is a setext heading
+    const underline = lines[i + 1] !== undefined && /^\s{0,3}(=+|-+)\s*$/.exec(lines[i + 1]);
+    if (underline && !block && !/^\s*([-*+]|\d+[.)])\s/.test(text) && !text.trimStart().startsWith('>')) {
+      addHeading(underline[1][0] === '=' ? 1 : 2, text.trim(), number, masked);
+      i++;
+      continue;
+    }
+    
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(text)) {
+      block = null;
+      continue;
+    }
+    
+    // Table delimiter rows carry no text; table rows are read one by one
+    if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(text)) {
+      continue;
+    }
+    const prose = masked.replace(/^(\s*>)+/, match => ' '.repeat(match.length));
+    if (text.trim().startsWith('|')) {
+      addBlock('row', number, prose.replace(/\|/g, ' '));
+      block = null;
+      continue;
+    }
+    
+    const item = /^(\s*)([-*+]|\d+[.)])(\s+)/.exec(prose);
+    if (item) {
+      addBlock('item', number, ' '.repeat(item[0].length) + prose.slice(item[0].length));
+    } else if (block) {
+      block.lines.push({ line: number, text: prose });
+    } else {
+      addBlock('paragraph', number, prose);
+    }
+  }
+  
+  return { headings, anchors, links, blocks };
+}
+
+/**
+ * Blank out the parts of a Markdown line that are not prose, recording its
+ * links and HTML anchors
+ * @param {string} text - Line
+ * @param {number} line - Line number
+ * @param {Object[]} links - Receives { target, line, column, image }
+ * @param {Set} anchors - Receives HTML id/name anchors
+ * @returns {string} Line of the same length with code, link targets, URLs and HTML as spaces
+ */
+function maskInline(text, line, links, anchors) {
+  const blank = match => ' '.repeat(match.length);
+  
+  let masked = text.replace(/(`+)[^`]*?\1/g, blank);
+  
+  for (const match of masked.matchAll(HTML_TAG)) {
+    for (const anchor of match[0].matchAll(HTML_ANCHOR)) anchors.add(anchor[1]);
+    const href = /\b(?:href|src)\s*=\s*["']([^"']+)["']/.exec(match[0]);
+    if (href) {
+      links.push({ target: href[1], line, column: match.index + match[0].indexOf(href[1]) + 1, image: match[0].startsWith('<img') });
+    }
+  }
+  masked = masked.replace(AUTOLINK, (match, target, offset) => {
+    links.push({ target, line, column: offset + 2, image: false });
+    return blank(match);
+  });
+  masked = masked.replace(HTML_TAG, blank);
+  
+  // Images first, so a linked image leaves a plain link; images are not prose, a link's text is
+  for (const images of [true, false]) {
+    masked = masked.replace(INLINE_LINK, (match, bang, label, target, offset) => {
+      if (Boolean(bang) !== images) return match;
+      links.push({ target: unwrapTarget(target), line, column: offset + match.indexOf(target, bang.length + label.length + 2) + 1, image: images });
+      return images ? blank(match) : ` ${label}${blank(match.slice(label.length + 1))}`;
+    });
+  }
+  
+  return masked.replace(BARE_URL, blank);
+}
+
+/**
+ * Link target without angle brackets
+ * @param {string} target - Target as written
+ * @returns {string} Target
+ */
+function unwrapTarget(target) {
+  return target.startsWith('<') && target.endsWith('>') ? target.slice(1, -1) : target;
+}
+
+/**
+ * Heading text as rendered: link text, no code or emphasis markers, no HTML
+ * @param {string} text - Heading source
+ * @returns {string} Plain text
+ */
+function plainText(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(HTML_TAG, '')
+    .replace(/[`*]/g, '')
+    .replace(/(^|\s)_+|_+(\s|$)/g, '$1$2')
+    .trim();
+}
+
+/**
+ * GitHub's anchor for a heading
+ * @param {string} text - Plain heading text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+/**
+ * Text of a block, its lines joined
+ * @param {Object} block - Prose block
+ * @returns {string} Text
+ */
+function blockText(block) {
+  return block.lines.map(({ text }) => text).join(' ');
+}
+
+/**
+ * Count the words in text
+ * @param {string} text - Text
+ * @returns {number} Words
+ */
+function countWords(text) {
+  return (text.match(WORD) || []).length;
+}
+
+/**
+ * Readability of documents' prose
+ * 
+ * Each heading, list item and table row is a sentence of its own;
+ * paragraphs split at . ! and ?. Syllables are estimated from vowel groups.
+ * @param {Object[]} documents - Loaded documents
+ * @returns {Object|null} { words, sentences, syllables, readingEase, grade }, null without prose
+ */
+function measureReadability(documents) {
+  let words = 0;
+  let sentences = 0;
+  let syllables = 0;
+  
+  for (const document of documents.filter(doc => !doc.error)) {
+    for (const block of document.blocks) {
+      const text = blockText(block).trim();
+      const blockWords = text.match(WORD) || [];
+      if (blockWords.length === 0) continue;
+      
+      words += blockWords.length;
+      syllables += blockWords.reduce((sum, word) => sum + countSyllables(word), 0);
+      const ends = (text.match(/[.!?]+(?=["')\]]*(\s|$))/g) || []).length;
+      sentences += ends + (/[.!?]["')\]]*$/.test(text) ? 0 : 1);
+    }
+  }
+  
+  if (words === 0) return null;
+  
+  const wordsPerSentence = words / sentences;
+  const syllablesPerWord = syllables / words;
+  return {
+    words,
+    sentences,
+    syllables,
+    readingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    grade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+  };
+}
+
+/**
+ * Estimate the syllables of an English word
+ * @param {string} word - Word
+ * @returns {number} Syllables, at least 1
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Find common misspellings in documents' prose
+ * @param {Object[]} documents - Loaded documents
+ * @param {string[]} ignore - Lowercase words never reported
+ * @returns {Object} { words, issues: [{ file, line, column, word, suggestion }] }
+ */
+function findMisspellings(documents, ignore = []) {
+  const dictionary = loadMisspellings();
+  const ignored = new Set(ignore);
+  const issues = [];
+  let words = 0;
+  
+  for (const document of documents.filter(doc => !doc.error)) {
+    words += document.words;
+    for (const block of document.blocks) {
+      for (const { line, text } of block.lines) {
+        for (const match of text.matchAll(SPELLED_WORD)) {
+          const word = match[0].toLowerCase().replace(/’/g, '\'');
+          const correction = dictionary.get(word);
+          if (!correction || ignored.has(word)) continue;
+          issues.push({
+            file: document.file,
+            line,
+            column: match.index + 1,
+            word: match[0],
+            suggestion: /^\p{Lu}/u.test(match[0]) ? correction[0].toUpperCase() + correction.slice(1) : correction
+          });
+        }
+      }
+    }
+  }
+  
+  return { words, issues };
+}
+
+/**
+ * The bundled misspelling dictionary, loaded once
+ * @returns {Map} Misspelling to correction
+ */
+function loadMisspellings() {
+  if (!misspellings) {
+    misspellings = new Map(fs.readFileSync(MISSPELLINGS_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() && !line.startsWith('#'))
+      .map(line => line.trim().split('->')));
+  }
+  return misspellings;
+}
+
+/**
+ * Check the relative links of Markdown documents, offline
+ * 
+ * Targets must exist inside the submission; an anchor must name a heading
+ * (or an explicit anchor) of the Markdown file linked. External links are
+ * only counted.
+ * @param {string} projectPath - Submission root
+ * @param {Object[]} documents - Loaded documents
+ * @returns {Promise<Object>} { checked, external, broken: [{ file, line, column, target, reason }] }
+ */
+async function checkLinks(projectPath, documents) {
+  const loaded = new Map(documents.map(document => [document.file, document]));
+  const broken = [];
+  let checked = 0;
+  let external = 0;
+  
+  const anchorsOf = async (file) => {
+    if (!loaded.has(file)) {
+      loaded.set(file, await loadDocument(projectPath, file));
+    }
+    return loaded.get(file).anchors;
+  };
+  
+  for (const document of documents.filter(doc => !doc.error && doc.kind === 'markdown')) {
+    for (const link of document.links) {
+      if (EXTERNAL_LINK.test(link.target)) {
+        external++;
+        continue;
+      }
+      checked++;
+      
+      const hash = link.target.indexOf('#');
+      const targetPath = decode((hash === -1 ? link.target : link.target.slice(0, hash)).replace(/\?.*$/, ''));
+      const anchor = hash === -1 ? '' : decode(link.target.slice(hash + 1));
+      const fail = reason => broken.push({ file: document.file, line: link.line, column: link.column, target: link.target, reason });
+      
+      const file = targetPath === ''
+        ? document.file
+        : path.posix.normalize(targetPath.startsWith('/') ? targetPath.slice(1) : path.posix.join(path.posix.dirname(document.file), targetPath));
+      if (file === '..' || file.startsWith('../')) {
+        fail('points outside the submission');
+        continue;
+      }
+      if (!await fs.pathExists(path.join(projectPath, file))) {
+        fail(`${file} does not exist`);
+        continue;
+      }
+      
+      const linksMarkdown = DOCUMENT_EXTENSIONS[path.extname(file).toLowerCase()] === 'markdown' || targetPath === '';
+      if (anchor && linksMarkdown && (await fs.stat(path.join(projectPath, file))).isFile()) {
+        const anchors = await anchorsOf(file);
+        if (!anchors.has(anchor) && !anchors.has(anchor.toLowerCase())) {
+          fail(`no heading or anchor #${anchor} in ${file}`);
+        }
+      }
+    }
+  }
+  
+  return { checked, external, broken };
+}
+
+/**
+ * Decode a percent-encoded link path, leaving malformed encodings as written
+ * @param {string} text - Path or anchor
+ * @returns {string} Decoded text
+ */
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Compare documents with a local corpus by shared word shingles
+ * 
+ * A document's similarity to a corpus document is the share of its
+ * five-word shingles that also occur there; the most similar corpus document
+ * is reported for each.
+ * @param {Object[]} documents - Loaded documents
+ * @param {string} corpusDir - Corpus directory (Markdown and text files, searched recursively)
+ * @returns {Promise<Object>} { corpusFiles, documents: [{ file, similarity, source }] }
+ */
+async function compareWithCorpus(documents, corpusDir) {
+  const corpusFiles = await findDocuments(corpusDir, [], MAX_CORPUS_FILES);
+  const compared = documents
+    .filter(document => !document.error)
+    .map(document => ({ file: document.file, shingles: shingles(document), similarity: 0, source: null }))
+    .filter(document => document.shingles.size > 0);
+  
+  for (const corpusFile of corpusFiles) {
+    const corpusDocument = await loadDocument(corpusDir, corpusFile);
+    if (corpusDocument.error) continue;
+    const corpusShingles = shingles(corpusDocument);
+    
+    for (const document of compared) {
+      let shared = 0;
+      for (const shingle of document.shingles) {
+        if (corpusShingles.has(shingle)) shared++;
+      }
+      const similarity = shared / document.shingles.size;
+      if (similarity > document.similarity) {
+        document.similarity = similarity;
+        document.source = corpusFile;
+      }
+    }
+  }
+  
+  return {
+    corpusFiles: corpusFiles.length,
+    documents: compared.map(({ file, similarity, source }) => ({ file, similarity: Math.round(similarity * 1000) / 1000, source }))
+  };
+}
+
+/**
+ * Hashed five-word shingles of a document's prose, case-insensitive
+ * @param {Object} document - Loaded document
+ * @returns {Set<number>} Shingle hashes
+ */
+function shingles(document) {
+  const words = document.blocks.flatMap(block => (blockText(block).match(WORD) || []).map(word => word.toLowerCase()));
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    set.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return set;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text
+ * @returns {number} Hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  loadContentSpec,
+  normalizeContentSpec,
+  findDocuments,
+  loadDocuments,
+  loadDocument,
+  parseMarkdown,
+  measureReadability,
+  countSyllables,
+  findMisspellings,
+  checkLinks,
+  compareWithCorpus
+};
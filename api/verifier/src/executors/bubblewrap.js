@@ -0,0 +1,171 @@
+/**
+ * Bubblewrap Executor
+ * 
+ * Runs commands inside a bubblewrap (bwrap) sandbox: no network, read-only
+ * system and toolchain directories (never the whole host), a private /tmp,
+ * a writable submission directory only, and CPU/memory/process limits
+ * applied with prlimit. A single command may ask for the network (the
+ * install check downloading dependencies).
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { runProcess, createExecError } = require('./process');
+
+const DEFAULT_LIMITS = {
+  memoryMb: parseInt(process.env.CLAWJUDGE_SANDBOX_MEMORY_MB) || 2048,
+  maxProcesses: parseInt(process.env.CLAWJUDGE_SANDBOX_MAX_PROCS) || 256,
+  cpuSeconds: parseInt(process.env.CLAWJUDGE_SANDBOX_CPU_SECONDS) || 300
+};
+
+// Environment passed into the sandbox; everything else (API keys, tokens) is dropped
+const PASSTHROUGH_ENV = ['PATH', 'LANG', 'LC_ALL', 'TERM'];
+
+// Host paths mounted read-only: system directories, the Node installation running
+// the verifier (npm, npx) and toolchains the operator lists in CLAWJUDGE_SANDBOX_READ_PATHS
+const DEFAULT_READ_PATHS = [...new Set([
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64',
+  '/etc/alternatives', '/etc/ssl', '/etc/ca-certificates', '/etc/pki',
+  '/etc/resolv.conf', '/etc/hosts', '/etc/nsswitch.conf', '/etc/passwd', '/etc/group',
+  '/etc/ld.so.cache', '/etc/ld.so.conf', '/etc/ld.so.conf.d', '/etc/localtime',
+  path.dirname(path.dirname(process.execPath)),
+  ...(process.env.CLAWJUDGE_SANDBOX_READ_PATHS || '').split(':').filter(Boolean)
+])];
+
+/**
+ * Create a bubblewrap executor
+ * @param {Object} options - Sandbox options
+ * @param {string[]} options.writablePaths - Host paths bound read-write (the submission)
+ * @param {string[]} options.readOnlyPaths - Host paths bound read-only besides the defaults (tools, offline databases)
+ * @param {boolean} options.network - Allow network access for every command (default false)
+ * @param {Object} options.limits - { memoryMb, maxProcesses, cpuSeconds }
+ * @returns {Object} Executor
+ */
+function createBubblewrapExecutor(options = {}) {
+  const sandbox = {
+    writablePaths: options.writablePaths || [],
+    readPaths: [...DEFAULT_READ_PATHS, ...(options.readOnlyPaths || [])],
+    network: options.network === true,
+    limits: { ...DEFAULT_LIMITS, ...options.limits }
+  };
+  
+  return {
+    name: 'bubblewrap',
+    isolated: true,
+    network: sandbox.network,
+    limits: sandbox.limits,
+    
+    /**
+     * Run a shell command inside the sandbox and collect its result
+     * @param {string} command - Shell command
+     * @param {Object} runOptions - runProcess options (cwd, timeout, signal, onStdout, onStderr),
+     *   plus network to allow network access for this command only
+     * @returns {Promise<Object>} { code, signal, stdout, stderr, timedOut, aborted }
+     */
+    run(command, runOptions = {}) {
+      const { cwd, network, ...rest } = runOptions;
+      const args = buildBubblewrapArgs(command, {
+        ...sandbox,
+        network: sandbox.network || network === true,
+        cwd: cwd || process.cwd()
+      });
+      return runProcess('bwrap', args, { ...rest, cwd });
+    },
+    
+    /**
+     * Run a shell command inside the sandbox, resolving stdout on success
+     * @param {string} command - Shell command
+     * @param {Object} runOptions - runProcess options
+     * @returns {Promise<string>} stdout; rejects with stdout/stderr attached on failure
+     */
+    async exec(command, runOptions = {}) {
+      const result = await this.run(command, runOptions);
+      if (result.code !== 0) {
+        throw createExecError(command, result);
+      }
+      return result.stdout;
+    }
+  };
+}
+
+/**
+ * Build the bwrap argument list for a command
+ * @param {string} command - Shell command to run inside the sandbox
+ * @param {Object} sandbox - { cwd, writablePaths, readPaths, network, limits }
+ * @returns {string[]} bwrap arguments
+ */
+function buildBubblewrapArgs(command, sandbox) {
+  const limits = { ...DEFAULT_LIMITS, ...sandbox.limits };
+  
+  const args = [
+    '--unshare-all',
+    '--die-with-parent',
+    '--new-session'
+  ];
+  
+  // Paths missing on this host are skipped
+  for (const readPath of new Set(sandbox.readPaths || DEFAULT_READ_PATHS)) {
+    args.push('--ro-bind-try', readPath, readPath);
+  }
+  
+  args.push(
+    '--dev', '/dev',
+    '--proc', '/proc',
+    '--tmpfs', '/tmp'
+  );
+  
+  if (sandbox.network) {
+    args.push('--share-net');
+  }
+  
+  // Writable binds go after the /tmp tmpfs so submissions cloned under /tmp stay visible
+  for (const writablePath of sandbox.writablePaths || []) {
+    args.push('--bind', writablePath, writablePath);
+  }
+  
+  args.push('--clearenv');
+  for (const name of PASSTHROUGH_ENV) {
+    if (process.env[name]) {
+      args.push('--setenv', name, process.env[name]);
+    }
+  }
+  args.push(
+    '--setenv', 'HOME', '/tmp',
+    '--setenv', 'TMPDIR', '/tmp',
+    '--setenv', 'CI', 'true',
+    '--chdir', sandbox.cwd
+  );
+  
+  args.push(
+    '--',
+    'prlimit',
+    `--as=${limits.memoryMb * 1024 * 1024}`,
+    `--nproc=${limits.maxProcesses}`,
+    `--cpu=${limits.cpuSeconds}`,
+    '--',
+    'sh', '-c', command
+  );
+  
+  return args;
+}
+
+/**
+ * Check whether bwrap is installed and usable on this host
+ * @returns {boolean} True if bubblewrap can be used
+ */
+function isBubblewrapAvailable() {
+  try {
+    execFileSync('bwrap', ['--version'], { stdio: 'pipe', timeout: 5000, env: process.env });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  createBubblewrapExecutor,
+  buildBubblewrapArgs,
+  isBubblewrapAvailable,
+  DEFAULT_LIMITS,
+  DEFAULT_READ_PATHS
+};
@@ -0,0 +1,47 @@
+/**
+ * Direct Executor
+ * 
+ * Runs commands straight on the host with the verifier's own privileges.
+ * Only suitable for trusted submissions or local development.
+ */
+
+const { runProcess, createExecError } = require('./process');
+
+/**
+ * Create a direct (unsandboxed) executor
+ * @returns {Object} Executor
+ */
+function createDirectExecutor() {
+  return {
+    name: 'direct',
+    isolated: false,
+    
+    /**
+     * Run a shell command and collect its result
+     * @param {string} command - Shell command
+     * @param {Object} options - runProcess options (cwd, timeout, signal, onStdout, onStderr)
+     * @returns {Promise<Object>} { code, signal, stdout, stderr, timedOut, aborted }
+     */
+    run(command, options = {}) {
+      return runProcess('sh', ['-c', command], options);
+    },
+    
+    /**
+     * Run a shell command, resolving stdout on success
+     * @param {string} command - Shell command
+     * @param {Object} options - runProcess options
+     * @returns {Promise<string>} stdout; rejects with stdout/stderr attached on failure
+     */
+    async exec(command, options = {}) {
+      const result = await this.run(command, options);
+      if (result.code !== 0) {
+        throw createExecError(command, result);
+      }
+      return result.stdout;
+    }
+  };
+}
+
+module.exports = {
+  createDirectExecutor
+};
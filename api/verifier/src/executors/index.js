@@ -0,0 +1,60 @@
+/**
+ * Executors - Pluggable command execution backends
+ * 
+ * Every check runs its commands through an executor so untrusted submissions
+ * can be isolated from the API host.
+ */
+
+const { createDirectExecutor } = require('./direct');
+const { createBubblewrapExecutor, isBubblewrapAvailable } = require('./bubblewrap');
+
+const EXECUTORS = {
+  direct: createDirectExecutor,
+  bubblewrap: createBubblewrapExecutor
+};
+
+/**
+ * Create an executor by name
+ * @param {string} name - Executor name (direct, bubblewrap)
+ * @param {Object} options - Executor-specific options
+ * @returns {Object} Executor with name, isolated, run(command, options) and exec(command, options)
+ */
+function createExecutor(name = 'direct', options = {}) {
+  const factory = EXECUTORS[name];
+  
+  if (!factory) {
+    throw new Error(`Unknown sandbox: ${name}. Expected one of: ${Object.keys(EXECUTORS).join(', ')}`);
+  }
+  
+  // Never fall back to running untrusted code on the host
+  if (name === 'bubblewrap' && !isBubblewrapAvailable()) {
+    throw new Error('bubblewrap sandbox requested but bwrap is not installed or not usable');
+  }
+  
+  return factory(options);
+}
+
+/**
+ * Bind default run options (cancellation signal, output hooks) to an executor
+ * so checks can stay unaware of them
+ * @param {Object} executor - Executor
+ * @param {Object} defaults - Default runProcess options ({ signal, onStdout, onStderr })
+ * @returns {Object} Executor whose run/exec apply the defaults
+ */
+function bindExecutor(executor, defaults) {
+  return {
+    ...executor,
+    run(command, options = {}) {
+      return executor.run(command, { ...defaults, ...options });
+    },
+    exec(command, options = {}) {
+      return executor.exec(command, { ...defaults, ...options });
+    }
+  };
+}
+
+module.exports = {
+  createExecutor,
+  bindExecutor,
+  EXECUTORS
+};
@@ -0,0 +1,140 @@
+/**
+ * Process Runner
+ * 
+ * Spawn-based replacement for execSync: streams output, never blocks the
+ * event loop, and kills the whole process tree on timeout or cancellation.
+ */
+
+const { spawn } = require('child_process');
+
+const MAX_BUFFER = 10 * 1024 * 1024;
+
+/**
+ * Spawn a process and collect its output
+ * @param {string} file - Executable
+ * @param {string[]} args - Arguments
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.env - Environment (default: process.env)
+ * @param {number} options.timeout - Timeout in milliseconds (0 = none)
+ * @param {AbortSignal} options.signal - Cancels the run and kills the process tree
+ * @param {Function} options.onStdout - Called with each stdout chunk (string)
+ * @param {Function} options.onStderr - Called with each stderr chunk (string)
+ * @returns {Promise<Object>} { code, signal, stdout, stderr, timedOut, aborted }
+ */
+function runProcess(file, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (options.signal?.aborted) {
+      resolve(abortedResult());
+      return;
+    }
+    
+    // detached puts the child in its own process group so the whole tree can be killed
+    const child = spawn(file, args, {
+      cwd: options.cwd,
+      env: options.env || process.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
+    });
+    
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let aborted = false;
+    let timer = null;
+    
+    const killTree = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (e) {
+        // Process group already gone
+      }
+    };
+    
+    const onAbort = () => {
+      aborted = true;
+      killTree();
+    };
+    
+    if (options.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killTree();
+      }, options.timeout);
+    }
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    
+    child.stdout.on('data', (chunk) => {
+      if (stdout.length < MAX_BUFFER) stdout += chunk;
+      options.onStdout?.(chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+      if (stderr.length < MAX_BUFFER) stderr += chunk;
+      options.onStderr?.(chunk);
+    });
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
+    };
+    
+    child.on('error', (error) => {
+      cleanup();
+      reject(error);
+    });
+    
+    // Kill anything the command left behind in its process group; otherwise
+    // a lingering grandchild holding stdout open would keep 'close' from firing
+    child.on('exit', killTree);
+    
+    child.on('close', (code, signal) => {
+      cleanup();
+      resolve({ code, signal, stdout, stderr, timedOut, aborted });
+    });
+  });
+}
+
+/**
+ * Result for a run cancelled before it started
+ * @returns {Object} Run result
+ */
+function abortedResult() {
+  return { code: null, signal: 'SIGKILL', stdout: '', stderr: '', timedOut: false, aborted: true };
+}
+
+/**
+ * Build the error thrown for a failed command, shaped like execSync's errors
+ * @param {string} command - Command that was run
+ * @param {Object} result - Result from runProcess
+ * @returns {Error} Error with stdout, stderr, status, timedOut and aborted
+ */
+function createExecError(command, result) {
+  let reason;
+  if (result.timedOut) {
+    reason = 'timed out';
+  } else if (result.aborted) {
+    reason = 'was cancelled';
+  } else if (result.code === null) {
+    reason = `was killed by ${result.signal}`;
+  } else {
+    reason = `exited with code ${result.code}`;
+  }
+  
+  const stderr = result.stderr.trim();
+  const error = new Error(`Command failed: ${command} ${reason}${stderr ? `\n${stderr.slice(-2000)}` : ''}`);
+  error.stdout = result.stdout;
+  error.stderr = result.stderr;
+  error.status = result.code;
+  error.signal = result.signal;
+  error.timedOut = result.timedOut;
+  error.aborted = result.aborted;
+  return error;
+}
+
+module.exports = {
+  runProcess,
+  createExecError
+};
@@ -10,31 +10,71 @@ const tmp = require('tmp');
 const simpleGit = require('simple-git');
 
 const { detectLanguage } = require('./evaluators/code');
-const { runCompilationCheck } = require('./checks/compile');
-const { runTestCheck } = require('./checks/tests');
-const { runLintCheck } = require('./checks/lint');
-const { runSecurityCheck } = require('./checks/security');
-const { runCoverageCheck } = require('./checks/coverage');
+const { CODE_STAGES, DATA_STAGES, CONTENT_STAGES, selectStages, runPipeline } = require('./pipeline');
+const { loadAcceptanceTests } = require('./checks/acceptance');
 const { matchRequirements } = require('./evaluators/content');
+const { normalizeRequirements } = require('./evaluators/requirement-spec');
+const { normalizeDataSpec, analyzeDatasets } = require('./evaluators/data');
+const { normalizeContentSpec, loadDocuments } = require('./evaluators/writing');
+const { fingerprintSubmission } = require('./evaluators/similarity');
+const { createRequirementProvider } = require('./providers');
 const { generateVerdict } = require('./verdict');
+const { createExecutor, bindExecutor } = require('./executors');
+const { getProfile } = require('./profiles');
 
 // Default configuration
 const DEFAULT_CONFIG = {
   timeout: parseInt(process.env.CLAWJUDGE_TIMEOUT) || 180,
   coverageThreshold: parseInt(process.env.CLAWJUDGE_COVERAGE_MIN) || 70,
   verbose: process.env.CLAWJUDGE_VERBOSE === 'true',
-  tempDir: process.env.CLAWJUDGE_TEMP_DIR || tmp.tmpdir
+  tempDir: process.env.CLAWJUDGE_TEMP_DIR || tmp.tmpdir,
+  profile: process.env.CLAWJUDGE_PROFILE || 'default',
+  requirementsProvider: process.env.CLAWJUDGE_REQUIREMENTS_PROVIDER || 'auto',
+  sandbox: process.env.CLAWJUDGE_SANDBOX || 'direct',
+  sandboxNetwork: process.env.CLAWJUDGE_SANDBOX_NETWORK === 'true',
+  corpus: process.env.CLAWJUDGE_CONTENT_CORPUS || null,
+  referenceCorpus: process.env.CLAWJUDGE_REFERENCE_CORPUS || null,
+  similarityThreshold: process.env.CLAWJUDGE_SIMILARITY_MAX ? parseFloat(process.env.CLAWJUDGE_SIMILARITY_MAX) : 0.5,
+  goVulnDb: process.env.CLAWJUDGE_GO_VULNDB || null,
+  rustAdvisoryDb: process.env.CLAWJUDGE_RUST_ADVISORY_DB || null,
+  pythonWheelhouse: process.env.CLAWJUDGE_PYTHON_WHEELHOUSE || null,
+  historyDepth: parseInt(process.env.CLAWJUDGE_HISTORY_DEPTH) || 50
 };
 
+// node_modules holding the tools checks run from the verifier's own dependencies (c8)
+const TOOL_MODULES = path.dirname(path.dirname(require.resolve('c8/package.json')));
+
+// Bounty types with their own verification pipeline
+const BOUNTY_TYPES = ['code', 'data', 'content'];
+
 /**
  * Main verification function
  * @param {Object} options - Verification options
  * @param {string} options.submission - GitHub URL, file path, or inline code
- * @param {string[]} options.requirements - Array of requirement strings
- * @param {string} options.bounty_type - Type of bounty (code, data, content)
- * @param {string} options.language - Language override (auto, nodejs, python, solidity)
+ * @param {Array} options.requirements - Free-text requirement strings and typed assertions (see evaluators/requirement-spec)
+ * @param {string} options.bounty_type - Type of bounty: code (default), data or content
+ * @param {Object} options.data_spec - Data bounties: files, format, JSON Schema, column spec and row rules (see evaluators/data)
+ * @param {Object} options.content_spec - Content bounties: files, word range, sections, readability, spelling and links (see evaluators/writing)
+ * @param {string} options.corpus - Content bounties: directory of existing documents to detect near-duplicates against
+ * @param {string} options.language - Language override (auto, nodejs, typescript, python, solidity, rust, go)
  * @param {number} options.coverage_threshold - Coverage threshold percentage
  * @param {number} options.timeout - Timeout in seconds
+ * @param {boolean} options.coverage - Instrument the test run for coverage (default true)
+ * @param {string} options.profile - Scoring profile (default: default for code, dataset for data, article for content)
+ * @param {string} options.requirements_provider - Requirement evaluation backend (auto, heuristic, openai)
+ * @param {string|Object} options.acceptance_tests - Poster's acceptance tests: a directory, or a map of relative path to contents
+ * @param {Object[]} options.peers - Code bounties: other submissions to check for copying ({ id, label, fingerprints })
+ * @param {string} options.reference_corpus - Code bounties: directory of existing projects (one per subdirectory) to check for copying
+ * @param {number} options.similarity_threshold - Highest share of code matching one other project that passes (0-1, default 0.5)
+ * @param {Function} options.onFingerprints - Code bounties: called with the submission's code fingerprints, e.g. to store them for later comparisons
+ * @param {string} options.goVulnDb - Go projects: local Go vulnerability database directory for govulncheck
+ * @param {string} options.rustAdvisoryDb - Rust projects: local RustSec advisory-db checkout for cargo-audit
+ * @param {string} options.pythonWheelhouse - Python projects: directory of wheels to install dependencies from, offline
+ * @param {number} options.historyDepth - Code bounties: commits of a cloned repository to fetch and scan for secrets (default 50)
+ * @param {string} options.sandbox - Executor for check commands (direct, bubblewrap)
+ * @param {Object} options.sandbox_limits - Sandbox limits ({ memoryMb, maxProcesses, cpuSeconds })
+ * @param {AbortSignal} options.signal - Cancels verification and kills running check processes
+ * @param {Function} options.onOutput - Called with (checkName, stream, chunk) as check commands print
  * @returns {Promise<Object>} Verdict object
  */
 async function verify(options) {
@@ -45,11 +85,63 @@ async function verify(options) {
   let projectPath = null;
   
   try {
+    // Fail before cloning if the bounty type, scoring profile, data or content spec, requirements provider or a requirement is invalid
+    const bountyType = options.bounty_type || 'code';
+    if (!BOUNTY_TYPES.includes(bountyType)) {
+      throw new Error(`Unsupported bounty_type: ${bountyType}. Expected one of: ${BOUNTY_TYPES.join(', ')}`);
+    }
+    // CLAWJUDGE_PROFILE only picks the profile of code bounties
+    const profile = getProfile(options.profile || (bountyType === 'code' ? config.profile : null), bountyType);
+    const dataSpec = bountyType === 'data' ? normalizeDataSpec(options.data_spec) : null;
+    const contentSpec = bountyType === 'content' ? normalizeContentSpec(options.content_spec) : null;
+    if (bountyType === 'content' && config.corpus && !(await fs.pathExists(config.corpus))) {
+      throw new Error(`Content corpus not found: ${config.corpus}`);
+    }
+    const requirements = normalizeRequirements(options.requirements || []);
+    const requirementsProvider = createRequirementProvider(options.requirements_provider || config.requirementsProvider);
+    const similarity = {
+      peers: options.peers || [],
+      corpus: options.reference_corpus || config.referenceCorpus,
+      threshold: options.similarity_threshold ?? config.similarityThreshold
+    };
+    if (!Array.isArray(similarity.peers)) {
+      throw new Error('peers must be a list of { id, fingerprints }');
+    }
+    if (typeof similarity.threshold !== 'number' || !(similarity.threshold >= 0 && similarity.threshold <= 1)) {
+      throw new Error('similarity_threshold must be between 0 and 1');
+    }
+    if (bountyType === 'code' && similarity.corpus && !(await fs.pathExists(similarity.corpus))) {
+      throw new Error(`Reference corpus not found: ${similarity.corpus}`);
+    }
+    
     // Step 1: Prepare submission
     const prepResult = await prepareSubmission(options.submission, config);
     projectPath = prepResult.path;
     tempDir = prepResult.tempDir;
     
+    // Acceptance tests are validated up front and written into the submission only for their own stage
+    const acceptanceTests = await loadAcceptanceTests(options.acceptance_tests);
+    
+    // Only the submission itself is writable inside an isolated sandbox; the tools and offline databases are readable
+    const executor = createExecutor(config.sandbox, {
+      writablePaths: [tempDir || projectPath],
+      readOnlyPaths: [TOOL_MODULES, config.goVulnDb, config.rustAdvisoryDb, config.pythonWheelhouse]
+        .filter(Boolean)
+        .map(readPath => path.resolve(readPath)),
+      network: config.sandboxNetwork,
+      limits: config.sandbox_limits
+    });
+    
+    // Data bounties check the delivered files instead of building anything
+    if (bountyType === 'data') {
+      return await verifyData({ projectPath, dataSpec, requirements, requirementsProvider, executor, profile, config, options, startTime });
+    }
+    
+    // Content bounties check the delivered documents
+    if (bountyType === 'content') {
+      return await verifyContent({ projectPath, contentSpec, requirements, requirementsProvider, executor, profile, config, options, startTime });
+    }
+    
     // Step 2: Detect language
     const language = options.language === 'auto' || !options.language
       ? detectLanguage(projectPath)
@@ -66,48 +158,50 @@ async function verify(options) {
       };
     }
     
-    // Step 3: Run all checks
-    const checkTimeout = Math.floor(config.timeout / 5); // Divide timeout among checks
-    
-    const [
-      compilationResult,
-      testResult,
-      lintResult,
-      securityResult,
-      coverageResult
-    ] = await Promise.all([
-      runWithTimeout(runCompilationCheck(projectPath, language), checkTimeout, 'compilation'),
-      runWithTimeout(runTestCheck(projectPath, language), checkTimeout, 'tests'),
-      runWithTimeout(runLintCheck(projectPath, language), checkTimeout, 'linting'),
-      runWithTimeout(runSecurityCheck(projectPath, language), checkTimeout, 'security'),
-      runWithTimeout(runCoverageCheck(projectPath, language, config.coverageThreshold), checkTimeout, 'coverage')
-    ]);
-    
-    // Step 4: Match requirements (uses LLM for subjective evaluation)
-    const requirementsResult = await matchRequirements(
-      projectPath,
-      options.requirements || [],
-      language
+    // Fingerprint the worker's code before install and build add files to the submission
+    let fingerprints = null;
+    if (similarity.peers.length > 0 || similarity.corpus || options.onFingerprints) {
+      fingerprints = await fingerprintSubmission(projectPath);
+      await options.onFingerprints?.(fingerprints);
+    }
+    
+    // Step 3: Run checks as a dependency graph (install -> build -> tests -> coverage; lint/security after install)
+    const runner = createRunner(executor, config, options, startTime);
+    
+    const ctx = { projectPath, language, config, acceptanceTests, similarity, fingerprints };
+    
+    const checkResults = await runPipeline(selectStages(CODE_STAGES, ctx), (stage, results) =>
+      runCheck(stage.name, runner, (checkOptions) => stage.run(ctx, checkOptions, results))
     );
     
+    if (options.signal?.aborted) {
+      throw new Error('Verification cancelled');
+    }
+    
+    // Step 4: Match requirements (assertions checked against the results; LLM for free text when configured)
+    const requirementsResult = await matchRequirementsInTime(runner, projectPath, requirements, language, {
+      provider: requirementsProvider,
+      results: checkResults
+    });
+    
     // Step 5: Generate verdict
     const verdict = generateVerdict({
-      compilation: compilationResult,
-      tests: testResult,
-      lint: lintResult,
-      security: securityResult,
-      coverage: coverageResult,
+      ...checkResults,
       requirements: requirementsResult
-    }, config);
+    }, { ...config, profile: profile.name });
     
     verdict.metadata = {
       duration: Date.now() - startTime,
+      bountyType: 'code',
       language,
+      sandbox: executor.name,
+      requirementsProvider: requirementsResult.provider,
+      ...(requirementsResult.fallback && { requirementsFallback: requirementsResult.fallback }),
       timestamp: new Date().toISOString()
     };
     
     return verdict;
-    
+  
   } catch (error) {
     return {
       verdict: 'ERROR',
@@ -129,6 +223,90 @@ async function verify(options) {
   }
 }
 
+/**
+ * Verify a data bounty: analyse the data files, run the data checks and match requirements
+ * @param {Object} run - Verification state from verify()
+ * @returns {Promise<Object>} Verdict object
+ */
+async function verifyData({ projectPath, dataSpec, requirements, requirementsProvider, executor, profile, config, options, startTime }) {
+  const datasets = await analyzeDatasets(projectPath, dataSpec);
+  
+  const runner = createRunner(executor, config, options, startTime);
+  const ctx = { projectPath, config, dataSpec, datasets };
+  
+  const checkResults = await runPipeline(selectStages(DATA_STAGES, ctx), (stage, results) =>
+    runCheck(stage.name, runner, (checkOptions) => stage.run(ctx, checkOptions, results))
+  );
+  
+  if (options.signal?.aborted) {
+    throw new Error('Verification cancelled');
+  }
+  
+  const requirementsResult = await matchRequirementsInTime(runner, projectPath, requirements, 'data', {
+    provider: requirementsProvider,
+    results: checkResults
+  });
+  
+  const verdict = generateVerdict({
+    ...checkResults,
+    requirements: requirementsResult
+  }, { ...config, profile: profile.name });
+  
+  verdict.metadata = {
+    duration: Date.now() - startTime,
+    bountyType: 'data',
+    dataFiles: datasets.map(dataset => dataset.file),
+    sandbox: executor.name,
+    requirementsProvider: requirementsResult.provider,
+    ...(requirementsResult.fallback && { requirementsFallback: requirementsResult.fallback }),
+    timestamp: new Date().toISOString()
+  };
+  
+  return verdict;
+}
+
+/**
+ * Verify a content bounty: load the documents, run the content checks and match requirements
+ * @param {Object} run - Verification state from verify()
+ * @returns {Promise<Object>} Verdict object
+ */
+async function verifyContent({ projectPath, contentSpec, requirements, requirementsProvider, executor, profile, config, options, startTime }) {
+  const documents = await loadDocuments(projectPath, contentSpec);
+  
+  const runner = createRunner(executor, config, options, startTime);
+  const ctx = { projectPath, config, contentSpec, documents, corpus: config.corpus };
+  
+  const checkResults = await runPipeline(selectStages(CONTENT_STAGES, ctx), (stage, results) =>
+    runCheck(stage.name, runner, (checkOptions) => stage.run(ctx, checkOptions, results))
+  );
+  
+  if (options.signal?.aborted) {
+    throw new Error('Verification cancelled');
+  }
+  
+  const requirementsResult = await matchRequirementsInTime(runner, projectPath, requirements, 'content', {
+    provider: requirementsProvider,
+    results: checkResults
+  });
+  
+  const verdict = generateVerdict({
+    ...checkResults,
+    requirements: requirementsResult
+  }, { ...config, profile: profile.name });
+  
+  verdict.metadata = {
+    duration: Date.now() - startTime,
+    bountyType: 'content',
+    documents: documents.map(document => document.file),
+    sandbox: executor.name,
+    requirementsProvider: requirementsResult.provider,
+    ...(requirementsResult.fallback && { requirementsFallback: requirementsResult.fallback }),
+    timestamp: new Date().toISOString()
+  };
+  
+  return verdict;
+}
+
 /**
  * Prepare submission for verification
  * @param {string} submission - GitHub URL, file path, or inline code
@@ -147,7 +325,8 @@ async function prepareSubmission(submission, config) {
       repoUrl = submission.replace(/\/+$/, '') + '.git';
     }
     
-    await git.clone(repoUrl, tempDir, ['--depth', '1']);
+    // Enough history for the secret scan to find credentials committed and later deleted
+    await git.clone(repoUrl, tempDir, ['--depth', String(config.historyDepth)]);
     
     // Find the actual project directory (might be nested)
     const entries = await fs.readdir(tempDir);
@@ -191,25 +370,124 @@ async function prepareSubmission(submission, config) {
 }
 
 /**
- * Run a function with timeout
- * @param {Promise} promise - Promise to run
- * @param {number} timeoutMs - Timeout in milliseconds
- * @param {string} checkName - Name of check for error message
- * @returns {Promise<Object>}
+ * Shared settings for running the checks of one verification
+ * 
+ * All checks share the verification's overall deadline rather than a fixed
+ * slice each: a slow install may use most of the time and the stages after
+ * it still get what remains.
+ * @param {Object} executor - Command executor
+ * @param {Object} config - Configuration (timeout in seconds)
+ * @param {Object} options - Verification options (signal, onOutput)
+ * @param {number} startTime - When verification started (ms)
+ * @returns {Object} { executor, timeout, deadline, signal, onOutput }
+ */
+function createRunner(executor, config, options, startTime) {
+  return {
+    executor,
+    timeout: config.timeout,
+    deadline: startTime + config.timeout * 1000,
+    signal: options.signal,
+    onOutput: options.onOutput
+  };
+}
+
+/**
+ * Abort signal for work bounded by the verification deadline
+ * 
+ * It aborts when the verification is cancelled or its time limit is reached;
+ * release() stops watching both and aborts anyway, killing whatever the work
+ * left running.
+ * @param {string} name - What runs, for the abort reason
+ * @param {Object} runner - { timeout (seconds, for messages), deadline (ms timestamp), signal }
+ * @returns {Object} { signal, release }
+ */
+function watchDeadline(name, runner) {
+  const controller = new AbortController();
+  
+  const onParentAbort = () => controller.abort(new Error(`${name} cancelled`));
+  if (runner.signal?.aborted) {
+    onParentAbort();
+  } else {
+    runner.signal?.addEventListener('abort', onParentAbort, { once: true });
+  }
+  
+  const timer = setTimeout(
+    () => controller.abort(new Error(`${name} timed out: the ${runner.timeout}s verification time limit was reached`)),
+    Math.max(0, runner.deadline - Date.now())
+  );
+  
+  return {
+    signal: controller.signal,
+    release() {
+      clearTimeout(timer);
+      runner.signal?.removeEventListener('abort', onParentAbort);
+      controller.abort(new Error(`${name} finished`));
+    }
+  };
+}
+
+/**
+ * Run a single check until the verification deadline, with cancellation
+ * 
+ * The check's commands receive an AbortSignal, so a timeout or a cancelled
+ * verification kills their process trees instead of leaving them running.
+ * @param {string} checkName - Name of check for error messages and output
+ * @param {Object} runner - { executor, timeout (seconds, for messages), deadline (ms timestamp), signal, onOutput }
+ * @param {Function} run - Receives check options ({ executor, signal, deadline }) and returns the check promise
+ * @returns {Promise<Object>} Check result
  */
-async function runWithTimeout(promise, timeoutSec, checkName) {
-  const timeoutMs = timeoutSec * 1000;
-  
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error(`${checkName} timed out after ${timeoutSec}s`)), timeoutMs)
-    )
-  ]).catch(error => ({
-    passed: false,
-    error: error.message,
-    details: `${checkName} check failed: ${error.message}`
-  }));
+async function runCheck(checkName, runner, run) {
+  const { signal, release } = watchDeadline(checkName, runner);
+  
+  const executor = bindExecutor(runner.executor, {
+    signal,
+    onStdout: runner.onOutput && ((chunk) => runner.onOutput(checkName, 'stdout', chunk)),
+    onStderr: runner.onOutput && ((chunk) => runner.onOutput(checkName, 'stderr', chunk))
+  });
+  
+  // A check may also hang outside of a child process, so race it against the abort
+  const aborted = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  
+  try {
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+    return await Promise.race([run({ executor, signal, deadline: runner.deadline }), aborted]);
+  } catch (error) {
+    return {
+      passed: false,
+      error: error.message,
+      details: `${checkName} check failed: ${error.message}`
+    };
+  } finally {
+    // Kill anything the check left running
+    release();
+  }
+}
+
+/**
+ * Match requirements, running their commands (command_succeeds) until the
+ * verification deadline like the checks
+ * @param {Object} runner - Check runner (see createRunner)
+ * @param {string} projectPath - Submission root
+ * @param {Array} requirements - Normalized requirements
+ * @param {string} language - Project language, or the bounty type for data and content
+ * @param {Object} options - matchRequirements options (provider, results)
+ * @returns {Promise<Object>} Requirements result
+ */
+async function matchRequirementsInTime(runner, projectPath, requirements, language, options) {
+  const { signal, release } = watchDeadline('requirements', runner);
+  try {
+    return await matchRequirements(projectPath, requirements, language, {
+      ...options,
+      executor: bindExecutor(runner.executor, { signal }),
+      signal: runner.signal
+    });
+  } finally {
+    release();
+  }
 }
 
 module.exports = {
@@ -0,0 +1,283 @@
+/**
+ * Check Pipeline
+ * 
+ * Runs checks as a declared dependency graph. A stage starts as soon as the
+ * stages it depends on have finished, so independent checks run concurrently,
+ * and a stage whose prerequisite failed is reported as skipped instead of
+ * producing a misleading failure of its own.
+ */
+
+const { runInstallCheck } = require('./checks/install');
+const { runCompilationCheck } = require('./checks/compile');
+const { runTestCheck } = require('./checks/tests');
+const { runLintCheck } = require('./checks/lint');
+const { runSecurityCheck } = require('./checks/security');
+const { runCoverageCheck } = require('./checks/coverage');
+const { runAcceptanceCheck } = require('./checks/acceptance');
+const { runSimilarityCheck } = require('./checks/similarity');
+const { runFormatCheck, runSchemaCheck, runColumnsCheck, runQualityCheck } = require('./checks/data');
+const {
+  runDocumentsCheck,
+  runLengthCheck,
+  runStructureCheck,
+  runLinksCheck,
+  runReadabilityCheck,
+  runSpellingCheck,
+  runOriginalityCheck
+} = require('./checks/writing');
+
+/**
+ * Code verification stages
+ * 
+ * needs: stages that must pass before this one runs (otherwise it is skipped)
+ * after: stages that must finish first, whatever their outcome
+ * label: how the stage is referred to in "skipped due to" messages
+ * enabled: optional predicate on the context; disabled stages are left out of the run
+ */
+const CODE_STAGES = [
+  {
+    name: 'install',
+    label: 'install',
+    needs: [],
+    run: (ctx, options) => runInstallCheck(ctx.projectPath, ctx.language, { ...options, wheelhouse: ctx.config.pythonWheelhouse })
+  },
+  {
+    name: 'compilation',
+    label: 'build',
+    needs: ['install'],
+    run: (ctx, options) => runCompilationCheck(ctx.projectPath, ctx.language, options)
+  },
+  {
+    name: 'tests',
+    label: 'tests',
+    needs: ['compilation'],
+    run: (ctx, options) => runTestCheck(ctx.projectPath, ctx.language, {
+      ...options,
+      coverage: ctx.config.coverage !== false
+    })
+  },
+  {
+    name: 'coverage',
+    label: 'coverage',
+    needs: ['compilation'],
+    after: ['tests'],
+    // Reads the coverage artifact from the instrumented test run
+    run: (ctx, options, results) => runCoverageCheck(ctx.projectPath, ctx.language, ctx.config.coverageThreshold, {
+      ...options,
+      testResult: results.tests
+    })
+  },
+  {
+    name: 'lint',
+    label: 'lint',
+    needs: ['install'],
+    run: (ctx, options) => runLintCheck(ctx.projectPath, ctx.language, options)
+  },
+  {
+    name: 'security',
+    label: 'security scan',
+    needs: ['install'],
+    run: (ctx, options) => runSecurityCheck(ctx.projectPath, ctx.language, {
+      ...options,
+      goVulnDb: ctx.config.goVulnDb,
+      rustAdvisoryDb: ctx.config.rustAdvisoryDb,
+      historyDepth: ctx.config.historyDepth
+    })
+  },
+  {
+    name: 'acceptance',
+    label: 'acceptance tests',
+    needs: ['compilation'],
+    // Runs last: the poster's files are only in the submission while this stage runs
+    after: ['tests', 'coverage', 'lint', 'security'],
+    enabled: (ctx) => ctx.acceptanceTests.length > 0,
+    run: (ctx, options) => runAcceptanceCheck(ctx.projectPath, ctx.language, ctx.acceptanceTests, options)
+  },
+  {
+    name: 'similarity',
+    label: 'similarity check',
+    needs: [],
+    // Compares the fingerprints taken before anything ran, so build output never counts
+    enabled: (ctx) => ctx.similarity.peers.length > 0 || Boolean(ctx.similarity.corpus),
+    run: (ctx) => runSimilarityCheck(ctx.fingerprints, ctx.similarity)
+  }
+];
+
+/**
+ * Data verification stages, run on the datasets loaded into the context
+ */
+const DATA_STAGES = [
+  {
+    name: 'format',
+    label: 'format detection',
+    needs: [],
+    run: (ctx) => runFormatCheck(ctx.datasets)
+  },
+  {
+    name: 'schema',
+    label: 'schema validation',
+    needs: ['format'],
+    enabled: (ctx) => Boolean(ctx.dataSpec.schema),
+    run: (ctx) => runSchemaCheck(ctx.datasets)
+  },
+  {
+    name: 'columns',
+    label: 'column spec',
+    needs: ['format'],
+    enabled: (ctx) => Boolean(ctx.dataSpec.columns),
+    run: (ctx) => runColumnsCheck(ctx.datasets)
+  },
+  {
+    name: 'quality',
+    label: 'quality',
+    needs: ['format'],
+    run: (ctx) => runQualityCheck(ctx.datasets, ctx.dataSpec)
+  }
+];
+
+/**
+ * Content verification stages
+ */
+const CONTENT_STAGES = [
+  {
+    name: 'documents',
+    label: 'document discovery',
+    needs: [],
+    run: (ctx) => runDocumentsCheck(ctx.documents)
+  },
+  {
+    name: 'length',
+    label: 'length',
+    needs: ['documents'],
+    run: (ctx) => runLengthCheck(ctx.documents, ctx.contentSpec)
+  },
+  {
+    name: 'structure',
+    label: 'structure',
+    needs: ['documents'],
+    enabled: (ctx) => Boolean(ctx.contentSpec.sections),
+    run: (ctx) => runStructureCheck(ctx.documents, ctx.contentSpec)
+  },
+  {
+    name: 'links',
+    label: 'link check',
+    needs: ['documents'],
+    enabled: (ctx) => ctx.contentSpec.links,
+    run: (ctx) => runLinksCheck(ctx.projectPath, ctx.documents)
+  },
+  {
+    name: 'readability',
+    label: 'readability',
+    needs: ['documents'],
+    run: (ctx) => runReadabilityCheck(ctx.documents, ctx.contentSpec)
+  },
+  {
+    name: 'spelling',
+    label: 'spelling',
+    needs: ['documents'],
+    enabled: (ctx) => Boolean(ctx.contentSpec.spelling),
+    run: (ctx) => runSpellingCheck(ctx.documents, ctx.contentSpec)
+  },
+  {
+    name: 'originality',
+    label: 'originality',
+    needs: ['documents'],
+    enabled: (ctx) => Boolean(ctx.corpus),
+    run: (ctx) => runOriginalityCheck(ctx.documents, ctx.corpus, ctx.contentSpec)
+  }
+];
+
+/**
+ * Stages that apply to a verification context
+ * @param {Object[]} stages - Stage declarations
+ * @param {Object} ctx - Verification context
+ * @returns {Object[]} Enabled stages
+ */
+function selectStages(stages, ctx) {
+  return stages.filter(stage => !stage.enabled || stage.enabled(ctx));
+}
+
+/**
+ * Run stages in dependency order
+ * @param {Object[]} stages - Stage declarations ({ name, label, needs, after, run })
+ * @param {Function} runStage - Runs one stage: (stage, results) => Promise<Object>
+ * @returns {Promise<Object>} Results keyed by stage name
+ */
+async function runPipeline(stages, runStage) {
+  validateStages(stages);
+  
+  const byName = new Map(stages.map(stage => [stage.name, stage]));
+  const results = {};
+  const running = new Map();
+  
+  const start = (stage) => {
+    if (!running.has(stage.name)) {
+      running.set(stage.name, execute(stage));
+    }
+    return running.get(stage.name);
+  };
+  
+  const execute = async (stage) => {
+    const needs = stage.needs || [];
+    const prerequisites = [...needs, ...(stage.after || [])];
+    await Promise.all(prerequisites.map(name => start(byName.get(name))));
+    
+    const failed = needs.find(name => !results[name]?.passed);
+    results[stage.name] = failed
+      ? skippedResult(byName.get(failed))
+      : await runStage(stage, results);
+  };
+  
+  await Promise.all(stages.map(start));
+  return results;
+}
+
+/**
+ * Result reported for a stage whose prerequisite failed
+ * @param {Object} failedStage - The prerequisite that did not pass
+ * @returns {Object} Skipped check result
+ */
+function skippedResult(failedStage) {
+  return {
+    passed: false,
+    skipped: true,
+    skippedDueTo: failedStage.name,
+    details: `Skipped due to failed ${failedStage.label}`
+  };
+}
+
+/**
+ * Ensure every dependency exists and the graph has no cycles
+ * @param {Object[]} stages - Stage declarations
+ */
+function validateStages(stages) {
+  const byName = new Map(stages.map(stage => [stage.name, stage]));
+  const state = new Map();
+  
+  const visit = (stage, trail) => {
+    if (state.get(stage.name) === 'done') return;
+    if (state.get(stage.name) === 'visiting') {
+      throw new Error(`Pipeline cycle: ${[...trail, stage.name].join(' -> ')}`);
+    }
+    state.set(stage.name, 'visiting');
+    
+    for (const dep of [...(stage.needs || []), ...(stage.after || [])]) {
+      if (!byName.has(dep)) {
+        throw new Error(`Pipeline stage ${stage.name} depends on unknown stage ${dep}`);
+      }
+      visit(byName.get(dep), [...trail, stage.name]);
+    }
+    
+    state.set(stage.name, 'done');
+  };
+  
+  stages.forEach(stage => visit(stage, []));
+}
+
+module.exports = {
+  CODE_STAGES,
+  DATA_STAGES,
+  CONTENT_STAGES,
+  selectStages,
+  runPipeline
+};
@@ -0,0 +1,156 @@
+/**
+ * Scoring Profiles
+ * 
+ * Named weightings of the verdict dimensions, defined as JSON files in this
+ * directory (plus CLAWJUDGE_PROFILES_DIR, whose files override built-ins of
+ * the same name). Each profile looks like:
+ * 
+ *   {
+ *     "name": "library",
+ *     "mode": "code",           // kind of bounty it scores (default code)
+ *     "weights": { "compilation": 0.2, "tests": 0.3, ... },   // must sum to 1
+ *     "acceptanceShare": 0.6,   // part of the tests weight given to acceptance tests
+ *     "thresholds": { "pass": 80, "partial": 50 }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE = 'default';
+
+// Profile used for each mode when none is chosen
+const DEFAULT_PROFILES = {
+  code: DEFAULT_PROFILE,
+  data: 'dataset',
+  content: 'article'
+};
+
+// Dimensions a profile can weight, by mode
+const DIMENSIONS = {
+  code: ['compilation', 'tests', 'security', 'requirements', 'coverage', 'lint'],
+  data: ['format', 'schema', 'columns', 'quality', 'requirements'],
+  content: ['documents', 'length', 'structure', 'links', 'readability', 'spelling', 'originality', 'requirements']
+};
+
+let profiles = null;
+
+/**
+ * Validate a profile definition
+ * @param {Object} profile - Parsed profile
+ * @returns {Object} The profile, with defaults applied
+ */
+function validateProfile(profile) {
+  const name = profile?.name;
+  if (typeof name !== 'string' || !/^[a-z0-9-]+$/.test(name)) {
+    throw new Error(`Invalid scoring profile name: ${name}`);
+  }
+  
+  const mode = profile.mode ?? 'code';
+  if (!DIMENSIONS[mode]) {
+    throw new Error(`Scoring profile ${name}: unknown mode ${mode}. Expected one of: ${Object.keys(DIMENSIONS).join(', ')}`);
+  }
+  
+  const weights = profile.weights || {};
+  for (const [dimension, weight] of Object.entries(weights)) {
+    if (!DIMENSIONS[mode].includes(dimension)) {
+      throw new Error(`Scoring profile ${name}: unknown dimension ${dimension}`);
+    }
+    if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+      throw new Error(`Scoring profile ${name}: weight for ${dimension} must be between 0 and 1`);
+    }
+  }
+  
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (Math.abs(total - 1) > 1e-6) {
+    throw new Error(`Scoring profile ${name}: weights sum to ${Number(total.toFixed(6))}, expected 1`);
+  }
+  
+  const acceptanceShare = profile.acceptanceShare ?? 0.6;
+  if (typeof acceptanceShare !== 'number' || acceptanceShare < 0 || acceptanceShare > 1) {
+    throw new Error(`Scoring profile ${name}: acceptanceShare must be between 0 and 1`);
+  }
+  
+  const { pass, partial } = profile.thresholds || {};
+  if (typeof pass !== 'number' || typeof partial !== 'number' || partial < 0 || pass > 100 || partial > pass) {
+    throw new Error(`Scoring profile ${name}: thresholds must satisfy 0 <= partial <= pass <= 100`);
+  }
+  
+  return {
+    name,
+    mode,
+    description: profile.description || '',
+    weights: Object.fromEntries(DIMENSIONS[mode].map(dimension => [dimension, weights[dimension] || 0])),
+    acceptanceShare,
+    thresholds: { pass, partial }
+  };
+}
+
+/**
+ * Read and validate every profile file in a directory
+ * @param {string} dir - Directory of *.json profiles
+ * @returns {Object[]} Profiles
+ */
+function readProfileDir(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      let profile;
+      try {
+        profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not parse scoring profile ${filePath}: ${error.message}`);
+      }
+      return validateProfile(profile);
+    });
+}
+
+/**
+ * Load all profiles (once)
+ * @returns {Map<string, Object>} Profiles by name
+ */
+function loadProfiles() {
+  if (!profiles) {
+    const loaded = readProfileDir(__dirname);
+    if (process.env.CLAWJUDGE_PROFILES_DIR) {
+      loaded.push(...readProfileDir(process.env.CLAWJUDGE_PROFILES_DIR));
+    }
+    profiles = new Map(loaded.map(profile => [profile.name, profile]));
+  }
+  return profiles;
+}
+
+/**
+ * Get a profile by name
+ * @param {string} name - Profile name (the mode's default when empty)
+ * @param {string} mode - Bounty mode the profile must score (code, data, content); any when omitted
+ * @returns {Object} Profile
+ */
+function getProfile(name, mode) {
+  const profile = loadProfiles().get(name || DEFAULT_PROFILES[mode || 'code']);
+  if (!profile) {
+    throw new Error(`Unknown scoring profile: ${name}. Available: ${listProfiles().join(', ')}`);
+  }
+  if (mode && profile.mode !== mode) {
+    throw new Error(`Scoring profile ${profile.name} is for ${profile.mode} bounties, not ${mode}`);
+  }
+  return profile;
+}
+
+/**
+ * Names of the available profiles
+ * @returns {string[]} Profile names
+ */
+function listProfiles() {
+  return [...loadProfiles().keys()].sort();
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  DEFAULT_PROFILES,
+  DIMENSIONS,
+  getProfile,
+  listProfiles,
+  validateProfile
+};
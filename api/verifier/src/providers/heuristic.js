@@ -0,0 +1,411 @@
+/**
+ * Heuristic Requirement Provider
+ * 
+ * Matches requirements against the submission's evidence index (see
+ * ../evaluators/evidence): known kinds of requirement need concrete code -
+ * routes for an API, migrations with up and down steps for "database
+ * migrations", test cases for tests - and anything else is searched for in
+ * identifiers, routes and test names. It needs no model and never fails, so
+ * it is also the fallback when a model is unreachable; confidence stays below
+ * what a model reading the code would report.
+ */
+
+const MAX_EVIDENCE = 5;
+
+// Words that carry no meaning for keyword search
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'should', 'must', 'have', 'has', 'use', 'uses', 'using',
+  'from', 'into', 'all', 'any', 'each', 'able', 'support', 'supports', 'implement', 'implemented',
+  'implements', 'provide', 'provides', 'include', 'includes', 'including', 'proper', 'basic', 'simple',
+  'via', 'are', 'not', 'can', 'will', 'its', 'their', 'when', 'where', 'which', 'also', 'least', 'more',
+  'than', 'above', 'below', 'well', 'new', 'add', 'allow', 'allows', 'working', 'functionality', 'feature'
+]);
+
+const AUTH_NAME = /auth|login|logout|signin|signup|register|jwt|token|passport|password|session/i;
+const AUTH_LIBS = [
+  'jsonwebtoken', 'passport', 'bcrypt', 'argon2', 'express-session', 'jose', 'next-auth', '@nestjs/passport',
+  '@nestjs/jwt', 'flask_login', 'flask_jwt_extended', 'jwt', 'passlib', 'authlib', 'django.contrib.auth',
+  'fastapi.security'
+];
+const DB_LIBS = [
+  'mongoose', 'mongodb', 'sequelize', 'typeorm', '@prisma/client', 'knex', 'pg', 'mysql', 'mysql2', 'sqlite3',
+  'better-sqlite3', 'redis', 'ioredis', 'sqlalchemy', 'psycopg2', 'psycopg', 'pymongo', 'peewee', 'django.db',
+  'diesel', 'sqlx', 'rusqlite', 'database/sql', 'gorm.io/gorm'
+];
+const CLI_LIBS = [
+  'commander', 'yargs', 'minimist', 'meow', 'cac', '@oclif/core', 'argparse', 'click', 'typer', 'fire', 'clap',
+  'github.com/spf13/cobra', 'github.com/urfave/cli'
+];
+
+// Requirement categories, checked in order; the first whose pattern matches decides
+const RULES = [
+  { topic: 'migrations', pattern: /migrat/i, evaluate: evaluateMigrations },
+  { topic: 'tests', pattern: /\btests?\b|\btesting\b|\bcoverage\b|\bspecs?\b/i, evaluate: evaluateTests },
+  { topic: 'authentication', pattern: /auth|\blog ?in\b|\bsign ?(in|up)\b|\bjwt\b|password|\bsessions?\b/i, evaluate: evaluateAuth },
+  { topic: 'API', pattern: /\bapi\b|\brest(ful)?\b|\bendpoints?\b|\broutes?\b|\bcrud\b/i, evaluate: evaluateApi },
+  { topic: 'database', pattern: /database|\bdb\b|mongo|\bsql\b|postgres|mysql|sqlite|persist/i, evaluate: evaluateDatabase },
+  { topic: 'CLI', pattern: /\bcli\b|command[- ]line/i, evaluate: evaluateCli },
+  { topic: 'documentation', pattern: /\bdoc(s|umentation|umented)?\b|readme/i, evaluate: evaluateDocs }
+];
+
+/**
+ * Create the heuristic provider
+ * @returns {Object} Provider with name and evaluate(requirement, projectInfo)
+ */
+function createHeuristicProvider() {
+  return {
+    name: 'heuristic',
+    evaluate: async (requirement, projectInfo) => evaluateRequirement(requirement, projectInfo)
+  };
+}
+
+/**
+ * Evaluate a single requirement against project info
+ * @param {string} requirement - Requirement description
+ * @param {Object} projectInfo - Project information from gatherProjectInfo (with its evidence index)
+ * @returns {Object} { met, confidence, evidence, rationale }
+ */
+function evaluateRequirement(requirement, projectInfo) {
+  const index = projectInfo.index || emptyIndex();
+  const rule = RULES.find(candidate => candidate.pattern.test(requirement));
+  
+  return rule
+    ? rule.evaluate(index, requirement, projectInfo)
+    : evaluateKeywords(index, requirement);
+}
+
+/**
+ * Migrations need both an up and a down step
+ * @param {Object} index - Evidence index
+ * @returns {Object} Match
+ */
+function evaluateMigrations(index) {
+  const complete = index.migrations.filter(migration => migration.up && migration.down);
+  if (complete.length > 0) {
+    return met(0.7,
+      complete.flatMap(migration => [migration.up, migration.down]),
+      `${plural(complete.length, 'migration')} with up and down steps (${names(complete.map(m => m.name))})`);
+  }
+  
+  const forwardOnly = index.migrations.filter(migration => migration.up);
+  if (forwardOnly.length > 0) {
+    return unmet(`${plural(forwardOnly.length, 'migration')} found, but none with a down (rollback) step`,
+      forwardOnly.map(migration => migration.up));
+  }
+  
+  return unmet('No migration scripts found');
+}
+
+/**
+ * Tests need test cases
+ * @param {Object} index - Evidence index
+ * @returns {Object} Match
+ */
+function evaluateTests(index) {
+  if (index.tests.length === 0) {
+    return unmet('No test cases found');
+  }
+  return met(0.6, index.tests, `${plural(index.tests.length, 'test case')} (e.g. "${index.tests[0].name}")`);
+}
+
+/**
+ * Authentication needs auth routes or functions, backed up by an auth library
+ * @param {Object} index - Evidence index
+ * @returns {Object} Match
+ */
+function evaluateAuth(index) {
+  const routes = index.routes.filter(route => AUTH_NAME.test(route.path));
+  const symbols = index.symbols.filter(symbol => AUTH_NAME.test(symbol.name));
+  const imports = importsOf(index, AUTH_LIBS);
+  
+  if (routes.length === 0 && symbols.length === 0 && imports.length === 0) {
+    return unmet('No authentication routes, functions or libraries found');
+  }
+  
+  const found = [];
+  if (routes.length > 0) found.push(`routes ${names(routes.map(r => `${r.method} ${r.path}`))}`);
+  if (symbols.length > 0) found.push(`functions ${names(symbols.map(s => s.name))}`);
+  if (imports.length > 0) found.push(`uses ${names(imports.map(i => i.module))}`);
+  
+  const confidence = imports.length > 0 && (routes.length > 0 || symbols.length > 0) ? 0.6 : 0.4;
+  return met(confidence, [...routes, ...symbols, ...imports], `Authentication: ${found.join('; ')}`);
+}
+
+/**
+ * APIs need routes; CRUD needs a handler for each of create, read, update and delete.
+ * Routes whose path mentions a word of the requirement ("users") are preferred.
+ * @param {Object} index - Evidence index
+ * @param {string} requirement - Requirement description
+ * @returns {Object} Match
+ */
+function evaluateApi(index, requirement) {
+  if (index.routes.length === 0) {
+    return unmet('No HTTP routes found');
+  }
+  
+  const resources = keywords(requirement).filter(word => !['api', 'rest', 'restful', 'endpoint', 'route', 'crud', 'http'].includes(word));
+  const related = index.routes.filter(route => words(route.path).some(word => resources.includes(word)));
+  const routes = related.length > 0 ? related : index.routes;
+  const listed = `${names(routes.map(r => `${r.method} ${r.path}`))}`;
+  
+  if (/\bcrud\b/i.test(requirement)) {
+    const methods = new Set(routes.map(route => route.method));
+    const has = (...candidates) => methods.has('ALL') || candidates.some(method => methods.has(method));
+    const missing = [
+      ['create', has('POST')],
+      ['read', has('GET')],
+      ['update', has('PUT', 'PATCH')],
+      ['delete', has('DELETE')]
+    ].filter(([, present]) => !present).map(([operation]) => operation);
+    
+    if (missing.length > 0) {
+      return unmet(`Routes found (${listed}) but no ${missing.join(', ')} handler`, routes);
+    }
+  }
+  
+  return met(related.length > 0 ? 0.6 : 0.45, routes, `${plural(routes.length, 'route')}: ${listed}`);
+}
+
+/**
+ * Databases need a database library in use or table/model definitions
+ * @param {Object} index - Evidence index
+ * @returns {Object} Match
+ */
+function evaluateDatabase(index) {
+  const imports = importsOf(index, DB_LIBS);
+  if (imports.length === 0 && index.tables.length === 0) {
+    return unmet('No database library usage or table definitions found');
+  }
+  
+  const found = [];
+  if (index.tables.length > 0) found.push(`tables/models ${names(index.tables.map(t => t.name))}`);
+  if (imports.length > 0) found.push(`uses ${names(imports.map(i => i.module))}`);
+  
+  const confidence = imports.length > 0 && index.tables.length > 0 ? 0.6 : 0.45;
+  return met(confidence, [...index.tables, ...imports], `Database: ${found.join('; ')}`);
+}
+
+/**
+ * CLIs need a declared entry point, or an executable script using an argument parser
+ * @param {Object} index - Evidence index
+ * @returns {Object} Match
+ */
+function evaluateCli(index) {
+  const declared = index.cli.filter(entry => entry.source !== 'shebang');
+  const scripts = index.cli.filter(entry => entry.source === 'shebang');
+  const imports = importsOf(index, CLI_LIBS);
+  
+  if (declared.length > 0) {
+    return met(0.6, [...declared, ...imports], `CLI entry points: ${names(declared.map(e => `${e.name} (${e.source})`))}`);
+  }
+  if (scripts.length > 0 || imports.length > 0) {
+    return met(0.4, [...scripts, ...imports], `Executable scripts or argument parsers found, but no declared entry point`);
+  }
+  return unmet('No CLI entry point or argument parser found');
+}
+
+/**
+ * Documentation needs a README or docs with some structure
+ * @param {Object} index - Evidence index
+ * @param {string} requirement - Requirement description
+ * @param {Object} projectInfo - Project information
+ * @returns {Object} Match
+ */
+function evaluateDocs(index, requirement, projectInfo) {
+  const headings = index.docs;
+  if (!projectInfo.readmeFile && headings.length === 0) {
+    return unmet('No README or documentation files found');
+  }
+  
+  const evidence = headings.length > 0 ? headings : [{ file: projectInfo.readmeFile, line: 1 }];
+  const files = [...new Set(evidence.map(entry => entry.file))];
+  return met(headings.length >= 3 ? 0.5 : 0.35, evidence, `Documentation in ${names(files)} (${plural(headings.length, 'section')})`);
+}
+
+/**
+ * Anything else: look for the requirement's words in identifiers, routes and
+ * test names, then in the source text
+ * @param {Object} index - Evidence index
+ * @param {string} requirement - Requirement description
+ * @returns {Object} Match
+ */
+function evaluateKeywords(index, requirement) {
+  const terms = keywords(requirement);
+  if (terms.length === 0) {
+    return unmet('Requirement has no searchable keywords');
+  }
+  
+  const entries = [
+    ...index.symbols.map(entry => ({ entry, words: words(entry.name) })),
+    ...index.routes.map(entry => ({ entry, words: words(entry.path) })),
+    ...index.tests.map(entry => ({ entry, words: words(entry.name) })),
+    ...index.tables.map(entry => ({ entry, words: words(entry.name) }))
+  ];
+  
+  const hits = new Map();
+  for (const term of terms) {
+    const hit = entries.find(({ words: entryWords }) => entryWords.some(word => matchesTerm(word, term)));
+    if (hit) hits.set(term, hit.entry);
+  }
+  
+  if (hits.size >= Math.ceil(terms.length / 2)) {
+    const missing = terms.filter(term => !hits.has(term));
+    return met(hits.size === terms.length ? 0.4 : 0.3, [...hits.values()],
+      `Code identifiers match ${[...hits.keys()].join(', ')}${missing.length ? ` (not ${missing.join(', ')})` : ''}`);
+  }
+  
+  // Every word mentioned somewhere in the code, if not in an identifier
+  const lines = [];
+  for (const term of terms) {
+    const line = findInSources(index, term);
+    if (!line) {
+      return unmet(`No code mentions ${terms.filter(t => !hits.has(t)).map(t => `"${t}"`).join(', ')}`);
+    }
+    lines.push(hits.get(term) || line);
+  }
+  return met(0.25, lines, `Source text mentions ${terms.join(', ')}`);
+}
+
+/**
+ * First source line (outside docs) containing a word starting with the term
+ * @param {Object} index - Evidence index
+ * @param {string} term - Stemmed keyword
+ * @returns {Object|null} { file, line }
+ */
+function findInSources(index, term) {
+  const pattern = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
+  for (const [file, lines] of index.sources) {
+    if (file.endsWith('.md')) continue;
+    const i = lines.findIndex(text => pattern.test(text));
+    if (i !== -1) return { file, line: i + 1 };
+  }
+  return null;
+}
+
+/**
+ * Imports of any of the given modules (or their subpaths, e.g. passport-local)
+ * @param {Object} index - Evidence index
+ * @param {string[]} modules - Module names
+ * @returns {Object[]} Import entries, one per module and file
+ */
+function importsOf(index, modules) {
+  const seen = new Set();
+  return index.imports.filter(entry => {
+    const module = modules.find(name => entry.module === name || entry.module.startsWith(`${name}/`) ||
+      entry.module.startsWith(`${name}.`) || entry.module.startsWith(`${name}-`));
+    const key = `${module}@${entry.file}`;
+    if (!module || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Meaningful, singularized words of a requirement
+ * @param {string} text - Requirement
+ * @returns {string[]} Keywords
+ */
+function keywords(text) {
+  const found = (text.toLowerCase().match(/[a-z][a-z0-9]+/g) || [])
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+    .map(singular);
+  return [...new Set(found)];
+}
+
+/**
+ * Lower-case words of an identifier or path (camelCase, snake_case, kebab-case, /a/b)
+ * @param {string} name - Identifier
+ * @returns {string[]} Words
+ */
+function words(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(singular);
+}
+
+/**
+ * Whether an identifier word matches a keyword (exactly, or as a prefix for long keywords)
+ * @param {string} word - Identifier word
+ * @param {string} term - Keyword
+ * @returns {boolean} Whether they match
+ */
+function matchesTerm(word, term) {
+  return word === term || (term.length >= 5 && word.startsWith(term));
+}
+
+/**
+ * Crude English singular
+ * @param {string} word - Lower-case word
+ * @returns {string} Singular
+ */
+function singular(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Met requirement
+ * @param {number} confidence - Confidence (0-1)
+ * @param {Object[]} entries - Index entries ({ file, line })
+ * @param {string} rationale - Why
+ * @returns {Object} Match
+ */
+function met(confidence, entries, rationale) {
+  return { met: true, confidence, evidence: locations(entries), rationale };
+}
+
+/**
+ * Unmet requirement, optionally pointing at what was found instead
+ * @param {string} rationale - Why
+ * @param {Object[]} entries - Index entries ({ file, line })
+ * @returns {Object} Match
+ */
+function unmet(rationale, entries = []) {
+  return { met: false, confidence: 0.5, evidence: locations(entries), rationale };
+}
+
+/**
+ * Unique file:line locations of index entries
+ * @param {Object[]} entries - Index entries ({ file, line })
+ * @returns {string[]} Locations
+ */
+function locations(entries) {
+  return [...new Set(entries.map(entry => `${entry.file}:${entry.line}`))].slice(0, MAX_EVIDENCE);
+}
+
+/**
+ * First few names, comma separated
+ * @param {string[]} list - Names
+ * @returns {string} Names, with a count of the rest
+ */
+function names(list) {
+  const unique = [...new Set(list)];
+  return unique.length > 3 ? `${unique.slice(0, 3).join(', ')} and ${unique.length - 3} more` : unique.join(', ');
+}
+
+/**
+ * Format a count with a noun
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 route", "3 routes"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Index with no entries, for project info gathered without one
+ * @returns {Object} Empty evidence index
+ */
+function emptyIndex() {
+  return { symbols: [], exports: [], imports: [], routes: [], tests: [], tables: [], migrations: [], cli: [], docs: [], sources: new Map() };
+}
+
+module.exports = {
+  createHeuristicProvider,
+  evaluateRequirement
+};
@@ -0,0 +1,42 @@
+/**
+ * Requirement Providers - Pluggable requirement evaluation backends
+ * 
+ * A provider has a name and evaluate(requirement, projectInfo, { signal }),
+ * resolving to { met, confidence, evidence, rationale } where evidence is a
+ * list of file:line locations and confidence is between 0 and 1.
+ */
+
+const { createHeuristicProvider } = require('./heuristic');
+const { createOpenAIProvider } = require('./openai');
+
+const PROVIDERS = {
+  heuristic: createHeuristicProvider,
+  openai: createOpenAIProvider
+};
+
+/**
+ * Create a requirement provider by name
+ * 
+ * `auto` picks the openai provider when an LLM endpoint is configured
+ * (options.url or CLAWJUDGE_LLM_URL) and the heuristic otherwise.
+ * @param {string} name - Provider name (auto, heuristic, openai)
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} Provider
+ */
+function createRequirementProvider(name = 'auto', options = {}) {
+  const resolved = name === 'auto'
+    ? (options.url || process.env.CLAWJUDGE_LLM_URL ? 'openai' : 'heuristic')
+    : name;
+  
+  const factory = PROVIDERS[resolved];
+  if (!factory) {
+    throw new Error(`Unknown requirements provider: ${name}. Expected one of: auto, ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  
+  return factory(options);
+}
+
+module.exports = {
+  createRequirementProvider,
+  PROVIDERS
+};
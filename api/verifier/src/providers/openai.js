@@ -0,0 +1,232 @@
+/**
+ * OpenAI-compatible Requirement Provider
+ * 
+ * Asks a chat completions endpoint whether the submission meets each
+ * requirement. Works with hosted APIs and with local servers that expose the
+ * same protocol (llama.cpp's llama-server, Ollama, vLLM):
+ * 
+ *   CLAWJUDGE_LLM_URL=http://localhost:11434/v1   # base URL, /chat/completions is appended
+ *   CLAWJUDGE_LLM_MODEL=qwen2.5-coder:7b
+ *   CLAWJUDGE_LLM_API_KEY=...                     # only for servers that require one
+ */
+
+const { describeIndex } = require('../evaluators/evidence');
+
+const DEFAULT_TIMEOUT = 60000;
+
+const MAX_FILES = 200;
+const MAX_README = 3000;
+const MAX_EVIDENCE = 5;
+const MAX_RATIONALE = 500;
+
+const SYSTEM_PROMPT = [
+  'You review bounty submissions. Decide whether the project meets one requirement.',
+  'Judge only from the project context you are given; do not assume code you cannot see.',
+  'Reply with a single JSON object and nothing else:',
+  '{"met": true|false, "confidence": 0.0-1.0, "evidence": ["path/to/file:line"], "rationale": "one or two sentences"}',
+  'Evidence must cite files and line numbers from the numbered source shown.'
+].join('\n');
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options - Provider options (default to the CLAWJUDGE_LLM_* environment)
+ * @param {string} options.url - Base URL of the API (e.g. http://localhost:8080/v1)
+ * @param {string} options.model - Model name
+ * @param {string} options.apiKey - Bearer token
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {Object} Provider with name, model and evaluate(requirement, projectInfo, { signal })
+ */
+function createOpenAIProvider(options = {}) {
+  const url = (options.url || process.env.CLAWJUDGE_LLM_URL || '').replace(/\/+$/, '');
+  const model = options.model || process.env.CLAWJUDGE_LLM_MODEL;
+  const apiKey = options.apiKey || process.env.CLAWJUDGE_LLM_API_KEY;
+  const timeout = options.timeout || parseInt(process.env.CLAWJUDGE_LLM_TIMEOUT) || DEFAULT_TIMEOUT;
+  const fetchImpl = options.fetch || globalThis.fetch;
+  
+  if (!url) {
+    throw new Error('openai requirements provider needs CLAWJUDGE_LLM_URL');
+  }
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('openai requirements provider needs a fetch implementation (Node.js 18+)');
+  }
+  
+  /**
+   * Evaluate a single requirement
+   * @param {string} requirement - Requirement description
+   * @param {Object} projectInfo - Project information from gatherProjectInfo
+   * @param {Object} evaluateOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} { met, confidence, evidence, rationale }
+   */
+  async function evaluate(requirement, projectInfo, evaluateOptions = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    
+    const body = {
+      ...(model && { model }),
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildPrompt(requirement, projectInfo) }
+      ]
+    };
+    
+    const { signal, cancel } = requestSignal(timeout, evaluateOptions.signal);
+    let data;
+    try {
+      const response = await fetchImpl(`${url}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+      
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`LLM request failed with status ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+      }
+      data = await response.json();
+    } catch (error) {
+      if (signal.aborted && !evaluateOptions.signal?.aborted) {
+        throw new Error(`LLM request timed out after ${timeout}ms`);
+      }
+      // fetch reports connection errors as "fetch failed" with the reason in cause
+      if (error.cause) {
+        throw new Error(`LLM request failed: ${error.cause.code || error.cause.message}`);
+      }
+      throw error;
+    } finally {
+      cancel();
+    }
+    
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('LLM response has no message content');
+    }
+    
+    return parseAnswer(content, projectInfo);
+  }
+  
+  return {
+    name: 'openai',
+    model: model || null,
+    evaluate
+  };
+}
+
+/**
+ * Build the user prompt: the requirement followed by the project context
+ * @param {string} requirement - Requirement description
+ * @param {Object} projectInfo - Project information
+ * @returns {string} Prompt
+ */
+function buildPrompt(requirement, projectInfo) {
+  const sections = [
+    `Requirement: ${requirement}`,
+    `Language: ${projectInfo.language || 'unknown'}`
+  ];
+  
+  const files = projectInfo.files || [];
+  sections.push(`Files (${files.length}):\n${files.slice(0, MAX_FILES).join('\n')}` +
+    (files.length > MAX_FILES ? `\n... ${files.length - MAX_FILES} more` : ''));
+  
+  const { dependencies, devDependencies, scripts } = projectInfo.structure || {};
+  if (dependencies?.length) sections.push(`Dependencies: ${dependencies.join(', ')}`);
+  if (devDependencies?.length) sections.push(`Dev dependencies: ${devDependencies.join(', ')}`);
+  if (scripts?.length) sections.push(`Scripts: ${scripts.join(', ')}`);
+  
+  if (projectInfo.readme) {
+    sections.push(`${projectInfo.readmeFile || 'README'}:\n${projectInfo.readme.slice(0, MAX_README)}`);
+  }
+  
+  if (projectInfo.index) {
+    const summary = describeIndex(projectInfo.index);
+    if (summary) sections.push(`Index of the whole submission:\n${summary}`);
+  }
+  
+  for (const sample of projectInfo.codeSamples || []) {
+    const numbered = sample.content.split('\n').map((line, i) => `${i + 1}: ${line}`).join('\n');
+    sections.push(`--- ${sample.file} ---\n${numbered}`);
+  }
+  
+  return sections.join('\n\n');
+}
+
+/**
+ * Parse the model's JSON answer
+ * 
+ * Models wrap JSON in code fences or add prose despite instructions, so the
+ * outermost object is extracted. Evidence pointing at files that do not exist
+ * in the submission is dropped.
+ * @param {string} content - Message content
+ * @param {Object} projectInfo - Project information
+ * @returns {Object} { met, confidence, evidence, rationale }
+ */
+function parseAnswer(content, projectInfo) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('LLM answer is not JSON');
+  }
+  
+  let answer;
+  try {
+    answer = JSON.parse(content.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`LLM answer is not valid JSON: ${error.message}`);
+  }
+  
+  if (typeof answer.met !== 'boolean') {
+    throw new Error('LLM answer has no boolean "met"');
+  }
+  
+  const confidence = Number(answer.confidence);
+  const files = new Set(projectInfo.files || []);
+  const evidence = (Array.isArray(answer.evidence) ? answer.evidence : [])
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().replace(/^\.\//, ''))
+    .filter(item => files.has(item.replace(/:\d+(-\d+)?$/, '')))
+    .slice(0, MAX_EVIDENCE);
+  
+  return {
+    met: answer.met,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+    evidence,
+    rationale: typeof answer.rationale === 'string' ? answer.rationale.slice(0, MAX_RATIONALE) : ''
+  };
+}
+
+/**
+ * Combine a request timeout with the caller's cancellation signal
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal} parent - Caller's signal
+ * @returns {Object} { signal, cancel } - cancel clears the timer and listener
+ */
+function requestSignal(timeout, parent) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const onAbort = () => controller.abort();
+  
+  if (parent?.aborted) {
+    controller.abort();
+  } else {
+    parent?.addEventListener('abort', onAbort, { once: true });
+  }
+  
+  return {
+    signal: controller.signal,
+    cancel: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  buildPrompt,
+  parseAnswer
+};
@@ -4,97 +4,650 @@
  * Aggregates all check results and generates final verdict.
  */
 
+const { getProfile } = require('./profiles');
+const { requirementMet, requirementWeight, requirementCap } = require('./evaluators/content');
+
+// Failing tests reported per verdict, and the length their messages are cut to
+const MAX_REPORTED_CASES = 50;
+const MAX_CASE_MESSAGE = 500;
+
+// Lint density (errors per 1000 lines, a warning counting as a fifth of an error) that scores 0
+const LINT_ZERO_SCORE_DENSITY = 10;
+const LINT_WARNING_FACTOR = 0.2;
+
+// Readability points lost per point of reading ease below, and per grade level above, the spec
+const READING_EASE_PENALTY = 2;
+const GRADE_PENALTY = 10;
+
+// Spelling points lost per misspelling (beyond those allowed) per 1000 words
+const MISSPELLING_PENALTY = 10;
+
+/**
+ * Per-dimension scorers, each returning 0-100
+ */
+const SCORERS = {
+  // 0 or 100
+  compilation: ({ compilation }) => compilation?.passed ? 100 : 0,
+  
+  // Pass rate of the worker's tests
+  tests: ({ tests }) => passRate(tests),
+  
+  // Pass rate of the poster's acceptance tests
+  acceptance: ({ acceptance }) => passRate(acceptance),
+  
+  // 0 if critical/high vulns or committed secrets, 100 otherwise
+  security: ({ security }) => {
+    if (!security) return 0;
+    const hasCritical = (security.critical > 0) || (security.high > 0) || blockingSecrets(security) > 0;
+    return hasCritical ? 0 : 100;
+  },
+  
+  // Weighted share of requirements met
+  requirements: ({ requirements }) => requirementCompletion(requirements)?.percentage ?? 0,
+  
+  // Coverage percentage
+  coverage: ({ coverage }) => coverage?.percentage !== undefined ? Math.min(coverage.percentage, 100) : 0,
+  
+  // Falls linearly with issue density; null (not scored) when no linter ran
+  lint: ({ lint }) => {
+    if (lint?.errorsPerKloc === undefined) return null;
+    const density = lint.errorsPerKloc + lint.warningsPerKloc * LINT_WARNING_FACTOR;
+    return Math.max(0, 100 * (1 - density / LINT_ZERO_SCORE_DENSITY));
+  },
+  
+  // Share of data files that parse without malformed rows
+  format: ({ format }) => format?.files?.length > 0 ? ((format.readable - (format.malformed || 0)) / format.files.length) * 100 : 0,
+  
+  // Share of JSON documents and NDJSON records matching the schema; null without a schema
+  schema: ({ schema }) => {
+    if (!schema) return null;
+    return schema.checked > 0 ? ((schema.checked - schema.invalid) / schema.checked) * 100 : 0;
+  },
+  
+  // Share of column rules that hold; null without a column spec
+  columns: ({ columns }) => {
+    if (!columns) return null;
+    return columns.checked > 0 ? ((columns.checked - columns.failed) / columns.checked) * 100 : 0;
+  },
+  
+  // Share of rows that are not duplicates, 0 below the minimum row count; null without tabular data
+  quality: ({ quality }) => {
+    if (!quality || quality.measured === false) return null;
+    if (!quality.measured || quality.rows < quality.minRows) return 0;
+    return quality.rows > 0 ? (1 - quality.duplicates / quality.rows) * 100 : 100;
+  },
+  
+  // Share of documents that are readable
+  documents: ({ documents }) => documents?.files?.length > 0 ? (documents.readable / documents.files.length) * 100 : 0,
+  
+  // Share of documents within the word range; null without a range
+  length: ({ length }) => {
+    if (!length || length.measured === false) return null;
+    if (!length.measured || length.files.length === 0) return 0;
+    return ((length.files.length - length.outOfRange) / length.files.length) * 100;
+  },
+  
+  // Share of required sections present; null without required sections
+  structure: ({ structure }) => {
+    if (!structure) return null;
+    return structure.required > 0 ? (structure.found / structure.required) * 100 : 0;
+  },
+  
+  // Share of relative links that resolve; null when links are not checked or there are none
+  links: ({ links }) => {
+    if (!links || links.checked === 0) return null;
+    return links.checked > 0 ? ((links.checked - links.broken) / links.checked) * 100 : 0;
+  },
+  
+  // Points lost for each point of reading ease and grade level past the spec; null without thresholds
+  readability: ({ readability }) => {
+    if (!readability || readability.measured === false) return null;
+    if (!readability.measured) return 0;
+    if (readability.minReadingEase === null && readability.maxGrade === null) return null;
+    const easeGap = readability.minReadingEase === null ? 0 : Math.max(0, readability.minReadingEase - readability.readingEase);
+    const gradeGap = readability.maxGrade === null ? 0 : Math.max(0, readability.grade - readability.maxGrade);
+    return Math.max(0, 100 - easeGap * READING_EASE_PENALTY - gradeGap * GRADE_PENALTY);
+  },
+  
+  // Falls with misspellings beyond those allowed per 1000 words; null when spelling is not checked
+  spelling: ({ spelling }) => {
+    if (!spelling) return null;
+    if (!(spelling.words > 0)) return 0;
+    const excess = Math.max(0, spelling.misspellings - spelling.allowed);
+    return Math.max(0, 100 - (excess / spelling.words) * 1000 * MISSPELLING_PENALTY);
+  },
+  
+  // Share of the most copied document not found in the corpus; null without a corpus
+  originality: ({ originality }) => {
+    if (!originality) return null;
+    return originality.similarity !== undefined ? (1 - originality.similarity) * 100 : 0;
+  }
+};
+
+/**
+ * Raw check figures behind each dimension, reported in the breakdown
+ */
+const RAW_RESULTS = {
+  compilation: ({ compilation }) => ({ passed: Boolean(compilation?.passed), ...(compilation?.skipped && { skipped: true }) }),
+  tests: ({ tests }) => ({ passing: tests?.passing || 0, total: tests?.total || 0, found: Boolean(tests?.found) }),
+  acceptance: ({ acceptance }) => ({ passing: acceptance?.passing || 0, total: acceptance?.total || 0, found: Boolean(acceptance?.found) }),
+  security: ({ security }) => ({
+    vulnerabilities: security?.vulnerabilities || 0,
+    critical: security?.critical || 0,
+    high: security?.high || 0,
+    secrets: security?.secrets?.found || 0
+  }),
+  requirements: ({ requirements }) => {
+    const completion = requirementCompletion(requirements);
+    return {
+      met: requirements?.met || 0,
+      total: requirements?.total || 0,
+      weightMet: completion?.weightMet || 0,
+      weightTotal: completion?.weightTotal || 0
+    };
+  },
+  coverage: ({ coverage }) => ({ percentage: coverage?.percentage ?? null, threshold: coverage?.threshold ?? null }),
+  lint: ({ lint }) => lint?.errorsPerKloc === undefined
+    ? { measured: false, details: lint?.details || 'Lint not run' }
+    : {
+      errors: lint.errors,
+      warnings: lint.warnings,
+      linesOfCode: lint.linesOfCode,
+      errorsPerKloc: lint.errorsPerKloc,
+      warningsPerKloc: lint.warningsPerKloc
+    },
+  format: ({ format }) => ({
+    files: format?.files?.length || 0,
+    readable: format?.readable || 0,
+    unreadable: format?.unreadable || 0,
+    malformed: format?.malformed || 0
+  }),
+  schema: ({ schema }) => ({ checked: schema?.checked || 0, invalid: schema?.invalid || 0 }),
+  columns: ({ columns }) => ({ checked: columns?.checked || 0, failed: columns?.failed || 0 }),
+  quality: ({ quality }) => quality?.measured
+    ? { rows: quality.rows, minRows: quality.minRows, duplicates: quality.duplicates, emptyCellRatio: quality.emptyCellRatio }
+    : { measured: false, details: quality?.details || 'Quality not checked' },
+  documents: ({ documents }) => ({
+    files: documents?.files?.length || 0,
+    readable: documents?.readable || 0,
+    unreadable: documents?.unreadable || 0,
+    words: documents?.words || 0
+  }),
+  length: ({ length }) => length?.measured
+    ? { min: length.min, max: length.max, documents: length.files.length, outOfRange: length.outOfRange }
+    : { measured: false, details: length?.details || 'Length not checked' },
+  structure: ({ structure }) => ({ required: structure?.required || 0, found: structure?.found || 0 }),
+  links: ({ links }) => ({ checked: links?.checked || 0, broken: links?.broken || 0, external: links?.external || 0 }),
+  readability: ({ readability }) => readability?.measured
+    ? {
+      readingEase: readability.readingEase,
+      grade: readability.grade,
+      minReadingEase: readability.minReadingEase,
+      maxGrade: readability.maxGrade
+    }
+    : { measured: false, details: readability?.details || 'Readability not measured' },
+  spelling: ({ spelling }) => ({ words: spelling?.words || 0, misspellings: spelling?.misspellings || 0, allowed: spelling?.allowed || 0 }),
+  originality: ({ originality }) => ({
+    corpusFiles: originality?.corpusFiles || 0,
+    similarity: originality?.similarity ?? null,
+    maxSimilarity: originality?.maxSimilarity ?? null
+  })
+};
+
+// Verdicts from worst to best, for applying caps
+const VERDICT_RANK = ['FAIL', 'PARTIAL', 'PASS'];
+
+/**
+ * How each bounty mode (a profile's mode) gates, reports and explains its checks
+ */
+const MODES = {
+  code: {
+    gates: evaluateGates,
+    checks: formatCodeChecks,
+    reasoning: generateReasoning,
+    recommendation: generateRecommendation
+  },
+  data: {
+    gates: evaluateDataGates,
+    checks: formatDataChecks,
+    reasoning: generateDataReasoning,
+    recommendation: generateDataRecommendation
+  },
+  content: {
+    gates: evaluateContentGates,
+    checks: formatContentChecks,
+    reasoning: generateContentReasoning,
+    recommendation: generateContentRecommendation
+  }
+};
+
 /**
  * Generate final verdict from check results
  * @param {Object} results - All check results
  * @param {Object} config - Configuration
+ * @param {string} config.profile - Scoring profile name (default: default)
  * @returns {Object} Final verdict
  */
-function generateVerdict(results, config) {
-  const { compilation, tests, lint, security, coverage, requirements } = results;
-  
-  // Calculate weighted score
-  // compilation: 25%, tests: 25%, security: 20%, requirements: 20%, coverage: 10%
-  const weights = {
-    compilation: 0.25,
-    tests: 0.25,
-    security: 0.20,
-    requirements: 0.20,
-    coverage: 0.10
-  };
+function generateVerdict(results, config = {}) {
+  const profile = getProfile(config.profile);
+  const mode = MODES[profile.mode];
   
+  // The profile's dimensions, with acceptance next to tests when acceptance tests ran
+  const dimensions = Object.keys(profile.weights)
+    .flatMap(dimension => dimension === 'tests' && results.acceptance ? ['tests', 'acceptance'] : [dimension]);
+  const dimensionScores = Object.fromEntries(
+    dimensions.map(dimension => [dimension, SCORERS[dimension](results)])
+  );
+  const weights = resolveWeights(profile, results, dimensionScores);
+  
+  // Weighted sum of the dimension scores
   let score = 0;
+  for (const [dimension, weight] of Object.entries(weights)) {
+    score += weight * dimensionScores[dimension];
+  }
+  
+  const rawScore = score;
+  score = Math.round(score);
+  
+  // The score decides the verdict unless a hard gate caps it
+  const { pass, partial } = profile.thresholds;
+  const scoreVerdict = score >= pass ? 'PASS' : score >= partial ? 'PARTIAL' : 'FAIL';
+  const gates = mode.gates(results);
+  const verdict = gates.reduce(
+    (current, gate) => VERDICT_RANK.indexOf(gate.cap) < VERDICT_RANK.indexOf(current) ? gate.cap : current,
+    scoreVerdict
+  );
   
-  // Compilation score (0 or 100)
-  if (compilation?.passed) {
-    score += weights.compilation * 100;
+  // Generate reasoning
+  const reasoning = mode.reasoning(results, score, verdict);
+  
+  // Generate recommendation
+  const recommendation = mode.recommendation(results, score, verdict, profile);
+  
+  return {
+    verdict,
+    score,
+    profile: profile.name,
+    breakdown: buildBreakdown(results, profile, dimensionScores, weights, gates, scoreVerdict, rawScore),
+    checks: mode.checks(results),
+    reasoning,
+    recommendation
+  };
+}
+
+/**
+ * Checks reported for a code bounty
+ * @param {Object} results - Check results
+ * @returns {Object} Formatted checks
+ */
+function formatCodeChecks(results) {
+  const { compilation, tests, lint, security, coverage, requirements, acceptance } = results;
+  return {
+    ...(results.install && { install: formatCheck(results.install) }),
+    compilation: formatCheck(compilation),
+    tests: formatTestCheck(tests),
+    ...(acceptance && { acceptance: formatAcceptanceCheck(acceptance) }),
+    coverage: formatCheck(coverage),
+    ...(lint && { lint: formatCheck(lint) }),
+    security: formatCheck(security),
+    ...(results.similarity && { similarity: formatCheck(results.similarity) }),
+    requirements: requirements?.matches || {}
+  };
+}
+
+/**
+ * Checks reported for a data bounty
+ * @param {Object} results - Check results
+ * @returns {Object} Formatted checks
+ */
+function formatDataChecks(results) {
+  const { format, schema, columns, quality, requirements } = results;
+  return {
+    format: formatCheck(format),
+    ...(schema && { schema: formatCheck(schema) }),
+    ...(columns && { columns: formatCheck(columns) }),
+    quality: formatCheck(quality),
+    requirements: requirements?.matches || {}
+  };
+}
+
+/**
+ * Checks reported for a content bounty
+ * @param {Object} results - Check results
+ * @returns {Object} Formatted checks
+ */
+function formatContentChecks(results) {
+  const { documents, length, structure, links, readability, spelling, originality, requirements } = results;
+  return {
+    documents: formatCheck(documents),
+    length: formatCheck(length),
+    ...(structure && { structure: formatCheck(structure) }),
+    ...(links && { links: formatCheck(links) }),
+    readability: formatCheck(readability),
+    ...(spelling && { spelling: formatCheck(spelling) }),
+    ...(originality && { originality: formatCheck(originality) }),
+    requirements: requirements?.matches || {}
+  };
+}
+
+/**
+ * Hard gates that cap the verdict of a code bounty regardless of score
+ * @param {Object} results - Check results
+ * @returns {Object[]} Triggered gates ({ gate, cap, reason })
+ */
+function evaluateGates(results) {
+  const { compilation, security, requirements, acceptance } = results;
+  const gates = [];
+  
+  if (!compilation?.passed) {
+    const cause = compilation?.skipped ? 'Build skipped after failed install' : 'Failed compilation';
+    gates.push({ gate: 'compilation', cap: 'FAIL', reason: `${cause} forced FAIL` });
   }
   
-  // Test score (based on pass rate)
-  if (tests?.found) {
-    const passRate = tests.total > 0 ? (tests.passing / tests.total) : 0;
-    score += weights.tests * passRate * 100;
+  // A TypeScript project that builds but has type errors is not a full pass
+  const typecheck = compilation?.passed && compilation.typecheck;
+  if (typecheck && !typecheck.skipped && !typecheck.passed) {
+    gates.push({ gate: 'typecheck', cap: 'PARTIAL', reason: `${typecheck.error || 'A failed type check'} capped the verdict at PARTIAL` });
   }
   
-  // Security score (0 if critical/high vulns, 100 otherwise)
-  if (security) {
-    const hasCritical = (security.critical > 0) || (security.high > 0);
-    if (!hasCritical) {
-      score += weights.security * 100;
-    }
+  const critical = security?.critical || 0;
+  const high = security?.high || 0;
+  if (critical > 0 || high > 0) {
+    const counts = [
+      critical > 0 && plural(critical, 'critical vulnerability', 'critical vulnerabilities'),
+      high > 0 && plural(high, 'high vulnerability', 'high vulnerabilities')
+    ].filter(Boolean).join(' and ');
+    gates.push({ gate: 'security', cap: 'FAIL', reason: `${counts} forced FAIL` });
   }
   
-  // Requirements score
-  if (requirements?.matches) {
-    const reqCount = Object.keys(requirements.matches).length;
-    const metCount = requirements.met || 0;
-    const reqRate = reqCount > 0 ? (metCount / reqCount) : 0;
-    score += weights.requirements * reqRate * 100;
+  const secrets = blockingSecrets(security);
+  if (secrets > 0) {
+    gates.push({ gate: 'secrets', cap: 'FAIL', reason: `${plural(secrets, 'committed secret', 'committed secrets')} forced FAIL` });
   }
   
-  // Coverage score
-  if (coverage?.percentage !== undefined) {
-    const coverageScore = Math.min(coverage.percentage, 100);
-    score += weights.coverage * coverageScore;
+  const copied = results.similarity?.matches?.[0];
+  if (results.similarity && !results.similarity.passed && copied) {
+    gates.push({
+      gate: 'similarity',
+      cap: 'FAIL',
+      reason: `Code ${Math.round(copied.similarity * 100)}% similar to ${copied.label} forced FAIL`
+    });
   }
   
-  // Round score
-  score = Math.round(score);
+  gates.push(...requirementGates(requirements));
   
-  // Determine verdict
-  const hasCriticalFailure = !compilation?.passed || (security?.critical > 0) || (security?.high > 0);
-  const allRequirementsMet = requirements?.missed === 0;
+  if (acceptance && !acceptance.passed) {
+    const cause = acceptance.found
+      ? plural(acceptance.failing || 0, 'failing acceptance test', 'failing acceptance tests')
+      : 'Acceptance tests that did not run';
+    gates.push({ gate: 'acceptance', cap: 'PARTIAL', reason: `${cause} capped the verdict at PARTIAL` });
+  }
   
-  let verdict;
-  if (score >= 80 && !hasCriticalFailure && allRequirementsMet) {
-    verdict = 'PASS';
-  } else if (score >= 50 && !hasCriticalFailure) {
-    verdict = 'PARTIAL';
-  } else {
-    verdict = 'FAIL';
+  return gates;
+}
+
+/**
+ * Hard gates of a data bounty
+ * 
+ * No readable data forces FAIL; unreadable files, malformed rows, schema and
+ * column violations and failed quality checks cap at PARTIAL.
+ * @param {Object} results - Check results
+ * @returns {Object[]} Triggered gates ({ gate, cap, reason })
+ */
+function evaluateDataGates(results) {
+  const { format, schema, columns, quality, requirements } = results;
+  const gates = [];
+  
+  if (!format?.passed) {
+    const cause = format?.files?.length > 0 ? 'No readable data files' : 'No data files';
+    gates.push({ gate: 'format', cap: 'FAIL', reason: `${cause} forced FAIL` });
+  } else if (format.unreadable > 0 || format.malformed > 0) {
+    const causes = [
+      format.unreadable > 0 && plural(format.unreadable, 'unreadable data file', 'unreadable data files'),
+      format.malformed > 0 && plural(format.malformed, 'data file with malformed rows', 'data files with malformed rows')
+    ].filter(Boolean);
+    gates.push({
+      gate: 'format',
+      cap: 'PARTIAL',
+      reason: `${causes.join(' and ')} capped the verdict at PARTIAL`
+    });
   }
   
-  // Generate reasoning
-  const reasoning = generateReasoning(results, score, verdict);
+  if (schema && !schema.passed && !schema.skipped) {
+    const cause = schema.invalid > 0
+      ? plural(schema.invalid, 'document or record', 'documents and records') + ' not matching the schema'
+      : 'No data to validate against the schema';
+    gates.push({ gate: 'schema', cap: 'PARTIAL', reason: `${cause} capped the verdict at PARTIAL` });
+  }
   
-  // Generate recommendation
-  const recommendation = generateRecommendation(results, score, verdict);
+  if (columns && !columns.passed && !columns.skipped) {
+    const cause = columns.failed > 0
+      ? plural(columns.failed, 'column rule violation', 'column rule violations')
+      : 'No tabular data for the column spec';
+    gates.push({ gate: 'columns', cap: 'PARTIAL', reason: `${cause} capped the verdict at PARTIAL` });
+  }
+  
+  if (quality?.measured && !quality.passed) {
+    const cause = quality.rows < quality.minRows
+      ? `${plural(quality.rows, 'row', 'rows')} (of at least ${quality.minRows})`
+      : plural(quality.duplicates, 'duplicate row', 'duplicate rows');
+    gates.push({ gate: 'quality', cap: 'PARTIAL', reason: `${cause} capped the verdict at PARTIAL` });
+  }
+  
+  gates.push(...requirementGates(requirements));
+  
+  return gates;
+}
+
+/**
+ * Hard gates of a content bounty
+ * 
+ * No readable document, or a near-duplicate of a corpus document, forces
+ * FAIL; unreadable documents, word counts out of range, missing sections and
+ * broken links cap at PARTIAL. Readability and spelling only move the score.
+ * @param {Object} results - Check results
+ * @returns {Object[]} Triggered gates ({ gate, cap, reason })
+ */
+function evaluateContentGates(results) {
+  const { documents, length, structure, links, originality, requirements } = results;
+  const gates = [];
+  
+  if (!documents?.passed) {
+    const cause = documents?.files?.length > 0 ? 'No readable documents' : 'No documents';
+    gates.push({ gate: 'documents', cap: 'FAIL', reason: `${cause} forced FAIL` });
+  } else if (documents.unreadable > 0) {
+    gates.push({
+      gate: 'documents',
+      cap: 'PARTIAL',
+      reason: `${plural(documents.unreadable, 'unreadable document', 'unreadable documents')} capped the verdict at PARTIAL`
+    });
+  }
+  
+  if (originality?.duplicates > 0) {
+    const sources = [...new Set(originality.files.filter(file => file.similarity > originality.maxSimilarity).map(file => file.source))];
+    gates.push({
+      gate: 'originality',
+      cap: 'FAIL',
+      reason: `Near-duplicate of ${sources.slice(0, 3).join(', ')}${sources.length > 3 ? '...' : ''} forced FAIL`
+    });
+  }
+  
+  if (length?.measured && !length.passed) {
+    gates.push({
+      gate: 'length',
+      cap: 'PARTIAL',
+      reason: `${plural(length.outOfRange, 'document', 'documents')} outside the word range capped the verdict at PARTIAL`
+    });
+  }
+  
+  if (structure && !structure.passed && !structure.skipped) {
+    const missing = structure.required - structure.found;
+    gates.push({ gate: 'structure', cap: 'PARTIAL', reason: `${plural(missing, 'missing section', 'missing sections')} capped the verdict at PARTIAL` });
+  }
+  
+  if (links && !links.passed && !links.skipped) {
+    gates.push({ gate: 'links', cap: 'PARTIAL', reason: `${plural(links.broken, 'broken link', 'broken links')} capped the verdict at PARTIAL` });
+  }
+  
+  gates.push(...requirementGates(requirements));
+  
+  return gates;
+}
+
+/**
+ * Gates for missed requirements
+ * 
+ * Each missed requirement caps by its mandatory flag; optional misses only
+ * lower the score.
+ * @param {Object} requirements - Requirements check result
+ * @returns {Object[]} Triggered gates
+ */
+function requirementGates(requirements) {
+  const gates = [];
+  
+  if (!(requirements?.missed >= 0)) {
+    gates.push({ gate: 'requirements', cap: 'PARTIAL', reason: 'Requirements not evaluated capped the verdict at PARTIAL' });
+  } else if (requirements.missed > 0) {
+    const missed = Object.entries(requirements.matches || {}).filter(([, match]) => !requirementMet(match));
+    const forcing = missed.filter(([, match]) => requirementCap(match) === 'FAIL').map(([name]) => name);
+    const capping = missed.filter(([, match]) => requirementCap(match) === 'PARTIAL');
+    
+    if (forcing.length > 0) {
+      const names = `${forcing.slice(0, 3).join(', ')}${forcing.length > 3 ? '...' : ''}`;
+      gates.push({
+        gate: 'requirements',
+        cap: 'FAIL',
+        reason: `Unmet mandatory ${forcing.length === 1 ? 'requirement' : 'requirements'} (${names}) forced FAIL`
+      });
+    }
+    if (capping.length > 0) {
+      gates.push({
+        gate: 'requirements',
+        cap: 'PARTIAL',
+        reason: `${plural(capping.length, 'unmet requirement', 'unmet requirements')} capped the verdict at PARTIAL`
+      });
+    }
+  }
+  
+  return gates;
+}
+
+/**
+ * Explain the score: each dimension's raw result, sub-score, weight and contribution
+ * @param {Object} results - Check results
+ * @param {Object} profile - Scoring profile
+ * @param {Object} dimensionScores - Sub-scores by dimension (null when not measured)
+ * @param {Object} weights - Effective weights by dimension
+ * @param {Object[]} gates - Triggered gates
+ * @param {string} scoreVerdict - Verdict the score alone would give
+ * @param {number} rawScore - Unrounded score
+ * @returns {Object} Breakdown
+ */
+function buildBreakdown(results, profile, dimensionScores, weights, gates, scoreVerdict, rawScore) {
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+  const dimensions = {};
+  
+  for (const dimension of Object.keys(dimensionScores)) {
+    const subScore = dimensionScores[dimension];
+    const weight = weights[dimension] || 0;
+    dimensions[dimension] = {
+      raw: RAW_RESULTS[dimension](results),
+      score: subScore === null ? null : round(subScore, 1),
+      weight: round(weight, 4),
+      contribution: subScore === null ? 0 : round(weight * subScore, 2),
+      scored: subScore !== null
+    };
+  }
   
   return {
-    verdict,
-    score,
-    checks: {
-      compilation: formatCheck(compilation),
-      tests: formatCheck(tests),
-      coverage: formatCheck(coverage),
-      security: formatCheck(security),
-      requirements: requirements?.matches || {}
-    },
-    reasoning,
-    recommendation
+    dimensions,
+    total: round(rawScore, 2),
+    thresholds: { ...profile.thresholds },
+    scoreVerdict,
+    gates
   };
 }
 
+/**
+ * Committed secrets severe enough to force FAIL (critical and high)
+ * @param {Object} security - Security check result
+ * @returns {number} Count
+ */
+function blockingSecrets(security) {
+  return (security?.secrets?.critical || 0) + (security?.secrets?.high || 0);
+}
+
+/**
+ * Format a count with its noun
+ * @param {number} count - Count
+ * @param {string} singular - Noun for one
+ * @param {string} pluralForm - Noun for many
+ * @returns {string} e.g. "2 high vulnerabilities"
+ */
+function plural(count, singular, pluralForm) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+/**
+ * Dimension weights for a verification
+ * 
+ * When the poster supplied acceptance tests, they take the profile's
+ * acceptanceShare of the tests weight, so trivial worker tests can't carry it.
+ * Dimensions that could not be measured (a scorer returned null) are dropped
+ * and their weight is spread proportionally over the rest.
+ * @param {Object} profile - Scoring profile
+ * @param {Object} results - Check results
+ * @param {Object} dimensionScores - Scores by dimension (null when not measured)
+ * @returns {Object} Weights by dimension, summing to 1
+ */
+function resolveWeights(profile, results, dimensionScores) {
+  const weights = { ...profile.weights };
+  
+  if (results.acceptance) {
+    weights.acceptance = weights.tests * profile.acceptanceShare;
+    weights.tests = weights.tests - weights.acceptance;
+  }
+  
+  for (const dimension of Object.keys(weights)) {
+    if (dimensionScores[dimension] === null) {
+      delete weights[dimension];
+    }
+  }
+  
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total > 0 && total < 1) {
+    for (const dimension of Object.keys(weights)) {
+      weights[dimension] /= total;
+    }
+  }
+  
+  return weights;
+}
+
+/**
+ * Weighted completion of the requirements
+ * @param {Object} requirements - Requirements check result
+ * @returns {Object|null} { weightMet, weightTotal, percentage }, null without requirements
+ */
+function requirementCompletion(requirements) {
+  const matches = Object.values(requirements?.matches || {});
+  if (matches.length === 0) return null;
+  
+  const weightTotal = matches.reduce((sum, match) => sum + requirementWeight(match), 0);
+  const weightMet = matches.filter(requirementMet).reduce((sum, match) => sum + requirementWeight(match), 0);
+  return { weightMet, weightTotal, percentage: (weightMet / weightTotal) * 100 };
+}
+
+/**
+ * Score of a test-like check: its pass rate
+ * @param {Object} check - Tests or acceptance check result
+ * @returns {number} 0-100
+ */
+function passRate(check) {
+  if (!check?.found || !(check.total > 0)) return 0;
+  return (check.passing / check.total) * 100;
+}
+
 /**
  * Format check result for output
  * @param {Object} check - Check result
@@ -110,6 +663,67 @@ function formatCheck(check) {
   return formatted;
 }
 
+/**
+ * Format the test check, reducing per-test records to the failing tests
+ * @param {Object} tests - Test check result
+ * @returns {Object} Formatted check with a trimmed `cases` list
+ */
+function formatTestCheck(tests) {
+  const formatted = formatCheck(tests);
+  if (!Array.isArray(formatted.cases)) {
+    return formatted;
+  }
+  
+  const failing = formatted.cases.filter(c => c.status === 'failed');
+  return {
+    ...formatted,
+    cases: failing.slice(0, MAX_REPORTED_CASES).map(c => ({
+      name: c.name,
+      file: c.file,
+      failureMessage: trimMessage(c.failureMessage)
+    })),
+    ...(failing.length > MAX_REPORTED_CASES && { casesOmitted: failing.length - MAX_REPORTED_CASES })
+  };
+}
+
+/**
+ * Format the acceptance check
+ * 
+ * Failing acceptance tests are listed by name only: assertion messages and
+ * code frames would reveal the hidden test contents.
+ * @param {Object} acceptance - Acceptance check result
+ * @returns {Object} Formatted check
+ */
+function formatAcceptanceCheck(acceptance) {
+  // Raw runner output would quote the hidden tests
+  const { raw, ...formatted } = formatCheck(acceptance);
+  if (!Array.isArray(formatted.cases)) {
+    return formatted;
+  }
+  
+  return {
+    ...formatted,
+    cases: formatted.cases
+      .filter(c => c.status === 'failed')
+      .slice(0, MAX_REPORTED_CASES)
+      .map(c => ({ name: c.name, file: c.file }))
+  };
+}
+
+/**
+ * Trim an assertion message to its first lines
+ * @param {string} message - Failure message
+ * @returns {string|null} Trimmed message
+ */
+function trimMessage(message) {
+  if (!message) return null;
+  
+  // Stack frames add length without telling the reader what was asserted
+  const lines = message.split('\n').filter(line => !/^\s*at\s/.test(line));
+  const text = lines.join('\n').trim();
+  return text.length > MAX_CASE_MESSAGE ? `${text.slice(0, MAX_CASE_MESSAGE)}…` : text;
+}
+
 /**
  * Generate reasoning string
  * @param {Object} results - Check results
@@ -120,9 +734,23 @@ function formatCheck(check) {
 function generateReasoning(results, score, verdict) {
   const parts = [];
   
+  // Dependencies
+  if (results.install && !results.install.passed) {
+    parts.push(`Dependency install failed: ${results.install.error || 'unknown error'}.`);
+  }
+  
   // Compilation
   if (results.compilation?.passed) {
-    parts.push('Code compiles successfully.');
+    const { typecheck, vet } = results.compilation;
+    if (typecheck && !typecheck.skipped) {
+      parts.push(typecheck.passed ? 'Code builds and type-checks.' : `Code builds but fails the type check: ${typecheck.error || 'unknown error'}.`);
+    } else if (vet) {
+      parts.push(vet.passed ? 'Code builds and passes go vet.' : `Code builds; ${vet.error || 'go vet failed'}.`);
+    } else {
+      parts.push('Code compiles successfully.');
+    }
+  } else if (results.compilation?.skipped) {
+    parts.push('Compilation skipped due to failed install.');
   } else {
     parts.push(`Compilation failed: ${results.compilation?.error || 'unknown error'}.`);
   }
@@ -130,16 +758,45 @@ function generateReasoning(results, score, verdict) {
   // Tests
   if (results.tests?.found) {
     parts.push(`${results.tests.passing}/${results.tests.total} tests passing.`);
+    const failingNames = (results.tests.cases || [])
+      .filter(c => c.status === 'failed')
+      .map(c => c.name);
+    if (failingNames.length > 0) {
+      parts.push(`Failing: ${failingNames.slice(0, 3).join(', ')}${failingNames.length > 3 ? '...' : '.'}`);
+    }
+  } else if (results.tests?.skipped) {
+    parts.push(`Tests ${results.tests.details.toLowerCase()}.`);
   } else {
     parts.push('No test suite detected.');
   }
   
+  // Acceptance tests
+  if (results.acceptance?.found) {
+    parts.push(`${results.acceptance.passing}/${results.acceptance.total} acceptance tests passing.`);
+  } else if (results.acceptance?.skipped) {
+    parts.push(`Acceptance tests ${results.acceptance.details.toLowerCase()}.`);
+  } else if (results.acceptance) {
+    parts.push(`Acceptance tests could not be run: ${results.acceptance.details}.`);
+  }
+  
   // Coverage
   if (results.coverage?.percentage !== undefined) {
     const meetsThreshold = results.coverage.passed ? 'meets' : 'below';
     parts.push(`Coverage at ${results.coverage.percentage}% ${meetsThreshold} threshold.`);
   }
   
+  // Lint
+  if (results.lint?.errorsPerKloc !== undefined) {
+    const { errors, warnings, linesOfCode, errorsPerKloc } = results.lint;
+    parts.push(`Lint: ${errors} errors and ${warnings} warnings in ${linesOfCode} lines (${errorsPerKloc} errors per 1000 lines).`);
+  } else if (results.lint?.skipped) {
+    parts.push(`Lint ${results.lint.details.toLowerCase()}.`);
+  } else if (results.lint?.configured === false) {
+    parts.push(`Lint not scored (${results.lint.details}).`);
+  } else if (results.lint?.error) {
+    parts.push(`Lint failed to run: ${results.lint.error}.`);
+  }
+  
   // Security
   if (results.security?.vulnerabilities > 0) {
     const critical = results.security.critical || 0;
@@ -153,38 +810,189 @@ function generateReasoning(results, score, verdict) {
     parts.push('No security vulnerabilities found.');
   }
   
+  // Committed secrets
+  const secrets = results.security?.secrets;
+  if (secrets?.found > 0) {
+    const kinds = [...new Set(secrets.findings.map(finding => finding.rule))].join(', ');
+    parts.push(`${plural(secrets.found, 'committed secret', 'committed secrets')} found (${kinds}).`);
+  }
+  
+  // Copied code
+  if (results.similarity && !results.similarity.passed && results.similarity.matches?.length > 0) {
+    const pairs = results.similarity.matches[0].pairs.slice(0, 2).map(pair => `${pair.file} ~ ${pair.otherFile}`);
+    parts.push(`Possible copy: ${results.similarity.details}${pairs.length > 0 ? ` (${pairs.join(', ')})` : ''}.`);
+  } else if (results.similarity?.error) {
+    parts.push(`Similarity check failed: ${results.similarity.error}.`);
+  }
+  
   // Requirements
-  if (results.requirements?.total > 0) {
-    const met = results.requirements.met || 0;
-    const total = results.requirements.total;
-    const missed = results.requirements.missed || 0;
-    parts.push(`${met}/${total} requirements met.`);
-    if (missed > 0) {
-      const missedList = Object.entries(results.requirements.matches)
-        .filter(([, met]) => !met)
-        .map(([req]) => req)
-        .slice(0, 2);
-      if (missedList.length > 0) {
-        parts.push(`Missing: ${missedList.join(', ')}${missed > 2 ? '...' : ''}`);
-      }
+  parts.push(...describeRequirements(results.requirements));
+  
+  return parts.join(' ');
+}
+
+/**
+ * Generate reasoning string for a data bounty
+ * @param {Object} results - Check results
+ * @param {number} score - Final score
+ * @param {string} verdict - Verdict
+ * @returns {string} Reasoning
+ */
+function generateDataReasoning(results, score, verdict) {
+  const { format, schema, columns, quality } = results;
+  const parts = [];
+  
+  // Files
+  if (!format?.files?.length) {
+    parts.push('No data files found.');
+  } else {
+    const formats = {};
+    for (const file of format.files.filter(file => !file.error)) {
+      formats[file.format] = (formats[file.format] || 0) + 1;
     }
+    const counts = Object.entries(formats).map(([name, count]) => `${count} ${name.toUpperCase()}`).join(', ');
+    parts.push(`${plural(format.files.length, 'data file', 'data files')}${counts ? ` (${counts})` : ''}.`);
+    const unreadable = format.files.filter(file => file.error);
+    if (unreadable.length > 0) {
+      parts.push(`Unreadable: ${unreadable.slice(0, 2).map(file => `${file.file} (${file.error})`).join(', ')}${unreadable.length > 2 ? '...' : '.'}`);
+    }
+    const malformed = format.files.filter(file => !file.error && file.malformedRows);
+    if (malformed.length > 0) {
+      parts.push(`Malformed rows: ${malformed.slice(0, 2).map(file => `${file.file} (${file.malformedRows}, first at ${file.errors[0]})`).join(', ')}${malformed.length > 2 ? '...' : '.'}`);
+    }
+  }
+  
+  // Schema
+  if (schema?.skipped) {
+    parts.push(`Schema validation ${schema.details.toLowerCase()}.`);
+  } else if (schema) {
+    const errors = schema.files.flatMap(file => (file.errors || []).map(error => `${file.file}: ${error}`));
+    parts.push(schema.invalid > 0
+      ? `Schema: ${schema.details}, e.g. ${errors[0]}.`
+      : `Schema: ${schema.details}.`);
+  }
+  
+  // Column spec
+  if (columns?.skipped) {
+    parts.push(`Column spec ${columns.details.toLowerCase()}.`);
+  } else if (columns) {
+    const examples = columns.violations.slice(0, 2).map(violation => violation.message);
+    parts.push(`Columns: ${columns.details}${examples.length > 0 ? ` (${examples.join('; ')}${columns.failed > 2 ? '...' : ''})` : ''}.`);
+  }
+  
+  // Rows
+  if (quality?.measured) {
+    parts.push(`${plural(quality.rows, 'row', 'rows')}, ${plural(quality.duplicates, 'exact duplicate', 'exact duplicates')}, ${Math.round(quality.emptyCellRatio * 1000) / 10}% empty cells.`);
+    if (quality.rows < quality.minRows) {
+      parts.push(`At least ${quality.minRows} rows required.`);
+    }
+  }
+  
+  // Requirements
+  parts.push(...describeRequirements(results.requirements));
+  
+  return parts.join(' ');
+}
+
+/**
+ * Generate reasoning string for a content bounty
+ * @param {Object} results - Check results
+ * @param {number} score - Final score
+ * @param {string} verdict - Verdict
+ * @returns {string} Reasoning
+ */
+function generateContentReasoning(results, score, verdict) {
+  const { documents, length, structure, links, readability, spelling, originality } = results;
+  const parts = [];
+  
+  // Documents
+  if (!documents?.files?.length) {
+    parts.push('No documents found.');
+  } else {
+    parts.push(`${plural(documents.files.length, 'document', 'documents')}, ${plural(documents.words, 'word', 'words')}.`);
+    const unreadable = documents.files.filter(file => file.error);
+    if (unreadable.length > 0) {
+      parts.push(`Unreadable: ${unreadable.slice(0, 2).map(file => `${file.file} (${file.error})`).join(', ')}${unreadable.length > 2 ? '...' : '.'}`);
+    }
+  }
+  
+  // Length and structure
+  if (length?.measured && !length.passed) {
+    parts.push(`Length: ${length.details}.`);
+  }
+  if (structure && !structure.skipped) {
+    parts.push(`${structure.details}.`);
+  }
+  
+  // Links
+  if (links && !links.skipped) {
+    const examples = links.issues.slice(0, 2).map(issue => `${issue.file}:${issue.line} ${issue.target} (${issue.reason})`);
+    parts.push(`Links: ${links.details}${examples.length > 0 ? ` (${examples.join('; ')}${links.broken > 2 ? '...' : ''})` : ''}.`);
+  }
+  
+  // Prose
+  if (readability?.measured) {
+    parts.push(`Reading ease ${readability.readingEase}, grade level ${readability.grade}${readability.passed ? '' : ` (${readability.details})`}.`);
   }
+  if (spelling && !spelling.skipped) {
+    parts.push(`Spelling: ${spelling.details}.`);
+  }
+  if (originality && !originality.skipped) {
+    parts.push(`Originality: ${originality.details}.`);
+  }
+  
+  // Requirements
+  parts.push(...describeRequirements(results.requirements));
   
   return parts.join(' ');
 }
 
+/**
+ * Describe requirement completion and name the misses
+ * @param {Object} requirements - Requirements check result
+ * @returns {string[]} Reasoning sentences
+ */
+function describeRequirements(requirements) {
+  if (!(requirements?.total > 0)) return [];
+  
+  const parts = [];
+  const met = requirements.met || 0;
+  const missed = requirements.missed || 0;
+  const completion = requirementCompletion(requirements);
+  const weighted = completion && completion.weightTotal !== Object.keys(requirements.matches).length;
+  parts.push(`${met}/${requirements.total} requirements met${weighted ? ` (${Math.round(completion.percentage)}% by weight)` : ''}.`);
+  
+  if (missed > 0) {
+    // Mandatory misses are named first
+    const missedList = Object.entries(requirements.matches)
+      .filter(([, match]) => !requirementMet(match))
+      .sort(([, a], [, b]) => (requirementCap(b) === 'FAIL') - (requirementCap(a) === 'FAIL'))
+      .map(([req, match]) => requirementCap(match) === 'FAIL' ? `${req} (mandatory)` : req)
+      .slice(0, 2);
+    if (missedList.length > 0) {
+      parts.push(`Missing: ${missedList.join(', ')}${missed > 2 ? '...' : ''}`);
+    }
+  }
+  
+  return parts;
+}
+
 /**
  * Generate recommendation string
+ * 
+ * A partial release pays the weighted share of requirements met, never more
+ * than the score (see partialRelease).
  * @param {Object} results - Check results
  * @param {number} score - Final score
  * @param {string} verdict - Verdict
+ * @param {Object} profile - Scoring profile
  * @returns {string} Recommendation
  */
-function generateRecommendation(results, score, verdict) {
+function generateRecommendation(results, score, verdict, profile) {
   switch (verdict) {
     case 'PASS':
       return 'All checks passed. Bounty approved for full payment.';
-      
+    
     case 'PARTIAL':
       const issues = [];
       
@@ -194,36 +1002,201 @@ function generateRecommendation(results, score, verdict) {
       if (results.tests?.failing > 0) {
         issues.push('failing tests');
       }
+      if (results.acceptance && !results.acceptance.passed) {
+        issues.push('failing acceptance tests');
+      }
       if (results.requirements?.missed > 0) {
         issues.push('missing requirements');
       }
       if (results.coverage?.passed === false) {
         issues.push('low coverage');
       }
+      if (results.lint?.errors > 0) {
+        issues.push('lint errors');
+      }
       
-      const percentage = Math.round(score);
+      const percentage = partialRelease(results, score);
       if (issues.length > 0) {
         return `Partial release at ${percentage}% — ${issues.join(', ')} present but core functionality acceptable.`;
       }
       return `Partial release at ${percentage}% — review specific findings before payment.`;
-      
+    
     case 'FAIL':
+      if (results.install && !results.install.passed) {
+        return 'Submission rejected — dependencies could not be installed. Worker must fix the dependency manifest and resubmit.';
+      }
       if (!results.compilation?.passed) {
         return 'Submission rejected — does not compile. Worker must fix build issues and resubmit.';
       }
+      if (blockingSecrets(results.security) > 0) {
+        return 'Submission rejected — committed keys or tokens must be revoked and purged from the repository history before resubmitting.';
+      }
       if (results.security?.critical > 0 || results.security?.high > 0) {
         return 'Submission rejected — security vulnerabilities must be addressed before approval.';
       }
-      if (score < 50) {
+      if (results.similarity?.matches?.length > 0 && !results.similarity.passed) {
+        return 'Submission rejected — the code largely matches another submission or an existing project. Review the matched files before any payment.';
+      }
+      if (missedMandatory(results.requirements)) {
+        return 'Submission rejected — mandatory requirements not met. Worker must deliver them and resubmit.';
+      }
+      if (score < profile.thresholds.partial) {
         return 'Submission rejected — quality threshold not met. Significant rework required.';
       }
       return 'Submission rejected — does not meet minimum requirements.';
+    
+    default:
+      return 'Review verdict details and make manual determination.';
+  }
+}
+
+/**
+ * Generate recommendation string for a data bounty
+ * @param {Object} results - Check results
+ * @param {number} score - Final score
+ * @param {string} verdict - Verdict
+ * @param {Object} profile - Scoring profile
+ * @returns {string} Recommendation
+ */
+function generateDataRecommendation(results, score, verdict, profile) {
+  switch (verdict) {
+    case 'PASS':
+      return 'All data checks passed. Bounty approved for full payment.';
+    
+    case 'PARTIAL': {
+      const issues = [];
+      
+      if (results.format?.unreadable > 0) {
+        issues.push('unreadable files');
+      }
+      if (results.format?.malformed > 0) {
+        issues.push('malformed rows');
+      }
+      if (results.schema && !results.schema.passed) {
+        issues.push('schema violations');
+      }
+      if (results.columns && !results.columns.passed) {
+        issues.push('column spec violations');
+      }
+      if (results.quality?.measured && results.quality.rows < results.quality.minRows) {
+        issues.push('too few rows');
+      } else if (results.quality?.measured && !results.quality.passed) {
+        issues.push('duplicate rows');
+      }
+      if (results.requirements?.missed > 0) {
+        issues.push('missing requirements');
+      }
       
+      const percentage = partialRelease(results, score);
+      if (issues.length > 0) {
+        return `Partial release at ${percentage}% — ${issues.join(', ')} present but the data is usable.`;
+      }
+      return `Partial release at ${percentage}% — review specific findings before payment.`;
+    }
+    
+    case 'FAIL':
+      if (!results.format?.passed) {
+        return 'Submission rejected — no readable data files. Worker must deliver JSON, NDJSON, CSV or TSV data and resubmit.';
+      }
+      if (missedMandatory(results.requirements)) {
+        return 'Submission rejected — mandatory requirements not met. Worker must deliver them and resubmit.';
+      }
+      if (score < profile.thresholds.partial) {
+        return 'Submission rejected — data quality threshold not met. Significant rework required.';
+      }
+      return 'Submission rejected — does not meet minimum requirements.';
+    
     default:
       return 'Review verdict details and make manual determination.';
   }
 }
 
+/**
+ * Generate recommendation string for a content bounty
+ * @param {Object} results - Check results
+ * @param {number} score - Final score
+ * @param {string} verdict - Verdict
+ * @param {Object} profile - Scoring profile
+ * @returns {string} Recommendation
+ */
+function generateContentRecommendation(results, score, verdict, profile) {
+  switch (verdict) {
+    case 'PASS':
+      return 'All content checks passed. Bounty approved for full payment.';
+    
+    case 'PARTIAL': {
+      const issues = [];
+      
+      if (results.documents?.unreadable > 0) {
+        issues.push('unreadable documents');
+      }
+      if (results.length?.measured && !results.length.passed) {
+        issues.push('word count out of range');
+      }
+      if (results.structure && !results.structure.passed) {
+        issues.push('missing sections');
+      }
+      if (results.links && !results.links.passed) {
+        issues.push('broken links');
+      }
+      if (results.readability?.measured && !results.readability.passed) {
+        issues.push('hard-to-read prose');
+      }
+      if (results.spelling && !results.spelling.passed) {
+        issues.push('misspellings');
+      }
+      if (results.requirements?.missed > 0) {
+        issues.push('missing requirements');
+      }
+      
+      const percentage = partialRelease(results, score);
+      if (issues.length > 0) {
+        return `Partial release at ${percentage}% — ${issues.join(', ')} present but the content is usable.`;
+      }
+      return `Partial release at ${percentage}% — review specific findings before payment.`;
+    }
+    
+    case 'FAIL':
+      if (!results.documents?.passed) {
+        return 'Submission rejected — no readable documents. Worker must deliver the Markdown or text files and resubmit.';
+      }
+      if (results.originality?.duplicates > 0) {
+        return 'Submission rejected — the content is a near-duplicate of existing material. Worker must deliver original work.';
+      }
+      if (missedMandatory(results.requirements)) {
+        return 'Submission rejected — mandatory requirements not met. Worker must deliver them and resubmit.';
+      }
+      if (score < profile.thresholds.partial) {
+        return 'Submission rejected — content quality threshold not met. Significant rework required.';
+      }
+      return 'Submission rejected — does not meet minimum requirements.';
+    
+    default:
+      return 'Review verdict details and make manual determination.';
+  }
+}
+
+/**
+ * Share of the bounty a partial release pays: the weighted share of
+ * requirements met, never more than the score; the score without requirements
+ * @param {Object} results - Check results
+ * @param {number} score - Final score
+ * @returns {number} Percentage
+ */
+function partialRelease(results, score) {
+  const completion = requirementCompletion(results.requirements);
+  return Math.round(completion ? Math.min(completion.percentage, score) : score);
+}
+
+/**
+ * Whether a requirement whose miss forces FAIL was missed
+ * @param {Object} requirements - Requirements check result
+ * @returns {boolean} Whether one was
+ */
+function missedMandatory(requirements) {
+  return Object.values(requirements?.matches || {}).some(match => !requirementMet(match) && requirementCap(match) === 'FAIL');
+}
+
 module.exports = {
   generateVerdict
 };
@@ -3,8 +3,47 @@
  */
 
 const { verify } = require('../src/index');
-const { detectLanguage } = require('../src/evaluators/code');
+const { detectLanguage, detectSolidityFrameworks, countLines } = require('../src/evaluators/code');
 const { generateVerdict } = require('../src/verdict');
+const { getProfile, listProfiles, validateProfile } = require('../src/profiles');
+const { createExecutor } = require('../src/executors');
+const { buildBubblewrapArgs, createBubblewrapExecutor } = require('../src/executors/bubblewrap');
+const { runProcess } = require('../src/executors/process');
+const { runPipeline } = require('../src/pipeline');
+const { runCompilationCheck, parseTscOutput, parseGoDiagnostics } = require('../src/checks/compile');
+const { runInstallCheck, parsePoetryLock, parsePyprojectRequirements } = require('../src/checks/install');
+const { runTestCheck, parseTestOutput } = require('../src/checks/tests');
+const {
+  runCoverageCheck,
+  readIstanbulCoverageMap,
+  readGoCoverProfile,
+  parseForgeCoverageSummary,
+  readLlvmCovReport,
+  readTarpaulinReport
+} = require('../src/checks/coverage');
+const { runSecurityCheck, scanSecrets } = require('../src/checks/security');
+const { runLintCheck } = require('../src/checks/lint');
+const { analyzeSolidity, analyzeSoliditySource } = require('../src/evaluators/solidity');
+const { loadAcceptanceTests, runAcceptanceCheck } = require('../src/checks/acceptance');
+const { matchRequirements, gatherProjectInfo } = require('../src/evaluators/content');
+const { buildEvidenceIndex } = require('../src/evaluators/evidence');
+const { loadRequirementSpec, normalizeRequirements } = require('../src/evaluators/requirement-spec');
+const { createRequirementProvider } = require('../src/providers');
+const { createOpenAIProvider } = require('../src/providers/openai');
+const { normalizeDataSpec, validateCSV, createDelimitedParser, analyzeDataset, findDataFiles } = require('../src/evaluators/data');
+const { normalizeContentSpec, parseMarkdown, countSyllables, findDocuments } = require('../src/evaluators/writing');
+const { fingerprintSubmission, compareFingerprints, tokenize } = require('../src/evaluators/similarity');
+const {
+  parseJestReport,
+  parseMochaReport,
+  parseTap,
+  parseJUnitXml,
+  parseCargoJson,
+  parseGoTestJson,
+  parseUnittestOutput,
+  parseForgeTestJson,
+  summarizeCases
+} = require('../src/checks/reporters');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
@@ -26,6 +65,17 @@ describe('ClawJudge Verifier', () => {
       expect(detectLanguage(tempDir)).toBe('nodejs');
     });
     
+    test('detects TypeScript from tsconfig.json', async () => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test' });
+      await fs.writeJson(path.join(tempDir, 'tsconfig.json'), { compilerOptions: { strict: true } });
+      expect(detectLanguage(tempDir)).toBe('typescript');
+    });
+    
+    test('detects Go from go.mod', async () => {
+      await fs.writeFile(path.join(tempDir, 'go.mod'), 'module example.com/svc\n\ngo 1.21\n');
+      expect(detectLanguage(tempDir)).toBe('go');
+    });
+    
     test('detects Python from requirements.txt', async () => {
       await fs.writeFile(path.join(tempDir, 'requirements.txt'), 'requests\nflask');
       expect(detectLanguage(tempDir)).toBe('python');
@@ -36,6 +86,16 @@ describe('ClawJudge Verifier', () => {
       expect(detectLanguage(tempDir)).toBe('solidity');
     });
     
+    test('detects Hardhat and Foundry projects ahead of package.json', async () => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'token' });
+      await fs.writeFile(path.join(tempDir, 'hardhat.config.ts'), 'export default {};');
+      expect(detectLanguage(tempDir)).toBe('solidity');
+      expect(detectSolidityFrameworks(tempDir)).toEqual(['hardhat']);
+      
+      await fs.writeFile(path.join(tempDir, 'foundry.toml'), '[profile.default]\nsrc = "src"\n');
+      expect(detectSolidityFrameworks(tempDir)).toEqual(['hardhat', 'foundry']);
+    });
+    
     test('returns null for unknown projects', async () => {
       expect(detectLanguage(tempDir)).toBeNull();
     });
@@ -94,6 +154,2212 @@ describe('ClawJudge Verifier', () => {
       const verdict = generateVerdict(results, {});
       expect(verdict.verdict).toBe('FAIL');
     });
+    
+    test('reports skipped checks instead of failures', () => {
+      const results = {
+        install: { passed: false, error: 'npm install failed' },
+        compilation: { passed: false, skipped: true, skippedDueTo: 'install', details: 'Skipped due to failed install' },
+        tests: { passed: false, skipped: true, skippedDueTo: 'install', details: 'Skipped due to failed install' },
+        security: { vulnerabilities: 0 },
+        requirements: { matches: {}, total: 0, met: 0, missed: 0 }
+      };
+      
+      const verdict = generateVerdict(results, {});
+      expect(verdict.verdict).toBe('FAIL');
+      expect(verdict.checks.install.passed).toBe(false);
+      expect(verdict.reasoning).toContain('Compilation skipped due to failed install.');
+      expect(verdict.reasoning).toContain('Tests skipped due to failed install.');
+      expect(verdict.recommendation).toContain('dependencies could not be installed');
+    });
+    
+    test('lists failing test cases with trimmed messages', () => {
+      const results = {
+        compilation: { passed: true },
+        tests: {
+          passed: false,
+          found: true,
+          total: 2,
+          passing: 1,
+          failing: 1,
+          cases: [
+            { name: 'math adds', file: 'test/math.test.js', status: 'passed', duration: 1, failureMessage: null },
+            {
+              name: 'math divides',
+              file: 'test/math.test.js',
+              status: 'failed',
+              duration: 2,
+              failureMessage: `Expected: 2\nReceived: 3\n    at Object.<anonymous> (test/math.test.js:9:5)\n${'x'.repeat(1000)}`
+            }
+          ]
+        },
+        security: { vulnerabilities: 0 },
+        requirements: { matches: {}, total: 0, met: 0, missed: 0 }
+      };
+      
+      const verdict = generateVerdict(results, {});
+      expect(verdict.checks.tests.cases).toHaveLength(1);
+      expect(verdict.checks.tests.cases[0]).toMatchObject({ name: 'math divides', file: 'test/math.test.js' });
+      expect(verdict.checks.tests.cases[0].failureMessage).toMatch(/^Expected: 2\nReceived: 3\nx+…$/);
+      expect(verdict.checks.tests.cases[0].failureMessage.length).toBeLessThanOrEqual(501);
+      expect(verdict.reasoning).toContain('Failing: math divides');
+    });
+  });
+  
+  describe('Score Breakdown', () => {
+    test('lists each dimension with its weighted contribution', () => {
+      const verdict = generateVerdict({
+        compilation: { passed: true },
+        tests: { passed: false, found: true, total: 4, passing: 3, failing: 1 },
+        coverage: { percentage: 80, threshold: 70, passed: true },
+        lint: { passed: true, errors: 0, warnings: 5, linesOfCode: 500, errorsPerKloc: 0, warningsPerKloc: 10 },
+        security: { vulnerabilities: 0, critical: 0, high: 0 },
+        requirements: { matches: { 'REST API': true }, total: 1, met: 1, missed: 0 }
+      }, {});
+      
+      const { dimensions } = verdict.breakdown;
+      expect(Object.keys(dimensions)).toEqual(['compilation', 'tests', 'security', 'requirements', 'coverage', 'lint']);
+      expect(dimensions.tests).toEqual({
+        raw: { passing: 3, total: 4, found: true }, score: 75, weight: 0.25, contribution: 18.75, scored: true
+      });
+      expect(dimensions.lint).toMatchObject({ score: 80, weight: 0.05, contribution: 4 });
+      expect(verdict.breakdown.total).toBe(90.75);
+      expect(verdict.score).toBe(91);
+      expect(verdict.breakdown.gates).toEqual([]);
+      expect(verdict.verdict).toBe('PASS');
+    });
+    
+    test('reports gates that capped the verdict', () => {
+      const verdict = generateVerdict({
+        compilation: { passed: true },
+        tests: { passed: true, found: true, total: 10, passing: 10, failing: 0 },
+        coverage: { percentage: 100, passed: true },
+        security: { vulnerabilities: 1, critical: 0, high: 1 },
+        requirements: { matches: { 'REST API': true, 'Auth': false }, total: 2, met: 1, missed: 1 }
+      }, {});
+      
+      expect(verdict.breakdown.scoreVerdict).toBe('PARTIAL');
+      expect(verdict.verdict).toBe('FAIL');
+      expect(verdict.breakdown.dimensions.lint).toMatchObject({ score: null, weight: 0, scored: false });
+      expect(verdict.breakdown.gates).toEqual([
+        { gate: 'security', cap: 'FAIL', reason: '1 high vulnerability forced FAIL' },
+        { gate: 'requirements', cap: 'PARTIAL', reason: '1 unmet requirement capped the verdict at PARTIAL' }
+      ]);
+    });
+  });
+  
+  describe('Scoring Profiles', () => {
+    const results = {
+      compilation: { passed: true },
+      tests: { passed: true, found: true, total: 10, passing: 10, failing: 0 },
+      coverage: { percentage: 60, passed: false },
+      lint: { passed: false, errors: 2, warnings: 10, linesOfCode: 1000, errorsPerKloc: 2, warningsPerKloc: 10 },
+      security: { vulnerabilities: 0 },
+      requirements: { matches: { 'REST API': true, 'Auth': false }, total: 2, met: 1, missed: 1 }
+    };
+    
+    test('ships valid built-in profiles', () => {
+      expect(listProfiles()).toEqual(['article', 'data-pipeline', 'dataset', 'default', 'library', 'prototype', 'smart-contract']);
+      expect(getProfile().weights).toEqual({
+        compilation: 0.20, tests: 0.25, security: 0.20, requirements: 0.20, coverage: 0.10, lint: 0.05
+      });
+    });
+    
+    test('rejects invalid profiles', () => {
+      const base = { name: 'custom', weights: { compilation: 0.5, tests: 0.5 }, thresholds: { pass: 80, partial: 50 } };
+      expect(validateProfile(base).weights.security).toBe(0);
+      expect(() => validateProfile({ ...base, weights: { compilation: 0.5, tests: 0.4 } })).toThrow('weights sum to 0.9');
+      expect(() => validateProfile({ ...base, weights: { compilation: 0.5, style: 0.5 } })).toThrow('unknown dimension style');
+      expect(() => validateProfile({ ...base, thresholds: { pass: 40, partial: 50 } })).toThrow('thresholds');
+      expect(() => getProfile('nope')).toThrow('Unknown scoring profile: nope');
+    });
+    
+    test('weights the score by the selected profile and records it', () => {
+      const byDefault = generateVerdict(results, {});
+      expect(byDefault.profile).toBe('default');
+      expect(byDefault.score).toBe(84);
+      
+      const prototype = generateVerdict(results, { profile: 'prototype' });
+      expect(prototype.profile).toBe('prototype');
+      expect(prototype.score).toBe(78);
+      
+      const contract = generateVerdict({ ...results, requirements: { ...results.requirements, missed: 0 } }, { profile: 'smart-contract' });
+      expect(contract.score).toBe(91);
+      expect(contract.verdict).toBe('PASS');
+      expect(generateVerdict({ ...results, security: { vulnerabilities: 1, high: 1 } }, { profile: 'smart-contract' }).score).toBe(56);
+    });
+    
+    test('scores lint by density and drops it when no linter ran', () => {
+      const clean = generateVerdict({ ...results, lint: { ...results.lint, errorsPerKloc: 0, warningsPerKloc: 0 } }, {});
+      expect(clean.score).toBe(86);
+      
+      const noisy = generateVerdict({ ...results, lint: { ...results.lint, errorsPerKloc: 12, warningsPerKloc: 0 } }, {});
+      expect(noisy.score).toBe(81);
+      expect(noisy.reasoning).toContain('Lint: 2 errors and 10 warnings in 1000 lines');
+      expect(noisy.checks.lint.errorsPerKloc).toBe(12);
+      
+      // Without a lint config the remaining weights are scaled back up to 1
+      const unconfigured = generateVerdict({
+        ...results,
+        lint: { passed: true, configured: false, errors: 0, warnings: 0, details: 'ESLint not installed in submission' }
+      }, {});
+      expect(unconfigured.score).toBe(85);
+      expect(unconfigured.reasoning).toContain('Lint not scored (ESLint not installed in submission).');
+    });
+  });
+  
+  describe('Executors', () => {
+    test('direct executor runs commands on the host', async () => {
+      const executor = createExecutor('direct');
+      expect(executor.name).toBe('direct');
+      expect(executor.isolated).toBe(false);
+      expect((await executor.exec('echo hello', { cwd: tempDir })).trim()).toBe('hello');
+    });
+    
+    test('exec rejects with captured output on failure', async () => {
+      const executor = createExecutor('direct');
+      await expect(executor.exec('echo partial; exit 3', { cwd: tempDir }))
+        .rejects.toMatchObject({ status: 3, stdout: 'partial\n' });
+    });
+    
+    test('streams output while the command runs', async () => {
+      const chunks = [];
+      const result = await runProcess('sh', ['-c', 'echo one; echo two >&2'], {
+        cwd: tempDir,
+        onStdout: (chunk) => chunks.push(['stdout', chunk]),
+        onStderr: (chunk) => chunks.push(['stderr', chunk])
+      });
+      
+      expect(result.code).toBe(0);
+      expect(chunks).toContainEqual(['stdout', 'one\n']);
+      expect(chunks).toContainEqual(['stderr', 'two\n']);
+    });
+    
+    test('kills the whole process tree on timeout', async () => {
+      const marker = path.join(tempDir, 'survived');
+      const started = Date.now();
+      const result = await runProcess('sh', ['-c', `(sleep 1 && touch ${marker}) & sleep 5`], {
+        cwd: tempDir,
+        timeout: 200
+      });
+      
+      expect(result.timedOut).toBe(true);
+      expect(Date.now() - started).toBeLessThan(2000);
+      
+      // The backgrounded grandchild must not outlive the timeout
+      await new Promise(resolve => setTimeout(resolve, 1200));
+      expect(await fs.pathExists(marker)).toBe(false);
+    });
+    
+    test('cancels a running command via AbortSignal', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 100);
+      
+      const result = await runProcess('sh', ['-c', 'sleep 5'], { cwd: tempDir, signal: controller.signal });
+      expect(result.aborted).toBe(true);
+      expect(result.code).toBeNull();
+    });
+    
+    test('rejects unknown sandbox names', () => {
+      expect(() => createExecutor('docker')).toThrow('Unknown sandbox: docker');
+    });
+    
+    test('bubblewrap args isolate network, filesystem and resources', () => {
+      const args = buildBubblewrapArgs('npm test', {
+        cwd: tempDir,
+        writablePaths: [tempDir],
+        limits: { memoryMb: 512, maxProcesses: 64, cpuSeconds: 30 }
+      });
+      
+      expect(args).toContain('--unshare-all');
+      expect(args).not.toContain('--share-net');
+      expect(args).toContain('--clearenv');
+      // System directories are readable, the rest of the host is not mounted at all
+      expect(args).not.toContain('--ro-bind');
+      expect(args.slice(args.indexOf('/usr') - 1, args.indexOf('/usr') + 2)).toEqual(['--ro-bind-try', '/usr', '/usr']);
+      expect(args).not.toContain('/');
+      
+      // Submission bind must come after the private /tmp so it stays visible
+      expect(args.indexOf('--bind')).toBeGreaterThan(args.indexOf('--tmpfs'));
+      expect(args.slice(args.indexOf('--bind'), args.indexOf('--bind') + 3)).toEqual(['--bind', tempDir, tempDir]);
+      
+      expect(args).toContain(`--as=${512 * 1024 * 1024}`);
+      expect(args).toContain('--nproc=64');
+      expect(args).toContain('--cpu=30');
+      expect(args.slice(-3)).toEqual(['sh', '-c', 'npm test']);
+    });
+    
+    test('bubblewrap args share network only when allowed', () => {
+      const args = buildBubblewrapArgs('npm install', { cwd: tempDir, writablePaths: [], network: true });
+      expect(args).toContain('--share-net');
+    });
+    
+    test('bubblewrap shares the network with downloads only, never with install scripts', async () => {
+      await fs.outputJson(path.join(tempDir, 'package.json'), { name: 'offline', version: '1.0.0' });
+      const vulnDb = path.join(tempDir, 'vulndb');
+      // A stand-in bwrap records the arguments of every sandboxed command
+      const log = path.join(tempDir, 'bwrap.log');
+      await fs.outputFile(path.join(tempDir, 'bin', 'bwrap'), `#!/bin/sh\necho "$*" >> "${log}"\nexit 0\n`, { mode: 0o755 });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      try {
+        const executor = createBubblewrapExecutor({ writablePaths: [tempDir], readOnlyPaths: [vulnDb] });
+        expect(await runInstallCheck(tempDir, 'nodejs', { executor })).toMatchObject({ passed: true });
+        await executor.run('npm test', { cwd: tempDir });
+      } finally {
+        process.env.PATH = originalPath;
+      }
+      
+      const [fetch, scripts, check] = (await fs.readFile(log, 'utf8')).trim().split('\n');
+      expect(fetch).toMatch(/--share-net .* sh -c npm install --ignore-scripts$/);
+      expect(scripts).toMatch(/sh -c npm rebuild$/);
+      expect(scripts).not.toContain('--share-net');
+      expect(check).toMatch(/sh -c npm test$/);
+      expect(check).not.toContain('--share-net');
+      expect(check).toContain(`--ro-bind-try ${vulnDb} ${vulnDb}`);
+    });
+  });
+  
+  describe('Pipeline', () => {
+    const stages = [
+      { name: 'install', label: 'install', needs: [] },
+      { name: 'compilation', label: 'build', needs: ['install'] },
+      { name: 'tests', label: 'tests', needs: ['compilation'] },
+      { name: 'coverage', label: 'coverage', needs: ['compilation'], after: ['tests'] },
+      { name: 'lint', label: 'lint', needs: ['install'] }
+    ];
+    
+    test('runs stages after their dependencies', async () => {
+      const order = [];
+      const results = await runPipeline(stages, async (stage) => {
+        order.push(stage.name);
+        return { passed: true };
+      });
+      
+      expect(Object.keys(results).sort()).toEqual(['compilation', 'coverage', 'install', 'lint', 'tests']);
+      expect(order.indexOf('install')).toBe(0);
+      expect(order.indexOf('tests')).toBeGreaterThan(order.indexOf('compilation'));
+      expect(order.indexOf('coverage')).toBeGreaterThan(order.indexOf('tests'));
+    });
+    
+    test('skips downstream stages when a prerequisite fails', async () => {
+      const ran = [];
+      const results = await runPipeline(stages, async (stage) => {
+        ran.push(stage.name);
+        return { passed: stage.name !== 'compilation' };
+      });
+      
+      expect(ran.sort()).toEqual(['compilation', 'install', 'lint']);
+      expect(results.tests).toMatchObject({ skipped: true, skippedDueTo: 'compilation', details: 'Skipped due to failed build' });
+      expect(results.coverage).toMatchObject({ skipped: true, skippedDueTo: 'compilation' });
+      expect(results.lint.passed).toBe(true);
+    });
+    
+    test('runs independent stages concurrently', async () => {
+      let active = 0;
+      let maxActive = 0;
+      await runPipeline(stages, async (stage) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return { passed: true };
+      });
+      
+      // lint only needs install, so it overlaps with compilation
+      expect(maxActive).toBeGreaterThan(1);
+    });
+    
+    test('a slow install leaves the remaining time to later stages', async () => {
+      await fs.outputJson(path.join(tempDir, 'package.json'), { name: 'slow', version: '1.0.0', scripts: { build: 'true' } });
+      // A stand-in npm whose install takes longer than a fifth of the time limit
+      await fs.outputFile(path.join(tempDir, 'bin', 'npm'), [
+        '#!/bin/sh',
+        'case "$1" in',
+        '  install|ci) sleep 3 ;;',
+        '  audit) echo \'{"metadata":{"vulnerabilities":{}}}\' ;;',
+        'esac',
+        'exit 0',
+        ''
+      ].join('\n'), { mode: 0o755 });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      try {
+        const verdict = await verify({ submission: tempDir, language: 'nodejs', timeout: 10 });
+        expect(verdict.checks.install).toMatchObject({ passed: true, details: 'npm install succeeded' });
+        expect(verdict.checks.compilation.skipped).toBeUndefined();
+        expect(verdict.checks.compilation.passed).toBe(true);
+      } finally {
+        process.env.PATH = originalPath;
+      }
+    }, 20000);
+    
+    test('rejects cyclic or unknown dependencies', async () => {
+      await expect(runPipeline([
+        { name: 'a', needs: ['b'] },
+        { name: 'b', needs: ['a'] }
+      ], async () => ({ passed: true }))).rejects.toThrow('Pipeline cycle');
+      
+      await expect(runPipeline([
+        { name: 'a', needs: ['missing'] }
+      ], async () => ({ passed: true }))).rejects.toThrow('unknown stage missing');
+    });
+  });
+  
+  describe('TypeScript', () => {
+    const TSC_OUTPUT = [
+      "src/cache.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+      "src/index.ts(3,10): error TS2305: Module './cache' has no exported member 'Cache'.",
+      "  Did you mean 'LruCache'?",
+      "error TS5023: Unknown compiler option 'strictest'.",
+      ''
+    ].join('\n');
+    
+    /**
+     * Write a TypeScript project whose compiler prints the given diagnostics
+     * @param {Object} scripts - package.json scripts
+     * @param {string} output - Compiler stdout
+     * @param {number} code - Compiler exit code
+     */
+    const writeProject = async (scripts, output, code) => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'ts-project', scripts, devDependencies: { typescript: '^5.0.0' } });
+      await fs.writeJson(path.join(tempDir, 'tsconfig.json'), { compilerOptions: { strict: true } });
+      await fs.outputFile(path.join(tempDir, 'node_modules/typescript/bin/tsc'),
+        `process.stdout.write(${JSON.stringify(output)}); process.exitCode = ${code};\n`);
+    };
+    
+    test('parses tsc diagnostics with locations and continuation lines', () => {
+      expect(parseTscOutput(TSC_OUTPUT)).toEqual([
+        { file: 'src/cache.ts', line: 12, column: 5, category: 'error', code: 'TS2322', message: "Type 'string' is not assignable to type 'number'." },
+        { file: 'src/index.ts', line: 3, column: 10, category: 'error', code: 'TS2305', message: "Module './cache' has no exported member 'Cache'.\nDid you mean 'LruCache'?" },
+        { file: null, line: null, column: null, category: 'error', code: 'TS5023', message: "Unknown compiler option 'strictest'." }
+      ]);
+    });
+    
+    test('reports build and type check as separate sub-results', async () => {
+      await writeProject({ build: 'node -e ""' }, TSC_OUTPUT, 2);
+      const failed = await runCompilationCheck(tempDir, 'typescript');
+      // Type errors do not fail a project that builds; the verdict gates them on their own
+      expect(failed).toMatchObject({
+        passed: true,
+        build: { passed: true, details: 'npm run build succeeded' },
+        typecheck: { passed: false, error: '3 type errors', errors: 3, details: '3 type errors: src/cache.ts:12 TS2322, src/index.ts:3 TS2305, TS5023' }
+      });
+      expect(failed.error).toBeUndefined();
+      expect(failed.typecheck.issues[0]).toEqual({ file: 'src/cache.ts', line: 12, column: 5, code: 'TS2322', message: "Type 'string' is not assignable to type 'number'." });
+      
+      await writeProject({}, '', 0);
+      expect(await runCompilationCheck(tempDir, 'typescript')).toMatchObject({
+        passed: true,
+        details: 'Builds; tsc --noEmit found no type errors',
+        typecheck: { passed: true, errors: 0, issues: [] }
+      });
+      
+      // tsc gets what is left of the verification's time, not a fixed two minutes
+      expect((await runCompilationCheck(tempDir, 'typescript', { deadline: Date.now() })).typecheck)
+        .toMatchObject({ passed: false, error: 'Type check timed out' });
+      
+      // Built with esbuild or swc, without typescript installed: the type check is skipped
+      await fs.remove(path.join(tempDir, 'node_modules'));
+      expect(await runCompilationCheck(tempDir, 'typescript')).toEqual({
+        passed: true,
+        details: 'Builds; type check skipped: typescript is not a dependency of the submission',
+        build: expect.objectContaining({ passed: true }),
+        typecheck: { skipped: true, details: 'typescript is not a dependency of the submission' }
+      });
+    });
+    
+    test('type errors cap the verdict at PARTIAL without failing compilation', () => {
+      const results = {
+        compilation: { passed: true, typecheck: { passed: false, error: '3 type errors', errors: 3 } },
+        tests: { passed: true, found: true, total: 10, passing: 10, failing: 0 },
+        coverage: { percentage: 90, passed: true },
+        lint: { passed: true, errors: 0, warnings: 0, linesOfCode: 500, errorsPerKloc: 0, warningsPerKloc: 0 },
+        security: { vulnerabilities: 0 },
+        requirements: { matches: { 'REST API': true }, total: 1, met: 1, missed: 0 }
+      };
+      const verdict = generateVerdict(results);
+      expect(verdict.verdict).toBe('PARTIAL');
+      expect(verdict.breakdown.gates).toEqual([{ gate: 'typecheck', cap: 'PARTIAL', reason: '3 type errors capped the verdict at PARTIAL' }]);
+      expect(verdict.reasoning).toContain('Code builds but fails the type check: 3 type errors.');
+      
+      results.compilation.typecheck = { skipped: true, details: 'typescript is not a dependency of the submission' };
+      expect(generateVerdict(results)).toMatchObject({ verdict: 'PASS', breakdown: { gates: [] } });
+    });
+  });
+  
+  describe('Go', () => {
+    test('parses build and vet diagnostics', () => {
+      const stderr = [
+        '# example.com/svc/internal/cache',
+        'internal/cache/lru.go:14:9: cannot use "x" (untyped string constant) as int value in return statement',
+        './main.go:22:2: fmt.Printf format %d has arg name of wrong type string',
+        '\tsee https://pkg.go.dev/fmt',
+        'go.go:3: missing return'
+      ].join('\n');
+      
+      expect(parseGoDiagnostics(stderr)).toEqual([
+        { file: 'internal/cache/lru.go', line: 14, column: 9, message: 'cannot use "x" (untyped string constant) as int value in return statement' },
+        { file: 'main.go', line: 22, column: 2, message: 'fmt.Printf format %d has arg name of wrong type string\nsee https://pkg.go.dev/fmt' },
+        { file: 'go.go', line: 3, column: null, message: 'missing return' }
+      ]);
+    });
+    
+    test('vet findings are reported without failing a project that builds', async () => {
+      await fs.outputFile(path.join(tempDir, 'go.mod'), 'module example.com/svc\n\ngo 1.21\n');
+      await fs.outputFile(path.join(tempDir, 'main.go'), [
+        'package main',
+        '',
+        'import "fmt"',
+        '',
+        'func main() {',
+        '\tfmt.Printf("%d\\n", "users")',
+        '}',
+        ''
+      ].join('\n'));
+      
+      const result = await runCompilationCheck(tempDir, 'go');
+      expect(result).toMatchObject({
+        passed: true,
+        build: { passed: true },
+        vet: { passed: false, error: '1 go vet finding', errors: 1 }
+      });
+      expect(result.error).toBeUndefined();
+      expect(result.vet.issues[0]).toMatchObject({ file: 'main.go', line: 6 });
+    }, 120000);
+    
+    test('reads cover profiles, merging blocks across test binaries', async () => {
+      const profile = path.join(tempDir, 'coverage.out');
+      await fs.writeFile(profile, [
+        'mode: set',
+        'example.com/svc/calc.go:5.24,5.40 1 1',
+        'example.com/svc/calc.go:8.29,10.2 3 0',
+        'example.com/svc/calc.go:8.29,10.2 3 1',
+        'example.com/svc/util/util.go:3.24,3.42 4 0',
+        ''
+      ].join('\n'));
+      
+      expect(await readGoCoverProfile(profile)).toEqual({ available: true, tool: 'go test', percentage: 50, statements: 50 });
+      expect(await readGoCoverProfile(path.join(tempDir, 'missing.out'))).toMatchObject({ available: false });
+    });
+    
+    test('checks govulncheck findings against a local database', async () => {
+      const vulnDb = path.join(tempDir, 'vulndb');
+      await fs.ensureDir(vulnDb);
+      expect(await runSecurityCheck(tempDir, 'go')).toMatchObject({ passed: true, details: 'No Go vulnerability database configured' });
+      expect(await runSecurityCheck(tempDir, 'go', { goVulnDb: path.join(tempDir, 'none') })).toMatchObject({ passed: false, error: 'Go vulnerability database not found' });
+      
+      // govulncheck streams indented JSON messages; a stand-in prints a recorded run
+      const report = [
+        { config: { protocol_version: 'v1.0.0', db: `file://${vulnDb}` } },
+        { osv: { id: 'GO-2024-0001', summary: 'Request smuggling in x/net/http2' } },
+        { osv: { id: 'GO-2024-0002', summary: 'Panic on "{" in x/text' } },
+        { finding: { osv: 'GO-2024-0001', fixed_version: 'v0.23.0', trace: [{ module: 'golang.org/x/net', version: 'v0.17.0' }] } },
+        { finding: { osv: 'GO-2024-0001', fixed_version: 'v0.23.0', trace: [{ module: 'golang.org/x/net', version: 'v0.17.0', package: 'golang.org/x/net/http2', function: 'ReadFrame' }] } },
+        { finding: { osv: 'GO-2024-0002', trace: [{ module: 'golang.org/x/text', version: 'v0.3.0' }] } }
+      ].map(message => JSON.stringify(message, null, 2)).join('\n');
+      await fs.outputFile(path.join(tempDir, 'report.json'), report);
+      await fs.outputFile(path.join(tempDir, 'bin', 'govulncheck'), `#!/bin/sh\ncat "${path.join(tempDir, 'report.json')}"\nexit 3\n`, { mode: 0o755 });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      try {
+        expect(await runSecurityCheck(tempDir, 'go', { goVulnDb: vulnDb })).toEqual({
+          passed: false,
+          vulnerabilities: 2,
+          high: 1,
+          low: 1,
+          details: [
+            'golang.org/x/net@v0.17.0: GO-2024-0001 Request smuggling in x/net/http2 (fixed in v0.23.0)',
+            'golang.org/x/text@v0.3.0: GO-2024-0002 Panic on "{" in x/text - not called'
+          ],
+          secrets: expect.objectContaining({ passed: true, found: 0 })
+        });
+      } finally {
+        process.env.PATH = originalPath;
+      }
+    });
+  });
+  
+  describe('Python', () => {
+    test('parses unittest verbose output', () => {
+      const stderr = [
+        'test_add (test_calc.TestCalc.test_add)',
+        'Adds numbers. ... ok',
+        'test_err (test_calc.TestCalc.test_err) ... ERROR',
+        "test_skip (test_calc.TestCalc.test_skip) ... skipped 'later'",
+        'test_sub (test_calc.TestCalc) ... FAIL',
+        'test_xfail (test_calc.TestCalc.test_xfail) ... expected failure',
+        '',
+        '='.repeat(70),
+        'ERROR: test_err (test_calc.TestCalc.test_err)',
+        '-'.repeat(70),
+        'Traceback (most recent call last):',
+        '  File "/work/test_calc.py", line 13, in test_err',
+        '    raise ValueError("boom")',
+        'ValueError: boom',
+        '',
+        '='.repeat(70),
+        'FAIL: test_sub (test_calc.TestCalc)',
+        '-'.repeat(70),
+        'Traceback (most recent call last):',
+        '  File "/work/test_calc.py", line 10, in test_sub',
+        '    self.assertEqual(1 - 1, 2)',
+        'AssertionError: 0 != 2',
+        '',
+        '-'.repeat(70),
+        'Ran 5 tests in 0.001s',
+        '',
+        'FAILED (failures=1, errors=1, skipped=1, expected failures=1)'
+      ].join('\n');
+      
+      const cases = parseUnittestOutput(stderr);
+      expect(cases.map(c => [c.name, c.status, c.failureMessage])).toEqual([
+        ['test_calc.TestCalc.test_add', 'passed', null],
+        ['test_calc.TestCalc.test_err', 'failed', 'ValueError: boom'],
+        ['test_calc.TestCalc.test_skip', 'skipped', null],
+        ['test_calc.TestCalc.test_sub', 'failed', 'AssertionError: 0 != 2'],
+        ['test_calc.TestCalc.test_xfail', 'passed', null]
+      ]);
+      expect(summarizeCases(cases)).toMatchObject({ total: 4, passing: 2, failing: 2, skipped: 1 });
+    });
+    
+    test('compiles every module, skipping the virtualenv', async () => {
+      await fs.outputFile(path.join(tempDir, 'app.py'), 'x = 1\n');
+      await fs.outputFile(path.join(tempDir, 'pkg', 'bad.py'), 'def f(:\n    pass\n');
+      await fs.outputFile(path.join(tempDir, 'pkg', 'tabs.py'), 'if True:\n        x = 1\n\tpass\n');
+      await fs.outputFile(path.join(tempDir, '.clawjudge', 'venv', 'lib', 'broken.py'), 'def (\n');
+      
+      const result = await runCompilationCheck(tempDir, 'python');
+      expect(result).toMatchObject({ passed: false, error: '2 Python syntax errors', errors: 2 });
+      expect(result.issues).toEqual([
+        { file: 'pkg/bad.py', line: 1, message: 'SyntaxError: invalid syntax' },
+        { file: 'pkg/tabs.py', line: 3, message: 'TabError: inconsistent use of tabs and spaces in indentation' }
+      ]);
+    });
+    
+    test('reads exact pins from poetry.lock', () => {
+      const lock = '[[package]]\nname = "requests"\nversion = "2.31.0"\noptional = false\n\n' +
+        '[package.dependencies]\nidna = ">=2.5"\n\n[[package]]\nname = "idna"\nversion = "3.6"\n\n[metadata]\nlock-version = "2.0"\n';
+      expect(parsePoetryLock(lock)).toEqual(['requests==2.31.0', 'idna==3.6']);
+    });
+    
+    test('reads build and runtime requirements from pyproject.toml without a build backend', () => {
+      const pyproject = '[build-system]\nrequires = ["hatchling>=1.18"]\nbuild-backend = "hatchling.build"\n\n' +
+        '[project]\nname = "api"\ndependencies = [\n  "requests[socks]>=2.31",  # HTTP client\n  \'click\',\n]\n\n[tool.ruff]\nselect = ["E"]\n';
+      expect(parsePyprojectRequirements(pyproject)).toEqual({
+        build: ['hatchling>=1.18'],
+        dependencies: ['requests[socks]>=2.31', 'click']
+      });
+      // setup.py projects build with setuptools and declare nothing readable
+      expect(parsePyprojectRequirements('')).toEqual({ build: ['setuptools', 'wheel'], dependencies: [] });
+    });
+    
+    test('installs from a wheelhouse into a virtualenv and runs unittest', async () => {
+      // A minimal pure-Python wheel: the module plus its dist-info
+      const build = path.join(tempDir, 'build');
+      await fs.outputFile(path.join(build, 'tinylib', '__init__.py'), 'def double(x):\n    return x * 2\n');
+      await fs.outputFile(path.join(build, 'tinylib-1.0.dist-info', 'METADATA'), 'Metadata-Version: 2.1\nName: tinylib\nVersion: 1.0\n');
+      await fs.outputFile(path.join(build, 'tinylib-1.0.dist-info', 'WHEEL'), 'Wheel-Version: 1.0\nGenerator: test\nRoot-Is-Purelib: true\nTag: py3-none-any\n');
+      await fs.outputFile(path.join(build, 'tinylib-1.0.dist-info', 'RECORD'), '');
+      const wheelhouse = path.join(tempDir, 'wheels');
+      await fs.ensureDir(wheelhouse);
+      await createExecutor('direct').exec(`python3 -m zipfile -c "${path.join(wheelhouse, 'tinylib-1.0-py3-none-any.whl')}" tinylib tinylib-1.0.dist-info`, { cwd: build });
+      
+      const project = path.join(tempDir, 'project');
+      await fs.outputFile(path.join(project, 'requirements.txt'), 'tinylib==1.0\n');
+      await fs.outputFile(path.join(project, 'tests', '__init__.py'), '');
+      await fs.outputFile(path.join(project, 'tests', 'test_lib.py'), [
+        'import unittest',
+        'from tinylib import double',
+        '',
+        'class DoubleTest(unittest.TestCase):',
+        '    def test_double(self):',
+        '        self.assertEqual(double(2), 4)',
+        '',
+        '    def test_wrong(self):',
+        '        self.assertEqual(double(2), 5)',
+        ''
+      ].join('\n'));
+      
+      expect(await runInstallCheck(project, 'python', { wheelhouse })).toEqual({
+        passed: true,
+        details: 'Installed requirements.txt into .clawjudge/venv'
+      });
+      
+      const result = await runTestCheck(project, 'python', { coverage: false });
+      expect(result).toMatchObject({ passed: false, framework: 'unittest', total: 2, passing: 1, failing: 1 });
+      expect(result.cases.find(c => c.status === 'failed')).toMatchObject({
+        name: 'tests.test_lib.DoubleTest.test_wrong',
+        failureMessage: 'AssertionError: 4 != 5'
+      });
+    }, 60000);
+  });
+  
+  describe('Foundry', () => {
+    // A recorded `forge test --json` run: a unit test, a fuzz test, a failure and a skip
+    const forgeReport = {
+      'test/Counter.t.sol:CounterTest': {
+        duration: '3.2ms',
+        test_results: {
+          'test_Increment()': { status: 'Success', reason: null, kind: { Unit: { gas: 31303 } }, duration: { secs: 0, nanos: 1500000 } },
+          'testFuzz_SetNumber(uint256)': { status: 'Success', reason: null, kind: { Fuzz: { runs: 256, mean_gas: 31000, median_gas: 30987 } } },
+          'test_Decrement()': { status: 'Failure', reason: 'panic: arithmetic underflow or overflow (0x11)', kind: { Unit: { gas: 8123 } } },
+          'test_Later()': { status: 'Skipped', reason: null, kind: { Unit: { gas: 0 } } }
+        },
+        warnings: []
+      }
+    };
+    
+    test('parses forge test --json with per-test gas', () => {
+      const cases = parseForgeTestJson(`Compiling 2 files with Solc 0.8.24\n${JSON.stringify(forgeReport)}\n`);
+      expect(cases).toEqual([
+        { name: 'CounterTest.test_Increment()', file: 'test/Counter.t.sol', status: 'passed', duration: 2, failureMessage: null, gas: 31303 },
+        { name: 'CounterTest.testFuzz_SetNumber(uint256)', file: 'test/Counter.t.sol', status: 'passed', duration: null, failureMessage: null, gas: 30987 },
+        { name: 'CounterTest.test_Decrement()', file: 'test/Counter.t.sol', status: 'failed', duration: null, failureMessage: 'panic: arithmetic underflow or overflow (0x11)', gas: 8123 },
+        { name: 'CounterTest.test_Later()', file: 'test/Counter.t.sol', status: 'skipped', duration: null, failureMessage: null, gas: 0 }
+      ]);
+      expect(parseForgeTestJson('Error: Compiler run failed')).toEqual([]);
+    });
+    
+    test('parses forge coverage summaries from old and new table styles', () => {
+      const markdown = [
+        '| File            | % Lines       | % Statements  | % Branches    | % Funcs       |',
+        '|-----------------|---------------|---------------|---------------|---------------|',
+        '| src/Counter.sol | 75.00% (3/4)  | 80.00% (4/5)  | 50.00% (1/2)  | 100.00% (2/2) |',
+        '| Total           | 75.00% (3/4)  | 80.00% (4/5)  | 50.00% (1/2)  | 100.00% (2/2) |'
+      ].join('\n');
+      const boxed = [
+        '╭-----------------+---------------+---------------+---------------+---------------╮',
+        '| File            | % Lines       | % Statements  | % Branches    | % Funcs       |',
+        '+=================================================================================+',
+        '| src/Counter.sol | 75.00% (3/4)  | 80.00% (4/5)  | 100.00% (0/0) | 100.00% (2/2) |',
+        '|-----------------+---------------+---------------+---------------+---------------|',
+        '| Total           | 75.00% (3/4)  | 80.00% (4/5)  | 100.00% (0/0) | 100.00% (2/2) |',
+        '╰-----------------+---------------+---------------+---------------+---------------╯'
+      ].join('\n');
+      
+      expect(parseForgeCoverageSummary(markdown)).toEqual({
+        available: true, tool: 'forge coverage', percentage: 80, statements: 80, branches: 50, functions: 100, lines: 75
+      });
+      expect(parseForgeCoverageSummary(boxed)).toMatchObject({ percentage: 80, branches: undefined });
+      expect(parseForgeCoverageSummary('Error: no tests')).toMatchObject({ available: false });
+    });
+    
+    test('runs forge tests and coverage for Foundry projects', async () => {
+      await fs.writeFile(path.join(tempDir, 'foundry.toml'), '[profile.default]\n');
+      await fs.outputFile(path.join(tempDir, 'report.json'), JSON.stringify(forgeReport));
+      // A stand-in forge replays the recorded run and a coverage table
+      await fs.outputFile(path.join(tempDir, 'bin', 'forge'), [
+        '#!/bin/sh',
+        'if [ "$1" = coverage ]; then',
+        `  echo '| File | % Lines | % Statements | % Branches | % Funcs |'`,
+        `  echo '| Total | 90.00% (9/10) | 90.00% (9/10) | 50.00% (1/2) | 100.00% (3/3) |'`,
+        '  exit 0',
+        'fi',
+        `cat "${path.join(tempDir, 'report.json')}"`,
+        'exit 1',
+        ''
+      ].join('\n'), { mode: 0o755 });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      try {
+        const result = await runTestCheck(tempDir, 'solidity', { coverage: true });
+        expect(result).toMatchObject({ passed: false, framework: 'foundry', total: 3, passing: 2, failing: 1, skipped: 1 });
+        expect(result.gas).toContainEqual({ name: 'CounterTest.test_Increment()', gas: 31303 });
+        expect(result.coverage).toMatchObject({ available: true, tool: 'forge coverage', percentage: 90 });
+      } finally {
+        process.env.PATH = originalPath;
+      }
+    });
+  });
+  
+  describe('Solidity Analysis', () => {
+    const vault = [
+      'pragma solidity ^0.8.20;',
+      'import {SafeERC20, IERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";',
+      'contract Owned {',
+      '    address public owner;',
+      '    modifier onlyOwner() { require(msg.sender == owner); _; }',
+      '}',
+      'contract Vault is Owned {',
+      '    using SafeERC20 for IERC20;',
+      '    IERC20 public token;',
+      '    mapping(address => uint256) public balances;',
+      '    address[] public holders;',
+      '    uint256 public unlockAt;',
+      '    uint256 public fee;',
+      '    constructor(IERC20 _token) { owner = msg.sender; token = _token; }',
+      '    function withdraw(uint256 amount) external {',
+      '        (bool ok, ) = msg.sender.call{value: amount}("");',
+      '        require(ok);',
+      '        balances[msg.sender] -= amount;',
+      '    }',
+      '    function withdrawToken(uint256 amount) external {',
+      '        require(block.timestamp < unlockAt);',
+      '        balances[msg.sender] -= amount;',
+      '        token.safeTransfer(msg.sender, amount);',
+      '    }',
+      '    function forward(address target, bytes calldata data) external onlyOwner { target.call(data); }',
+      '    function setFee(uint256 newFee) external { fee = newFee; }',
+      '    function transferOwnership(address newOwner) public {',
+      '        require(tx.origin == owner);',
+      '        owner = newOwner;',
+      '    }',
+      '    function distribute() external onlyOwner {',
+      '        for (uint256 i = 0; i < holders.length; i++) payable(holders[i]).transfer(1);',
+      '    }',
+      '}'
+    ].join('\n');
+    
+    test('analyzes contracts in subdirectories and gates on high findings', async () => {
+      await fs.outputFile(path.join(tempDir, 'contracts', 'vault', 'Vault.sol'), vault);
+      // Tests, dependencies and files that do not parse are not findings
+      await fs.outputFile(path.join(tempDir, 'test', 'Vault.t.sol'), 'contract VaultTest { uint x; function setX() external { x = 1; } }');
+      await fs.outputFile(path.join(tempDir, 'node_modules', 'dep', 'Dep.sol'), 'contract Dep { uint x; function setX() external { x = 1; } }');
+      await fs.outputFile(path.join(tempDir, 'contracts', 'Broken.sol'), 'contract Broken {');
+      
+      const result = await runSecurityCheck(tempDir, 'solidity');
+      expect(result).toMatchObject({ passed: false, vulnerabilities: 5, critical: 0, high: 3, moderate: 2, low: 0, warnings: 1 });
+      expect(result.findings.map(finding => [finding.rule, finding.function, finding.line])).toEqual([
+        ['reentrancy', 'withdraw', 18],
+        ['unchecked-call', 'forward', 25],
+        ['tx-origin', 'transferOwnership', 28],
+        ['access-control', 'setFee', 26],
+        ['unbounded-loop', 'distribute', 32]
+      ]);
+      expect(result.details[0]).toBe('contracts/vault/Vault.sol:18 high - Vault.withdraw: State variable `balances` is written after the external call on line 16; a reentrant call sees the old value');
+    });
+    
+    test('follows success flags, guards and storage pointers', () => {
+      const findings = analyzeSoliditySource([
+        'contract Pool {',
+        '    struct Position { uint256 size; }',
+        '    mapping(uint256 => Position) positions;',
+        '    address public implementation;',
+        '    function close(uint256 id) external nonReentrant {',
+        '        Position storage p = positions[id];',
+        '        (bool ok, ) = msg.sender.call("");',
+        '        p.size = 0;',
+        '    }',
+        '    function exit(uint256 id) external {',
+        '        Position storage p = positions[id];',
+        '        require(payable(msg.sender).send(1));',
+        '        (bool ok, ) = msg.sender.call("");',
+        '        if (!ok) revert();',
+        '        p.size = 0;',
+        '    }',
+        '    function upgrade(address next) external { implementation = next; }',
+        '    function kill() public { selfdestruct(payable(address(0))); }',
+        '}'
+      ].join('\n'), 'Pool.sol');
+      
+      expect(findings.map(finding => [finding.rule, finding.severity, finding.function])).toEqual([
+        ['unchecked-call', 'high', 'close'],
+        ['reentrancy', 'high', 'exit'],
+        ['access-control', 'high', 'upgrade'],
+        ['access-control', 'high', 'kill']
+      ]);
+      expect(findings[0].message).toBe('Success flag `ok` of call() is never checked');
+    });
+  });
+  
+  describe('Secrets', () => {
+    // Made-up credentials in the formats the scanner knows, assembled at runtime so no scanner flags this file
+    const evmKey = `0x${'4c0883a6'.repeat(8)}`;
+    const githubToken = `ghp_${'Ab1Cd2Ef3Gh4'.repeat(3)}`;
+    const awsKeyId = ['AKIA', 'IOSFODNN7EXAMPLE'].join('');
+    const webhookSecret = ['whsec', '9fK2mQ7xL4pV', '8nR3tY6bZ1cW'].join('_');
+    const keyBlock = ['-----BEGIN', 'OPENSSH PRIVATE KEY-----'].join(' ');
+    const mnemonic = ['legal', 'winner', 'thank', 'year', 'wave', 'sausage', 'worth', 'useful', 'legal', 'winner', 'thank', 'yellow'].join(' ');
+    const jwt = ['eyJhbGciOiJIUzI1NiJ9', 'eyJzdWIiOiIxMjM0NTY3ODkwIn0', 'dozjgNryP4J3jVmNHl0w5N_XgL0n3I9PlFUP0THsR8U'].join('.');
+    // The Hardhat and Anvil default account and mnemonic, which are public
+    const hardhatKey = `0x${['ac0974bec39a17e36ba4a6b4d238ff94', '4bacb478cbed5efcae784d7bf4f2ff80'].join('')}`;
+    const hardhatMnemonic = [...Array(11).fill('test'), 'junk'].join(' ');
+    
+    /**
+     * Run a shell command in the temp directory, failing the test if it fails
+     * @param {string} command - Shell command
+     */
+    const sh = async (command) => {
+      const result = await runProcess('sh', ['-c', command], { cwd: tempDir });
+      expect(result).toMatchObject({ code: 0 });
+    };
+    
+    test('finds secrets in files and git history, reporting them redacted', async () => {
+      await fs.writeFile(path.join(tempDir, '.env'), `PRIVATE_KEY=${evmKey}\nAPI_TOKEN=\n`);
+      await fs.writeFile(path.join(tempDir, '.env.example'), 'PRIVATE_KEY=\n');
+      await fs.writeFile(path.join(tempDir, 'config.js'), [
+        'module.exports = {',
+        `  aws: { accessKeyId: '${awsKeyId}' },`,
+        "  apiKey: 'your_api_key_here',",
+        `  webhookSecret: '${webhookSecret}',`,
+        `  accounts: ['${hardhatKey}'],`,
+        `  mnemonic: '${hardhatMnemonic}',`,
+        "  tokenAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3'",
+        '};'
+      ].join('\n'));
+      await fs.writeFile(path.join(tempDir, 'deploy.js'), `const token = '${githubToken}';\n`);
+      await fs.outputFile(path.join(tempDir, 'node_modules', 'dep', 'index.js'), `const key = '${githubToken}';\n`);
+      await fs.writeFile(path.join(tempDir, '.gitignore'), 'node_modules\n');
+      await sh('git init -q && git add -A && git -c user.name=t -c user.email=t@t commit -qm add && git rm -q deploy.js && git -c user.name=t -c user.email=t@t commit -qm remove');
+      
+      const result = await runSecurityCheck(tempDir, 'unknown');
+      expect(result.passed).toBe(false);
+      expect(result.secrets).toMatchObject({ passed: false, found: 5, critical: 1, high: 2, moderate: 1, low: 1, history: { commits: 2 } });
+      expect(result.secrets.findings.map(finding => [finding.rule, finding.file, finding.line, finding.secret])).toEqual([
+        ['evm-private-key', '.env', 1, '0x4c****************'],
+        ['aws-access-key', 'config.js', 2, 'AKIA****************'],
+        ['github-token', 'deploy.js', 1, 'ghp_****************'],
+        ['high-entropy', 'config.js', 4, 'whse****************'],
+        ['env-file', '.env', 1, undefined]
+      ]);
+      expect(result.secrets.findings[2].message).toMatch(/^GitHub token added in commit [0-9a-f]{7} and removed since, but still in the history$/);
+      expect(JSON.stringify(result)).not.toContain(evmKey.slice(4));
+      expect(JSON.stringify(result)).not.toContain(githubToken.slice(4));
+    });
+    
+    test('recognises key blocks, mnemonics and JWTs without git', async () => {
+      await fs.writeFile(path.join(tempDir, 'id_rsa'), `${keyBlock}\nb3BlbnNzaC1rZXktdjEAAAAA\n${keyBlock.replace('BEGIN', 'END')}\n`);
+      await fs.writeFile(path.join(tempDir, 'hardhat.config.js'), `const MNEMONIC = '${mnemonic}';\n`);
+      await fs.writeFile(path.join(tempDir, 'auth.test.js'), `const session = '${jwt}';\n`);
+      
+      const { secrets } = await runSecurityCheck(tempDir, 'unknown');
+      expect(secrets.history).toEqual({ commits: 0, details: 'Not a git repository' });
+      expect(secrets.findings.map(finding => [finding.rule, finding.severity, finding.secret])).toEqual([
+        ['mnemonic', 'critical', '[12 words]'],
+        ['private-key', 'critical', keyBlock],
+        ['jwt', 'moderate', 'eyJh****************']
+      ]);
+    });
+    
+    test('committed secrets force FAIL', () => {
+      const verdict = generateVerdict({
+        compilation: { passed: true },
+        tests: { passed: true, total: 10, passing: 10, found: true },
+        coverage: { passed: true, percentage: 90 },
+        security: {
+          passed: false,
+          vulnerabilities: 0,
+          secrets: {
+            passed: false,
+            found: 2,
+            critical: 1,
+            high: 0,
+            moderate: 1,
+            low: 0,
+            findings: [
+              { rule: 'evm-private-key', severity: 'critical', file: '.env', line: 1, secret: '0x4c****************', message: 'EVM private key committed' },
+              { rule: 'jwt', severity: 'moderate', file: 'auth.test.js', line: 1, secret: 'eyJh****************', message: 'JSON Web Token committed' }
+            ]
+          }
+        },
+        requirements: { matches: {}, total: 0, met: 0, missed: 0 }
+      }, {});
+      
+      expect(verdict.verdict).toBe('FAIL');
+      expect(verdict.breakdown.gates).toEqual([{ gate: 'secrets', cap: 'FAIL', reason: '1 committed secret forced FAIL' }]);
+      expect(verdict.reasoning).toContain('2 committed secrets found (evm-private-key, jwt).');
+      expect(verdict.recommendation).toContain('must be revoked and purged from the repository history');
+    });
+  });
+  
+  describe('Rust', () => {
+    test('sums test results across every crate and test binary', () => {
+      const output = [
+        '     Running unittests src/lib.rs (target/debug/deps/demo-ed92602a0e8eaf5e)',
+        'test result: FAILED. 1 passed; 1 failed; 1 ignored; 0 measured; 0 filtered out; finished in 0.02s',
+        '     Running tests/it.rs (target/debug/deps/it-9be4081cb8e975c0)',
+        'test result: ok. 4 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.00s',
+        '   Doc-tests demo',
+        'test result: ok. 2 passed; 0 failed; 1 ignored; 0 measured; 0 filtered out; finished in 0.30s'
+      ].join('\n');
+      
+      expect(parseTestOutput(output, 101)).toEqual({
+        passed: false, total: 8, passing: 7, failing: 1, skipped: 2, details: '7/8 tests passing, 2 skipped'
+      });
+    });
+    
+    test('reads cargo llvm-cov and tarpaulin reports', async () => {
+      const llvmCov = path.join(tempDir, 'llvm-cov.json');
+      await fs.writeJson(llvmCov, {
+        type: 'llvm.coverage.json.export',
+        data: [{
+          totals: {
+            lines: { count: 40, covered: 30, percent: 75 },
+            regions: { count: 50, covered: 40, notcovered: 10, percent: 80 },
+            functions: { count: 8, covered: 7, percent: 87.5 },
+            branches: { count: 0, covered: 0, notcovered: 0, percent: 0 }
+          }
+        }]
+      });
+      expect(await readLlvmCovReport(llvmCov)).toEqual({
+        available: true, tool: 'cargo llvm-cov', percentage: 75, statements: 80, branches: undefined, functions: 87.5, lines: 75
+      });
+      
+      // Older tarpaulin releases only report per-file counts
+      const tarpaulin = path.join(tempDir, 'tarpaulin-report.json');
+      await fs.writeJson(tarpaulin, { files: [{ path: ['src', 'lib.rs'], covered: 3, coverable: 4 }, { path: ['src', 'io.rs'], covered: 0, coverable: 4 }] });
+      expect(await readTarpaulinReport(tarpaulin)).toEqual({ available: true, tool: 'tarpaulin', percentage: 37.5, lines: 37.5 });
+      expect(await readTarpaulinReport(path.join(tempDir, 'missing.json'))).toMatchObject({ available: false });
+    });
+    
+    test('lints with clippy and audits against a local advisory database', async () => {
+      const advisoryDb = path.join(tempDir, 'advisory-db');
+      await fs.ensureDir(advisoryDb);
+      await fs.writeFile(path.join(tempDir, 'Cargo.toml'), '[package]\nname = "demo"\nversion = "0.1.0"\n');
+      await fs.writeFile(path.join(tempDir, 'Cargo.lock'), 'version = 4\n');
+      await fs.writeFile(path.join(tempDir, 'src.rs'), 'fn main() {}\n'.repeat(10));
+      expect(await runSecurityCheck(tempDir, 'rust')).toMatchObject({ passed: true, details: 'No RustSec advisory database configured' });
+      
+      // clippy reports a diagnostic once per target that compiles the file
+      const diagnostic = (level, message, code, line) => JSON.stringify({
+        reason: 'compiler-message',
+        message: { level, message, code: code && { code }, spans: [{ file_name: 'src/lib.rs', line_start: line, column_start: 5, is_primary: true }] }
+      });
+      const clippy = [
+        diagnostic('warning', 'unneeded `return` statement', 'clippy::needless_return', 3),
+        diagnostic('error', 'this comparison involving the minimum or maximum element for this type contains a case that is always true or always false', 'clippy::absurd_extreme_comparisons', 9),
+        diagnostic('warning', 'unneeded `return` statement', 'clippy::needless_return', 3),
+        JSON.stringify({ reason: 'compiler-message', message: { level: 'warning', message: '1 warning emitted', spans: [] } }),
+        JSON.stringify({ reason: 'build-finished', success: false })
+      ].join('\n');
+      const audit = {
+        vulnerabilities: {
+          found: true,
+          count: 3,
+          list: [
+            { advisory: { id: 'RUSTSEC-2024-0001', title: 'Out-of-bounds write', cvss: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' }, package: { name: 'smallvec', version: '1.6.0' }, versions: { patched: ['>=1.6.1'] } },
+            { advisory: { id: 'RUSTSEC-2024-0002', title: 'Denial of service', cvss: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N' }, package: { name: 'h2', version: '0.3.0' }, versions: { patched: [] } },
+            { advisory: { id: 'RUSTSEC-2024-0003', title: 'Unsound cast', cvss: null }, package: { name: 'bytes', version: '1.0.0' }, versions: { patched: ['>=1.0.1'] } }
+          ]
+        },
+        warnings: { unmaintained: [{ kind: 'unmaintained' }], yanked: [{ kind: 'yanked' }] }
+      };
+      await fs.outputFile(path.join(tempDir, 'clippy.json'), clippy);
+      await fs.outputFile(path.join(tempDir, 'audit.json'), JSON.stringify(audit));
+      // A stand-in cargo replays recorded clippy and cargo-audit output
+      await fs.outputFile(path.join(tempDir, 'bin', 'cargo'), [
+        '#!/bin/sh',
+        `if [ "$1" = clippy ]; then cat "${path.join(tempDir, 'clippy.json')}"; exit 101; fi`,
+        `if [ "$1" = audit ]; then cat "${path.join(tempDir, 'audit.json')}"; exit 1; fi`,
+        'exit 2',
+        ''
+      ].join('\n'), { mode: 0o755 });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      try {
+        expect(await runLintCheck(tempDir, 'rust')).toMatchObject({
+          passed: false,
+          linter: 'clippy',
+          errors: 1,
+          warnings: 1,
+          issues: ['src/lib.rs:9: this comparison involving the minimum or maximum element for this type contains a case that is always true or always false (clippy::absurd_extreme_comparisons)']
+        });
+        expect(await runSecurityCheck(tempDir, 'rust', { rustAdvisoryDb: advisoryDb })).toEqual({
+          passed: false,
+          vulnerabilities: 3,
+          critical: 1,
+          high: 0,
+          moderate: 2,
+          low: 0,
+          warnings: 2,
+          details: [
+            'smallvec@1.6.0: RUSTSEC-2024-0001 critical - Out-of-bounds write (patched: >=1.6.1)',
+            'h2@0.3.0: RUSTSEC-2024-0002 moderate - Denial of service',
+            'bytes@1.0.0: RUSTSEC-2024-0003 moderate - Unsound cast (patched: >=1.0.1)'
+          ],
+          secrets: expect.objectContaining({ passed: true, found: 0 })
+        });
+      } finally {
+        process.env.PATH = originalPath;
+      }
+    });
+  });
+  
+  describe('Coverage', () => {
+    test('consumes the coverage artifact from the test run', async () => {
+      const testResult = {
+        passed: true,
+        coverage: { available: true, tool: 'jest', percentage: 82.5, statements: 82.5, branches: 60, functions: 90, lines: 83 }
+      };
+      
+      const result = await runCoverageCheck(tempDir, 'nodejs', 70, { testResult });
+      expect(result).toMatchObject({ passed: true, percentage: 83, threshold: 70, tool: 'jest' });
+      expect(result.summary.branches).toBe(60);
+    });
+    
+    test('a Node.js test run keeps the reports of other runners', async () => {
+      await fs.outputJson(path.join(tempDir, 'package.json'), { name: 'calc', version: '1.0.0', scripts: { test: 'node --test' } });
+      await fs.outputFile(path.join(tempDir, 'calc.js'), 'exports.add = (a, b) => a + b;\n');
+      await fs.outputFile(path.join(tempDir, 'test', 'calc.test.js'), [
+        "const test = require('node:test');",
+        "const assert = require('node:assert');",
+        "const { add } = require('../calc');",
+        "test('adds', () => assert.strictEqual(add(2, 3), 5));",
+        ''
+      ].join('\n'));
+      await fs.outputFile(path.join(tempDir, '.clawjudge', 'go-test', 'coverage.out'), 'mode: set\n');
+      
+      const result = await runTestCheck(tempDir, 'nodejs', { coverage: true });
+      expect(result).toMatchObject({ passed: true, total: 1, passing: 1 });
+      expect(result.coverage).toMatchObject({ available: true, tool: 'c8', percentage: 100 });
+      expect(await fs.pathExists(path.join(tempDir, '.clawjudge', 'node-test', 'coverage', 'coverage-summary.json'))).toBe(true);
+      expect(await fs.pathExists(path.join(tempDir, '.clawjudge', 'go-test', 'coverage.out'))).toBe(true);
+    }, 60000);
+    
+    test('reports why coverage is unavailable', async () => {
+      const testResult = { passed: true, coverage: { available: false, reason: 'pytest-cov not installed' } };
+      
+      const result = await runCoverageCheck(tempDir, 'python', 70, { testResult });
+      expect(result.passed).toBe(false);
+      expect(result.details).toBe('No coverage data: pytest-cov not installed');
+    });
+    
+    test('summarizes an Istanbul coverage map', async () => {
+      const coveragePath = path.join(tempDir, 'coverage.json');
+      await fs.writeJson(coveragePath, {
+        'contracts/Token.sol': {
+          s: { 1: 1, 2: 0, 3: 4, 4: 2 },
+          b: { 1: [1, 0] },
+          f: { 1: 3, 2: 0 },
+          l: { 10: 1, 11: 0 }
+        }
+      });
+      
+      const coverage = await readIstanbulCoverageMap(coveragePath, 'solidity-coverage');
+      expect(coverage).toMatchObject({ available: true, percentage: 75, branches: 50, functions: 50, lines: 50 });
+    });
+  });
+  
+  describe('Test Reporters', () => {
+    test('parses jest JSON reports into per-test records', () => {
+      const cases = parseJestReport({
+        testResults: [{
+          name: '/repo/test/math.test.js',
+          assertionResults: [
+            { fullName: 'math adds', status: 'passed', duration: 4, failureMessages: [] },
+            { fullName: 'math fails on purpose', status: 'failed', duration: 2, failureMessages: ['\u001b[31mExpected: 6\u001b[39m'] },
+            { fullName: 'math later', status: 'pending', failureMessages: [] }
+          ]
+        }]
+      }, '/repo');
+      
+      expect(cases[0]).toEqual({ name: 'math adds', file: 'test/math.test.js', status: 'passed', duration: 4, failureMessage: null });
+      expect(cases[1]).toMatchObject({ status: 'failed', failureMessage: 'Expected: 6' });
+      expect(cases[2].status).toBe('skipped');
+      expect(summarizeCases(cases)).toMatchObject({ passed: false, total: 2, passing: 1, failing: 1, skipped: 1 });
+    });
+    
+    test('parses mocha JSON reports', () => {
+      const failing = { title: 'rejects', fullTitle: 'api rejects', file: '/repo/test/api.js', duration: 3, err: { message: 'expected 401' } };
+      const cases = parseMochaReport({
+        tests: [
+          { title: 'accepts', fullTitle: 'api accepts', file: '/repo/test/api.js', duration: 5, err: {} },
+          failing,
+          { title: 'todo', fullTitle: 'api todo', file: '/repo/test/api.js', err: {} }
+        ],
+        failures: [failing],
+        pending: [{ fullTitle: 'api todo' }]
+      }, '/repo');
+      
+      expect(cases.map(c => c.status)).toEqual(['passed', 'failed', 'skipped']);
+      expect(cases[1]).toMatchObject({ file: 'test/api.js', failureMessage: 'expected 401' });
+    });
+    
+    test('parses node --test TAP output and ignores suites', () => {
+      const tap = [
+        'TAP version 13',
+        '# Subtest: math',
+        '    # Subtest: adds',
+        '    ok 1 - adds',
+        '      ---',
+        '      duration_ms: 1.5',
+        '      ...',
+        '    # Subtest: fails',
+        '    not ok 2 - fails',
+        '      ---',
+        '      duration_ms: 0.7',
+        '      location: \'/repo/test/math.test.js:5:3\'',
+        '      failureType: \'testCodeFailure\'',
+        '      error: |-',
+        '        Expected values to be strictly equal:',
+        '        1 !== 2',
+        '      ...',
+        '    # Subtest: later',
+        '    ok 3 - later # SKIP',
+        '    1..3',
+        'not ok 1 - math',
+        '  ---',
+        '  duration_ms: 3',
+        '  type: \'suite\'',
+        '  ...',
+        '# Subtest: a test named failing fast',
+        'ok 2 - a test named failing fast',
+        '1..2'
+      ].join('\n');
+      
+      const cases = parseTap(tap, '/repo');
+      expect(cases.map(c => [c.name, c.status])).toEqual([
+        ['math > adds', 'passed'],
+        ['math > fails', 'failed'],
+        ['math > later', 'skipped'],
+        ['a test named failing fast', 'passed']
+      ]);
+      expect(cases[1]).toMatchObject({
+        file: 'test/math.test.js',
+        duration: 0.7,
+        failureMessage: 'Expected values to be strictly equal:\n1 !== 2'
+      });
+    });
+    
+    test('parses pytest JUnit XML', async () => {
+      await fs.outputFile(path.join(tempDir, 'tests/test_api.py'), '');
+      const xml = `<?xml version="1.0" encoding="utf-8"?><testsuites><testsuite name="pytest">
+        <testcase classname="tests.test_api" name="test_ok" file="tests/test_api.py" time="0.012" />
+        <testcase classname="tests.test_api" name="test_bad" time="0.003"><failure message="assert 1 == 2 &amp; more">trace</failure></testcase>
+        <testcase classname="tests.test_api" name="test_skip" time="0"><skipped message="later" /></testcase>
+        <testcase classname="tests.test_api.TestUsers" name="test_create" time="0.001" />
+        <testcase classname="tests.test_models.TestUser" name="test_save" time="0.001" />
+      </testsuite></testsuites>`;
+      
+      const cases = parseJUnitXml(xml, tempDir);
+      expect(cases).toHaveLength(5);
+      expect(cases[0]).toEqual({
+        name: 'tests.test_api::test_ok', file: 'tests/test_api.py', status: 'passed', duration: 12, failureMessage: null
+      });
+      expect(cases[1]).toMatchObject({ status: 'failed', file: 'tests/test_api.py', failureMessage: 'assert 1 == 2 & more' });
+      expect(cases[2].status).toBe('skipped');
+      // A class-based test maps to its module; a module that is not in the project maps to nothing
+      expect(cases[3]).toMatchObject({ name: 'tests.test_api.TestUsers::test_create', file: 'tests/test_api.py' });
+      expect(cases[4]).toMatchObject({ name: 'tests.test_models.TestUser::test_save', file: null });
+    });
+    
+    test('parses cargo test JSON events', () => {
+      const output = [
+        '{ "type": "suite", "event": "started", "test_count": 2 }',
+        '{ "type": "test", "event": "started", "name": "tests::adds" }',
+        '{ "type": "test", "name": "tests::adds", "event": "ok", "exec_time": 0.001 }',
+        '{ "type": "test", "name": "tests::fails", "event": "failed", "exec_time": 0.002, "stdout": "assertion failed: 1 == 2" }',
+        '{ "type": "suite", "event": "failed", "passed": 1, "failed": 1 }'
+      ].join('\n');
+      
+      const cases = parseCargoJson(output);
+      expect(cases).toEqual([
+        { name: 'tests::adds', file: null, status: 'passed', duration: 1, failureMessage: null },
+        { name: 'tests::fails', file: null, status: 'failed', duration: 2, failureMessage: 'assertion failed: 1 == 2' }
+      ]);
+    });
+    
+    test('parses go test JSON events, counting leaf tests', () => {
+      const events = [
+        { Action: 'run', Package: 'example.com/svc', Test: 'TestAdd' },
+        { Action: 'pass', Package: 'example.com/svc', Test: 'TestAdd', Elapsed: 0.01 },
+        { Action: 'run', Package: 'example.com/svc', Test: 'TestTable' },
+        { Action: 'output', Package: 'example.com/svc', Test: 'TestTable/empty', Output: '=== RUN   TestTable/empty\n' },
+        { Action: 'output', Package: 'example.com/svc', Test: 'TestTable/empty', Output: '    table_test.go:12: got 1, want 0\n' },
+        { Action: 'output', Package: 'example.com/svc', Test: 'TestTable/empty', Output: '--- FAIL: TestTable/empty (0.00s)\n' },
+        { Action: 'fail', Package: 'example.com/svc', Test: 'TestTable/empty', Elapsed: 0 },
+        { Action: 'skip', Package: 'example.com/svc', Test: 'TestTable/slow', Elapsed: 0 },
+        { Action: 'fail', Package: 'example.com/svc', Test: 'TestTable', Elapsed: 0.002 },
+        { Action: 'fail', Package: 'example.com/svc', Elapsed: 0.02 }
+      ];
+      
+      const cases = parseGoTestJson(['# example.com/svc', ...events.map(event => JSON.stringify(event))].join('\n'));
+      expect(cases).toEqual([
+        { name: 'TestAdd', file: null, status: 'passed', duration: 10, failureMessage: null },
+        { name: 'TestTable/empty', file: null, status: 'failed', duration: 0, failureMessage: 'table_test.go:12: got 1, want 0' },
+        { name: 'TestTable/slow', file: null, status: 'skipped', duration: 0, failureMessage: null }
+      ]);
+    });
+  });
+  
+  describe('Acceptance Tests', () => {
+    test('rejects paths outside the submission', async () => {
+      await expect(loadAcceptanceTests({ '../escape.test.js': '' })).rejects.toThrow('Invalid acceptance test path');
+      await expect(loadAcceptanceTests({ '/etc/passwd': '' })).rejects.toThrow('Invalid acceptance test path');
+      await expect(loadAcceptanceTests({ 'test/$(id).test.js': '' })).rejects.toThrow('Invalid acceptance test path');
+      await expect(loadAcceptanceTests({ 'test/ok.test.js': '' })).resolves.toEqual([
+        { path: 'test/ok.test.js', content: '' }
+      ]);
+    });
+    
+    test('runs acceptance files and restores the submission', async () => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test' });
+      await fs.writeFile(path.join(tempDir, 'index.js'), 'module.exports = (a, b) => a + b;');
+      await fs.outputFile(path.join(tempDir, 'test', 'sum.test.js'), '// worker test');
+      
+      const files = await loadAcceptanceTests({
+        'test/sum.test.js': "const test = require('node:test'); const assert = require('assert'); const sum = require('../index');\n" +
+          "test('adds', () => assert.strictEqual(sum(2, 3), 5));",
+        'hidden/edge.test.js': "const test = require('node:test'); const assert = require('assert'); const sum = require('../index');\n" +
+          "test('adds negatives', () => assert.strictEqual(sum(-2, -3), -4));"
+      });
+      
+      const result = await runAcceptanceCheck(tempDir, 'nodejs', files);
+      expect(result).toMatchObject({ found: true, passed: false, framework: 'node:test', total: 2, passing: 1, failing: 1 });
+      expect(result.cases.find(c => c.status === 'failed').name).toBe('adds negatives');
+      
+      expect(await fs.readFile(path.join(tempDir, 'test', 'sum.test.js'), 'utf8')).toBe('// worker test');
+      expect(await fs.pathExists(path.join(tempDir, 'hidden'))).toBe(false);
+    });
+    
+    test('keeps runner output of unrecognised runners out of the verdict', async () => {
+      await fs.writeFile(path.join(tempDir, 'hardhat.config.js'), 'module.exports = {};');
+      // A stand-in Hardhat whose output matches no known summary and quotes the hidden test
+      await fs.outputFile(path.join(tempDir, 'bin', 'npx'), [
+        '#!/bin/sh',
+        'echo "expected balance to equal HIDDEN-EXPECTED-4242 in test/hidden.test.js"',
+        'echo "AssertionError: HIDDEN-EXPECTED-4242" >&2',
+        'exit 1',
+        ''
+      ].join('\n'), { mode: 0o755 });
+      const files = await loadAcceptanceTests({ 'test/hidden.test.js': '// hidden' });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      let acceptance;
+      try {
+        acceptance = await runAcceptanceCheck(tempDir, 'solidity', files);
+      } finally {
+        process.env.PATH = originalPath;
+      }
+      expect(acceptance).toMatchObject({ passed: false, found: true, framework: 'hardhat' });
+      
+      const verdict = generateVerdict({
+        compilation: { passed: true },
+        tests: { passed: true, found: true, total: 1, passing: 1, failing: 0 },
+        acceptance,
+        requirements: { matches: {}, total: 0, met: 0, missed: 0 }
+      }, {});
+      expect(JSON.stringify(acceptance)).not.toContain('HIDDEN-EXPECTED');
+      expect(JSON.stringify(verdict)).not.toContain('HIDDEN-EXPECTED');
+    });
+    
+    test('scores acceptance tests separately and hides their messages', () => {
+      const results = {
+        compilation: { passed: true },
+        tests: { passed: true, found: true, total: 3, passing: 3, failing: 0 },
+        acceptance: {
+          passed: false,
+          found: true,
+          total: 2,
+          passing: 1,
+          failing: 1,
+          cases: [{ name: 'rejects overdraft', file: 'test/bank.test.js', status: 'failed', failureMessage: 'expect(withdraw(100)).toThrow()' }]
+        },
+        coverage: { percentage: 100, passed: true },
+        security: { vulnerabilities: 0 },
+        requirements: { matches: {}, total: 0, met: 0, missed: 0 }
+      };
+      
+      const verdict = generateVerdict(results, {});
+      expect(verdict.score).toBe(71);
+      expect(verdict.verdict).toBe('PARTIAL');
+      expect(verdict.checks.acceptance.cases).toEqual([{ name: 'rejects overdraft', file: 'test/bank.test.js' }]);
+      expect(verdict.reasoning).toContain('1/2 acceptance tests passing.');
+    });
+  });
+  
+  describe('Requirement Providers', () => {
+    /**
+     * fetch stub answering every chat completion with the given message content
+     * @param {string} content - Message content
+     * @param {Object[]} requests - Receives each request ({ url, body, headers })
+     * @returns {Function} fetch
+     */
+    const fakeFetch = (content, requests = []) => async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body), headers: init.headers });
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { role: 'assistant', content } }] })
+      };
+    };
+    
+    const writeProject = async () => {
+      await fs.outputFile(path.join(tempDir, 'package.json'), JSON.stringify({
+        name: 'api',
+        dependencies: { express: '^4.18.0' }
+      }, null, 2));
+      await fs.outputFile(path.join(tempDir, 'src', 'routes', 'users.js'), "const router = require('express').Router();\nrouter.get('/users', list);\n");
+    };
+    
+    test('heuristic provider returns met, confidence, evidence and rationale', async () => {
+      await writeProject();
+      
+      const result = await matchRequirements(tempDir, ['REST API for users', 'GraphQL schema stitching'], 'nodejs', {
+        provider: createRequirementProvider('heuristic')
+      });
+      
+      expect(result).toMatchObject({ total: 2, met: 1, missed: 1, provider: 'heuristic' });
+      expect(result.matches['REST API for users']).toMatchObject({
+        met: true,
+        evidence: ['src/routes/users.js:2'],
+        rationale: '1 route: GET /users',
+        provider: 'heuristic'
+      });
+      expect(result.matches['REST API for users'].confidence).toBeLessThan(0.7);
+      expect(result.matches['GraphQL schema stitching'].met).toBe(false);
+    });
+    
+    test('openai provider sends the project and keeps only real evidence', async () => {
+      await writeProject();
+      const requests = [];
+      const provider = createOpenAIProvider({
+        url: 'http://localhost:8080/v1/',
+        model: 'local-model',
+        apiKey: 'secret',
+        fetch: fakeFetch('```json\n{"met": true, "confidence": 0.9, "evidence": ["src/routes/users.js:2", "src/made-up.js:1"], "rationale": "GET /users is routed."}\n```', requests)
+      });
+      
+      const result = await matchRequirements(tempDir, ['Lists users'], 'nodejs', { provider });
+      
+      expect(result.matches['Lists users']).toEqual({
+        met: true,
+        confidence: 0.9,
+        evidence: ['src/routes/users.js:2'],
+        rationale: 'GET /users is routed.',
+        provider: 'openai'
+      });
+      expect(requests[0].url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(requests[0].headers.Authorization).toBe('Bearer secret');
+      expect(requests[0].body.model).toBe('local-model');
+      expect(requests[0].body.messages[1].content).toContain('Requirement: Lists users');
+      expect(requests[0].body.messages[1].content).toContain("2: router.get('/users', list);");
+    });
+    
+    test('falls back to the heuristic when the model fails', async () => {
+      await writeProject();
+      const provider = createOpenAIProvider({ url: 'http://localhost:8080/v1', fetch: fakeFetch('I think so') });
+      
+      const result = await matchRequirements(tempDir, ['REST API for users'], 'nodejs', { provider });
+      
+      expect(result.provider).toBe('heuristic');
+      expect(result.fallback).toBe('openai provider failed: LLM answer is not JSON');
+      expect(result.matches['REST API for users']).toMatchObject({ met: true, provider: 'heuristic' });
+    });
+    
+    test('auto selects the openai provider only when an endpoint is configured', () => {
+      expect(createRequirementProvider('auto').name).toBe(process.env.CLAWJUDGE_LLM_URL ? 'openai' : 'heuristic');
+      expect(createRequirementProvider('auto', { url: 'http://localhost:11434/v1' }).name).toBe('openai');
+      expect(() => createRequirementProvider('magic')).toThrow('Unknown requirements provider: magic');
+    });
+    
+    test('project info lists files only', async () => {
+      await writeProject();
+      const info = await gatherProjectInfo(tempDir, 'nodejs');
+      expect(info.files.sort()).toEqual(['package.json', 'src/routes/users.js']);
+    });
+    
+    test('project info skips dependency directories by name and unreadable entries alone', async () => {
+      await writeProject();
+      await fs.outputFile(path.join(tempDir, '.github', 'workflows', 'ci.yml'), 'on: push');
+      await fs.writeFile(path.join(tempDir, '.gitignore'), 'node_modules');
+      await fs.outputFile(path.join(tempDir, 'node_modules', 'dep', 'index.js'), '');
+      await fs.outputFile(path.join(tempDir, '.git', 'HEAD'), 'ref: refs/heads/main');
+      await fs.outputFile(path.join(tempDir, '.clawjudge', 'report.json'), '{}');
+      await fs.symlink(path.join(tempDir, 'missing.js'), path.join(tempDir, 'dangling.js'));
+      
+      const info = await gatherProjectInfo(tempDir, 'nodejs');
+      expect(info.files).toEqual(['.github/workflows/ci.yml', '.gitignore', 'package.json', 'src/routes/users.js']);
+      expect(info.index.routes.length).toBeGreaterThan(0);
+    });
+    
+    test('verdicts read met from requirement records', () => {
+      const verdict = generateVerdict({
+        compilation: { passed: true },
+        tests: { passed: true, found: true, total: 1, passing: 1, failing: 0 },
+        coverage: { percentage: 100, passed: true },
+        security: { vulnerabilities: 0 },
+        requirements: {
+          matches: {
+            'REST API': { met: true, confidence: 0.9, evidence: [], rationale: '' },
+            'Auth': { met: false, confidence: 0.8, evidence: [], rationale: '' }
+          },
+          total: 2,
+          met: 1,
+          missed: 1
+        }
+      }, {});
+      
+      expect(verdict.reasoning).toContain('1/2 requirements met. Missing: Auth');
+    });
+  });
+  
+  describe('Project Files', () => {
+    test('every check skips the same dependency, build and artifact directories', async () => {
+      const token = `ghp_${'Ab1Cd2Ef3Gh4'.repeat(3)}`;
+      const contract = 'pragma solidity ^0.8.0;\ncontract Vault {\n  address owner;\n  function auth() public view { require(tx.origin == owner); }\n}\n';
+      await fs.writeFile(path.join(tempDir, 'foundry.toml'), '[profile.default]\n');
+      for (const dir of ['.', 'vendor/acme', 'build', 'target/release', 'lib/forge-std', 'src/dist']) {
+        await fs.outputFile(path.join(tempDir, dir, 'app.js'), `const token = '${token}';\nmodule.exports = function area(width, height) { return width * height; };\n`);
+        await fs.outputFile(path.join(tempDir, dir, 'rows.csv'), 'id,name\n1,a\n');
+        await fs.outputFile(path.join(tempDir, dir, 'guide.md'), '# Guide\n');
+        await fs.outputFile(path.join(tempDir, dir, 'Vault.sol'), contract);
+      }
+      // lib/ is only a dependency directory at the root of a Foundry project
+      await fs.outputFile(path.join(tempDir, 'src/lib/rows.csv'), 'id,name\n1,a\n');
+      
+      const info = await gatherProjectInfo(tempDir, 'nodejs');
+      expect(info.files).toEqual(['Vault.sol', 'app.js', 'foundry.toml', 'guide.md', 'rows.csv', 'src/lib/rows.csv']);
+      expect(Object.keys((await fingerprintSubmission(tempDir)).files)).toEqual(['Vault.sol', 'app.js']);
+      expect(await findDataFiles(tempDir)).toEqual(['rows.csv', 'src/lib/rows.csv']);
+      expect(await findDocuments(tempDir)).toEqual(['guide.md']);
+      expect((await analyzeSolidity(tempDir)).findings.map(finding => finding.file)).toEqual(['Vault.sol']);
+      expect((await scanSecrets(tempDir, createExecutor('direct'))).findings.map(finding => finding.file)).toEqual(['app.js']);
+    });
+    
+    test('counts lines of code outside vendored dependencies and build output', async () => {
+      const contract = 'pragma solidity ^0.8.0;\ncontract Vault {}\n';
+      await fs.writeFile(path.join(tempDir, 'foundry.toml'), '[profile.default]\n');
+      for (const dir of ['src', 'vendor', 'build', 'target', 'out', 'lib/forge-std/src']) {
+        await fs.outputFile(path.join(tempDir, dir, 'Vault.sol'), contract);
+      }
+      
+      expect(await countLines(tempDir, 'solidity')).toBe(3);
+    });
+  });
+  
+  describe('Evidence Index', () => {
+    /**
+     * Write files and match requirements against them with the heuristic provider
+     * @param {Object} files - Relative path to contents
+     * @param {string[]} requirements - Requirements
+     * @returns {Promise<Object>} Matches by requirement
+     */
+    const match = async (files, requirements) => {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(tempDir, file), content);
+      }
+      const result = await matchRequirements(tempDir, requirements, 'nodejs', { provider: createRequirementProvider('heuristic') });
+      return result.matches;
+    };
+    
+    test('indexes routes, exports, tests, tables and CLI entries with locations', async () => {
+      await fs.outputFile(path.join(tempDir, 'package.json'), '{\n  "name": "shop",\n  "bin": {\n    "shop": "bin/shop.js"\n  }\n}\n');
+      await fs.outputFile(path.join(tempDir, 'src/app.js'), [
+        "const express = require('express');",
+        'const app = express();',
+        "app.get('/items', listItems);",
+        "app.route('/items/:id')",
+        '  .put(updateItem)',
+        '  .delete(removeItem);',
+        'async function listItems(req, res) {}',
+        'module.exports = { app, listItems };'
+      ].join('\n'));
+      await fs.outputFile(path.join(tempDir, 'test/app.test.js'), "test('lists items', () => {});");
+      await fs.outputFile(path.join(tempDir, 'db/schema.sql'), 'CREATE TABLE IF NOT EXISTS items (id INTEGER);');
+      await fs.outputFile(path.join(tempDir, 'api/views.py'), "@app.route('/health', methods=['GET', 'HEAD'])\ndef health():\n    pass");
+      
+      const info = await gatherProjectInfo(tempDir, 'nodejs');
+      const index = await buildEvidenceIndex(tempDir, info.files);
+      
+      expect(index.routes.map(r => `${r.method} ${r.path} ${r.file}:${r.line}`).sort()).toEqual([
+        'DELETE /items/:id src/app.js:4',
+        'GET /health api/views.py:1',
+        'GET /items src/app.js:3',
+        'HEAD /health api/views.py:1',
+        'PUT /items/:id src/app.js:4'
+      ]);
+      expect(index.exports.filter(e => e.file === 'src/app.js').map(e => e.name)).toEqual(['app', 'listItems']);
+      expect(index.imports).toContainEqual({ module: 'express', file: 'src/app.js', line: 1 });
+      expect(index.tests).toEqual([{ name: 'lists items', file: 'test/app.test.js', line: 1 }]);
+      expect(index.tables).toEqual([{ name: 'items', file: 'db/schema.sql', line: 1 }]);
+      expect(index.cli).toEqual([{ name: 'shop', source: 'package.json bin', file: 'package.json', line: 4 }]);
+    });
+    
+    test('database migrations need up and down steps, not a model file', async () => {
+      const modelOnly = await match({ 'src/model.js': 'module.exports = {};' }, ['Database migrations']);
+      expect(modelOnly['Database migrations']).toMatchObject({ met: false, rationale: 'No migration scripts found' });
+      
+      const forwardOnly = await match({ 'migrations/001_init.sql': 'CREATE TABLE users (id INTEGER);' }, ['Database migrations']);
+      expect(forwardOnly['Database migrations']).toMatchObject({
+        met: false,
+        evidence: ['migrations/001_init.sql:1'],
+        rationale: '1 migration found, but none with a down (rollback) step'
+      });
+      
+      const complete = await match({
+        'migrations/002_users.js': 'exports.up = async (knex) => {};\n\nexports.down = async (knex) => {};',
+        'db/003_orders.up.sql': 'CREATE TABLE orders (id INTEGER);',
+        'db/003_orders.down.sql': 'DROP TABLE orders;'
+      }, ['Database migrations']);
+      expect(complete['Database migrations']).toMatchObject({
+        met: true,
+        evidence: ['db/003_orders.up.sql:1', 'db/003_orders.down.sql:1', 'migrations/002_users.js:1', 'migrations/002_users.js:3']
+      });
+    });
+    
+    test('CRUD requirements need every operation on the named resource', async () => {
+      const matches = await match({
+        'src/routes.js': [
+          "router.get('/users', list);",
+          "router.post('/users', create);",
+          "router.get('/orders', listOrders);",
+          "router.post('/orders', createOrder);",
+          "router.put('/orders/:id', updateOrder);",
+          "router.delete('/orders/:id', removeOrder);"
+        ].join('\n')
+      }, ['CRUD endpoints for users', 'CRUD API for orders']);
+      
+      expect(matches['CRUD endpoints for users']).toMatchObject({ met: false, rationale: 'Routes found (GET /users, POST /users) but no update, delete handler' });
+      expect(matches['CRUD API for orders']).toMatchObject({ met: true, evidence: ['src/routes.js:3', 'src/routes.js:4', 'src/routes.js:5', 'src/routes.js:6'] });
+    });
+    
+    test('other requirements are searched for in identifiers', async () => {
+      const matches = await match({
+        'src/cart.js': 'function applyDiscountCode(cart, code) {}\nmodule.exports = { applyDiscountCode };'
+      }, ['Discount codes at checkout', 'Export invoices as PDF']);
+      
+      expect(matches['Discount codes at checkout']).toMatchObject({ met: true, evidence: ['src/cart.js:1'] });
+      expect(matches['Export invoices as PDF'].met).toBe(false);
+    });
+  });
+  
+  describe('Requirement Specs', () => {
+    test('loads YAML specs mixing free text and assertions', async () => {
+      await fs.outputFile(path.join(tempDir, 'spec', 'requirements.yaml'), [
+        'requirements:',
+        '  - REST API for users',
+        '  - type: http_route',
+        '    method: post',
+        '    path: /users',
+        '  - description: Output is valid',
+        '    type: json_schema',
+        '    file: out.json',
+        '    schema_file: schemas/out.json'
+      ].join('\n'));
+      await fs.outputJson(path.join(tempDir, 'spec', 'schemas', 'out.json'), { type: 'array' });
+      
+      expect(await loadRequirementSpec(path.join(tempDir, 'spec', 'requirements.yaml'))).toEqual([
+        'REST API for users',
+        { type: 'http_route', method: 'post', path: '/users' },
+        { description: 'Output is valid', type: 'json_schema', file: 'out.json', schema: { type: 'array' } }
+      ]);
+    });
+    
+    test('rejects invalid assertions', () => {
+      expect(() => normalizeRequirements([{ type: 'file_exist', path: 'a' }])).toThrow('Requirement 1 (file_exist): unknown type file_exist');
+      expect(() => normalizeRequirements(['ok', { type: 'file_exists' }])).toThrow('Requirement 2 (file_exists): missing path');
+      expect(() => normalizeRequirements([{ type: 'file_exists', path: '../etc/passwd' }])).toThrow('path must be a path inside the submission');
+      expect(() => normalizeRequirements([{ type: 'coverage_min', percentage: 80, threshold: 1 }])).toThrow('unknown field threshold');
+      expect(() => normalizeRequirements([{ type: 'test_name_matches', pattern: '(' }])).toThrow('Invalid regular expression');
+      expect(() => normalizeRequirements([{ type: 'json_schema', file: 'a.json', schema: { type: 'nope' } }])).toThrow('invalid schema');
+      expect(() => normalizeRequirements([{ type: 'command_succeeds', command: 'true', timeout: 999999 }])).toThrow('timeout must be more than 0 and at most 300 seconds');
+    });
+    
+    test('checks assertions deterministically', async () => {
+      await fs.outputFile(path.join(tempDir, 'src', 'users.js'), [
+        "router.post('/users', createUser);",
+        "router.get('/users/:id', getUser);",
+        'function createUser(req, res) {}',
+        'module.exports = { createUser };'
+      ].join('\n'));
+      await fs.outputFile(path.join(tempDir, 'test', 'users.test.js'), "test('creates a user', () => {});\ntest('rejects duplicates', () => {});");
+      await fs.outputJson(path.join(tempDir, 'out.json'), { users: 'many' });
+      
+      const results = {
+        tests: {
+          cases: [
+            { name: 'creates a user', file: 'test/users.test.js', status: 'passed' },
+            { name: 'rejects duplicates', file: 'test/users.test.js', status: 'failed' }
+          ]
+        },
+        coverage: { percentage: 72 }
+      };
+      
+      const { matches, met, missed } = await matchRequirements(tempDir, [
+        { type: 'file_exists', path: 'src/users.js' },
+        { type: 'exports_function', name: 'createUser', file: 'src/users.js' },
+        { type: 'http_route', method: 'GET', path: '/users/{userId}' },
+        { type: 'http_route', method: 'DELETE', path: '/users/:id' },
+        { description: 'User tests pass', type: 'test_name_matches', pattern: 'user|duplicate', min: 2 },
+        { type: 'coverage_min', percentage: 80 },
+        { type: 'command_succeeds', command: 'node -e "process.exit(3)"' },
+        { type: 'json_schema', file: 'out.json', schema: { type: 'object', properties: { users: { type: 'array' } } } }
+      ], 'nodejs', { provider: createRequirementProvider('heuristic'), results });
+      
+      expect(met).toBe(3);
+      expect(missed).toBe(5);
+      expect(matches['file_exists: src/users.js']).toMatchObject({ met: true, confidence: 1, evidence: ['src/users.js:1'], provider: 'assertion', type: 'file_exists' });
+      expect(matches['exports_function: createUser in src/users.js']).toMatchObject({ met: true, evidence: ['src/users.js:4'] });
+      expect(matches['http_route: GET /users/{userId}']).toMatchObject({ met: true, evidence: ['src/users.js:2'] });
+      expect(matches['http_route: DELETE /users/:id']).toMatchObject({ met: false, rationale: 'No route for DELETE /users/:id' });
+      expect(matches['User tests pass']).toMatchObject({
+        met: false,
+        evidence: ['test/users.test.js:1'],
+        rationale: '1 passing test match /user|duplicate/ (need 2); failing: rejects duplicates'
+      });
+      expect(matches['coverage_min: 80%'].rationale).toBe('Coverage 72% is below 80%');
+      // No isolated executor: the command never runs on the host
+      expect(matches['command_succeeds: node -e "process.exit(3)"'].rationale).toBe('Commands only run inside an isolated sandbox (bubblewrap), not on the host');
+      expect(matches['json_schema: out.json'].rationale).toBe('out.json does not match the schema: /users must be array');
+    });
+    
+    test('json_schema neither follows symlinks out of the submission nor quotes unparsable files', async () => {
+      const project = path.join(tempDir, 'project');
+      await fs.outputFile(path.join(tempDir, 'host.env'), 'DB_PASSWORD=hunter2\n');
+      await fs.ensureSymlink(path.join(tempDir, 'host.env'), path.join(project, 'leak.json'));
+      await fs.outputFile(path.join(project, 'broken.json'), '{"token": hunter2}');
+      await fs.outputJson(path.join(project, 'data', 'ok.json'), []);
+      await fs.ensureSymlink(path.join(project, 'data', 'ok.json'), path.join(project, 'linked.json'));
+      
+      const { matches } = await matchRequirements(project, [
+        { type: 'json_schema', file: 'leak.json', schema: { type: 'object' } },
+        { type: 'json_schema', file: 'broken.json', schema: { type: 'object' } },
+        { type: 'json_schema', file: 'linked.json', schema: { type: 'array' } }
+      ], 'nodejs', { provider: createRequirementProvider('heuristic') });
+      
+      expect(matches['json_schema: leak.json'].rationale).toBe('leak.json points outside the submission');
+      expect(matches['json_schema: broken.json'].rationale).toBe('broken.json is not valid JSON');
+      expect(matches['json_schema: linked.json']).toMatchObject({ met: true });
+      expect(JSON.stringify(matches)).not.toContain('hunter2');
+    });
+  });
+  
+  describe('Requirement Commands', () => {
+    test('command_succeeds runs in the sandbox and stops at the verification time limit', async () => {
+      await fs.outputFile(path.join(tempDir, 'submission', 'README.md'), '# Notes\n\nThe service starts with one command.\n');
+      // A stand-in bwrap runs the sandboxed command on the host
+      await fs.outputFile(path.join(tempDir, 'bin', 'bwrap'), [
+        '#!/bin/sh',
+        '[ "$1" = --version ] && exit 0',
+        'while [ "$1" != sh ]; do shift; done',
+        'exec "$@"',
+        ''
+      ].join('\n'), { mode: 0o755 });
+      
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${path.join(tempDir, 'bin')}:${originalPath}`;
+      const started = Date.now();
+      let verdict;
+      try {
+        verdict = await verify({
+          submission: path.join(tempDir, 'submission'),
+          bounty_type: 'content',
+          sandbox: 'bubblewrap',
+          timeout: 3,
+          requirements: [
+            { type: 'command_succeeds', command: 'test -f README.md' },
+            { type: 'command_succeeds', command: 'sleep 60', timeout: 300 }
+          ]
+        });
+      } finally {
+        process.env.PATH = originalPath;
+      }
+      
+      expect(Date.now() - started).toBeLessThan(15000);
+      expect(verdict.error).toBeUndefined();
+      expect(verdict.metadata.sandbox).toBe('bubblewrap');
+      expect(verdict.reasoning).toContain('1/2 requirements met. Missing: command_succeeds: sleep 60');
+    }, 30000);
+  });
+  
+  describe('Requirement Weighting', () => {
+    const results = {
+      compilation: { passed: true },
+      tests: { passed: true, found: true, total: 10, passing: 10, failing: 0 },
+      coverage: { percentage: 90, passed: true },
+      lint: { passed: true, errors: 0, warnings: 0, linesOfCode: 500, errorsPerKloc: 0, warningsPerKloc: 0 },
+      security: { vulnerabilities: 0 }
+    };
+    
+    /**
+     * Requirements check result from match records
+     * @param {Object} matches - Matches by requirement name
+     * @returns {Object} Requirements result
+     */
+    const requirements = (matches) => {
+      const met = Object.values(matches).filter(match => match.met).length;
+      return { matches, total: Object.keys(matches).length, met, missed: Object.keys(matches).length - met };
+    };
+    
+    test('accepts weight and mandatory on free text and assertions', () => {
+      expect(normalizeRequirements([
+        { description: ' Admin dashboard ', mandatory: false },
+        { type: 'file_exists', path: 'README.md', mandatory: 'fail', weight: 2.5 }
+      ])).toEqual([
+        { description: 'Admin dashboard', mandatory: false },
+        { type: 'file_exists', path: 'README.md', mandatory: 'fail', weight: 2.5 }
+      ]);
+      expect(() => normalizeRequirements([{ description: 'Auth', mandatory: 'yes' }])).toThrow('Requirement 1: mandatory must be true, false, "fail" or "partial"');
+      expect(() => normalizeRequirements([{ description: 'Auth', weight: 0 }])).toThrow('weight must be a positive number');
+      expect(() => normalizeRequirements([{ mandatory: true }])).toThrow('missing type or description');
+      expect(() => normalizeRequirements([{ description: 'Auth', points: 3 }])).toThrow('unknown field points');
+    });
+    
+    test('matches carry the flags and free text reaches the provider', async () => {
+      await fs.outputFile(path.join(tempDir, 'README.md'), '# Service');
+      const { matches } = await matchRequirements(tempDir, [
+        { description: 'Documentation', weight: 2, mandatory: true },
+        { type: 'file_exists', path: 'LICENSE', mandatory: false }
+      ], 'nodejs', { provider: createRequirementProvider('heuristic') });
+      
+      expect(matches.Documentation).toMatchObject({ met: true, provider: 'heuristic', weight: 2, mandatory: true });
+      expect(matches['file_exists: LICENSE']).toMatchObject({ met: false, provider: 'assertion', mandatory: false });
+      expect(matches['file_exists: LICENSE']).not.toHaveProperty('weight');
+    });
+    
+    test('scores weighted completion and gates only on capping misses', () => {
+      const verdict = generateVerdict({
+        ...results,
+        requirements: requirements({
+          'REST API': { met: true, weight: 3 },
+          'Admin dashboard': { met: false, mandatory: false }
+        })
+      }, {});
+      
+      expect(verdict.breakdown.dimensions.requirements).toMatchObject({
+        raw: { met: 1, total: 2, weightMet: 3, weightTotal: 4 },
+        score: 75
+      });
+      expect(verdict.breakdown.gates).toEqual([]);
+      expect(verdict.score).toBe(94);
+      expect(verdict.verdict).toBe('PASS');
+      expect(verdict.reasoning).toContain('1/2 requirements met (75% by weight). Missing: Admin dashboard');
+    });
+    
+    test('mandatory misses force FAIL and partial releases follow weighted completion', () => {
+      const failed = generateVerdict({
+        ...results,
+        requirements: requirements({
+          'REST API': { met: true, weight: 3 },
+          'Auth': { met: false, mandatory: true },
+          'Docs': { met: false }
+        })
+      }, {});
+      
+      expect(failed.verdict).toBe('FAIL');
+      expect(failed.breakdown.gates).toEqual([
+        { gate: 'requirements', cap: 'FAIL', reason: 'Unmet mandatory requirement (Auth) forced FAIL' },
+        { gate: 'requirements', cap: 'PARTIAL', reason: '1 unmet requirement capped the verdict at PARTIAL' }
+      ]);
+      expect(failed.reasoning).toContain('Missing: Auth (mandatory), Docs');
+      expect(failed.recommendation).toContain('mandatory requirements not met');
+      
+      const partial = generateVerdict({
+        ...results,
+        requirements: requirements({
+          'REST API': { met: true, weight: 3 },
+          'Auth': { met: false, mandatory: 'partial', weight: 2 }
+        })
+      }, {});
+      
+      expect(partial.verdict).toBe('PARTIAL');
+      expect(partial.score).toBe(91);
+      expect(partial.recommendation).toMatch(/^Partial release at 60% — missing requirements/);
+    });
+  });
+  
+  describe('Data Bounties', () => {
+    /**
+     * Write data files into the submission and verify it as a data bounty
+     * @param {Object} files - Relative path to contents
+     * @param {Object} options - Extra verify options
+     * @returns {Promise<Object>} Verdict
+     */
+    const verifyData = async (files, options = {}) => {
+      for (const [file, contents] of Object.entries(files)) {
+        await fs.outputFile(path.join(tempDir, file), contents);
+      }
+      return verify({ submission: tempDir, bounty_type: 'data', timeout: 60, ...options });
+    };
+    
+    test('validates data specs before fetching the submission', async () => {
+      expect(normalizeDataSpec({ columns: { id: { type: 'integer', min: 1 } } })).toMatchObject({ min_rows: 1, max_duplicate_ratio: 0 });
+      expect(normalizeDataSpec(normalizeDataSpec({ files: 'data/*.csv' })).files).toEqual(['data/*.csv']);
+      expect(() => normalizeDataSpec({ columns: { id: { type: 'uuid' } } })).toThrow('column id: type must be one of');
+      expect(() => normalizeDataSpec({ columns: { name: { type: 'string', min: 1 } } })).toThrow('min needs type integer, number or date');
+      expect(() => normalizeDataSpec({ rows: 10 })).toThrow('unknown field rows');
+      expect(() => normalizeDataSpec({ files: ['../secrets.csv'] })).toThrow('files must be relative paths');
+      
+      const verdict = await verify({ submission: '/nonexistent/path', bounty_type: 'data', data_spec: { format: 'xml' } });
+      expect(verdict.error).toBe('data spec: format must be one of: json, ndjson, csv, tsv');
+      expect((await verify({ submission: tempDir, bounty_type: 'data', profile: 'library' })).error)
+        .toBe('Scoring profile library is for code bounties, not data');
+    });
+    
+    test('passes data that matches its schema and column spec', async () => {
+      const verdict = await verifyData({
+        'data/prices.csv': 'sku,price,listed\nA1,2.50,2024-01-03\nB2,10,2024-02-11\nC3,,2024-03-30\n',
+        'data/meta.json': JSON.stringify({ source: 'survey', version: 2 }),
+        'README.md': '# Prices'
+      }, {
+        data_spec: {
+          schema: { type: 'object', required: ['source'] },
+          columns: {
+            sku: { type: 'string', required: true, unique: true, pattern: '^[A-Z]\\d$' },
+            price: { type: 'number', min: 0, max_null_ratio: 0.5 },
+            listed: { type: 'date', min: '2024-01-01' }
+          },
+          min_rows: 3
+        },
+        requirements: [{ type: 'file_exists', path: 'README.md' }]
+      });
+      
+      expect(verdict.verdict).toBe('PASS');
+      expect(verdict.profile).toBe('dataset');
+      expect(verdict.score).toBe(100);
+      expect(Object.keys(verdict.breakdown.dimensions)).toEqual(['format', 'schema', 'columns', 'quality', 'requirements']);
+      expect(verdict.checks.format.files).toEqual([
+        { file: 'data/meta.json', format: 'json', rows: null },
+        { file: 'data/prices.csv', format: 'csv', rows: 3 }
+      ]);
+      expect(verdict.checks.columns).toMatchObject({ passed: true, checked: 9, failed: 0 });
+      expect(verdict.checks.quality).toMatchObject({ rows: 3, duplicates: 0, emptyCellRatio: 0.1111 });
+      expect(verdict.metadata).toMatchObject({ bountyType: 'data', dataFiles: ['data/meta.json', 'data/prices.csv'] });
+    });
+    
+    test('reports violations, duplicates and unreadable files', async () => {
+      const verdict = await verifyData({
+        'items.csv': 'id,status\n1,open\n2,lost\n2,lost\nx,open\n',
+        'events.ndjson': '{"n":1}\n{"n":"two"}\n',
+        'broken.json': '{"n":'
+      }, {
+        data_spec: {
+          files: ['*.csv', '*.ndjson', 'broken.json'],
+          schema: { type: 'object', properties: { n: { type: 'integer' } } },
+          columns: { id: { type: 'integer', unique: true }, status: { enum: ['open', 'closed'] } }
+        }
+      });
+      
+      expect(verdict.checks.format).toMatchObject({ passed: true, readable: 2, unreadable: 1 });
+      expect(verdict.checks.schema).toMatchObject({ passed: false, checked: 2, invalid: 1 });
+      expect(verdict.checks.schema.files[0].errors).toEqual(['line 2: /n must be integer']);
+      expect(verdict.checks.columns.violations.map(violation => violation.message)).toEqual([
+        'id: 1 value not integer (line 5)',
+        'id: 1 value duplicated (line 4)',
+        'status: 2 values not in the allowed values (lines 3, 4)'
+      ]);
+      expect(verdict.checks.quality).toMatchObject({ passed: false, rows: 6, duplicates: 1 });
+      expect(verdict.breakdown.gates.map(gate => gate.gate)).toEqual(['format', 'schema', 'columns', 'quality']);
+      expect(verdict.verdict).toBe('FAIL');
+      expect(verdict.reasoning).toContain('Unreadable: broken.json (line 1, column 6: Unexpected end of JSON input)');
+      expect(verdict.recommendation).toBe('Submission rejected — data quality threshold not met. Significant rework required.');
+    });
+    
+    test('fails submissions without readable data', async () => {
+      const verdict = await verifyData({ 'notes.txt': 'nothing tabular here' });
+      
+      expect(verdict.verdict).toBe('FAIL');
+      expect(verdict.checks.format.details).toBe('No data files found');
+      expect(verdict.checks.quality).toMatchObject({ skipped: true, details: 'Skipped due to failed format detection' });
+      expect(verdict.breakdown.gates[0]).toEqual({ gate: 'format', cap: 'FAIL', reason: 'No data files forced FAIL' });
+      expect(verdict.recommendation).toContain('no readable data files');
+    });
+  });
+  
+  describe('Data Parsing', () => {
+    const CSV = 'id,name,note\r\n1,"Smith, J","said ""hi"""\r\n2,"two\r\nlines",\r\n';
+    
+    /**
+     * Parse text pushed in chunks of a given size
+     * @param {string} text - Delimited text
+     * @param {number} size - Chunk size
+     * @returns {Object[]} Records ({ line, fields }) and errors in order
+     */
+    const parseChunked = (text, size) => {
+      const events = [];
+      const parser = createDelimitedParser({
+        delimiter: ',',
+        onRecord: (fields, line) => events.push({ line, fields }),
+        onError: error => events.push(error)
+      });
+      for (let i = 0; i < text.length; i += size) {
+        parser.push(text.slice(i, i + size));
+      }
+      parser.end();
+      return events;
+    };
+    
+    test('parses RFC 4180 quoting, CRLF and multi-line values however the text is chunked', () => {
+      expect(validateCSV(CSV)).toMatchObject({ valid: true, headers: ['id', 'name', 'note'], rowCount: 2, consistentColumns: true, errors: [] });
+      expect(parseChunked(CSV, CSV.length)).toEqual([
+        { line: 1, fields: ['id', 'name', 'note'] },
+        { line: 2, fields: ['1', 'Smith, J', 'said "hi"'] },
+        { line: 3, fields: ['2', 'two\r\nlines', null] }
+      ]);
+      for (const size of [1, 2, 3, 7]) {
+        expect(parseChunked(CSV, size)).toEqual(parseChunked(CSV, CSV.length));
+      }
+    });
+    
+    test('reports the line and column of malformed rows', () => {
+      expect(validateCSV('a,b\n1,"x"y\n2\n3,4,5\n4,"open\n').errors).toEqual([
+        { line: 2, column: 6, message: 'unexpected character after closing quote' },
+        { line: 3, column: 1, message: '1 field, expected 2' },
+        { line: 4, column: 5, message: '3 fields, expected 2' },
+        { line: 5, column: 3, message: 'unterminated quoted field' }
+      ]);
+    });
+    
+    test('decodes by byte order mark or spec encoding and skips malformed rows', async () => {
+      await fs.outputFile(path.join(tempDir, 'orders.csv'), 'id,total\n1,"1,5"\n2,"3"x\n3,4\n');
+      await fs.outputFile(path.join(tempDir, 'latin.csv'), Buffer.from('id,name\n4,café\n', 'latin1'));
+      await fs.outputFile(path.join(tempDir, 'wide.tsv'), Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('id\tname\n5\tZoë\n', 'utf16le')]));
+      
+      const verdict = await verify({ submission: tempDir, bounty_type: 'data', timeout: 60, data_spec: { encoding: 'latin1' } });
+      
+      expect(verdict.checks.format).toMatchObject({ passed: true, readable: 3, unreadable: 0, malformed: 1 });
+      expect(verdict.checks.format.files).toEqual([
+        { file: 'latin.csv', format: 'csv', encoding: 'windows-1252', rows: 1 },
+        { file: 'orders.csv', format: 'csv', encoding: 'windows-1252', rows: 2, malformedRows: 1, errors: ['line 3, column 6: unexpected character after closing quote'] },
+        { file: 'wide.tsv', format: 'tsv', encoding: 'utf-16le', rows: 1 }
+      ]);
+      expect(verdict.checks.quality).toMatchObject({ rows: 4, duplicates: 0 });
+      expect(verdict.breakdown.gates[0]).toEqual({ gate: 'format', cap: 'PARTIAL', reason: '1 data file with malformed rows capped the verdict at PARTIAL' });
+      
+      const undeclared = await analyzeDataset(tempDir, 'latin.csv', normalizeDataSpec({}));
+      expect(undeclared.errors).toEqual([{ line: 2, column: 6, message: 'invalid utf-8 byte sequence' }]);
+    });
+    
+    test('streams large files, keeping counts instead of rows', async () => {
+      // Wide rows keep the file spanning several read chunks without a slow row count
+      const rows = Array.from({ length: 30000 }, (_, i) => `${i % 20000},item ${i % 20000} ${'x'.repeat(80)}`);
+      await fs.outputFile(path.join(tempDir, 'large.csv'), `id,name\n${rows.join('\n')}\n`);
+      expect((await fs.stat(path.join(tempDir, 'large.csv'))).size).toBeGreaterThan(2 * 1024 * 1024);
+      
+      const analysis = await analyzeDataset(tempDir, 'large.csv', normalizeDataSpec({ columns: { id: { type: 'integer', unique: true } } }));
+      
+      expect(analysis).toMatchObject({ rows: 30000, errorCount: 0, summary: { rows: 30000, duplicates: 10000 } });
+      expect(analysis.columnCheck.violations.map(violation => violation.message)).toEqual([
+        'id: 10000 values duplicated (lines 20002, 20003, 20004, 20005, 20006, ...)'
+      ]);
+    }, 20000);
+  });
+  
+  describe('Content Bounties', () => {
+    const ARTICLE = [
+      '---',
+      'title: Caching guide',
+      '---',
+      '# Introduction',
+      '',
+      'A cache keeps the answers to slow questions close at hand. This guide shows how to add one to a small web service.',
+      'Read the [setup notes](docs/setup.md#install-it) first, and see [the spec](https://example.com/spec) for details.',
+      '',
+      '```js',
+      'const teh = cache.get(key);',
+      '```',
+      '',
+      '## Usage',
+      '',
+      'Ask the cache first. When it has no answer, ask the service and store what comes back. Keep entries for a few minutes at most.',
+      '',
+      '- Set a size limit so memory stays low.',
+      '- Clear old entries when the data changes.',
+      ''
+    ].join('\n');
+    const SETUP = 'Install It\n==========\n\nRun `npm install` and start the service. The cache needs no other setup.\n';
+    
+    /**
+     * Write documents into the submission and verify it as a content bounty
+     * @param {Object} files - Relative path to contents
+     * @param {Object} options - Extra verify options
+     * @returns {Promise<Object>} Verdict
+     */
+    const verifyContent = async (files, options = {}) => {
+      for (const [file, contents] of Object.entries(files)) {
+        await fs.outputFile(path.join(tempDir, 'submission', file), contents);
+      }
+      return verify({ submission: path.join(tempDir, 'submission'), bounty_type: 'content', timeout: 60, ...options });
+    };
+    
+    test('validates content specs and parses Markdown structure', async () => {
+      expect(normalizeContentSpec({})).toMatchObject({ words: null, links: true, max_similarity: 0.5, spelling: { max_misspellings: 0, ignore: [] } });
+      expect(normalizeContentSpec(normalizeContentSpec({ words: { min: 10 }, spelling: false }))).toMatchObject({ words: { min: 10, max: null }, spelling: false });
+      expect(() => normalizeContentSpec({ words: { min: 20, max: 10 } })).toThrow('words min must not exceed max');
+      expect(() => normalizeContentSpec({ readability: { grade: 8 } })).toThrow('readability takes numeric');
+      expect(() => normalizeContentSpec({ tone: 'friendly' })).toThrow('unknown field tone');
+      expect((await verify({ submission: '/nonexistent/path', bounty_type: 'content', content_spec: { sections: [] } })).error)
+        .toBe('content spec: sections must be a non-empty list of headings');
+      
+      const parsed = parseMarkdown('# Setup\n\n## Setup\n\nSee [`run`](#setup-1) and ![logo](img/logo.png).\n<a id="top"></a>\n');
+      expect(parsed.headings.map(heading => heading.slug)).toEqual(['setup', 'setup-1']);
+      expect([...parsed.anchors]).toEqual(['setup', 'setup-1', 'top']);
+      expect(parsed.links).toEqual([
+        { target: 'img/logo.png', line: 5, column: 35, image: true },
+        { target: '#setup-1', line: 5, column: 13, image: false }
+      ]);
+      expect([countSyllables('cache'), countSyllables('readability'), countSyllables('the')]).toEqual([1, 5, 1]);
+    });
+    
+    test('passes documents within the spec', async () => {
+      const verdict = await verifyContent({ 'README.md': ARTICLE, 'docs/setup.md': SETUP }, {
+        content_spec: { words: { min: 10, max: 200 }, sections: ['introduction', 'Usage'], readability: { min_reading_ease: 60 } },
+        requirements: [{ type: 'file_exists', path: 'README.md' }]
+      });
+      
+      expect(verdict.verdict).toBe('PASS');
+      expect(verdict.profile).toBe('article');
+      expect(verdict.score).toBe(100);
+      expect(verdict.checks.documents.files).toEqual([{ file: 'README.md', words: 76 }, { file: 'docs/setup.md', words: 13 }]);
+      expect(verdict.checks.structure.sections).toEqual([
+        { section: 'introduction', found: true, location: 'README.md:4' },
+        { section: 'Usage', found: true, location: 'README.md:13' }
+      ]);
+      expect(verdict.checks.links).toMatchObject({ passed: true, checked: 1, external: 1 });
+      expect(verdict.checks.readability).toMatchObject({ passed: true, readingEase: 94.4, grade: 1.8 });
+      expect(verdict.checks.spelling).toMatchObject({ passed: true, misspellings: 0 });
+      expect(verdict.breakdown.dimensions.originality.scored).toBe(false);
+      expect(verdict.metadata).toMatchObject({ bountyType: 'content', documents: ['README.md', 'docs/setup.md'] });
+    });
+    
+    test('reports broken links, misspellings, missing sections and length', async () => {
+      const verdict = await verifyContent({
+        'guide.md': `${ARTICLE}\nWe recieve [feedback](#feedback) and [notes](notes.md) weekly.\n`,
+        'docs/setup.md': SETUP
+      }, {
+        content_spec: { files: ['*.md'], words: { max: 60 }, sections: ['Usage', 'Troubleshooting'], spelling: { ignore: ['teh'] } },
+        requirements: [{ type: 'file_exists', path: 'guide.md' }]
+      });
+      
+      expect(verdict.checks.documents.files.map(file => file.file)).toEqual(['guide.md']);
+      expect(verdict.checks.length).toMatchObject({ passed: false, outOfRange: 1 });
+      expect(verdict.checks.structure.details).toBe('Missing section: Troubleshooting');
+      expect(verdict.checks.links.issues).toEqual([
+        { file: 'guide.md', line: 20, column: 23, target: '#feedback', reason: 'no heading or anchor #feedback in guide.md' },
+        { file: 'guide.md', line: 20, column: 46, target: 'notes.md', reason: 'notes.md does not exist' }
+      ]);
+      expect(verdict.checks.spelling.issues).toEqual([{ file: 'guide.md', line: 20, column: 4, word: 'recieve', suggestion: 'receive' }]);
+      expect(verdict.breakdown.gates.map(gate => gate.gate)).toEqual(['length', 'structure', 'links']);
+      expect(verdict.verdict).toBe('PARTIAL');
+      expect(verdict.recommendation).toBe('Partial release at 51% — word count out of range, missing sections, broken links, misspellings present but the content is usable.');
+    });
+    
+    test('fails near-duplicates of the corpus', async () => {
+      await fs.outputFile(path.join(tempDir, 'corpus', 'published', 'caching.md'), ARTICLE);
+      const verdict = await verifyContent({ 'post.md': ARTICLE.replace('small web service', 'tiny web app') }, {
+        corpus: path.join(tempDir, 'corpus')
+      });
+      
+      expect(verdict.checks.originality).toMatchObject({ passed: false, corpusFiles: 1, duplicates: 1, similarity: 0.903 });
+      expect(verdict.breakdown.gates[0]).toEqual({ gate: 'originality', cap: 'FAIL', reason: 'Near-duplicate of published/caching.md forced FAIL' });
+      expect(verdict.verdict).toBe('FAIL');
+      expect(verdict.recommendation).toContain('near-duplicate');
+      
+      const empty = await verifyContent({ 'notes.txt': '   ' }, { content_spec: { files: ['*.txt'] } });
+      expect(empty.checks.documents.files).toEqual([{ file: 'notes.txt', words: 0, error: 'no text' }]);
+      expect(empty.breakdown.gates[0]).toEqual({ gate: 'documents', cap: 'FAIL', reason: 'No readable documents forced FAIL' });
+    });
+  });
+  
+  describe('Code Similarity', () => {
+    const ORIGINAL = [
+      '// Rate limiter: a token bucket per client',
+      'function createLimiter(capacity, refillPerSecond) {',
+      '  const buckets = new Map();',
+      '  return function allow(clientId, now = Date.now()) {',
+      '    let bucket = buckets.get(clientId);',
+      '    if (!bucket) {',
+      '      bucket = { tokens: capacity, updated: now };',
+      '      buckets.set(clientId, bucket);',
+      '    }',
+      '    const elapsed = (now - bucket.updated) / 1000;',
+      '    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);',
+      '    bucket.updated = now;',
+      '    if (bucket.tokens < 1) return false;',
+      '    bucket.tokens -= 1;',
+      '    return true;',
+      '  };',
+      '}',
+      'module.exports = { createLimiter };',
+      ''
+    ].join('\n');
+    const RENAMED = ORIGINAL
+      .replace('// Rate limiter: a token bucket per client', '/* Throttles requests per user */')
+      .replace(/buckets/g, 'store').replace(/bucket/g, 'entry').replace(/clientId/g, 'user')
+      .replace(/capacity/g, 'max').replace(/tokens/g, 'credit');
+    const UNRELATED = [
+      'const express = require("express");',
+      'const app = express();',
+      'app.get("/health", (req, res) => res.json({ ok: true }));',
+      'app.post("/items", async (req, res) => {',
+      '  try {',
+      '    const item = await db.insert(req.body);',
+      '    res.status(201).json(item);',
+      '  } catch (error) {',
+      '    res.status(400).json({ error: error.message });',
+      '  }',
+      '});',
+      'app.listen(process.env.PORT || 3000);',
+      ''
+    ].join('\n');
+    
+    /**
+     * Write a Node.js project with the given source files
+     * @param {string} dir - Project directory
+     * @param {Object} files - Relative path to contents
+     * @returns {Promise<string>} Project directory
+     */
+    const writeProject = async (dir, files) => {
+      await fs.outputJson(path.join(dir, 'package.json'), { name: path.basename(dir), version: '1.0.0' });
+      for (const [file, contents] of Object.entries(files)) {
+        await fs.outputFile(path.join(dir, file), contents);
+      }
+      return dir;
+    };
+    
+    test('matches renamed and recommented copies but not unrelated code', async () => {
+      expect(tokenize('const total = count + 1; // add one\nreturn "done";').map(token => token.text))
+        .toEqual(['const', 'I', '=', 'I', '+', 'N', ';', 'return', 'S', ';']);
+      
+      const original = await fingerprintSubmission(await writeProject(path.join(tempDir, 'original'), { 'src/limiter.js': ORIGINAL }));
+      const copy = await fingerprintSubmission(await writeProject(path.join(tempDir, 'copy'), {
+        'lib/throttle.js': RENAMED,
+        'node_modules/dep/index.js': ORIGINAL
+      }));
+      const other = await fingerprintSubmission(await writeProject(path.join(tempDir, 'other'), { 'server.js': UNRELATED }));
+      
+      expect(Object.keys(copy.files)).toEqual(['lib/throttle.js']);
+      const comparison = compareFingerprints(copy, original);
+      expect(comparison.similarity).toBe(1);
+      expect(comparison.pairs).toEqual([expect.objectContaining({ file: 'lib/throttle.js', otherFile: 'src/limiter.js', similarity: 1 })]);
+      expect(compareFingerprints(other, original)).toMatchObject({ similarity: 0, pairs: [] });
+      expect(() => compareFingerprints(copy, { ...original, version: 0 })).toThrow('Fingerprints must be version');
+    });
+    
+    test('fails copied submissions and passes original ones', async () => {
+      const corpus = path.join(tempDir, 'corpus');
+      await writeProject(path.join(corpus, 'limiter-lib'), { 'index.js': ORIGINAL });
+      const peer = await fingerprintSubmission(await writeProject(path.join(tempDir, 'peer'), { 'server.js': UNRELATED }));
+      let saved = null;
+      
+      const copied = await verify({
+        submission: await writeProject(path.join(tempDir, 'copy'), { 'lib/throttle.js': RENAMED }),
+        language: 'nodejs',
+        timeout: 60,
+        reference_corpus: corpus,
+        peers: [{ id: 'a1', fingerprints: peer }],
+        onFingerprints: fingerprints => { saved = fingerprints; }
+      });
+      expect(Object.keys(saved.files)).toEqual(['lib/throttle.js']);
+      expect(copied.checks.similarity).toMatchObject({
+        passed: false,
+        similarity: 1,
+        threshold: 0.5,
+        compared: { submissions: 1, references: 1 },
+        matches: [{ kind: 'reference', id: 'limiter-lib', label: 'reference limiter-lib', pairs: [{ file: 'lib/throttle.js', otherFile: 'index.js' }] }]
+      });
+      expect(copied.breakdown.gates).toContainEqual({ gate: 'similarity', cap: 'FAIL', reason: 'Code 100% similar to reference limiter-lib forced FAIL' });
+      expect(copied.verdict).toBe('FAIL');
+      expect(copied.reasoning).toContain('lib/throttle.js ~ index.js');
+      
+      const original = await verify({
+        submission: await writeProject(path.join(tempDir, 'original'), { 'server.js': UNRELATED.replace('/health', '/status') }),
+        language: 'nodejs',
+        timeout: 60,
+        peers: [{ id: 'b2', fingerprints: { ...peer, version: 0 } }, { id: 'c3', label: 'submission c3', fingerprints: saved }]
+      });
+      expect(original.checks.similarity).toMatchObject({ passed: true, similarity: 0, incompatible: 1, compared: { submissions: 1, references: 0 } });
+      expect(original.breakdown.gates.map(gate => gate.gate)).not.toContain('similarity');
+      
+      await expect(verify({ submission: tempDir, similarity_threshold: 2 })).resolves.toMatchObject({ error: 'similarity_threshold must be between 0 and 1' });
+    });
   });
   
   describe('Integration', () => {